@@ -1,45 +1,283 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+
 /**
  * @title FileRegistry
  * @dev A simple smart contract for storing file metadata on the blockchain.
  *
  * This contract allows users to:
  * - Register with a unique user ID
- * - Upload file metadata (CID, name, timestamp)
+ * - Upload file metadata (CID, name, timestamp and credential details),
+ *   one file at a time or as a batch in a single transaction
  * - Retrieve their files
  * - Delete their files
+ * - Revoke files or bring their expiry forward, keeping them on record
+ * - Have registered verifiers attest to their files
+ * - Receive credentials from registered issuers (universities, employers),
+ *   which only join the user's files once the user accepts them
+ * - Share encrypted files with specific valuators (access grants)
+ * - Move a user ID to a new wallet after a waiting period
+ *
+ * Roles (AccessControl):
+ * - DEFAULT_ADMIN_ROLE grants and revokes every role and can pause the
+ *   registry. The deployer starts with it.
+ * - ISSUER_ROLE lets an organization offer credentials (see addIssuer)
+ * - VERIFIER_ROLE lets a wallet attest to files
+ *
+ * While paused (Pausable), every call that changes users, files, offers or
+ * grants reverts, except cancelling a user ID transfer and revoking file
+ * access, which only take permissions away. Reads and role management keep
+ * working, so the admin can freeze the registry if a bug is found and
+ * unfreeze it once fixed.
+ *
+ * A new deployment can take over an old one's users, files, attestations,
+ * encryption keys and access grants: while it is paused the admin replays
+ * them with the import functions (see scripts/migrate-registry.js).
+ *
+ * Calls can also arrive through the trusted forwarder (EIP-2771), so users
+ * without ETH can sign requests that a relayer submits for them. The
+ * original signer is always read with _msgSender(), never msg.sender.
+ *
+ * Every uploaded file gets a permanent, monotonically increasing ID.
+ * IDs are never reused, so a file ID stays valid (or reverts as
+ * deleted) no matter how many other files are removed. A user's files
+ * are always listed in upload order, and getFilesPage reads them a page
+ * at a time, newest first.
  *
  * Note: This contract does NOT store actual files, only metadata.
  * The actual files are stored on IPFS.
  */
-contract FileRegistry {
+contract FileRegistry is ERC2771Context, AccessControl, Pausable {
+    // ============ Enums ============
+
+    /**
+     * @dev The outcome a verifier records when reviewing a file
+     */
+    enum AttestationStatus {
+        Verified,
+        Rejected,
+        NeedsInfo
+    }
+
+    /**
+     * @dev The kind of credential a file holds
+     */
+    enum Category {
+        Other,
+        Degree,
+        Certificate,
+        Transcript,
+        ReferenceLetter
+    }
+
+    /**
+     * @dev Why a file's owner revoked it (None while it is not revoked)
+     */
+    enum RevocationReason {
+        None,
+        Superseded,
+        IssuedInError,
+        Withdrawn,
+        Other
+    }
+
+    /**
+     * @dev Whether a file can still be relied on
+     */
+    enum CredentialStatus {
+        Active,
+        Expired,
+        Revoked
+    }
+
     // ============ Structs ============
 
+    /**
+     * @dev Describes the credential stored in a file
+     * @param contentHash SHA-256 hash of the file content
+     * @param mimeType The file's MIME type
+     * @param size The file size in bytes
+     * @param category The kind of credential
+     * @param issuer Name of the issuing institution (may be empty)
+     * @param issuedAt When the credential was issued (unix seconds, 0 if unknown)
+     * @param expiresAt When the credential expires (unix seconds, 0 if never)
+     * @param encryption Client-side encryption scheme (empty for plaintext)
+     */
+    struct FileMetadata {
+        bytes32 contentHash;
+        string mimeType;
+        uint256 size;
+        Category category;
+        string issuer;
+        uint256 issuedAt;
+        uint256 expiresAt;
+        string encryption;
+    }
+
     /**
      * @dev Represents a file's metadata
+     * @param id The permanent file ID (starts at 1, never reused)
+     * @param userId The user ID that owns the file
      * @param cid The IPFS Content Identifier
      * @param name The original filename
      * @param timestamp When the file was uploaded (block timestamp)
+     * @param metadata The credential details
+     * @param revokedAt When the owner revoked the file (0 if not revoked)
+     * @param revocationReason Why it was revoked
+     * @param issuedBy The issuer that published the file (zero address if self-uploaded)
      */
     struct File {
+        uint256 id;
+        string userId;
+        string cid;
+        string name;
+        uint256 timestamp;
+        FileMetadata metadata;
+        uint256 revokedAt;
+        RevocationReason revocationReason;
+        address issuedBy;
+    }
+
+    /**
+     * @dev Narrows down the files getFilesPage returns
+     * @param categories Bit mask of the categories to include (bit n is
+     *   Category n, e.g. 1 << uint8(Category.Degree); 0 includes all)
+     * @param uploadedFrom Only files uploaded at or after this time (0 for no limit)
+     * @param uploadedTo Only files uploaded at or before this time (0 for no limit)
+     * @param beforeId Only files with a lower ID, i.e. uploaded before that
+     *   file (0 for no limit). Pass the last ID of one page to get the next.
+     */
+    struct FileFilter {
+        uint256 categories;
+        uint256 uploadedFrom;
+        uint256 uploadedTo;
+        uint256 beforeId;
+    }
+
+    /**
+     * @dev One entry in a batch upload
+     * @param cid The IPFS Content Identifier
+     * @param name The original filename
+     * @param metadata The credential details
+     */
+    struct FileUpload {
         string cid;
         string name;
+        FileMetadata metadata;
+    }
+
+    /**
+     * @dev Represents a verifier's review of a file
+     * @param verifier The verifier's wallet address
+     * @param status The review outcome
+     * @param noteCid Optional IPFS CID of a note explaining the outcome
+     * @param timestamp When the attestation was made (block timestamp)
+     */
+    struct Attestation {
+        address verifier;
+        AttestationStatus status;
+        string noteCid;
         uint256 timestamp;
     }
 
+    /**
+     * @dev Gives one wallet the key to one encrypted file
+     * @param wrappedKey The file key wrapped for the grantee's encryption key
+     * @param grantedAt When access was granted (0 if never granted)
+     * @param expiresAt When access ends (unix seconds, 0 if never)
+     * @param revoked True once the owner revokes access
+     *
+     * Note: Revoking hides the file from the grantee in the app, but cannot
+     * take back a key the grantee has already used.
+     */
+    struct AccessGrant {
+        bytes wrappedKey;
+        uint256 grantedAt;
+        uint256 expiresAt;
+        bool revoked;
+    }
+
+    /**
+     * @dev A user ID waiting to move to another wallet
+     * @param newWallet The wallet that will own the user ID
+     * @param readyAt When the new wallet can accept (unix seconds)
+     */
+    struct PendingTransfer {
+        address newWallet;
+        uint256 readyAt;
+    }
+
     // ============ State Variables ============
 
+    // How long a new wallet must wait before accepting a user ID transfer,
+    // giving the owner time to cancel one they didn't start
+    uint256 public constant TRANSFER_DELAY = 2 days;
+
+    // Role of organizations that can offer credentials to users
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+
+    // Role of wallets that can attest to files
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+
+    // Maps issuer wallet address to the organization's name. Kept when the
+    // issuer's role is revoked, so its past offers still name it.
+    mapping(address => string) public issuers;
+
     // Maps wallet address to user ID
     mapping(address => string) public userIds;
 
-    // Maps user ID to array of files
-    mapping(string => File[]) private userFiles;
+    // Maps file ID to file metadata (id == 0 means no such file)
+    mapping(uint256 => File) private files;
+
+    // Maps user ID to the IDs of their files in upload order (ascending).
+    // Deleted files stay in the list and are skipped when reading it.
+    mapping(string => uint256[]) private userFileIds;
+
+    // Maps user ID to the number of files it has (not counting deleted ones)
+    mapping(string => uint256) private fileCounts;
+
+    // Most files getFilesPage returns at once
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // The ID the next uploaded file will receive
+    uint256 public nextFileId = 1;
+
+    // Maps file ID to its attestation history (oldest first)
+    mapping(uint256 => Attestation[]) private fileAttestations;
 
     // Maps user ID to wallet address (reverse lookup)
     mapping(string => address) private userIdToWallet;
 
+    // Maps wallet address to its published encryption public key
+    mapping(address => bytes) public encryptionKeys;
+
+    // Maps file ID and grantee wallet to the access grant
+    mapping(uint256 => mapping(address => AccessGrant)) private accessGrants;
+
+    // Maps file ID to every wallet ever granted access
+    mapping(uint256 => address[]) private fileGrantees;
+
+    // Maps user ID to its pending transfer (newWallet == 0 means none)
+    mapping(string => PendingTransfer) private pendingTransfers;
+
+    // Maps wallet address to the user ID waiting to move to it
+    mapping(address => string) private incomingTransfers;
+
+    // Maps offer ID to a credential waiting for the user's answer. Offers
+    // are stored as File records: id is the offer ID, timestamp is when it
+    // was issued and issuedBy is the issuer (id == 0 means no such offer)
+    mapping(uint256 => File) private credentialOffers;
+
+    // Maps user ID to the IDs of its pending credential offers
+    mapping(string => uint256[]) private pendingOfferIds;
+
+    // The ID the next credential offer will receive
+    uint256 public nextOfferId = 1;
+
     // ============ Events ============
 
     /**
@@ -52,6 +290,7 @@ contract FileRegistry {
      */
     event FileUploaded(
         address indexed owner,
+        uint256 indexed fileId,
         string userId,
         string cid,
         string name
@@ -60,18 +299,125 @@ contract FileRegistry {
     /**
      * @dev Emitted when a file is deleted
      */
-    event FileDeleted(address indexed owner, string userId, uint256 index);
+    event FileDeleted(
+        address indexed owner,
+        uint256 indexed fileId,
+        string userId
+    );
+
+    /**
+     * @dev Emitted when a file is revoked or its expiry date changes
+     */
+    event FileRevoked(
+        address indexed owner,
+        uint256 indexed fileId,
+        string userId,
+        RevocationReason reason
+    );
+    event FileExpiryChanged(
+        address indexed owner,
+        uint256 indexed fileId,
+        string userId,
+        uint256 expiresAt
+    );
+
+    /**
+     * @dev Emitted when a verifier attests to a file
+     */
+    event FileAttested(
+        uint256 indexed fileId,
+        address indexed verifier,
+        AttestationStatus status,
+        string noteCid
+    );
+
+    /**
+     * @dev Emitted when a wallet publishes its encryption public key
+     */
+    event EncryptionKeySet(address indexed account, bytes publicKey, string label);
+
+    /**
+     * @dev Emitted when a file owner grants or revokes access to a file
+     */
+    event AccessGranted(
+        uint256 indexed fileId,
+        address indexed grantee,
+        uint256 expiresAt
+    );
+    event AccessRevoked(uint256 indexed fileId, address indexed grantee);
+
+    /**
+     * @dev Emitted when a user ID transfer is started, cancelled or completed
+     */
+    event TransferStarted(
+        string userId,
+        address indexed from,
+        address indexed to,
+        uint256 readyAt
+    );
+    event TransferCancelled(string userId, address indexed from, address indexed to);
+    event UserIdTransferred(string userId, address indexed from, address indexed to);
+
+    /**
+     * @dev Emitted when an issuer is added or renamed (see also RoleGranted)
+     */
+    event IssuerAdded(address indexed issuer, string name);
+
+    /**
+     * @dev Emitted when an issuer offers a credential to a user and when the
+     * offer is accepted, declined or withdrawn
+     */
+    event CredentialIssued(
+        uint256 indexed offerId,
+        address indexed issuer,
+        string userId,
+        string name
+    );
+    event CredentialAccepted(
+        uint256 indexed offerId,
+        uint256 indexed fileId,
+        address indexed issuer,
+        string userId
+    );
+    event CredentialDeclined(uint256 indexed offerId, address indexed issuer, string userId);
+    event CredentialWithdrawn(uint256 indexed offerId, address indexed issuer);
+
+    // ============ Constructor ============
+
+    /**
+     * @param trustedForwarder The forwarder allowed to relay signed calls
+     */
+    constructor(address trustedForwarder) ERC2771Context(trustedForwarder) {
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+    }
 
     // ============ Modifiers ============
+    //
+    // Modifier bodies are inlined into every function that uses them, so
+    // the shared checks live in private functions to keep the contract
+    // under the 24 KB code size limit.
 
     /**
      * @dev Ensures the caller owns the user ID
      */
     modifier onlyOwner(string memory userId) {
-        require(
-            keccak256(bytes(userIds[msg.sender])) == keccak256(bytes(userId)),
-            "Not authorized: You don't own this user ID"
-        );
+        _checkOwner(userId);
+        _;
+    }
+
+    /**
+     * @dev Ensures the file ID refers to an existing file
+     */
+    modifier fileExists(uint256 fileId) {
+        _checkFileExists(fileId);
+        _;
+    }
+
+    /**
+     * @dev Ensures the file exists and belongs to the user ID
+     */
+    modifier fileOwnedBy(string memory userId, uint256 fileId) {
+        _checkFileOwner(userId, fileId);
         _;
     }
 
@@ -84,6 +430,52 @@ contract FileRegistry {
         _;
     }
 
+    /**
+     * @dev Revert with a short reason the app can translate (used by onlyRole)
+     * Replaces AccessControl's message, which spells out the account and
+     * role in hex and pulls in a lot of string formatting code.
+     */
+    function _checkRole(bytes32 role, address account) internal view override {
+        if (hasRole(role, account)) return;
+        if (role == ISSUER_ROLE) revert("Not authorized: Issuer only");
+        if (role == VERIFIER_ROLE) revert("Not authorized: Verifier only");
+        revert("Not authorized: Admin only");
+    }
+
+    /**
+     * @dev Read the original signer of relayed calls (see ERC2771Context)
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+
+    function _checkOwner(string memory userId) private view {
+        require(
+            keccak256(bytes(userIds[_msgSender()])) == keccak256(bytes(userId)),
+            "Not authorized: You don't own this user ID"
+        );
+    }
+
+    function _checkFileExists(uint256 fileId) private view {
+        require(files[fileId].id != 0, "Invalid file ID: File does not exist");
+    }
+
+    function _checkFileOwner(string memory userId, uint256 fileId) private view {
+        _checkFileExists(fileId);
+        require(
+            keccak256(bytes(files[fileId].userId)) == keccak256(bytes(userId)),
+            "Not authorized: File belongs to another user ID"
+        );
+    }
+
     // ============ Functions ============
 
     /**
@@ -95,10 +487,17 @@ contract FileRegistry {
      * - User ID must not be taken
      * - User ID must be between 1 and 50 characters
      */
-    function registerUser(string memory userId) public validUserId(userId) {
-        // Check if caller is already registered
+    function registerUser(string memory userId) public whenNotPaused validUserId(userId) {
+        _register(_msgSender(), userId);
+    }
+
+    /**
+     * @dev Give a wallet a user ID (shared by registerUser and importUser)
+     */
+    function _register(address wallet, string memory userId) private {
+        // Check if the wallet is already registered
         require(
-            bytes(userIds[msg.sender]).length == 0,
+            bytes(userIds[wallet]).length == 0,
             "Already registered: This wallet already has a user ID"
         );
 
@@ -109,10 +508,10 @@ contract FileRegistry {
         );
 
         // Register the user
-        userIds[msg.sender] = userId;
-        userIdToWallet[userId] = msg.sender;
+        userIds[wallet] = userId;
+        userIdToWallet[userId] = wallet;
 
-        emit UserRegistered(msg.sender, userId);
+        emit UserRegistered(wallet, userId);
     }
 
     /**
@@ -120,26 +519,107 @@ contract FileRegistry {
      * @param userId The user's ID
      * @param cid The IPFS Content Identifier
      * @param name The original filename
+     * @param metadata The credential details
      *
      * Requirements:
      * - Caller must own the user ID
      * - CID cannot be empty
      * - Name cannot be empty
+     * - Expiry date, if set, must be after the issue date
+     *
+     * @return fileId The permanent ID assigned to the file
      */
     function uploadFile(
         string memory userId,
         string memory cid,
-        string memory name
-    ) public onlyOwner(userId) {
+        string memory name,
+        FileMetadata memory metadata
+    ) public whenNotPaused onlyOwner(userId) returns (uint256 fileId) {
+        return _addFile(userId, cid, name, metadata, address(0));
+    }
+
+    /**
+     * @dev Upload the metadata of several files in one transaction
+     * @param userId The user's ID
+     * @param uploads The files to register, in order
+     *
+     * Requirements:
+     * - Caller must own the user ID
+     * - At least one file must be given
+     * - Every file must pass the same checks as uploadFile
+     *
+     * @return fileIds The permanent IDs assigned to the files, in order
+     */
+    function uploadFiles(
+        string memory userId,
+        FileUpload[] memory uploads
+    ) public whenNotPaused onlyOwner(userId) returns (uint256[] memory fileIds) {
+        require(uploads.length > 0, "No files to upload");
+
+        fileIds = new uint256[](uploads.length);
+        for (uint256 i = 0; i < uploads.length; i++) {
+            fileIds[i] = _addFile(userId, uploads[i].cid, uploads[i].name, uploads[i].metadata, address(0));
+        }
+    }
+
+    /**
+     * @dev Check the fields every new file needs
+     */
+    function _checkFile(
+        string memory cid,
+        string memory name,
+        FileMetadata memory metadata
+    ) private pure {
         require(bytes(cid).length > 0, "CID cannot be empty");
         require(bytes(name).length > 0, "File name cannot be empty");
-
-        // Add file to user's file list
-        userFiles[userId].push(
-            File({cid: cid, name: name, timestamp: block.timestamp})
+        require(
+            metadata.expiresAt == 0 || metadata.expiresAt > metadata.issuedAt,
+            "Invalid dates: Expiry must be after issue date"
         );
+    }
+
+    /**
+     * @dev Store a new file and add it to the owner's file list
+     * Callers must check that the sender owns the user ID.
+     */
+    function _addFile(
+        string memory userId,
+        string memory cid,
+        string memory name,
+        FileMetadata memory metadata,
+        address issuedBy
+    ) private returns (uint256 fileId) {
+        _checkFile(cid, name, metadata);
+
+        fileId = nextFileId++;
+        _writeFile(files[fileId], fileId, userId, cid, name, metadata, issuedBy);
+
+        // Add file ID to user's file list
+        userFileIds[userId].push(fileId);
+        fileCounts[userId]++;
 
-        emit FileUploaded(msg.sender, userId, cid, name);
+        emit FileUploaded(_msgSender(), fileId, userId, cid, name);
+    }
+
+    /**
+     * @dev Fill in a new File record (a stored file or a credential offer)
+     */
+    function _writeFile(
+        File storage record,
+        uint256 id,
+        string memory userId,
+        string memory cid,
+        string memory name,
+        FileMetadata memory metadata,
+        address issuedBy
+    ) private {
+        record.id = id;
+        record.userId = userId;
+        record.cid = cid;
+        record.name = name;
+        record.timestamp = block.timestamp;
+        record.metadata = metadata;
+        record.issuedBy = issuedBy;
     }
 
     /**
@@ -153,7 +633,106 @@ contract FileRegistry {
     function getFiles(
         string memory userId
     ) public view returns (File[] memory) {
-        return userFiles[userId];
+        uint256[] memory ids = getFileIds(userId);
+        return _loadFiles(files, ids, ids.length);
+    }
+
+    /**
+     * @dev Get a page of a user's files, newest first
+     * @param userId The user's ID
+     * @param offset How many matching files to skip
+     * @param limit Most files to return (1 to MAX_PAGE_SIZE)
+     * @param filter Which files match (see FileFilter)
+     * @return page The matching files after the first `offset`, newest first
+     * @return total How many files match the filter in all
+     *
+     * Note: To page through files while they are being uploaded or
+     * deleted, keep offset at 0 and set filter.beforeId to the last ID
+     * received instead.
+     */
+    function getFilesPage(
+        string memory userId,
+        uint256 offset,
+        uint256 limit,
+        FileFilter memory filter
+    ) public view returns (File[] memory page, uint256 total) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid limit: Must be 1 to 100");
+
+        uint256[] storage ids = userFileIds[userId];
+        uint256[] memory pageIds = new uint256[](limit);
+        uint256 count;
+        for (uint256 i = ids.length; i > 0; i--) {
+            File storage file = files[ids[i - 1]];
+            if (
+                file.id == 0 ||
+                (filter.beforeId != 0 && file.id >= filter.beforeId) ||
+                (filter.categories != 0 && filter.categories & (1 << uint8(file.metadata.category)) == 0) ||
+                file.timestamp < filter.uploadedFrom ||
+                (filter.uploadedTo != 0 && file.timestamp > filter.uploadedTo)
+            ) {
+                continue;
+            }
+
+            if (total >= offset && count < limit) {
+                pageIds[count++] = file.id;
+            }
+            total++;
+        }
+
+        page = _loadFiles(files, pageIds, count);
+    }
+
+    /**
+     * @dev Copy the records with the first `count` of the given IDs out of storage
+     * Shared by getFiles, getFilesPage and getPendingCredentials, as each
+     * copy loop adds a lot of code.
+     */
+    function _loadFiles(
+        mapping(uint256 => File) storage source,
+        uint256[] memory ids,
+        uint256 count
+    ) private view returns (File[] memory result) {
+        result = new File[](count);
+        for (uint256 i = 0; i < count; i++) {
+            result[i] = _loadFile(source[ids[i]]);
+        }
+    }
+
+    /**
+     * @dev Copy one record out of storage (the only place a File is copied
+     * to memory, for the same reason)
+     */
+    function _loadFile(File storage record) private pure returns (File memory) {
+        return record;
+    }
+
+    /**
+     * @dev Get a single file by its permanent ID
+     * @param fileId The file ID
+     * @return The File struct
+     */
+    function getFile(
+        uint256 fileId
+    ) public view fileExists(fileId) returns (File memory) {
+        return _loadFile(files[fileId]);
+    }
+
+    /**
+     * @dev Get the IDs of all files for a user
+     * @param userId The user's ID
+     * @return ids Array of file IDs, oldest first
+     */
+    function getFileIds(
+        string memory userId
+    ) public view returns (uint256[] memory ids) {
+        uint256[] storage all = userFileIds[userId];
+        ids = new uint256[](fileCounts[userId]);
+        uint256 count;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (files[all[i]].id != 0) {
+                ids[count++] = all[i];
+            }
+        }
     }
 
     /**
@@ -162,33 +741,29 @@ contract FileRegistry {
      * @return The number of files
      */
     function getFileCount(string memory userId) public view returns (uint256) {
-        return userFiles[userId].length;
+        return fileCounts[userId];
     }
 
     /**
-     * @dev Delete a file by index
+     * @dev Delete a file by its permanent ID
      * @param userId The user's ID
-     * @param index The index of the file to delete
+     * @param fileId The ID of the file to delete
      *
      * Requirements:
      * - Caller must own the user ID
-     * - Index must be valid
+     * - File must exist and belong to the user ID
      *
-     * Note: This uses swap-and-pop for efficiency, which changes array order
+     * Note: The ID stays in the user's ID list, so the other files keep
+     * their order; reads skip it as the file record is gone.
      */
     function deleteFile(
         string memory userId,
-        uint256 index
-    ) public onlyOwner(userId) {
-        File[] storage files = userFiles[userId];
-
-        require(index < files.length, "Invalid index: File does not exist");
-
-        // Swap with last element and pop (gas efficient)
-        files[index] = files[files.length - 1];
-        files.pop();
+        uint256 fileId
+    ) public whenNotPaused onlyOwner(userId) fileOwnedBy(userId, fileId) {
+        fileCounts[userId]--;
+        delete files[fileId];
 
-        emit FileDeleted(msg.sender, userId, index);
+        emit FileDeleted(_msgSender(), fileId, userId);
     }
 
     /**
@@ -230,4 +805,814 @@ contract FileRegistry {
     function isWalletRegistered(address wallet) public view returns (bool) {
         return bytes(userIds[wallet]).length > 0;
     }
+
+    // ============ Revocation and Expiry ============
+
+    /**
+     * @dev Mark a file as revoked, keeping it and its history on record
+     * @param userId The user's ID
+     * @param fileId The ID of the file to revoke
+     * @param reason Why the file is revoked
+     *
+     * Requirements:
+     * - Caller must own the user ID
+     * - File must exist and belong to the user ID
+     * - A reason must be given
+     * - File must not already be revoked
+     *
+     * Note: Revoking cannot be undone. Upload a new file instead.
+     */
+    function revokeFile(
+        string memory userId,
+        uint256 fileId,
+        RevocationReason reason
+    ) public whenNotPaused onlyOwner(userId) fileOwnedBy(userId, fileId) {
+        require(reason != RevocationReason.None, "Invalid reason: A revocation reason is required");
+        require(files[fileId].revokedAt == 0, "Already revoked: This file is revoked");
+
+        files[fileId].revokedAt = block.timestamp;
+        files[fileId].revocationReason = reason;
+
+        emit FileRevoked(_msgSender(), fileId, userId, reason);
+    }
+
+    /**
+     * @dev Set a file's expiry date, or bring it forward
+     * @param userId The user's ID
+     * @param fileId The ID of the file
+     * @param expiresAt The new expiry date (unix seconds, may be in the past)
+     *
+     * Requirements:
+     * - Caller must own the user ID
+     * - File must exist, belong to the user ID and not be revoked
+     * - Expiry must be after the issue date
+     * - If the file already expires, the new date must be earlier
+     *
+     * Note: An expiry can never be pushed back or removed, so an expired
+     * file cannot be made active again.
+     */
+    function setFileExpiry(
+        string memory userId,
+        uint256 fileId,
+        uint256 expiresAt
+    ) public whenNotPaused onlyOwner(userId) fileOwnedBy(userId, fileId) {
+        FileMetadata storage metadata = files[fileId].metadata;
+        require(files[fileId].revokedAt == 0, "Already revoked: This file is revoked");
+        require(expiresAt > metadata.issuedAt, "Invalid dates: Expiry must be after issue date");
+        require(
+            metadata.expiresAt == 0 || expiresAt < metadata.expiresAt,
+            "Invalid expiry: Can only be brought forward"
+        );
+
+        metadata.expiresAt = expiresAt;
+
+        emit FileExpiryChanged(_msgSender(), fileId, userId, expiresAt);
+    }
+
+    /**
+     * @dev Get whether a file is active, expired or revoked
+     * @param fileId The file ID
+     * @return The file's status at the current block
+     */
+    function getFileStatus(
+        uint256 fileId
+    ) public view fileExists(fileId) returns (CredentialStatus) {
+        File storage file = files[fileId];
+        if (file.revokedAt != 0) {
+            return CredentialStatus.Revoked;
+        }
+        if (file.metadata.expiresAt != 0 && file.metadata.expiresAt <= block.timestamp) {
+            return CredentialStatus.Expired;
+        }
+        return CredentialStatus.Active;
+    }
+
+    // ============ User ID Transfers ============
+
+    /**
+     * @dev Start moving a user ID to another wallet
+     * @param userId The user ID to move
+     * @param newWallet The wallet that will own it
+     *
+     * Requirements:
+     * - Caller must own the user ID
+     * - The new wallet must not have a user ID or another incoming transfer
+     *
+     * Replaces any transfer of this user ID already pending.
+     * The new wallet can accept once TRANSFER_DELAY has passed.
+     */
+    function startTransfer(
+        string memory userId,
+        address newWallet
+    ) public whenNotPaused onlyOwner(userId) {
+        require(newWallet != address(0), "Invalid wallet address");
+        require(newWallet != _msgSender(), "Invalid wallet: Already owns this user ID");
+        require(
+            bytes(userIds[newWallet]).length == 0,
+            "Already registered: This wallet already has a user ID"
+        );
+        require(
+            bytes(incomingTransfers[newWallet]).length == 0 ||
+                keccak256(bytes(incomingTransfers[newWallet])) == keccak256(bytes(userId)),
+            "Transfer pending: This wallet is already receiving another user ID"
+        );
+
+        address previous = pendingTransfers[userId].newWallet;
+        if (previous != address(0)) {
+            delete incomingTransfers[previous];
+        }
+
+        uint256 readyAt = block.timestamp + TRANSFER_DELAY;
+        pendingTransfers[userId] = PendingTransfer({newWallet: newWallet, readyAt: readyAt});
+        incomingTransfers[newWallet] = userId;
+
+        emit TransferStarted(userId, _msgSender(), newWallet, readyAt);
+    }
+
+    /**
+     * @dev Cancel a pending user ID transfer
+     * @param userId The user ID being moved
+     *
+     * Requirements:
+     * - A transfer must be pending
+     * - Caller must own the user ID or be the wallet it is moving to
+     */
+    function cancelTransfer(string memory userId) public {
+        PendingTransfer memory transfer = pendingTransfers[userId];
+        require(transfer.newWallet != address(0), "No transfer pending for this user ID");
+
+        address owner = userIdToWallet[userId];
+        require(
+            _msgSender() == owner || _msgSender() == transfer.newWallet,
+            "Not authorized: Only the owner or new wallet can cancel"
+        );
+
+        delete pendingTransfers[userId];
+        delete incomingTransfers[transfer.newWallet];
+
+        emit TransferCancelled(userId, owner, transfer.newWallet);
+    }
+
+    /**
+     * @dev Take ownership of a user ID moving to the caller's wallet
+     * @param userId The user ID being moved
+     *
+     * Requirements:
+     * - Caller must be the wallet the transfer names
+     * - TRANSFER_DELAY must have passed since the transfer started
+     * - Caller must not have registered a user ID in the meantime
+     */
+    function acceptTransfer(string memory userId) public whenNotPaused {
+        PendingTransfer memory transfer = pendingTransfers[userId];
+        require(
+            transfer.newWallet != address(0) && transfer.newWallet == _msgSender(),
+            "Not authorized: No transfer to this wallet"
+        );
+        require(block.timestamp >= transfer.readyAt, "Transfer locked: Waiting period has not passed");
+        require(
+            bytes(userIds[_msgSender()]).length == 0,
+            "Already registered: This wallet already has a user ID"
+        );
+
+        address previousOwner = userIdToWallet[userId];
+        delete userIds[previousOwner];
+        userIds[_msgSender()] = userId;
+        userIdToWallet[userId] = _msgSender();
+
+        delete pendingTransfers[userId];
+        delete incomingTransfers[_msgSender()];
+
+        emit UserIdTransferred(userId, previousOwner, _msgSender());
+    }
+
+    /**
+     * @dev Get the pending transfer of a user ID
+     * @param userId The user ID to look up
+     * @return newWallet The wallet it is moving to (zero address if none)
+     * @return readyAt When the new wallet can accept
+     */
+    function getPendingTransfer(
+        string memory userId
+    ) public view returns (address newWallet, uint256 readyAt) {
+        PendingTransfer memory transfer = pendingTransfers[userId];
+        return (transfer.newWallet, transfer.readyAt);
+    }
+
+    /**
+     * @dev Get the user ID waiting to move to a wallet
+     * @param wallet The receiving wallet
+     * @return The user ID or empty string if none
+     */
+    function getIncomingTransfer(address wallet) public view returns (string memory) {
+        return incomingTransfers[wallet];
+    }
+
+    // ============ Emergency Stop ============
+
+    /**
+     * @dev Freeze the registry (see the contract notes for what still works)
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must not already be paused
+     */
+    function pause() public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Unfreeze the registry
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     */
+    function unpause() public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    // ============ Attestations ============
+
+    // Verifiers are added and removed by granting and revoking
+    // VERIFIER_ROLE. Attestations already made by a removed verifier are kept.
+
+    /**
+     * @dev Record a verifier's review of a file
+     * @param fileId The ID of the file being reviewed
+     * @param status The review outcome
+     * @param noteCid Optional IPFS CID of a note (may be empty)
+     *
+     * Requirements:
+     * - Caller must have VERIFIER_ROLE
+     * - File must exist
+     */
+    function attestFile(
+        uint256 fileId,
+        AttestationStatus status,
+        string memory noteCid
+    ) public whenNotPaused onlyRole(VERIFIER_ROLE) fileExists(fileId) {
+        _attest(fileId, _msgSender(), status, noteCid, block.timestamp);
+    }
+
+    /**
+     * @dev Append an attestation (shared by attestFile and importAttestation)
+     */
+    function _attest(
+        uint256 fileId,
+        address verifier,
+        AttestationStatus status,
+        string memory noteCid,
+        uint256 timestamp
+    ) private {
+        fileAttestations[fileId].push(
+            Attestation({
+                verifier: verifier,
+                status: status,
+                noteCid: noteCid,
+                timestamp: timestamp
+            })
+        );
+
+        emit FileAttested(fileId, verifier, status, noteCid);
+    }
+
+    /**
+     * @dev Get the attestation history of a file (oldest first)
+     * @param fileId The file ID
+     * @return Array of Attestation structs
+     */
+    function getAttestations(
+        uint256 fileId
+    ) public view returns (Attestation[] memory) {
+        return fileAttestations[fileId];
+    }
+
+    /**
+     * @dev Check if a wallet is a registered verifier
+     * @param wallet The wallet address to check
+     * @return True if the wallet can attest to files
+     */
+    function isVerifier(address wallet) public view returns (bool) {
+        return hasRole(VERIFIER_ROLE, wallet);
+    }
+
+    // ============ Issuers ============
+
+    /**
+     * @dev Name a wallet's organization and grant it ISSUER_ROLE
+     * @param issuer The organization's wallet address
+     * @param name The organization's name, shown on the credentials it issues
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - Name must be between 1 and 100 characters
+     *
+     * Calling it again renames the issuer (and re-grants a revoked role).
+     * Issuers are removed by revoking ISSUER_ROLE: files already accepted
+     * keep their issuer, and pending offers can only be declined or
+     * withdrawn.
+     */
+    function addIssuer(
+        address issuer,
+        string memory name
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(issuer != address(0), "Invalid issuer address");
+        require(bytes(name).length > 0, "Issuer name cannot be empty");
+        require(bytes(name).length <= 100, "Issuer name too long (max 100 chars)");
+
+        issuers[issuer] = name;
+        _grantRole(ISSUER_ROLE, issuer);
+
+        emit IssuerAdded(issuer, name);
+    }
+
+    /**
+     * @dev Offer a credential to a user
+     * @param userId The user ID to issue it to
+     * @param upload The file to add (metadata.issuer is replaced with the issuer's name)
+     *
+     * Requirements:
+     * - Caller must have ISSUER_ROLE and a name (see addIssuer)
+     * - User ID must be registered
+     * - The file must pass the same checks as uploadFile
+     *
+     * The file only joins the user's files once they accept it.
+     *
+     * @return offerId The ID of the new offer
+     */
+    function issueCredential(
+        string memory userId,
+        FileUpload memory upload
+    ) public whenNotPaused onlyRole(ISSUER_ROLE) returns (uint256 offerId) {
+        require(bytes(issuers[_msgSender()]).length > 0, "Issuer name not set: Add the issuer by name");
+        require(userIdToWallet[userId] != address(0), "Unknown user ID: Not registered");
+        _checkFile(upload.cid, upload.name, upload.metadata);
+
+        upload.metadata.issuer = issuers[_msgSender()];
+        offerId = nextOfferId++;
+
+        _writeFile(
+            credentialOffers[offerId],
+            offerId,
+            userId,
+            upload.cid,
+            upload.name,
+            upload.metadata,
+            _msgSender()
+        );
+        pendingOfferIds[userId].push(offerId);
+
+        emit CredentialIssued(offerId, _msgSender(), userId, upload.name);
+    }
+
+    /**
+     * @dev Add an offered credential to the user's files
+     * @param userId The user's ID
+     * @param offerId The offer to accept
+     *
+     * Requirements:
+     * - Caller must own the user ID
+     * - The offer must be pending for the user ID
+     * - The issuer must still have ISSUER_ROLE
+     *
+     * @return fileId The permanent ID assigned to the file
+     */
+    function acceptCredential(
+        string memory userId,
+        uint256 offerId
+    ) public whenNotPaused onlyOwner(userId) returns (uint256 fileId) {
+        File memory offer = _loadFile(_pendingOffer(userId, offerId));
+        require(hasRole(ISSUER_ROLE, offer.issuedBy), "Issuer removed: This issuer is no longer registered");
+
+        fileId = _addFile(userId, offer.cid, offer.name, offer.metadata, offer.issuedBy);
+        _closeOffer(userId, offerId);
+
+        emit CredentialAccepted(offerId, fileId, offer.issuedBy, userId);
+    }
+
+    /**
+     * @dev Turn down an offered credential
+     * @param userId The user's ID
+     * @param offerId The offer to decline
+     *
+     * Requirements:
+     * - Caller must own the user ID
+     * - The offer must be pending for the user ID
+     */
+    function declineCredential(
+        string memory userId,
+        uint256 offerId
+    ) public whenNotPaused onlyOwner(userId) {
+        address issuer = _pendingOffer(userId, offerId).issuedBy;
+        _closeOffer(userId, offerId);
+
+        emit CredentialDeclined(offerId, issuer, userId);
+    }
+
+    /**
+     * @dev Take back a credential offer the user hasn't answered yet
+     * @param offerId The offer to withdraw
+     *
+     * Requirements:
+     * - Caller must be the wallet that issued it (even if no longer an issuer)
+     */
+    function withdrawCredential(uint256 offerId) public whenNotPaused {
+        File storage offer = credentialOffers[offerId];
+        require(
+            offer.id != 0 && offer.issuedBy == _msgSender(),
+            "Not authorized: Not your credential offer"
+        );
+
+        _closeOffer(offer.userId, offerId);
+
+        emit CredentialWithdrawn(offerId, _msgSender());
+    }
+
+    /**
+     * @dev Get an offer, reverting if it is not pending for the user ID
+     */
+    function _pendingOffer(
+        string memory userId,
+        uint256 offerId
+    ) private view returns (File storage offer) {
+        offer = credentialOffers[offerId];
+        require(
+            offer.id != 0 && keccak256(bytes(offer.userId)) == keccak256(bytes(userId)),
+            "No credential offer: Offer does not exist or was answered"
+        );
+    }
+
+    /**
+     * @dev Remove a pending offer from the user's list and delete it
+     */
+    function _closeOffer(string memory userId, uint256 offerId) private {
+        // Swap with the last ID and pop; a user only has a few pending offers
+        uint256[] storage ids = pendingOfferIds[userId];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == offerId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                break;
+            }
+        }
+
+        delete credentialOffers[offerId];
+    }
+
+    /**
+     * @dev Get the credentials waiting for a user's answer
+     * @param userId The user's ID
+     * @return Array of File structs, one per offer (see credentialOffers)
+     */
+    function getPendingCredentials(
+        string memory userId
+    ) public view returns (File[] memory) {
+        uint256[] memory ids = pendingOfferIds[userId];
+        return _loadFiles(credentialOffers, ids, ids.length);
+    }
+
+    /**
+     * @dev Check if a wallet is a registered issuer
+     * @param wallet The wallet address to check
+     * @return True if the wallet can issue credentials
+     */
+    function isIssuer(address wallet) public view returns (bool) {
+        return hasRole(ISSUER_ROLE, wallet);
+    }
+
+    // ============ Access Grants ============
+
+    /**
+     * @dev Publish the caller's encryption public key
+     * @param publicKey Compressed secp256k1 public key (33 bytes)
+     * @param label Display name shown to file owners (e.g., "Jane Doe (Acme)")
+     */
+    function setEncryptionKey(
+        bytes memory publicKey,
+        string memory label
+    ) public whenNotPaused {
+        _setEncryptionKey(_msgSender(), publicKey, label);
+    }
+
+    /**
+     * @dev Store a wallet's key (shared by setEncryptionKey and importEncryptionKey)
+     */
+    function _setEncryptionKey(
+        address account,
+        bytes memory publicKey,
+        string memory label
+    ) private {
+        require(publicKey.length == 33, "Invalid public key (expected 33 bytes)");
+
+        encryptionKeys[account] = publicKey;
+
+        emit EncryptionKeySet(account, publicKey, label);
+    }
+
+    /**
+     * @dev Grant a wallet access to one or more encrypted files
+     * @param userId The owner's user ID
+     * @param fileIds The files to share
+     * @param grantee The wallet receiving access
+     * @param wrappedKeys Each file's key wrapped for the grantee (same order as fileIds)
+     * @param expiresAt When access ends (unix seconds, 0 if never)
+     *
+     * Requirements:
+     * - Caller must own the user ID and every file
+     * - Grantee must have published an encryption key
+     * - Expiry, if set, must be in the future
+     *
+     * Note: Granting again replaces (and un-revokes) an existing grant
+     */
+    function grantAccess(
+        string memory userId,
+        uint256[] memory fileIds,
+        address grantee,
+        bytes[] memory wrappedKeys,
+        uint256 expiresAt
+    ) public whenNotPaused onlyOwner(userId) {
+        require(fileIds.length == wrappedKeys.length, "Length mismatch");
+        require(grantee != address(0), "Invalid grantee address");
+        require(
+            encryptionKeys[grantee].length > 0,
+            "Grantee has no encryption key"
+        );
+        require(
+            expiresAt == 0 || expiresAt > block.timestamp,
+            "Invalid expiry: Must be in the future"
+        );
+
+        for (uint256 i = 0; i < fileIds.length; i++) {
+            _grantAccess(userId, fileIds[i], grantee, wrappedKeys[i], expiresAt);
+        }
+    }
+
+    /**
+     * @dev Store a single grant (see grantAccess)
+     */
+    function _grantAccess(
+        string memory userId,
+        uint256 fileId,
+        address grantee,
+        bytes memory wrappedKey,
+        uint256 expiresAt
+    ) private fileOwnedBy(userId, fileId) {
+        require(wrappedKey.length > 0, "Wrapped key cannot be empty");
+        _storeGrant(fileId, grantee, wrappedKey, block.timestamp, expiresAt);
+    }
+
+    /**
+     * @dev Create or replace a grant (shared by grantAccess and importAccessGrant)
+     */
+    function _storeGrant(
+        uint256 fileId,
+        address grantee,
+        bytes memory wrappedKey,
+        uint256 grantedAt,
+        uint256 expiresAt
+    ) private {
+        AccessGrant storage grant = accessGrants[fileId][grantee];
+        if (grant.grantedAt == 0) {
+            fileGrantees[fileId].push(grantee);
+        }
+
+        grant.wrappedKey = wrappedKey;
+        grant.grantedAt = grantedAt;
+        grant.expiresAt = expiresAt;
+        grant.revoked = false;
+
+        emit AccessGranted(fileId, grantee, expiresAt);
+    }
+
+    /**
+     * @dev Revoke a wallet's access to a file
+     * @param userId The owner's user ID
+     * @param fileId The shared file
+     * @param grantee The wallet losing access
+     *
+     * Requirements:
+     * - Caller must own the user ID and the file
+     * - The grant must exist and not already be revoked
+     */
+    function revokeAccess(
+        string memory userId,
+        uint256 fileId,
+        address grantee
+    ) public onlyOwner(userId) fileOwnedBy(userId, fileId) {
+        AccessGrant storage grant = accessGrants[fileId][grantee];
+        require(
+            grant.grantedAt != 0 && !grant.revoked,
+            "No active grant for this wallet"
+        );
+
+        grant.revoked = true;
+
+        emit AccessRevoked(fileId, grantee);
+    }
+
+    /**
+     * @dev Get a wallet's access grant for a file
+     * @param fileId The file ID
+     * @param grantee The wallet address
+     * @return The AccessGrant struct (grantedAt == 0 if never granted)
+     */
+    function getAccessGrant(
+        uint256 fileId,
+        address grantee
+    ) public view returns (AccessGrant memory) {
+        return accessGrants[fileId][grantee];
+    }
+
+    /**
+     * @dev Get every wallet ever granted access to a file
+     * @param fileId The file ID
+     * @return Array of wallet addresses (including revoked and expired grants)
+     */
+    function getFileGrantees(
+        uint256 fileId
+    ) public view returns (address[] memory) {
+        return fileGrantees[fileId];
+    }
+
+    /**
+     * @dev Check if a wallet currently has access to a file
+     * @param fileId The file ID
+     * @param grantee The wallet address
+     * @return True if granted, not revoked and not expired
+     */
+    function hasAccess(
+        uint256 fileId,
+        address grantee
+    ) public view returns (bool) {
+        AccessGrant storage grant = accessGrants[fileId][grantee];
+        return
+            grant.grantedAt != 0 &&
+            !grant.revoked &&
+            (grant.expiresAt == 0 || grant.expiresAt > block.timestamp);
+    }
+
+    // ============ Migration ============
+
+    // Imports copy state from an earlier deployment as it was, so they skip
+    // the checks users go through (e.g. an expiry already in the past) but
+    // never overwrite anything. They emit the same events as the original
+    // calls, so event-based views work on the new deployment too.
+
+    /**
+     * @dev Ensures the caller is an admin and the registry is paused
+     */
+    modifier duringImport() {
+        _requirePaused();
+        _checkRole(DEFAULT_ADMIN_ROLE);
+        _;
+    }
+
+    /**
+     * @dev Register a user ID from an earlier deployment
+     * @param wallet The wallet that owns the user ID
+     * @param userId The user ID
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     * - Neither the wallet nor the user ID may be registered
+     */
+    function importUser(address wallet, string memory userId) public duringImport {
+        _register(wallet, userId);
+    }
+
+    /**
+     * @dev Add a file from an earlier deployment, keeping its ID
+     * @param fileId The file's ID in the earlier deployment
+     * @param userId The owner's user ID
+     * @param upload The file's CID, name and metadata
+     * @param uploadedAt When it was uploaded
+     * @param revokedAt When it was revoked (0 if not revoked)
+     * @param reason Why it was revoked
+     * @param issuedBy The issuer that published it (zero address if self-uploaded)
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     * - The owner must be imported first, and the file ID must be unused
+     * - Each user's files must be imported oldest (lowest ID) first
+     */
+    function importFile(
+        uint256 fileId,
+        string memory userId,
+        FileUpload memory upload,
+        uint256 uploadedAt,
+        uint256 revokedAt,
+        RevocationReason reason,
+        address issuedBy
+    ) public duringImport {
+        require(fileId != 0 && files[fileId].id == 0, "Already imported: File ID in use");
+        require(userIdToWallet[userId] != address(0), "Unknown user ID: Not registered");
+        uint256[] storage ids = userFileIds[userId];
+        require(
+            ids.length == 0 || fileId > ids[ids.length - 1],
+            "Out of order: Import each user's files oldest first"
+        );
+
+        File storage file = files[fileId];
+        _writeFile(file, fileId, userId, upload.cid, upload.name, upload.metadata, issuedBy);
+        file.timestamp = uploadedAt;
+        file.revokedAt = revokedAt;
+        file.revocationReason = reason;
+
+        ids.push(fileId);
+        fileCounts[userId]++;
+        if (fileId >= nextFileId) {
+            nextFileId = fileId + 1;
+        }
+
+        address owner = userIdToWallet[userId];
+        emit FileUploaded(owner, fileId, userId, upload.cid, upload.name);
+        if (revokedAt != 0) {
+            emit FileRevoked(owner, fileId, userId, reason);
+        }
+    }
+
+    /**
+     * @dev Carry over the earlier deployment's next file ID, so IDs of
+     * files deleted there are never handed out again
+     * @param fileId The earlier deployment's nextFileId
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     * - Cannot move the next file ID backwards
+     */
+    function importNextFileId(uint256 fileId) public duringImport {
+        require(fileId >= nextFileId, "Invalid next file ID: Cannot decrease");
+        nextFileId = fileId;
+    }
+
+    /**
+     * @dev Append an attestation from an earlier deployment
+     * @param fileId The imported file
+     * @param attestation The attestation, as returned by getAttestations
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     * - File must exist
+     *
+     * Import a file's attestations oldest first. Nothing stops the same
+     * attestation being imported twice, so check getAttestations first.
+     */
+    function importAttestation(
+        uint256 fileId,
+        Attestation memory attestation
+    ) public duringImport fileExists(fileId) {
+        _attest(fileId, attestation.verifier, attestation.status, attestation.noteCid, attestation.timestamp);
+    }
+
+    /**
+     * @dev Publish a wallet's encryption key from an earlier deployment
+     * @param wallet The key's owner
+     * @param publicKey Compressed secp256k1 public key (33 bytes)
+     * @param label The display name it was last published with
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     * - The wallet must not have published a key yet
+     */
+    function importEncryptionKey(
+        address wallet,
+        bytes memory publicKey,
+        string memory label
+    ) public duringImport {
+        require(encryptionKeys[wallet].length == 0, "Already imported: Wallet has a key");
+        _setEncryptionKey(wallet, publicKey, label);
+    }
+
+    /**
+     * @dev Add an access grant from an earlier deployment
+     * @param fileId The imported file
+     * @param grantee The wallet that was given access
+     * @param grant The grant as returned by getAccessGrant, including revoked and expired ones
+     *
+     * Requirements:
+     * - Caller must have DEFAULT_ADMIN_ROLE
+     * - The registry must be paused
+     * - File must exist and the wallet must not have a grant for it yet
+     */
+    function importAccessGrant(
+        uint256 fileId,
+        address grantee,
+        AccessGrant memory grant
+    ) public duringImport fileExists(fileId) {
+        require(
+            grant.grantedAt != 0 && accessGrants[fileId][grantee].grantedAt == 0,
+            "Already imported: Wallet has a grant"
+        );
+
+        _storeGrant(fileId, grantee, grant.wrappedKey, grant.grantedAt, grant.expiresAt);
+        if (grant.revoked) {
+            accessGrants[fileId][grantee].revoked = true;
+            emit AccessRevoked(fileId, grantee);
+        }
+    }
 }
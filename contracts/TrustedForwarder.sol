@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title TrustedForwarder
+ * @dev Relays EIP-712 signed calls to ERC-2771 contracts (EIP-2771).
+ *
+ * A user signs a ForwardRequest off-chain; a relayer submits it here and
+ * pays the gas. The call reaches the target with the signer's address
+ * appended to the calldata, which ERC2771Context reads back as the
+ * sender.
+ *
+ * Based on OpenZeppelin's MinimalForwarder, except that a failed call
+ * reverts the whole transaction (with the target's revert reason) instead
+ * of returning false. That way the request's nonce is not used up, and the
+ * relayed transaction shows as failed just like a direct call would.
+ */
+contract TrustedForwarder is EIP712 {
+    using ECDSA for bytes32;
+
+    // ============ Structs ============
+
+    /**
+     * @dev A call signed by `from` to be relayed
+     * @param from The signer, seen by the target as the sender
+     * @param to The contract to call
+     * @param value Wei to send with the call
+     * @param gas Gas to give the call
+     * @param nonce The signer's forwarder nonce (see getNonce)
+     * @param data The calldata
+     */
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        bytes data;
+    }
+
+    // ============ State Variables ============
+
+    bytes32 private constant TYPEHASH =
+        keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,bytes data)");
+
+    // Maps signer to the nonce its next request must use
+    mapping(address => uint256) private nonces;
+
+    // ============ Events ============
+
+    /**
+     * @dev Emitted when a request is relayed
+     */
+    event Forwarded(address indexed from, address indexed to, uint256 nonce);
+
+    // ============ Constructor ============
+
+    constructor() EIP712("TrustedForwarder", "1") {}
+
+    // ============ Functions ============
+
+    /**
+     * @dev Get the nonce the next request from a signer must use
+     * @param from The signer
+     * @return The nonce
+     */
+    function getNonce(address from) public view returns (uint256) {
+        return nonces[from];
+    }
+
+    /**
+     * @dev Check that a request was signed by its `from` and has not been used
+     * @param req The request
+     * @param signature The EIP-712 signature
+     * @return True if the request can be executed
+     */
+    function verify(ForwardRequest calldata req, bytes calldata signature) public view returns (bool) {
+        address signer = _hashTypedDataV4(
+            keccak256(abi.encode(TYPEHASH, req.from, req.to, req.value, req.gas, req.nonce, keccak256(req.data)))
+        ).recover(signature);
+        return nonces[req.from] == req.nonce && signer == req.from;
+    }
+
+    /**
+     * @dev Execute a signed request
+     * @param req The request
+     * @param signature The EIP-712 signature
+     * @return The call's return data
+     *
+     * Requirements:
+     * - The signature must match the request and the nonce must be current
+     * - The call must succeed (its revert reason is passed on otherwise)
+     */
+    function execute(
+        ForwardRequest calldata req,
+        bytes calldata signature
+    ) public payable returns (bytes memory) {
+        require(verify(req, signature), "TrustedForwarder: signature does not match request");
+        require(msg.value == req.value, "TrustedForwarder: value mismatch");
+        nonces[req.from] = req.nonce + 1;
+
+        (bool success, bytes memory returndata) = req.to.call{gas: req.gas, value: req.value}(
+            abi.encodePacked(req.data, req.from)
+        );
+
+        // Stop relayers from starving the call of gas to make it fail on purpose
+        // (see https://ronan.eth.limo/blog/ethereum-gas-dangers/)
+        if (gasleft() <= req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+
+        emit Forwarded(req.from, req.to, req.nonce);
+        return returndata;
+    }
+}
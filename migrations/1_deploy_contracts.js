@@ -1,9 +1,15 @@
 /**
  * Migration: Deploy FileRegistry Contract
+ *
+ * The trusted forwarder goes first so FileRegistry can accept
+ * meta-transactions relayed through it.
  */
 
+const TrustedForwarder = artifacts.require("TrustedForwarder");
 const FileRegistry = artifacts.require("FileRegistry");
 
-module.exports = function (deployer) {
-  deployer.deploy(FileRegistry);
+module.exports = async function (deployer) {
+  await deployer.deploy(TrustedForwarder);
+  const forwarder = await TrustedForwarder.deployed();
+  await deployer.deploy(FileRegistry, forwarder.address);
 };
@@ -0,0 +1,668 @@
+/**
+ * Migrate Registry
+ *
+ * Copies users, files, attestations, encryption keys, access grants and
+ * roles from an old FileRegistry deployment into a new one with its
+ * admin-only import functions, then reads both back and writes a report
+ * of anything that doesn't match.
+ *
+ * Both registries are read by replaying their events, which every version
+ * of FileRegistry emits in a form this script understands, so any earlier
+ * deployment can be migrated. Files from before permanent file IDs are
+ * numbered in upload order. View functions only fill in what the events
+ * don't carry (credential metadata, wrapped access keys), and only where
+ * the contract has them: set OLD_ABI if the old registry was built from an
+ * older FileRegistry than src/abi/FileRegistry.json.
+ *
+ * The new registry is paused for the import and left paused: unpause it
+ * from the Admin page once the report is clean and the app points at it
+ * (npm run sync-deployments). Running the script again skips whatever was
+ * already imported.
+ *
+ * Pending user ID transfers and credential offers are not copied. The
+ * report lists them so users and issuers can start them again.
+ *
+ * Usage: ADMIN_PRIVATE_KEY=0x... NEW_REGISTRY=0x... npm run migrate-registry [-- --verify-only]
+ *   ADMIN_PRIVATE_KEY  Key of an admin of the new registry (not needed with --verify-only)
+ *   NEW_REGISTRY       New FileRegistry address (required)
+ *   OLD_REGISTRY       Old FileRegistry address (default: from src/config/deployments.json)
+ *   OLD_ABI            ABI (or Truffle artifact) the old registry was built from (default: src/abi/FileRegistry.json)
+ *   OLD_START_BLOCK    Block the old registry was deployed at (default: from src/config/deployments.json)
+ *   NEW_START_BLOCK    Block the new registry was deployed at (default 0)
+ *   RPC_URL            Node both registries are on (default http://127.0.0.1:7545)
+ *   REPORT             Where to write the report (default migration-report.json)
+ *   LOG_BATCH_SIZE     Blocks to request logs for at once (default 5000)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const deployments = require("../src/config/deployments.json");
+const FileRegistryABI = require("../src/abi/FileRegistry.json");
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:7545";
+const REPORT = path.resolve(process.env.REPORT || "migration-report.json");
+const VERIFY_ONLY = process.argv.includes("--verify-only");
+const LOG_BATCH_SIZE = Number(process.env.LOG_BATCH_SIZE) || 5000;
+
+// Role IDs, by the names used in the report
+const ROLES = {
+  admin: ethers.ZeroHash,
+  issuer: ethers.id("ISSUER_ROLE"),
+  verifier: ethers.id("VERIFIER_ROLE"),
+};
+
+// Every event that changes what the migration copies, from all versions of FileRegistry
+const EVENTS = new ethers.Interface([
+  "event UserRegistered(address indexed wallet, string userId)",
+  "event TransferStarted(string userId, address indexed from, address indexed to, uint256 readyAt)",
+  "event TransferCancelled(string userId, address indexed from, address indexed to)",
+  "event UserIdTransferred(string userId, address indexed from, address indexed to)",
+  "event FileUploaded(address indexed owner, string userId, string cid, string name)",
+  "event FileDeleted(address indexed owner, string userId, uint256 index)",
+  "event FileUploaded(address indexed owner, uint256 indexed fileId, string userId, string cid, string name)",
+  "event FileDeleted(address indexed owner, uint256 indexed fileId, string userId)",
+  "event FileRevoked(address indexed owner, uint256 indexed fileId, string userId, uint8 reason)",
+  "event FileExpiryChanged(address indexed owner, uint256 indexed fileId, string userId, uint256 expiresAt)",
+  "event FileAttested(uint256 indexed fileId, address indexed verifier, uint8 status, string noteCid)",
+  "event EncryptionKeySet(address indexed account, bytes publicKey, string label)",
+  "event AccessGranted(uint256 indexed fileId, address indexed grantee, uint256 expiresAt)",
+  "event AccessRevoked(uint256 indexed fileId, address indexed grantee)",
+  "event VerifierAdded(address indexed verifier)",
+  "event VerifierRemoved(address indexed verifier)",
+  "event IssuerAdded(address indexed issuer, string name)",
+  "event IssuerRemoved(address indexed issuer)",
+  "event CredentialIssued(uint256 indexed offerId, address indexed issuer, string userId, string name)",
+  "event CredentialAccepted(uint256 indexed offerId, uint256 indexed fileId, string userId)",
+  "event CredentialDeclined(uint256 indexed offerId, string userId)",
+  "event CredentialAccepted(uint256 indexed offerId, uint256 indexed fileId, address indexed issuer, string userId)",
+  "event CredentialDeclined(uint256 indexed offerId, address indexed issuer, string userId)",
+  "event CredentialWithdrawn(uint256 indexed offerId, address indexed issuer)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+]);
+
+// The first version kept each user's files in a list and deleted them by index
+const LEGACY_UPLOAD = "FileUploaded(address,string,string,string)";
+const LEGACY_DELETE = "FileDeleted(address,string,uint256)";
+
+// Metadata of files from versions that stored none
+const EMPTY_METADATA = {
+  contentHash: ethers.ZeroHash,
+  mimeType: "",
+  size: "0",
+  category: "0",
+  issuer: "",
+  issuedAt: "0",
+  expiresAt: "0",
+  encryption: "",
+};
+
+// File fields getFile returns that events don't carry exactly
+const FILE_FIELDS = ["timestamp", "metadata", "revokedAt", "revocationReason", "issuedBy"];
+
+/**
+ * Turn contract results into plain JSON values (bigints become strings)
+ * @param {*} value - A value returned by ethers
+ * @returns {*} The same value without Results or bigints
+ */
+const plain = (value) => {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof ethers.Result) {
+    // Structs have a name for every value; arrays don't
+    let named = null;
+    try {
+      named = value.toObject();
+    } catch (error) {
+      named = null;
+    }
+    const keys = named ? Object.keys(named) : [];
+    if (keys.length > 0 && keys.length === value.length && keys.every((key) => /^[a-zA-Z]/.test(key))) {
+      return Object.fromEntries(keys.map((key) => [key, plain(named[key])]));
+    }
+    return Array.from(value, plain);
+  }
+  if (Array.isArray(value)) return value.map(plain);
+  return value;
+};
+
+/**
+ * Read a registry's events from its deployment block on, a batch of blocks at a time
+ * @param {ethers.Contract} registry - The FileRegistry to read
+ * @param {number} fromBlock - The block it was deployed at
+ * @returns {Promise<Array<Object>>} The events {name, signature, args, timestamp}, oldest first
+ */
+const readEvents = async (registry, fromBlock) => {
+  const { provider } = registry.runner;
+  const address = await registry.getAddress();
+  const topics = [];
+  EVENTS.forEachEvent((event) => topics.push(event.topicHash));
+
+  // Ask the node directly: the provider reuses recent answers, which would miss the imports just made
+  const latest = Number(await provider.send("eth_blockNumber", []));
+  const logs = [];
+  for (let from = fromBlock; from <= latest; from += LOG_BATCH_SIZE) {
+    const to = Math.min(from + LOG_BATCH_SIZE - 1, latest);
+    logs.push(...(await provider.getLogs({ address, fromBlock: from, toBlock: to, topics: [topics] })));
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = {};
+  const events = [];
+  for (const log of logs) {
+    if (!(log.blockNumber in timestamps)) {
+      timestamps[log.blockNumber] = String((await provider.getBlock(log.blockNumber)).timestamp);
+    }
+    const { name, signature, args } = EVENTS.parseLog(log);
+    events.push({ name, signature, args, timestamp: timestamps[log.blockNumber] });
+  }
+  return events;
+};
+
+/**
+ * Rebuild a registry's users, files, keys and roles by replaying its events
+ * Values events don't carry are left at their defaults (see readRegistry).
+ * @param {Array<Object>} events - From readEvents
+ * @returns {Object} {users, keys, roles, issuers, nextFileId}, all plain JSON
+ */
+const replayEvents = (events) => {
+  const wallets = new Map(); // userId => wallet
+  const files = new Map(); // file ID => file
+  const legacyLists = new Map(); // userId => file IDs, in the first version's list order
+  const transfers = new Map(); // userId => pending transfer
+  const offers = new Map(); // offer ID => pending offer
+  const issuedBy = new Map(); // file ID => issuer whose offer it was
+  const keys = new Map(); // wallet => encryption key
+  const roles = new Map(); // "role:account" => role holder
+  const issuers = {};
+  let lastFileId = 0;
+
+  const fileOf = (fileId) => files.get(fileId.toString());
+  const roleName = (id) => Object.keys(ROLES).find((name) => ROLES[name] === id) || id;
+  const grantRole = (role, account) => roles.set(`${role}:${account}`, { role, account });
+  const revokeRole = (role, account) => roles.delete(`${role}:${account}`);
+
+  for (const { name, signature, args, timestamp } of events) {
+    switch (name) {
+      case "UserRegistered":
+        wallets.set(args.userId, args.wallet);
+        break;
+      case "TransferStarted":
+        transfers.set(args.userId, { newWallet: args.to, readyAt: args.readyAt.toString() });
+        break;
+      case "TransferCancelled":
+        transfers.delete(args.userId);
+        break;
+      case "UserIdTransferred":
+        wallets.set(args.userId, args.to);
+        transfers.delete(args.userId);
+        break;
+      case "FileUploaded": {
+        const id = signature === LEGACY_UPLOAD ? String(lastFileId + 1) : args.fileId.toString();
+        lastFileId = Math.max(lastFileId, Number(id));
+        files.set(id, {
+          id,
+          userId: args.userId,
+          cid: args.cid,
+          name: args.name,
+          timestamp,
+          metadata: EMPTY_METADATA,
+          revokedAt: "0",
+          revocationReason: "0",
+          issuedBy: ethers.ZeroAddress,
+          attestations: [],
+          grants: new Map(),
+        });
+        if (signature === LEGACY_UPLOAD) {
+          legacyLists.set(args.userId, [...(legacyLists.get(args.userId) || []), id]);
+        }
+        break;
+      }
+      case "FileDeleted":
+        if (signature === LEGACY_DELETE) {
+          // The last file was moved into the deleted one's place
+          const list = legacyLists.get(args.userId);
+          const index = Number(args.index);
+          files.delete(list[index]);
+          list[index] = list[list.length - 1];
+          list.pop();
+        } else {
+          files.delete(args.fileId.toString());
+        }
+        break;
+      case "FileRevoked":
+        if (fileOf(args.fileId)) {
+          Object.assign(fileOf(args.fileId), { revokedAt: timestamp, revocationReason: args.reason.toString() });
+        }
+        break;
+      case "FileExpiryChanged":
+        if (fileOf(args.fileId)) {
+          const file = fileOf(args.fileId);
+          file.metadata = { ...file.metadata, expiresAt: args.expiresAt.toString() };
+        }
+        break;
+      case "FileAttested":
+        if (fileOf(args.fileId)) {
+          fileOf(args.fileId).attestations.push({
+            verifier: args.verifier,
+            status: args.status.toString(),
+            noteCid: args.noteCid,
+            timestamp,
+          });
+        }
+        break;
+      case "AccessGranted":
+        if (fileOf(args.fileId)) {
+          fileOf(args.fileId).grants.set(args.grantee, {
+            grantee: args.grantee,
+            wrappedKey: "0x",
+            grantedAt: timestamp,
+            expiresAt: args.expiresAt.toString(),
+            revoked: false,
+          });
+        }
+        break;
+      case "AccessRevoked":
+        if (fileOf(args.fileId) && fileOf(args.fileId).grants.has(args.grantee)) {
+          fileOf(args.fileId).grants.get(args.grantee).revoked = true;
+        }
+        break;
+      case "EncryptionKeySet":
+        keys.set(args.account, { wallet: args.account, publicKey: args.publicKey, label: args.label });
+        break;
+      case "RoleGranted":
+        grantRole(roleName(args.role), args.account);
+        break;
+      case "RoleRevoked":
+        revokeRole(roleName(args.role), args.account);
+        break;
+      case "VerifierAdded":
+        grantRole("verifier", args.verifier);
+        break;
+      case "VerifierRemoved":
+        revokeRole("verifier", args.verifier);
+        break;
+      case "IssuerAdded":
+        grantRole("issuer", args.issuer);
+        issuers[args.issuer] = args.name;
+        break;
+      case "IssuerRemoved":
+        revokeRole("issuer", args.issuer);
+        break;
+      case "CredentialIssued":
+        offers.set(args.offerId.toString(), {
+          userId: args.userId,
+          offerId: args.offerId.toString(),
+          name: args.name,
+          issuedBy: args.issuer,
+        });
+        break;
+      case "CredentialAccepted":
+        if (offers.has(args.offerId.toString())) {
+          issuedBy.set(args.fileId.toString(), offers.get(args.offerId.toString()).issuedBy);
+        }
+        offers.delete(args.offerId.toString());
+        break;
+      case "CredentialDeclined":
+      case "CredentialWithdrawn":
+        offers.delete(args.offerId.toString());
+        break;
+      default:
+        break;
+    }
+  }
+
+  const users = [...wallets].map(([userId, wallet]) => ({
+    userId,
+    wallet,
+    files: [...files.values()]
+      .filter((file) => file.userId === userId)
+      .map((file) => ({
+        ...file,
+        issuedBy: issuedBy.get(file.id) || file.issuedBy,
+        grants: [...file.grants.values()],
+      })),
+    pendingTransfer: transfers.get(userId) || null,
+    pendingOffers: [...offers.values()]
+      .filter((offer) => offer.userId === userId)
+      .map(({ offerId, name, issuedBy: issuer }) => ({ offerId, name, issuedBy: issuer })),
+  }));
+
+  return {
+    users,
+    keys: [...keys.values()],
+    roles: [...roles.values()],
+    issuers,
+    nextFileId: String(lastFileId + 1),
+  };
+};
+
+/**
+ * Check whether a registry has a view function, both in the ABI it is read
+ * with and in its deployed bytecode
+ * @param {ethers.Contract} registry - The FileRegistry
+ * @param {string} code - Its deployed bytecode
+ * @param {string} name - The function name
+ * @returns {boolean} True if the function can be called
+ */
+const hasView = (registry, code, name) => {
+  const fragment = registry.interface.getFunction(name);
+  return Boolean(fragment) && code.includes(fragment.selector.slice(2));
+};
+
+/**
+ * Read everything a registry holds that the migration copies
+ * Events give the full picture; where the contract has the view functions,
+ * the stored values replace what was worked out from the events (metadata,
+ * wrapped keys, and the original times of imported records).
+ * @param {ethers.Contract} registry - The FileRegistry to read
+ * @param {number} fromBlock - The block it was deployed at
+ * @returns {Promise<Object>} {users, keys, roles, issuers, nextFileId}, all plain JSON
+ */
+const readRegistry = async (registry, fromBlock) => {
+  const snapshot = replayEvents(await readEvents(registry, fromBlock));
+  const address = await registry.getAddress();
+  const code = await registry.runner.provider.getCode(address);
+  const has = (name) => hasView(registry, code, name);
+
+  for (const user of snapshot.users) {
+    for (const file of user.files) {
+      if (has("getFile")) {
+        let stored;
+        try {
+          stored = plain(await registry.getFile(file.id));
+        } catch (error) {
+          throw new Error(
+            `Could not read file ${file.id} from ${address} (${error.shortMessage || error.message}). ` +
+              "If it runs an older FileRegistry, set OLD_ABI to that version's ABI."
+          );
+        }
+        FILE_FIELDS.filter((field) => stored[field] !== undefined).forEach((field) => {
+          file[field] = stored[field];
+        });
+      }
+      if (has("getAttestations")) {
+        file.attestations = plain(await registry.getAttestations(file.id));
+      }
+      if (has("getAccessGrant")) {
+        for (const grant of file.grants) {
+          Object.assign(grant, plain(await registry.getAccessGrant(file.id, grant.grantee)));
+        }
+      }
+    }
+  }
+
+  if (has("nextFileId")) {
+    snapshot.nextFileId = (await registry.nextFileId()).toString();
+  }
+  return snapshot;
+};
+
+/**
+ * Load the ABI the old registry was built from
+ * @returns {Array} The ABI from OLD_ABI (an ABI array or a Truffle artifact), or the app's
+ */
+const loadOldAbi = () => {
+  if (!process.env.OLD_ABI) {
+    return FileRegistryABI.abi;
+  }
+  const artifact = JSON.parse(fs.readFileSync(path.resolve(process.env.OLD_ABI), "utf8"));
+  return Array.isArray(artifact) ? artifact : artifact.abi;
+};
+
+/**
+ * Sort comparator for records with a numeric string `id`, lowest first
+ * @param {Object} a - A record
+ * @param {Object} b - Another record
+ * @returns {number} Negative if a comes first
+ */
+const byId = (a, b) => Number(a.id) - Number(b.id);
+
+/**
+ * Send a transaction and wait for it to be mined
+ * @param {Promise<ethers.TransactionResponse>} sent - The sent transaction
+ * @returns {Promise<ethers.TransactionReceipt>} The receipt
+ */
+const mined = async (sent) => (await sent).wait();
+
+/**
+ * Copy an old registry's state into the new one, skipping what is already there
+ * @param {Object} snapshot - From readRegistry on the old registry
+ * @param {ethers.Contract} registry - The new FileRegistry, connected to an admin
+ * @returns {Promise<Object>} How many of each thing were imported
+ */
+const importRegistry = async (snapshot, registry) => {
+  const counts = { roles: 0, users: 0, files: 0, attestations: 0, keys: 0, grants: 0 };
+
+  // Roles first: granting them works while paused and issuers need a name
+  for (const { role, account } of snapshot.roles) {
+    const roleId = ROLES[role] || role;
+    if (role === "issuer" && snapshot.issuers[account]) {
+      if ((await registry.issuers(account)) !== snapshot.issuers[account] || !(await registry.hasRole(roleId, account))) {
+        await mined(registry.addIssuer(account, snapshot.issuers[account]));
+        counts.roles++;
+      }
+    } else if (!(await registry.hasRole(roleId, account))) {
+      await mined(registry.grantRole(roleId, account));
+      counts.roles++;
+    }
+  }
+
+  for (const user of snapshot.users) {
+    if ((await registry.getWalletByUserId(user.userId)) === ethers.ZeroAddress) {
+      await mined(registry.importUser(user.wallet, user.userId));
+      counts.users++;
+    }
+
+    // The new registry only takes each user's files oldest first
+    const existing = new Set((await registry.getFileIds(user.userId)).map((id) => id.toString()));
+    for (const file of [...user.files].sort(byId)) {
+      if (!existing.has(file.id)) {
+        await mined(
+          registry.importFile(
+            file.id,
+            user.userId,
+            { cid: file.cid, name: file.name, metadata: file.metadata },
+            file.timestamp,
+            file.revokedAt,
+            file.revocationReason,
+            file.issuedBy
+          )
+        );
+        counts.files++;
+      }
+
+      // Pick up where an interrupted run stopped
+      const imported = (await registry.getAttestations(file.id)).length;
+      for (const attestation of file.attestations.slice(imported)) {
+        await mined(registry.importAttestation(file.id, attestation));
+        counts.attestations++;
+      }
+
+      for (const { grantee, ...grant } of file.grants) {
+        const current = await registry.getAccessGrant(file.id, grantee);
+        if (current.grantedAt === 0n) {
+          await mined(registry.importAccessGrant(file.id, grantee, grant));
+          counts.grants++;
+        }
+      }
+    }
+  }
+
+  for (const { wallet, publicKey, label } of snapshot.keys) {
+    if ((await registry.encryptionKeys(wallet)) === "0x") {
+      await mined(registry.importEncryptionKey(wallet, publicKey, label));
+      counts.keys++;
+    }
+  }
+
+  // Files deleted from the old registry leave IDs no imported file carries
+  if ((await registry.nextFileId()) < BigInt(snapshot.nextFileId)) {
+    await mined(registry.importNextFileId(snapshot.nextFileId));
+  }
+
+  return counts;
+};
+
+/**
+ * List the differences between the old and new registries
+ * @param {Object} before - From readRegistry on the old registry
+ * @param {Object} after - From readRegistry on the new registry
+ * @returns {Array<string>} One line per difference (empty if they match)
+ */
+const compareRegistries = (before, after) => {
+  const mismatches = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const newUsers = Object.fromEntries(after.users.map((user) => [user.userId, user]));
+
+  for (const user of before.users) {
+    const copy = newUsers[user.userId];
+    if (!copy) {
+      mismatches.push(`User ${user.userId}: missing`);
+      continue;
+    }
+    if (copy.wallet !== user.wallet) {
+      mismatches.push(`User ${user.userId}: wallet ${copy.wallet}, expected ${user.wallet}`);
+    }
+    const fileIds = (files) => [...files].sort(byId).map((file) => file.id);
+    if (!same(fileIds(copy.files), fileIds(user.files))) {
+      mismatches.push(`User ${user.userId}: file IDs differ`);
+    }
+
+    const newFiles = Object.fromEntries(copy.files.map((file) => [file.id, file]));
+    for (const file of user.files) {
+      const copied = newFiles[file.id];
+      if (!copied) continue;
+      for (const field of ["userId", "cid", "name", "timestamp", "metadata", "revokedAt", "revocationReason", "issuedBy"]) {
+        if (!same(copied[field], file[field])) mismatches.push(`File ${file.id}: ${field} differs`);
+      }
+      if (!same(copied.attestations, file.attestations)) mismatches.push(`File ${file.id}: attestations differ`);
+      if (!same(copied.grants, file.grants)) mismatches.push(`File ${file.id}: access grants differ`);
+    }
+  }
+  after.users
+    .filter((user) => !before.users.some(({ userId }) => userId === user.userId))
+    .forEach((user) => mismatches.push(`User ${user.userId}: not in the old registry`));
+
+  const newKeys = Object.fromEntries(after.keys.map((key) => [key.wallet, key]));
+  for (const key of before.keys) {
+    if (!same(newKeys[key.wallet], key)) mismatches.push(`Encryption key of ${key.wallet}: missing or different`);
+  }
+
+  for (const { role, account } of before.roles) {
+    if (!after.roles.some((held) => held.role === role && held.account === account)) {
+      mismatches.push(`Role ${role} of ${account}: missing`);
+    }
+  }
+  for (const { account } of before.roles.filter(({ role }) => role === "issuer")) {
+    if (after.issuers[account] !== before.issuers[account]) {
+      mismatches.push(`Issuer ${account}: named "${after.issuers[account] || ""}", expected "${before.issuers[account]}"`);
+    }
+  }
+
+  if (BigInt(after.nextFileId) < BigInt(before.nextFileId)) {
+    mismatches.push(`nextFileId ${after.nextFileId} is behind the old registry's ${before.nextFileId}`);
+  }
+  return mismatches;
+};
+
+const main = async () => {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const deployment = deployments[chainId] || {};
+
+  const oldAddress = process.env.OLD_REGISTRY || deployment.contractAddress;
+  const newAddress = process.env.NEW_REGISTRY;
+  if (!oldAddress || !newAddress) {
+    throw new Error("Set NEW_REGISTRY, and OLD_REGISTRY if the old deployment is not in deployments.json.");
+  }
+  if (ethers.getAddress(oldAddress) === ethers.getAddress(newAddress)) {
+    throw new Error("OLD_REGISTRY and NEW_REGISTRY are the same contract.");
+  }
+  const oldStartBlock = Number(process.env.OLD_START_BLOCK || deployment.startBlock || 0);
+  const newStartBlock = Number(process.env.NEW_START_BLOCK || 0);
+
+  const oldRegistry = new ethers.Contract(oldAddress, loadOldAbi(), provider);
+  let newRegistry = new ethers.Contract(newAddress, FileRegistryABI.abi, provider);
+
+  console.log(`Reading ${oldAddress} on chain ${chainId}...`);
+  const before = await readRegistry(oldRegistry, oldStartBlock);
+  const fileCount = before.users.reduce((total, user) => total + user.files.length, 0);
+  console.log(`- ${before.users.length} users, ${fileCount} files, ${before.keys.length} encryption keys, ${before.roles.length} roles`);
+
+  let imported = null;
+  if (!VERIFY_ONLY) {
+    if (!process.env.ADMIN_PRIVATE_KEY) {
+      throw new Error("Set ADMIN_PRIVATE_KEY to the key of an admin of the new registry.");
+    }
+    const admin = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
+    // Hundreds of transactions go out back to back, so track the nonce locally
+    newRegistry = newRegistry.connect(new ethers.NonceManager(admin));
+    if (!(await newRegistry.hasRole(ROLES.admin, admin.address))) {
+      throw new Error(`${admin.address} is not an admin of ${newAddress}.`);
+    }
+
+    if (!(await newRegistry.paused())) {
+      console.log(`Pausing ${newAddress}...`);
+      await mined(newRegistry.pause());
+    }
+    console.log(`Importing into ${newAddress}...`);
+    imported = await importRegistry(before, newRegistry);
+    console.log(`- imported ${Object.entries(imported).map(([name, count]) => `${count} ${name}`).join(", ")}`);
+  }
+
+  console.log(`Verifying ${newAddress}...`);
+  const after = await readRegistry(newRegistry, newStartBlock);
+  const mismatches = compareRegistries(before, after);
+
+  const report = {
+    chainId: Number(chainId),
+    oldRegistry: oldAddress,
+    newRegistry: newAddress,
+    checkedAt: new Date().toISOString(),
+    imported,
+    counts: {
+      old: { users: before.users.length, files: fileCount, keys: before.keys.length, roles: before.roles.length },
+      new: {
+        users: after.users.length,
+        files: after.users.reduce((total, user) => total + user.files.length, 0),
+        keys: after.keys.length,
+        roles: after.roles.length,
+      },
+    },
+    mismatches,
+    notMigrated: {
+      pendingTransfers: before.users
+        .filter((user) => user.pendingTransfer)
+        .map((user) => ({ userId: user.userId, ...user.pendingTransfer })),
+      pendingOffers: before.users.flatMap((user) =>
+        user.pendingOffers.map((offer) => ({ userId: user.userId, ...offer }))
+      ),
+    },
+    paused: await newRegistry.paused(),
+  };
+  fs.writeFileSync(REPORT, `${JSON.stringify(report, null, 2)}\n`);
+
+  const { pendingTransfers, pendingOffers } = report.notMigrated;
+  if (pendingTransfers.length || pendingOffers.length) {
+    console.log(`- not migrated: ${pendingTransfers.length} pending transfers, ${pendingOffers.length} pending credential offers`);
+  }
+  mismatches.forEach((line) => console.log(`! ${line}`));
+  console.log(`Wrote ${path.relative(process.cwd(), REPORT)}`);
+
+  if (mismatches.length) {
+    throw new Error(
+      `${mismatches.length} differences found${report.paused ? "; the new registry was left paused" : ""}.`
+    );
+  }
+  console.log(
+    report.paused
+      ? "The registries match. Point the app at the new registry, then unpause it on the Admin page."
+      : "The registries match."
+  );
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+/**
+ * Sync Deployments
+ *
+ * Copies FileRegistry's deployed addresses from the Truffle build
+ * artifact into src/config/deployments.json, keyed by chain ID, with the
+ * block each contract was deployed at so the event indexer knows where
+ * to start. The trusted forwarder used for relayed (gasless) calls is
+ * recorded alongside it when its artifact is present.
+ *
+ * Truffle records deployments by network ID, which is not always the
+ * chain ID (Ganache uses network 5777 on chain 1337), so each network in
+ * truffle-config.js is asked for both.
+ *
+ * Usage: npm run sync-deployments [-- path/to/FileRegistry.json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const truffleConfig = require("../truffle-config");
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACT = process.argv[2] || path.join(ROOT, "build", "contracts", "FileRegistry.json");
+const FORWARDER_ARTIFACT = path.join(path.dirname(ARTIFACT), "TrustedForwarder.json");
+const DEPLOYMENTS = path.join(ROOT, "src", "config", "deployments.json");
+
+/**
+ * Get the RPC URL of a Truffle network entry
+ * @param {Object} network - The entry from truffle-config.js
+ * @returns {string|null} The URL, or null if the network uses a custom provider
+ */
+const getRpcUrl = (network) => {
+  if (network.url) return network.url;
+  if (network.host) return `http://${network.host}:${network.port || 8545}`;
+  return null;
+};
+
+/**
+ * Ask a node for its network ID and chain ID
+ * @param {string} rpcUrl - The node's RPC URL
+ * @returns {Promise<Object|null>} The IDs and provider, or null if unreachable
+ */
+const identify = async (rpcUrl) => {
+  const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+  try {
+    const [networkId, chainId] = await Promise.all([
+      provider.send("net_version", []),
+      provider.send("eth_chainId", []),
+    ]);
+    return { provider, networkId: String(networkId), chainId: Number(chainId) };
+  } catch (error) {
+    provider.destroy();
+    return null;
+  }
+};
+
+const main = async () => {
+  if (!fs.existsSync(ARTIFACT)) {
+    throw new Error(`Artifact not found: ${ARTIFACT}. Run truffle migrate first.`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(ARTIFACT, "utf8"));
+  const forwarderArtifact = fs.existsSync(FORWARDER_ARTIFACT)
+    ? JSON.parse(fs.readFileSync(FORWARDER_ARTIFACT, "utf8"))
+    : { networks: {} };
+  const deployments = fs.existsSync(DEPLOYMENTS)
+    ? JSON.parse(fs.readFileSync(DEPLOYMENTS, "utf8"))
+    : {};
+
+  for (const [name, network] of Object.entries(truffleConfig.networks || {})) {
+    const rpcUrl = getRpcUrl(network);
+    const node = rpcUrl && (await identify(rpcUrl));
+    if (!node) {
+      console.log(`- ${name}: not reachable, skipped`);
+      continue;
+    }
+
+    const deployment = artifact.networks[node.networkId];
+    if (!deployment) {
+      console.log(`- ${name}: FileRegistry not deployed on network ${node.networkId}`);
+      node.provider.destroy();
+      continue;
+    }
+
+    const receipt = deployment.transactionHash
+      ? await node.provider.getTransactionReceipt(deployment.transactionHash)
+      : null;
+
+    const forwarder = forwarderArtifact.networks[node.networkId];
+
+    deployments[node.chainId] = {
+      ...deployments[node.chainId],
+      contractAddress: deployment.address,
+      forwarderAddress: forwarder ? forwarder.address : null,
+      startBlock: receipt ? receipt.blockNumber : 0,
+    };
+    console.log(`- ${name}: chain ${node.chainId} -> ${deployment.address}`);
+    node.provider.destroy();
+  }
+
+  fs.writeFileSync(DEPLOYMENTS, `${JSON.stringify(deployments, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(ROOT, DEPLOYMENTS)}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+/**
+ * Meta-Transaction Relayer Service
+ *
+ * Submits EIP-712 signed requests to the TrustedForwarder and pays their
+ * gas, so users without ETH can still register, upload and delete files,
+ * accept user ID transfers and answer issued credentials (EIP-2771). Only
+ * calls to FileRegistry's registerUser, uploadFile, uploadFiles,
+ * deleteFile, acceptTransfer, acceptCredential and declineCredential are
+ * relayed, and each request is simulated first so failing calls never
+ * cost the relayer anything.
+ * Set `relayerUrl` in src/config/appConfig.js to use it.
+ *
+ * Usage: RELAYER_PRIVATE_KEY=0x... npm run relayer
+ *   RELAYER_PRIVATE_KEY  Key of the account that pays for relayed calls (required;
+ *                        any funded Ganache account works locally)
+ *   PORT                 Port to listen on (default 4100)
+ *   RPC_URL              Node to send transactions to (default http://127.0.0.1:7545)
+ *   FORWARDER_ADDRESS    TrustedForwarder address (default: from src/config/deployments.json)
+ *   REGISTRY_ADDRESS     FileRegistry address (default: from src/config/deployments.json)
+ *   MAX_GAS              Most gas a single request may ask for (default 1000000)
+ *   HOURLY_LIMIT         Requests relayed per signer per hour (default 30)
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const deployments = require("../../src/config/deployments.json");
+const FileRegistryABI = require("../../src/abi/FileRegistry.json");
+const TrustedForwarderABI = require("../../src/abi/TrustedForwarder.json");
+
+const PORT = Number(process.env.PORT) || 4100;
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:7545";
+const MAX_GAS = BigInt(process.env.MAX_GAS || 1000000);
+const HOURLY_LIMIT = Number(process.env.HOURLY_LIMIT) || 30;
+
+// FileRegistry functions the relayer pays for
+const RELAYED_FUNCTIONS = [
+  "registerUser",
+  "uploadFile",
+  "uploadFiles",
+  "deleteFile",
+  "acceptTransfer",
+  "acceptCredential",
+  "declineCredential",
+];
+
+// Gas the forwarder itself needs on top of the relayed call
+const FORWARDER_OVERHEAD = 100000n;
+
+// Largest request body accepted (bytes); batch uploads carry a lot of metadata
+const MAX_BODY = 256 * 1024;
+
+const registryInterface = new ethers.Interface(FileRegistryABI.abi);
+
+// Recent request times per signer, for the hourly limit
+const recentRequests = new Map();
+
+/**
+ * Connect to the node and contracts
+ * @returns {Promise<Object>} The signer, forwarder and addresses in use
+ */
+const setup = async () => {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error("Set RELAYER_PRIVATE_KEY to the key of a funded account.");
+  }
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const deployment = deployments[chainId] || {};
+
+  const forwarderAddress = process.env.FORWARDER_ADDRESS || deployment.forwarderAddress;
+  const registryAddress = process.env.REGISTRY_ADDRESS || deployment.contractAddress;
+  if (!forwarderAddress || !registryAddress) {
+    throw new Error(
+      `No deployment found for chain ${chainId}. Run npm run sync-deployments ` +
+        "or set FORWARDER_ADDRESS and REGISTRY_ADDRESS."
+    );
+  }
+
+  const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  const signer = new ethers.NonceManager(wallet);
+  const forwarder = new ethers.Contract(forwarderAddress, TrustedForwarderABI.abi, signer);
+
+  return {
+    chainId: Number(chainId),
+    relayer: wallet.address,
+    signer,
+    forwarder,
+    forwarderAddress: ethers.getAddress(forwarderAddress),
+    registryAddress: ethers.getAddress(registryAddress),
+  };
+};
+
+/**
+ * Count a request against its signer's hourly limit
+ * @param {string} from - The signer
+ * @returns {boolean} True if the signer is still under the limit
+ */
+const allowRequest = (from) => {
+  const hourAgo = Date.now() - 60 * 60 * 1000;
+  const times = (recentRequests.get(from) || []).filter((time) => time > hourAgo);
+  if (times.length >= HOURLY_LIMIT) {
+    recentRequests.set(from, times);
+    return false;
+  }
+  recentRequests.set(from, [...times, Date.now()]);
+  return true;
+};
+
+/**
+ * Get the revert reason from a failed simulation
+ * @param {Error} error - The error ethers threw
+ * @returns {string} The reason, or empty if there is none
+ */
+const getRevertReason = (error) => {
+  if (error.revert && error.revert.name === "Error") return error.revert.args[0];
+  if (typeof error.reason === "string") return error.reason;
+  return "";
+};
+
+/**
+ * An error the client caused, sent back with status 400
+ */
+class RelayError extends Error {
+  /**
+   * @param {string} message - What was wrong with the request
+   * @param {string} [reason] - The contract's revert reason, if it would revert
+   */
+  constructor(message, reason = "") {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Check a signed request and submit it
+ * @param {Object} context - From setup()
+ * @param {Object} request - The ForwardRequest
+ * @param {string} signature - The EIP-712 signature
+ * @returns {Promise<Object>} The sent transaction: {hash, from, to, nonce, data, chainId}
+ */
+const relay = async (context, request, signature) => {
+  const { forwarder, registryAddress } = context;
+  let req;
+  try {
+    req = {
+      from: ethers.getAddress(request.from),
+      to: ethers.getAddress(request.to),
+      value: BigInt(request.value),
+      gas: BigInt(request.gas),
+      nonce: BigInt(request.nonce),
+      data: ethers.hexlify(request.data),
+    };
+  } catch (error) {
+    throw new RelayError("Malformed request");
+  }
+
+  if (req.to !== registryAddress) {
+    throw new RelayError("Only calls to FileRegistry are relayed");
+  }
+  if (req.value !== 0n) {
+    throw new RelayError("Relayed calls cannot send ETH");
+  }
+  const call = registryInterface.parseTransaction({ data: req.data });
+  if (!call || !RELAYED_FUNCTIONS.includes(call.name)) {
+    throw new RelayError(`Only ${RELAYED_FUNCTIONS.join(", ")} are relayed`);
+  }
+  if (req.gas > MAX_GAS) {
+    throw new RelayError(`Requests may use at most ${MAX_GAS} gas`);
+  }
+  if (!(await forwarder.verify(req, signature))) {
+    throw new RelayError("Signature does not match the request, or the nonce was already used");
+  }
+  if (!allowRequest(req.from)) {
+    throw new RelayError("Too many requests from this wallet; try again later");
+  }
+
+  try {
+    await forwarder.execute.staticCall(req, signature);
+  } catch (error) {
+    const reason = getRevertReason(error);
+    throw new RelayError(reason ? `Call would fail: ${reason}` : "Call would fail", reason);
+  }
+
+  const tx = await forwarder.execute(req, signature, {
+    gasLimit: (req.gas * 64n) / 63n + FORWARDER_OVERHEAD,
+  });
+  console.log(`Relayed ${call.name} for ${req.from}: ${tx.hash}`);
+
+  return {
+    hash: tx.hash,
+    from: tx.from,
+    to: tx.to,
+    nonce: tx.nonce,
+    data: tx.data,
+    chainId: context.chainId,
+  };
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - The HTTP status code
+ * @param {Object} body - The response body
+ */
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const main = async () => {
+  const context = await setup();
+
+  const server = http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method === "GET" && req.url === "/info") {
+      send(res, 200, {
+        chainId: context.chainId,
+        relayer: context.relayer,
+        forwarder: context.forwarderAddress,
+        registry: context.registryAddress,
+        functions: RELAYED_FUNCTIONS,
+      });
+      return;
+    }
+
+    if (req.method === "POST" && req.url === "/relay") {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY) req.destroy();
+      });
+      req.on("end", async () => {
+        try {
+          const { request, signature } = JSON.parse(body);
+          send(res, 200, await relay(context, request, signature));
+        } catch (error) {
+          if (error instanceof RelayError || error instanceof SyntaxError) {
+            send(res, 400, { error: error.message, reason: error.reason || "" });
+          } else {
+            console.error("Relay failed:", error);
+            // The send may not have used the nonce it was given
+            context.signer.reset();
+            send(res, 502, { error: "The relayer could not submit the transaction" });
+          }
+        }
+      });
+      return;
+    }
+
+    send(res, 404, { error: "Not found" });
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer ${context.relayer} listening on http://localhost:${PORT}`);
+    console.log(`Forwarding to FileRegistry ${context.registryAddress} on chain ${context.chainId}`);
+  });
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
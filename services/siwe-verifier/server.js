@@ -0,0 +1,153 @@
+/**
+ * Sign-In with Ethereum Verifier Service
+ *
+ * An optional local service that issues single-use sign-in nonces and
+ * checks signed EIP-4361 messages, so a sign-in cannot be replayed.
+ * Set `siweVerifierUrl` in src/config/appConfig.js to use it.
+ *
+ * Usage: npm run siwe-verifier
+ *   PORT          Port to listen on (default 4000)
+ *   SIWE_DOMAINS  Comma-separated app hosts allowed to sign in (default localhost:3000)
+ *   CHAIN_ID      Only accept sign-ins for this chain (optional)
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const PORT = Number(process.env.PORT) || 4000;
+const DOMAINS = (process.env.SIWE_DOMAINS || "localhost:3000").split(",");
+const CHAIN_ID = process.env.CHAIN_ID ? Number(process.env.CHAIN_ID) : null;
+
+// How long an issued nonce can be used for (ms)
+const NONCE_TTL = 5 * 60 * 1000;
+
+// Largest request body accepted (bytes)
+const MAX_BODY = 16 * 1024;
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+
+// Issued nonces that have not been used yet, mapped to their expiry time
+const nonces = new Map();
+
+/**
+ * Read the "Label: value" fields and signing address from a sign-in message
+ * @param {string} text - The message text
+ * @returns {Object} The message fields
+ */
+const parseMessage = (text) => {
+  const lines = text.split("\n");
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error("Not a Sign-In with Ethereum message");
+  }
+
+  const field = (label) => {
+    const line = lines.find((l) => l.startsWith(`${label}: `));
+    return line ? line.slice(label.length + 2) : null;
+  };
+
+  return {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    chainId: Number(field("Chain ID")),
+    nonce: field("Nonce"),
+    expirationTime: field("Expiration Time"),
+    notBefore: field("Not Before"),
+  };
+};
+
+/**
+ * Verify a signed sign-in message and use up its nonce
+ * @param {string} text - The message text
+ * @param {string} signature - The wallet signature
+ * @returns {Object} The signing address and session expiry
+ */
+const verify = (text, signature) => {
+  const message = parseMessage(text);
+  const now = Date.now();
+
+  const expires = nonces.get(message.nonce);
+  if (!expires || expires < now) {
+    throw new Error("Unknown or expired nonce");
+  }
+  nonces.delete(message.nonce);
+
+  if (ethers.verifyMessage(text, signature) !== ethers.getAddress(message.address)) {
+    throw new Error("Signature does not match the signing address");
+  }
+  if (!DOMAINS.includes(message.domain)) {
+    throw new Error(`Sign-ins are not accepted for ${message.domain}`);
+  }
+  if (CHAIN_ID !== null && message.chainId !== CHAIN_ID) {
+    throw new Error("Sign-in message was issued for another network");
+  }
+  if (!message.expirationTime || now >= Date.parse(message.expirationTime)) {
+    throw new Error("Sign-in message has expired");
+  }
+  if (message.notBefore && now < Date.parse(message.notBefore)) {
+    throw new Error("Sign-in message is not valid yet");
+  }
+
+  return {
+    address: ethers.getAddress(message.address),
+    expirationTime: message.expirationTime,
+  };
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - The HTTP status code
+ * @param {Object} body - The response body
+ */
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === "GET" && req.url === "/nonce") {
+    // Drop nonces that were never used
+    const now = Date.now();
+    nonces.forEach((expires, nonce) => {
+      if (expires < now) nonces.delete(nonce);
+    });
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    nonces.set(nonce, now + NONCE_TTL);
+    send(res, 200, { nonce });
+    return;
+  }
+
+  if (req.method === "POST" && req.url === "/verify") {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy();
+    });
+    req.on("end", () => {
+      try {
+        const { message, signature } = JSON.parse(body);
+        send(res, 200, verify(message, signature));
+      } catch (error) {
+        send(res, 401, { error: error.message });
+      }
+    });
+    return;
+  }
+
+  send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Sign-in verifier listening on http://localhost:${PORT}`);
+});
@@ -4,14 +4,24 @@
  * Main application component with routing.
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './pages/Login';
 import UserDashboard from './pages/UserDashboard';
 import ValuatorDashboard from './pages/ValuatorDashboard';
 import SkillsDashboard from './pages/SkillsDashboard';
+import AccountSettings from './pages/AccountSettings';
+import IssuerDashboard from './pages/IssuerDashboard';
+import AdminDashboard from './pages/AdminDashboard';
+import PendingTransactions from './components/PendingTransactions';
+import { startIndexer } from './blockchain/indexer';
 
 function App() {
+  // Index events once for the whole session; pages read from the index
+  useEffect(() => {
+    startIndexer().catch((error) => console.error('Indexer start error:', error));
+  }, []);
+
   return (
     <Router>
       <Routes>
@@ -24,12 +34,24 @@ function App() {
         {/* Skills dashboard - tech stack proficiency */}
         <Route path="/skills" element={<SkillsDashboard />} />
         
+        {/* Account settings - move a user ID to another wallet */}
+        <Route path="/settings" element={<AccountSettings />} />
+        
+        {/* Issuer dashboard - for registered issuing organizations */}
+        <Route path="/issuer" element={<IssuerDashboard />} />
+        
+        {/* Admin dashboard - roles and emergency pause */}
+        <Route path="/admin" element={<AdminDashboard />} />
+        
         {/* Valuator dashboard - for valuators */}
         <Route path="/valuator" element={<ValuatorDashboard />} />
         
         {/* Catch all - redirect to login */}
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
+
+      {/* Transactions still being mined, on every page */}
+      <PendingTransactions />
     </Router>
   );
 }
@@ -0,0 +1,265 @@
+/**
+ * Sign-In with Ethereum (EIP-4361)
+ *
+ * This module proves that a wallet user controls their key: it builds
+ * a nonce-bearing sign-in message, has the wallet sign it, verifies the
+ * signature and keeps the result as a session with an expiry.
+ */
+
+import { ethers } from 'ethers';
+import config from '../config/appConfig';
+
+const SESSION_KEY = 'siweSession';
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const STATEMENT = 'Sign in to Chain-Cred. This request will not trigger a blockchain transaction or cost any gas fees.';
+
+// Message fields in the order EIP-4361 lists them
+const FIELDS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+];
+
+/**
+ * Generate a random nonce for a sign-in message
+ * @returns {string} 32 hexadecimal characters
+ */
+export const generateNonce = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Build an EIP-4361 sign-in message
+ * @param {Object} fields - address, chainId, nonce, issuedAt, expirationTime,
+ *                          and optionally domain, uri, statement, notBefore, requestId
+ * @returns {string} The message text to sign
+ */
+export const createSiweMessage = (fields) => {
+  const message = {
+    domain: window.location.host,
+    uri: window.location.origin,
+    statement: STATEMENT,
+    version: '1',
+    ...fields
+  };
+
+  const lines = [
+    `${message.domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(message.address),
+    ''
+  ];
+  if (message.statement) {
+    lines.push(message.statement);
+  }
+  lines.push('');
+  FIELDS.forEach(([key, label]) => {
+    if (message[key] !== undefined && message[key] !== null) {
+      lines.push(`${label}: ${message[key]}`);
+    }
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse an EIP-4361 sign-in message back into its fields
+ * @param {string} text - The message text
+ * @returns {Object} The message fields
+ */
+export const parseSiweMessage = (text) => {
+  const lines = text.split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Not a Sign-In with Ethereum message');
+  }
+
+  const message = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null
+  };
+
+  // The optional statement sits between two blank lines
+  let index = 4;
+  if (lines[3] !== '') {
+    message.statement = lines[3];
+    index = 5;
+  }
+  if (lines[2] !== '' || lines[index - 1] !== '') {
+    throw new Error('Malformed Sign-In with Ethereum message');
+  }
+
+  FIELDS.forEach(([key, label]) => {
+    if (lines[index] && lines[index].startsWith(`${label}: `)) {
+      message[key] = lines[index].slice(label.length + 2);
+      index++;
+    }
+  });
+
+  if (index !== lines.length || !message.uri || !message.nonce || !message.issuedAt) {
+    throw new Error('Malformed Sign-In with Ethereum message');
+  }
+
+  message.chainId = Number(message.chainId);
+  return message;
+};
+
+/**
+ * Verify a signed sign-in message
+ * @param {string} text - The message text
+ * @param {string} signature - The wallet signature
+ * @param {Object} expected - The nonce, domain and chainId the message must carry
+ * @returns {Object} The message fields
+ */
+export const verifySiweMessage = (text, signature, expected = {}) => {
+  const message = parseSiweMessage(text);
+  const now = Date.now();
+
+  const recovered = ethers.verifyMessage(text, signature);
+  if (recovered !== ethers.getAddress(message.address)) {
+    throw new Error('Signature does not match the signing address');
+  }
+  if (expected.nonce && message.nonce !== expected.nonce) {
+    throw new Error('Sign-in nonce does not match');
+  }
+  if (message.domain !== (expected.domain || window.location.host)) {
+    throw new Error(`Sign-in message was issued for ${message.domain}`);
+  }
+  if (expected.chainId && message.chainId !== Number(expected.chainId)) {
+    throw new Error('Sign-in message was issued for another network');
+  }
+  if (message.expirationTime && now >= Date.parse(message.expirationTime)) {
+    throw new Error('Sign-in session has expired');
+  }
+  if (message.notBefore && now < Date.parse(message.notBefore)) {
+    throw new Error('Sign-in message is not valid yet');
+  }
+
+  return message;
+};
+
+/**
+ * Get a nonce from the verifier service
+ * @returns {Promise<string>} The nonce
+ */
+const fetchNonce = async () => {
+  const response = await fetch(`${config.siweVerifierUrl}/nonce`);
+  if (!response.ok) {
+    throw new Error(`Verifier service returned ${response.status}`);
+  }
+  const { nonce } = await response.json();
+  return nonce;
+};
+
+/**
+ * Have the verifier service check a signed message
+ * @param {string} message - The message text
+ * @param {string} signature - The wallet signature
+ * @returns {Promise<void>}
+ */
+const verifyWithService = async (message, signature) => {
+  const response = await fetch(`${config.siweVerifierUrl}/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, signature })
+  });
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(error || `Verifier service returned ${response.status}`);
+  }
+};
+
+/**
+ * Sign in with the connected wallet
+ * @param {ethers.Signer} signer - The wallet signer
+ * @returns {Promise<Object>} The new session
+ */
+export const signInWithEthereum = async (signer) => {
+  const address = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const nonce = config.siweVerifierUrl ? await fetchNonce() : generateNonce();
+  const issuedAt = new Date();
+
+  const message = createSiweMessage({
+    address,
+    chainId: Number(chainId),
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: new Date(issuedAt.getTime() + config.siweSessionDuration).toISOString()
+  });
+
+  let signature;
+  try {
+    signature = await signer.signMessage(message);
+  } catch (error) {
+    if (error.code === 'ACTION_REJECTED' || error.code === 4001) {
+      throw new Error('Sign-in rejected. Please sign the message in your wallet to continue.');
+    }
+    throw error;
+  }
+
+  const fields = verifySiweMessage(message, signature, { nonce, chainId });
+  if (config.siweVerifierUrl) {
+    await verifyWithService(message, signature);
+  }
+
+  const session = {
+    address: ethers.getAddress(fields.address),
+    chainId: fields.chainId,
+    expiresAt: Date.parse(fields.expirationTime),
+    message,
+    signature
+  };
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+  return session;
+};
+
+/**
+ * Get the current session, if it is still valid
+ * @returns {Object|null} The session, or null if missing, expired or tampered with
+ */
+export const getSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    if (!session) {
+      return null;
+    }
+
+    const fields = verifySiweMessage(session.message, session.signature);
+    if (!fields.expirationTime || ethers.getAddress(fields.address) !== session.address) {
+      throw new Error('Session does not match its message');
+    }
+    return { ...session, expiresAt: Date.parse(fields.expirationTime) };
+  } catch (error) {
+    clearSession();
+    return null;
+  }
+};
+
+/**
+ * End the current session
+ */
+export const clearSession = () => {
+  if (typeof sessionStorage !== 'undefined') {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+};
+
+export default {
+  generateNonce,
+  createSiweMessage,
+  parseSiweMessage,
+  verifySiweMessage,
+  signInWithEthereum,
+  getSession,
+  clearSession
+};
@@ -1,13 +1,15 @@
 /**
  * Wallet Authentication
  * 
- * This module handles MetaMask wallet-based authentication for general users.
+ * This module handles wallet-based authentication for general users.
+ * Users are authenticated by a Sign-In with Ethereum session (see siwe.js),
+ * not merely by having an account connected.
  */
 
 import { 
   connectWallet, 
   getConnectedAddress, 
-  isMetaMaskInstalled,
+  getSigner,
   isCorrectNetwork,
   switchToCorrectNetwork,
   disconnectWallet,
@@ -15,6 +17,9 @@ import {
   onNetworkChange
 } from '../blockchain/web3';
 import { getUserId, registerUser, isUserRegistered } from '../blockchain/contract';
+import { getSelectedNetwork } from '../config/networks';
+import { clearWalletKeys } from '../crypto/encryption';
+import { signInWithEthereum, getSession, clearSession } from './siwe';
 
 /**
  * Authentication state
@@ -22,7 +27,8 @@ import { getUserId, registerUser, isUserRegistered } from '../blockchain/contrac
 let authState = {
   isAuthenticated: false,
   walletAddress: null,
-  userId: null
+  userId: null,
+  expiresAt: null
 };
 
 /**
@@ -32,15 +38,14 @@ let authState = {
 export const getAuthState = () => ({ ...authState });
 
 /**
- * Login with MetaMask
+ * Login with a wallet
+ * @param {Object} connector - The wallet connector to sign in with
  * @param {boolean} autoRegister - Whether to auto-register if user doesn't exist
  * @returns {Promise<Object>} The auth state after login
  */
-export const loginWithWallet = async (autoRegister = false) => {
-  // Check MetaMask installation
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed. Please install MetaMask to continue.');
-  }
+export const loginWithWallet = async (connector, autoRegister = false) => {
+  // Connect wallet
+  await connectWallet(connector);
 
   // Check network
   const correctNetwork = await isCorrectNetwork();
@@ -48,15 +53,16 @@ export const loginWithWallet = async (autoRegister = false) => {
     try {
       await switchToCorrectNetwork();
     } catch (error) {
-      throw new Error('Please switch to the correct network (Ganache Local) in MetaMask.');
+      throw new Error(`Please switch to ${getSelectedNetwork().name} in ${connector.name}.`);
     }
   }
 
   // Clear logout flag since user is explicitly connecting
   clearLogoutFlag();
 
-  // Connect wallet
-  const address = await connectWallet();
+  // Prove ownership of the key
+  const session = await signInWithEthereum(await getSigner());
+  const address = session.address;
   
   // Get user ID from blockchain
   let userId = await getUserId(address);
@@ -73,7 +79,8 @@ export const loginWithWallet = async (autoRegister = false) => {
   authState = {
     isAuthenticated: true,
     walletAddress: address,
-    userId: userId || null
+    userId: userId || null,
+    expiresAt: session.expiresAt
   };
 
   return authState;
@@ -110,26 +117,33 @@ export const registerNewUser = async (userId) => {
 
 /**
  * Check if currently logged in
+ * Requires an unexpired sign-in session. A wallet that is now connected
+ * with a different account ends the session.
  * @returns {Promise<Object>} The auth state
  */
 export const checkAuthStatus = async () => {
-  const address = await getConnectedAddress();
-  
-  if (address) {
-    const userId = await getUserId(address);
+  const session = getSession();
+  const connected = session ? await getConnectedAddress() : null;
+
+  if (session && connected && connected.toLowerCase() !== session.address.toLowerCase()) {
+    clearSession();
+  } else if (session) {
+    const userId = await getUserId(session.address);
     authState = {
       isAuthenticated: true,
-      walletAddress: address,
-      userId: userId || null
-    };
-  } else {
-    authState = {
-      isAuthenticated: false,
-      walletAddress: null,
-      userId: null
+      walletAddress: session.address,
+      userId: userId || null,
+      expiresAt: session.expiresAt
     };
+    return authState;
   }
 
+  authState = {
+    isAuthenticated: false,
+    walletAddress: null,
+    userId: null,
+    expiresAt: null
+  };
   return authState;
 };
 
@@ -138,10 +152,13 @@ export const checkAuthStatus = async () => {
  */
 export const logout = () => {
   disconnectWallet();
+  clearWalletKeys();
+  clearSession();
   authState = {
     isAuthenticated: false,
     walletAddress: null,
-    userId: null
+    userId: null,
+    expiresAt: null
   };
   
   // Set a flag to prevent auto-reconnect
@@ -175,20 +192,16 @@ export const wasLoggedOut = () => {
  * @param {Function} onAuthChange - Callback when auth state changes
  */
 export const setupAuthListeners = (onAuthChange) => {
-  onAccountChange(async (accounts) => {
-    if (accounts.length === 0) {
-      // User disconnected
+  onAccountChange((accounts) => {
+    const session = getSession();
+    if (
+      accounts.length === 0 ||
+      !session ||
+      accounts[0].toLowerCase() !== session.address.toLowerCase()
+    ) {
+      // User disconnected or switched to an account that has not signed in
       logout();
       onAuthChange(authState);
-    } else {
-      // Account changed
-      const userId = await getUserId(accounts[0]);
-      authState = {
-        isAuthenticated: true,
-        walletAddress: accounts[0],
-        userId: userId || null
-      };
-      onAuthChange(authState);
     }
   });
 
@@ -0,0 +1,88 @@
+/**
+ * Wallet Connectors
+ *
+ * Keeps track of which wallet the user chose to connect with. A
+ * connector wraps one wallet (a browser extension or a local key) behind
+ * the same interface: getProvider, getSigner, connect, getAccounts,
+ * getChainId, switchChain and the account/network listeners.
+ */
+
+import { discoverInjectedWallets, onInjectedWalletsChanged } from './injected';
+import { createPrivateKeyConnector, createKeystoreConnector } from './localKey';
+
+const STORAGE_KEY = 'activeConnector';
+
+let activeConnector = null;
+let restored = false;
+
+/**
+ * Get the wallets available to connect with
+ * @returns {Object[]} Connectors for every discovered browser wallet
+ */
+export const getAvailableWallets = () => discoverInjectedWallets();
+
+/**
+ * Recreate the connector chosen earlier in this browser session
+ * @returns {Object|null} The connector, or null if it can't be restored
+ */
+const restoreConnector = () => {
+  try {
+    const info = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+
+    if (info?.type === 'injected') {
+      return discoverInjectedWallets().find((wallet) => wallet.id === info.id) || null;
+    }
+    if (info?.type === 'local') {
+      return createPrivateKeyConnector(info.privateKey);
+    }
+  } catch (_) {
+    // Missing storage or a stale entry; start without a wallet
+  }
+  return null;
+};
+
+/**
+ * Get the connector in use
+ * @returns {Object|null} The active connector, or null if no wallet is chosen
+ */
+export const getActiveConnector = () => {
+  if (!activeConnector && !restored) {
+    restored = true;
+    activeConnector = restoreConnector();
+  }
+  return activeConnector;
+};
+
+/**
+ * Make a connector the one in use, replacing any previous one
+ * @param {Object|null} connector - The connector, or null to disconnect
+ */
+export const setActiveConnector = (connector) => {
+  if (activeConnector && activeConnector !== connector) {
+    activeConnector.disconnect();
+  }
+  activeConnector = connector;
+  restored = true;
+
+  if (typeof sessionStorage === 'undefined') return;
+  if (connector?.restoreInfo) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(connector.restoreInfo));
+  } else {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+export {
+  onInjectedWalletsChanged,
+  createPrivateKeyConnector,
+  createKeystoreConnector
+};
+
+export default {
+  getAvailableWallets,
+  getActiveConnector,
+  setActiveConnector,
+  onInjectedWalletsChanged,
+  createPrivateKeyConnector,
+  createKeystoreConnector
+};
@@ -0,0 +1,196 @@
+/**
+ * Injected Wallet Connector
+ *
+ * Wraps a browser wallet extension's EIP-1193 provider. Wallets are
+ * discovered through EIP-6963 announcements, so several installed
+ * wallets can be offered side by side; a lone legacy `window.ethereum`
+ * is offered too.
+ */
+
+import { ethers } from 'ethers';
+
+// Wallets announced so far, keyed by their reverse-DNS identifier
+const announced = new Map();
+
+// Called whenever a new wallet announces itself
+const announceListeners = new Set();
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider } = event.detail;
+    const key = info.rdns || info.uuid;
+    if (announced.has(key)) return;
+
+    announced.set(key, createInjectedConnector(provider, info));
+    announceListeners.forEach((listener) => listener());
+  });
+}
+
+/**
+ * Create a connector for an EIP-1193 provider
+ * @param {Object} eip1193 - The provider object injected by the wallet
+ * @param {Object} info - The wallet's EIP-6963 info (uuid, name, icon, rdns)
+ * @returns {Object} The connector
+ */
+export const createInjectedConnector = (eip1193, info) => {
+  let provider = null;
+  let signer = null;
+
+  // Listeners registered through this connector, so they can be removed
+  const listeners = [];
+
+  const addListener = (event, callback) => {
+    eip1193.on(event, callback);
+    listeners.push([event, callback]);
+  };
+
+  return {
+    id: info.rdns || info.uuid,
+    name: info.name,
+    icon: info.icon,
+    type: 'injected',
+    restoreInfo: { type: 'injected', id: info.rdns || info.uuid },
+
+    getProvider() {
+      if (!provider) {
+        provider = new ethers.BrowserProvider(eip1193);
+      }
+      return provider;
+    },
+
+    async getSigner() {
+      if (!signer) {
+        signer = await this.getProvider().getSigner();
+      }
+      return signer;
+    },
+
+    async connect() {
+      try {
+        const accounts = await eip1193.request({ method: 'eth_requestAccounts' });
+        if (accounts.length === 0) {
+          throw new Error(`No accounts found. Please unlock ${info.name}.`);
+        }
+
+        // Fresh instances pick up the newly approved account
+        provider = null;
+        signer = null;
+        return accounts[0];
+      } catch (error) {
+        if (error.code === 4001) {
+          throw new Error(`Connection rejected. Please approve the connection in ${info.name}.`);
+        }
+        throw error;
+      }
+    },
+
+    async getAccounts() {
+      return eip1193.request({ method: 'eth_accounts' });
+    },
+
+    async getChainId() {
+      const chainId = await eip1193.request({ method: 'eth_chainId' });
+      return parseInt(chainId, 16);
+    },
+
+    async switchChain(chainId, chainParams) {
+      const hexChainId = `0x${chainId.toString(16)}`;
+      try {
+        await eip1193.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: hexChainId }]
+        });
+      } catch (error) {
+        // If the network doesn't exist, add it
+        if (error.code !== 4902) {
+          throw error;
+        }
+        await eip1193.request({
+          method: 'wallet_addEthereumChain',
+          params: [{ chainId: hexChainId, ...chainParams }]
+        });
+      }
+      provider = null;
+      signer = null;
+    },
+
+    onAccountsChanged(callback) {
+      addListener('accountsChanged', (accounts) => {
+        signer = null;
+        callback(accounts);
+      });
+    },
+
+    onChainChanged(callback) {
+      addListener('chainChanged', callback);
+    },
+
+    removeListeners() {
+      listeners.splice(0).forEach(([event, callback]) => {
+        eip1193.removeListener(event, callback);
+      });
+    },
+
+    disconnect() {
+      this.removeListeners();
+      provider = null;
+      signer = null;
+    }
+  };
+};
+
+/**
+ * Ask installed wallets to announce themselves
+ * Wallets answer synchronously, so the returned list is normally complete;
+ * late announcements are reported through onInjectedWalletsChanged.
+ * @returns {Object[]} Connectors for every wallet found
+ */
+export const discoverInjectedWallets = () => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  const wallets = [...announced.values()];
+
+  // Older wallets only inject window.ethereum
+  if (wallets.length === 0 && window.ethereum) {
+    wallets.push(createLegacyConnector());
+  }
+  return wallets;
+};
+
+let legacyConnector = null;
+
+/**
+ * Get the connector for a wallet that only injects window.ethereum
+ * @returns {Object} The connector
+ */
+const createLegacyConnector = () => {
+  if (!legacyConnector) {
+    legacyConnector = createInjectedConnector(window.ethereum, {
+      uuid: 'injected',
+      name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+      icon: '',
+      rdns: 'injected'
+    });
+  }
+  return legacyConnector;
+};
+
+/**
+ * Listen for wallets announcing themselves after discovery
+ * @param {Function} callback - Called whenever a new wallet appears
+ * @returns {Function} Call to stop listening
+ */
+export const onInjectedWalletsChanged = (callback) => {
+  announceListeners.add(callback);
+  return () => announceListeners.delete(callback);
+};
+
+export default {
+  createInjectedConnector,
+  discoverInjectedWallets,
+  onInjectedWalletsChanged
+};
@@ -0,0 +1,132 @@
+/**
+ * Local Key Connector
+ *
+ * Signs with a private key or JSON keystore held in the page, sending
+ * transactions straight to the selected network's RPC node. Meant for
+ * development and tests against Ganache, never for real funds.
+ */
+
+import { ethers } from 'ethers';
+import { getNetwork, getSelectedNetwork } from '../../config/networks';
+
+/**
+ * Create a connector for an ethers wallet
+ * @param {ethers.Wallet} wallet - The wallet to sign with
+ * @param {Object|null} restoreInfo - What to store to recreate the connector after a reload
+ * @returns {Object} The connector
+ */
+const createWalletConnector = (wallet, restoreInfo) => {
+  let provider = new ethers.JsonRpcProvider(getSelectedNetwork().rpcUrl);
+  let signer = wallet.connect(provider);
+
+  // Account changes are only ever "disconnected"
+  const accountListeners = new Set();
+  const chainListeners = new Set();
+
+  return {
+    id: `local:${wallet.address.toLowerCase()}`,
+    name: 'Development Key',
+    icon: '',
+    type: 'local',
+    restoreInfo,
+
+    getProvider() {
+      return provider;
+    },
+
+    async getSigner() {
+      return signer;
+    },
+
+    async connect() {
+      return wallet.address;
+    },
+
+    async getAccounts() {
+      return [wallet.address];
+    },
+
+    async getChainId() {
+      const { chainId } = await provider.getNetwork();
+      return Number(chainId);
+    },
+
+    async switchChain(chainId) {
+      if ((await this.getChainId()) === chainId) {
+        return;
+      }
+
+      const network = getNetwork(chainId);
+      if (!network?.rpcUrl) {
+        throw new Error(`No RPC URL is configured for chain ${chainId}.`);
+      }
+      const next = new ethers.JsonRpcProvider(network.rpcUrl);
+      if (Number((await next.getNetwork()).chainId) !== chainId) {
+        next.destroy();
+        throw new Error(`${network.rpcUrl} is not chain ${chainId}. Check the network registry.`);
+      }
+
+      provider.destroy();
+      provider = next;
+      signer = wallet.connect(provider);
+      chainListeners.forEach((callback) => callback(`0x${chainId.toString(16)}`));
+    },
+
+    onAccountsChanged(callback) {
+      accountListeners.add(callback);
+    },
+
+    onChainChanged(callback) {
+      chainListeners.add(callback);
+    },
+
+    removeListeners() {
+      accountListeners.clear();
+      chainListeners.clear();
+    },
+
+    disconnect() {
+      accountListeners.forEach((callback) => callback([]));
+      this.removeListeners();
+      provider.destroy();
+    }
+  };
+};
+
+/**
+ * Create a connector from a hex private key
+ * @param {string} privateKey - The private key (with or without 0x)
+ * @returns {Object} The connector
+ */
+export const createPrivateKeyConnector = (privateKey) => {
+  const key = privateKey.trim();
+  let wallet;
+  try {
+    wallet = new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`);
+  } catch (error) {
+    throw new Error('Invalid private key.');
+  }
+  return createWalletConnector(wallet, { type: 'local', privateKey: wallet.privateKey });
+};
+
+/**
+ * Create a connector from an encrypted JSON keystore
+ * The decrypted key is not stored, so the keystore must be unlocked
+ * again after a page reload.
+ * @param {string} json - The keystore file contents
+ * @param {string} password - The keystore password
+ * @returns {Promise<Object>} The connector
+ */
+export const createKeystoreConnector = async (json, password) => {
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return createWalletConnector(wallet, null);
+  } catch (error) {
+    throw new Error(`Failed to unlock keystore: ${error.message}`);
+  }
+};
+
+export default {
+  createPrivateKeyConnector,
+  createKeystoreConnector
+};
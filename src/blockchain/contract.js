@@ -3,26 +3,85 @@
  * 
  * This module provides functions to interact with the FileRegistry smart contract.
  * All blockchain read/write operations go through here.
+ * Failures are rethrown as the typed errors defined in errors.js.
  */
 
 import { ethers } from 'ethers';
-import { getProvider, getSigner } from './web3';
 import config from '../config/appConfig';
+import { getProvider, getSigner } from './web3';
+import { getSelectedNetwork } from '../config/networks';
 import FileRegistryABI from '../abi/FileRegistry.json';
+import { decodeContractError } from './errors';
+import { trackTransaction } from './txManager';
+import { getFeeOverrides } from './fees';
+import { canRelay, relayCall } from './relayer';
+
+// Fee tiers and current fee data, for fee previews
+export { FEE_TIERS, getFeeTiers, estimateCost } from './fees';
+
+// Credential categories, in the order of the contract's Category enum
+export const CREDENTIAL_CATEGORIES = ['other', 'degree', 'certificate', 'transcript', 'reference-letter'];
+
+// Attestation statuses, in the order of the contract's AttestationStatus enum
+export const ATTESTATION_STATUSES = ['verified', 'rejected', 'needs-info'];
+
+// Revocation reasons, in the order of the contract's RevocationReason enum
+export const REVOCATION_REASONS = ['none', 'superseded', 'issued-in-error', 'withdrawn', 'other'];
+
+// Credential statuses, in the order of the contract's CredentialStatus enum
+export const CREDENTIAL_STATUSES = ['active', 'expired', 'revoked'];
+
+// AccessControl role IDs, by the names the app uses for them
+export const ROLES = {
+  admin: ethers.ZeroHash,
+  issuer: ethers.id('ISSUER_ROLE'),
+  verifier: ethers.id('VERIFIER_ROLE')
+};
+
+// Blocks to request logs for at once when config.indexerBatchSize is not set
+const DEFAULT_LOG_BATCH_SIZE = 5000;
+
+// Most files one getFilesPage call returns (the contract's MAX_PAGE_SIZE)
+export const MAX_PAGE_SIZE = 100;
 
 // Cache the contract instance
 let contractInstance = null;
 let contractWithSigner = null;
 
+/**
+ * Get the FileRegistry address on the selected network
+ * @returns {string} The contract address
+ */
+const getContractAddress = () => {
+  const network = getSelectedNetwork();
+  if (!network.contractAddress) {
+    throw new Error(`FileRegistry is not deployed on ${network.name}`);
+  }
+  return network.contractAddress;
+};
+
+/**
+ * Check whether a cached contract instance is still usable
+ * @param {ethers.Contract|null} contract - The cached instance
+ * @param {ethers.ContractRunner} runner - The current provider or signer
+ * @param {string} address - The current contract address
+ * @returns {boolean} True if the instance can be reused
+ */
+const isCurrent = (contract, runner, address) => {
+  return Boolean(contract) && contract.runner === runner && contract.target === address;
+};
+
 /**
  * Get the contract instance (read-only)
+ * Recreated whenever a different wallet or network is in use.
  * @returns {ethers.Contract} The contract instance
  */
 export const getContract = () => {
-  if (!contractInstance) {
-    const provider = getProvider();
+  const provider = getProvider();
+  const address = getContractAddress();
+  if (!isCurrent(contractInstance, provider, address)) {
     contractInstance = new ethers.Contract(
-      config.contractAddress,
+      address,
       FileRegistryABI.abi,
       provider
     );
@@ -35,10 +94,11 @@ export const getContract = () => {
  * @returns {Promise<ethers.Contract>} The contract instance with signer
  */
 export const getContractWithSigner = async () => {
-  if (!contractWithSigner) {
-    const signer = await getSigner();
+  const signer = await getSigner();
+  const address = getContractAddress();
+  if (!isCurrent(contractWithSigner, signer, address)) {
     contractWithSigner = new ethers.Contract(
-      config.contractAddress,
+      address,
       FileRegistryABI.abi,
       signer
     );
@@ -46,20 +106,84 @@ export const getContractWithSigner = async () => {
   return contractWithSigner;
 };
 
+/**
+ * Read an event's logs from the deployment's start block on
+ * Asks for a batch of blocks at a time, since public RPCs limit the
+ * block range a single log request may cover.
+ * @param {ethers.Contract} contract - The contract that emits the event
+ * @param {ethers.DeferredTopicFilter} filter - The event filter
+ * @returns {Promise<Array<ethers.EventLog>>} The matching logs, oldest first
+ */
+const queryEvents = async (contract, filter) => {
+  const batchSize = config.indexerBatchSize || DEFAULT_LOG_BATCH_SIZE;
+  const latest = await getProvider().getBlockNumber();
+  const events = [];
+  for (let from = getSelectedNetwork().startBlock; from <= latest; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, latest);
+    events.push(...(await contract.queryFilter(filter, from, to)));
+  }
+  return events;
+};
+
+// Stand-in for the CID of a file that isn't on IPFS yet,
+// sized like a real one so gas estimates come out close
+const ESTIMATE_CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+/**
+ * Get the transaction overrides for a fee tier
+ * @param {string} feeTier - One of FEE_TIERS, or empty to let the wallet decide
+ * @returns {Promise<Object>} The overrides
+ */
+const feeOverrides = async (feeTier) => (feeTier ? getFeeOverrides(feeTier) : {});
+
+/**
+ * Send a contract call from the user's wallet, or through the relayer
+ * (gasless, see relayer.js) when it is enabled for this function
+ * @param {ethers.Contract} contract - FileRegistry, connected to the user's signer
+ * @param {string} functionName - The function to call
+ * @param {Array} args - The function arguments
+ * @param {string} feeTier - Fee tier to pay when sent directly
+ * @returns {Promise<Object>} The sent transaction
+ */
+const sendTransaction = async (contract, functionName, args, feeTier) => {
+  if (canRelay(functionName)) {
+    return relayCall(contract, functionName, args);
+  }
+  return contract[functionName](...args, await feeOverrides(feeTier));
+};
+
 /**
  * Register a new user with a unique ID
  * @param {string} userId - The unique user ID to register
+ * @param {Object} options - Transaction options
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
  * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
  */
-export const registerUser = async (userId) => {
+export const registerUser = async (userId, { feeTier } = {}) => {
   try {
     const contract = await getContractWithSigner();
-    const tx = await contract.registerUser(userId);
-    const receipt = await tx.wait();
-    return receipt;
+    return await sendWithStatus(() => sendTransaction(contract, 'registerUser', [userId], feeTier), {
+      type: 'register',
+      description: `Register user ID ${userId}`
+    });
   } catch (error) {
     console.error('Error registering user:', error);
-    throw new Error(`Failed to register user: ${error.message}`);
+    throw decodeContractError(error, 'register user');
+  }
+};
+
+/**
+ * Estimate the gas needed to register a user ID
+ * @param {string} userId - The user ID to register
+ * @returns {Promise<bigint>} The gas estimate
+ */
+export const estimateRegisterUser = async (userId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await contract.registerUser.estimateGas(userId);
+  } catch (error) {
+    console.error('Error estimating registration gas:', error);
+    throw decodeContractError(error, 'estimate registration fee');
   }
 };
 
@@ -75,51 +199,299 @@ export const getUserId = async (walletAddress) => {
     return userId;
   } catch (error) {
     console.error('Error getting user ID:', error);
-    throw new Error(`Failed to get user ID: ${error.message}`);
+    throw decodeContractError(error, 'get user ID');
   }
 };
 
+/**
+ * Build the FileMetadata struct expected by the contract
+ * @param {Object} metadata - Credential details (see uploadFileMetadata)
+ * @returns {Object} The FileMetadata struct
+ */
+const toMetadataStruct = (metadata) => {
+  const category = CREDENTIAL_CATEGORIES.indexOf(metadata.category || 'other');
+  if (category === -1) {
+    throw new Error(`Invalid credential category: ${metadata.category}`);
+  }
+
+  return {
+    contentHash: metadata.contentHash || ethers.ZeroHash,
+    mimeType: metadata.mimeType || '',
+    size: metadata.size || 0,
+    category,
+    issuer: metadata.issuer || '',
+    issuedAt: metadata.issuedAt || 0,
+    expiresAt: metadata.expiresAt || 0,
+    encryption: metadata.encryption || ''
+  };
+};
+
+/**
+ * Send a transaction, reporting its progress through each stage
+ * The transaction is recorded by the transaction manager, so it is still
+ * tracked if the tab is closed before it is mined.
+ * onStatus receives {stage: 'awaiting-signature'} before the wallet prompt,
+ * {stage: 'pending', hash} once sent, and {stage: 'mined', hash, confirmations}
+ * once it is included in a block.
+ * @param {Function} send - Sends the transaction and returns the response
+ * @param {Object} intent - What the transaction does (see txManager.trackTransaction)
+ * @param {Function} onStatus - Stage callback (optional)
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+const sendWithStatus = async (send, intent, onStatus) => {
+  const notify = (status) => onStatus && onStatus(status);
+
+  notify({ stage: 'awaiting-signature' });
+  const tx = await send();
+
+  notify({ stage: 'pending', hash: tx.hash });
+  const receipt = await trackTransaction(tx, intent);
+
+  notify({ stage: 'mined', hash: tx.hash, confirmations: await receipt.confirmations() });
+  return receipt;
+};
+
 /**
  * Upload file metadata to the blockchain
  * @param {string} userId - The user's ID
  * @param {string} cid - The IPFS Content Identifier
  * @param {string} fileName - The original file name
+ * @param {Object} metadata - Credential details
+ * @param {string} metadata.contentHash - SHA-256 of the file content (0x-prefixed hex)
+ * @param {string} metadata.mimeType - The file's MIME type
+ * @param {number} metadata.size - The file size in bytes
+ * @param {string} metadata.category - One of CREDENTIAL_CATEGORIES
+ * @param {string} metadata.issuer - Name of the issuing institution
+ * @param {number} metadata.issuedAt - Issue date (unix seconds, 0 if unknown)
+ * @param {number} metadata.expiresAt - Expiry date (unix seconds, 0 if never)
+ * @param {string} metadata.encryption - Encryption scheme ('' for plaintext)
+ * @param {Object} options - Transaction options
+ * @param {Function} options.onStatus - Receives transaction stage updates (see sendWithStatus)
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
  * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
  */
-export const uploadFileMetadata = async (userId, cid, fileName) => {
+export const uploadFileMetadata = async (userId, cid, fileName, metadata = {}, { onStatus, feeTier } = {}) => {
   try {
     const contract = await getContractWithSigner();
-    const tx = await contract.uploadFile(userId, cid, fileName);
-    const receipt = await tx.wait();
-    return receipt;
+    return await sendWithStatus(
+      () => sendTransaction(contract, 'uploadFile', [userId, cid, fileName, toMetadataStruct(metadata)], feeTier),
+      {
+        type: 'upload',
+        description: `Upload ${fileName}`,
+        meta: { contentHashes: metadata.contentHash ? [metadata.contentHash] : [] }
+      },
+      onStatus
+    );
   } catch (error) {
     console.error('Error uploading file metadata:', error);
-    throw new Error(`Failed to upload file metadata: ${error.message}`);
+    throw decodeContractError(error, 'upload file metadata');
+  }
+};
+
+/**
+ * Upload the metadata of several files in one transaction
+ * @param {string} userId - The user's ID
+ * @param {Array} uploads - Files to register: {cid, name, metadata} (see uploadFileMetadata)
+ * @param {Object} options - Transaction options
+ * @param {Function} options.onStatus - Receives transaction stage updates (see sendWithStatus)
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const uploadFilesMetadata = async (userId, uploads, { onStatus, feeTier } = {}) => {
+  try {
+    const contract = await getContractWithSigner();
+    const structs = uploads.map(({ cid, name, metadata }) => ({
+      cid,
+      name,
+      metadata: toMetadataStruct(metadata || {})
+    }));
+    const intent = {
+      type: 'upload',
+      description: `Upload ${uploads.length} files`,
+      meta: { contentHashes: uploads.map(({ metadata }) => metadata?.contentHash).filter(Boolean) }
+    };
+    return await sendWithStatus(
+      () => sendTransaction(contract, 'uploadFiles', [userId, structs], feeTier),
+      intent,
+      onStatus
+    );
+  } catch (error) {
+    console.error('Error uploading file batch metadata:', error);
+    throw decodeContractError(error, 'upload file metadata');
   }
 };
 
 /**
- * Get all files for a user
+ * Estimate the gas needed to upload file metadata, before the files are on IPFS
+ * Uses a single upload for one file and a batch for several, like the upload itself.
  * @param {string} userId - The user's ID
- * @returns {Promise<Array>} Array of file objects {cid, name, timestamp}
+ * @param {Array} files - Files to register: {name, metadata} (metadata as in
+ *   uploadFileMetadata; contentHash may be left out)
+ * @returns {Promise<bigint>} The gas estimate
  */
-export const getFiles = async (userId) => {
+export const estimateUploadFile = async (userId, files) => {
   try {
-    const contract = getContract();
-    const files = await contract.getFiles(userId);
-    
-    // Transform the result into a more usable format
-    return files.map((file, index) => ({
-      index,
-      cid: file.cid,
-      name: file.name,
-      timestamp: Number(file.timestamp),
-      // Convert timestamp to readable date
-      uploadDate: new Date(Number(file.timestamp) * 1000).toLocaleString()
+    const contract = await getContractWithSigner();
+    const structs = files.map(({ name, metadata = {} }) => ({
+      cid: ESTIMATE_CID,
+      name,
+      metadata: toMetadataStruct({ contentHash: ethers.id(name), ...metadata })
     }));
+
+    if (structs.length === 1) {
+      const [{ cid, name, metadata }] = structs;
+      return await contract.uploadFile.estimateGas(userId, cid, name, metadata);
+    }
+    return await contract.uploadFiles.estimateGas(userId, structs);
+  } catch (error) {
+    console.error('Error estimating upload gas:', error);
+    throw decodeContractError(error, 'estimate upload fee');
+  }
+};
+
+/**
+ * Work out whether a file is active, expired or revoked right now
+ * Expiry depends on the current time, so cached files should be
+ * passed through this again before display.
+ * @param {Object} file - A file object (see getFiles)
+ * @returns {string} One of CREDENTIAL_STATUSES
+ */
+export const getCredentialStatus = (file) => {
+  if (file.revokedAt > 0) {
+    return 'revoked';
+  }
+  const expiresAt = file.metadata ? file.metadata.expiresAt : 0;
+  if (expiresAt > 0 && expiresAt * 1000 <= Date.now()) {
+    return 'expired';
+  }
+  return 'active';
+};
+
+/**
+ * Transform a File struct returned by the contract into a plain object
+ * @param {Object} file - The raw File struct
+ * @returns {Object} File object {id, userId, cid, name, timestamp, uploadDate, metadata,
+ *   revokedAt, revocationReason, issuedBy, status}; issuedBy is the issuer's wallet,
+ *   or null if the owner uploaded the file themselves
+ */
+const formatFile = (file) => {
+  const formatted = {
+    id: Number(file.id),
+    userId: file.userId,
+    cid: file.cid,
+    name: file.name,
+    timestamp: Number(file.timestamp),
+    // Convert timestamp to readable date
+    uploadDate: new Date(Number(file.timestamp) * 1000).toLocaleString(),
+    metadata: {
+      // An all-zero hash means the hash was not recorded
+      contentHash: file.metadata.contentHash === ethers.ZeroHash ? '' : file.metadata.contentHash,
+      mimeType: file.metadata.mimeType,
+      size: Number(file.metadata.size),
+      category: CREDENTIAL_CATEGORIES[Number(file.metadata.category)],
+      issuer: file.metadata.issuer,
+      issuedAt: Number(file.metadata.issuedAt),
+      expiresAt: Number(file.metadata.expiresAt),
+      encryption: file.metadata.encryption
+    },
+    revokedAt: Number(file.revokedAt),
+    revocationReason: REVOCATION_REASONS[Number(file.revocationReason)],
+    issuedBy: file.issuedBy === ethers.ZeroAddress ? null : file.issuedBy
+  };
+  return { ...formatted, status: getCredentialStatus(formatted) };
+};
+
+/**
+ * Get all files for a user, including revoked and expired ones
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Array of file objects (see formatFile)
+ */
+export const getFiles = async (userId) => {
+  try {
+    // Read a page at a time so users with many files stay within node response limits
+    const files = [];
+    let cursor = null;
+    do {
+      const page = await getFilesPage(userId, { cursor, limit: MAX_PAGE_SIZE });
+      files.push(...page.files);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return files.reverse();
   } catch (error) {
     console.error('Error getting files:', error);
-    throw new Error(`Failed to get files: ${error.message}`);
+    throw decodeContractError(error, 'get files');
+  }
+};
+
+/**
+ * Get one page of a user's files, newest first
+ * Pass the returned nextCursor back to get the following page. The cursor is
+ * the last file ID seen, so uploads and deletions between calls never shift
+ * files into or out of later pages.
+ * @param {string} userId - The user's ID
+ * @param {Object} [options]
+ * @param {string|null} [options.cursor] - nextCursor from the previous page, or null for the first page
+ * @param {number} [options.limit=20] - Most files to return (1 to MAX_PAGE_SIZE)
+ * @param {Array<string>} [options.categories] - Only files in these CREDENTIAL_CATEGORIES (all if empty)
+ * @param {number} [options.uploadedFrom] - Only files uploaded at or after this time (unix seconds, 0 for no limit)
+ * @param {number} [options.uploadedTo] - Only files uploaded at or before this time (unix seconds, 0 for no limit)
+ * @returns {Promise<Object>} {files, nextCursor, remaining}: file objects (see formatFile), the cursor
+ *   for the next page (null on the last page), and the number of matching files from this page on
+ */
+export const getFilesPage = async (userId, {
+  cursor = null,
+  limit = 20,
+  categories = [],
+  uploadedFrom = 0,
+  uploadedTo = 0
+} = {}) => {
+  try {
+    // Bit n selects the nth category
+    const categoryMask = categories.reduce((mask, category) => {
+      const index = CREDENTIAL_CATEGORIES.indexOf(category);
+      if (index === -1) {
+        throw new Error(`Invalid credential category: ${category}`);
+      }
+      return mask | (1 << index);
+    }, 0);
+
+    const contract = getContract();
+    const filter = {
+      categories: categoryMask,
+      uploadedFrom,
+      uploadedTo,
+      beforeId: cursor || 0
+    };
+    const [page, total] = await contract.getFilesPage(userId, 0, limit, filter);
+
+    const files = page.map(formatFile);
+    const remaining = Number(total);
+    const hasMore = files.length > 0 && remaining > files.length;
+    return {
+      files,
+      nextCursor: hasMore ? String(files[files.length - 1].id) : null,
+      remaining
+    };
+  } catch (error) {
+    console.error('Error getting files page:', error);
+    throw decodeContractError(error, 'get files');
+  }
+};
+
+/**
+ * Get a single file by its permanent ID
+ * @param {number} fileId - The file ID
+ * @returns {Promise<Object>} File object (see formatFile)
+ */
+export const getFile = async (fileId) => {
+  try {
+    const contract = getContract();
+    const file = await contract.getFile(fileId);
+    return formatFile(file);
+  } catch (error) {
+    console.error('Error getting file:', error);
+    throw decodeContractError(error, 'get file');
   }
 };
 
@@ -135,25 +507,144 @@ export const getFileCount = async (userId) => {
     return Number(count);
   } catch (error) {
     console.error('Error getting file count:', error);
-    throw new Error(`Failed to get file count: ${error.message}`);
+    throw decodeContractError(error, 'get file count');
   }
 };
 
 /**
  * Delete a file from the blockchain
  * @param {string} userId - The user's ID
- * @param {number} fileIndex - The index of the file to delete
+ * @param {number} fileId - The permanent ID of the file to delete
+ * @param {Object} options - Transaction options
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
  * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
  */
-export const deleteFile = async (userId, fileIndex) => {
+export const deleteFile = async (userId, fileId, { feeTier } = {}) => {
   try {
     const contract = await getContractWithSigner();
-    const tx = await contract.deleteFile(userId, fileIndex);
-    const receipt = await tx.wait();
-    return receipt;
+    return await sendWithStatus(() => sendTransaction(contract, 'deleteFile', [userId, fileId], feeTier), {
+      type: 'delete',
+      description: `Delete file #${fileId}`,
+      meta: { fileId: Number(fileId) }
+    });
   } catch (error) {
     console.error('Error deleting file:', error);
-    throw new Error(`Failed to delete file: ${error.message}`);
+    throw decodeContractError(error, 'delete file');
+  }
+};
+
+/**
+ * Estimate the gas needed to delete a file
+ * @param {string} userId - The user's ID
+ * @param {number} fileId - The permanent ID of the file to delete
+ * @returns {Promise<bigint>} The gas estimate
+ */
+export const estimateDeleteFile = async (userId, fileId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await contract.deleteFile.estimateGas(userId, fileId);
+  } catch (error) {
+    console.error('Error estimating delete gas:', error);
+    throw decodeContractError(error, 'estimate delete fee');
+  }
+};
+
+/**
+ * Look up the contract's code for a revocation reason
+ * @param {string} reason - One of REVOCATION_REASONS (not 'none')
+ * @returns {number} The RevocationReason enum value
+ */
+const toReasonCode = (reason) => {
+  const reasonCode = REVOCATION_REASONS.indexOf(reason);
+  if (reasonCode < 1) {
+    throw new Error(`Invalid revocation reason: ${reason}`);
+  }
+  return reasonCode;
+};
+
+/**
+ * Mark a file as revoked, keeping it on record
+ * Revoking cannot be undone; the file stays listed with its history.
+ * @param {string} userId - The user's ID
+ * @param {number} fileId - The ID of the file to revoke
+ * @param {string} reason - One of REVOCATION_REASONS (not 'none')
+ * @param {Object} options - Transaction options
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const revokeFile = async (userId, fileId, reason, { feeTier } = {}) => {
+  const reasonCode = toReasonCode(reason);
+
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'revokeFile', [userId, fileId, reasonCode], feeTier), {
+      type: 'revoke-file',
+      description: `Revoke file #${fileId}`,
+      meta: { fileId: Number(fileId), reason }
+    });
+  } catch (error) {
+    console.error('Error revoking file:', error);
+    throw decodeContractError(error, 'revoke file');
+  }
+};
+
+/**
+ * Estimate the gas needed to revoke a file
+ * @param {string} userId - The user's ID
+ * @param {number} fileId - The ID of the file to revoke
+ * @param {string} reason - One of REVOCATION_REASONS (not 'none')
+ * @returns {Promise<bigint>} The gas estimate
+ */
+export const estimateRevokeFile = async (userId, fileId, reason) => {
+  const reasonCode = toReasonCode(reason);
+
+  try {
+    const contract = await getContractWithSigner();
+    return await contract.revokeFile.estimateGas(userId, fileId, reasonCode);
+  } catch (error) {
+    console.error('Error estimating revoke gas:', error);
+    throw decodeContractError(error, 'estimate revoke fee');
+  }
+};
+
+/**
+ * Set a file's expiry date, or bring it forward
+ * An expiry can only move earlier, never later or away.
+ * @param {string} userId - The user's ID
+ * @param {number} fileId - The ID of the file
+ * @param {number} expiresAt - The new expiry (unix seconds; a past date expires it now)
+ * @param {Object} options - Transaction options
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const setFileExpiry = async (userId, fileId, expiresAt, { feeTier } = {}) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'setFileExpiry', [userId, fileId, expiresAt], feeTier), {
+      type: 'set-expiry',
+      description: `Set expiry of file #${fileId}`,
+      meta: { fileId: Number(fileId), expiresAt }
+    });
+  } catch (error) {
+    console.error('Error setting file expiry:', error);
+    throw decodeContractError(error, 'set file expiry');
+  }
+};
+
+/**
+ * Estimate the gas needed to set a file's expiry
+ * @param {string} userId - The user's ID
+ * @param {number} fileId - The ID of the file
+ * @param {number} expiresAt - The new expiry (unix seconds)
+ * @returns {Promise<bigint>} The gas estimate
+ */
+export const estimateSetFileExpiry = async (userId, fileId, expiresAt) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await contract.setFileExpiry.estimateGas(userId, fileId, expiresAt);
+  } catch (error) {
+    console.error('Error estimating expiry gas:', error);
+    throw decodeContractError(error, 'estimate expiry fee');
   }
 };
 
@@ -172,6 +663,729 @@ export const isUserRegistered = async (walletAddress) => {
   }
 };
 
+/**
+ * Start moving a user ID to another wallet
+ * The new wallet can accept once the contract's waiting period has passed.
+ * Starting a new transfer replaces any pending one.
+ * @param {string} userId - The user ID, owned by the connected wallet
+ * @param {string} newWallet - The wallet to move it to
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const startTransfer = async (userId, newWallet) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'startTransfer', [userId, newWallet]), {
+      type: 'transfer-start',
+      description: `Start moving user ID ${userId}`,
+      meta: { userId, newWallet }
+    });
+  } catch (error) {
+    console.error('Error starting transfer:', error);
+    throw decodeContractError(error, 'start transfer');
+  }
+};
+
+/**
+ * Cancel a pending user ID transfer (from either the current or the new wallet)
+ * @param {string} userId - The user ID being moved
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const cancelTransfer = async (userId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'cancelTransfer', [userId]), {
+      type: 'transfer-cancel',
+      description: `Cancel moving user ID ${userId}`,
+      meta: { userId }
+    });
+  } catch (error) {
+    console.error('Error cancelling transfer:', error);
+    throw decodeContractError(error, 'cancel transfer');
+  }
+};
+
+/**
+ * Accept a user ID moved to the connected wallet
+ * Relayed when possible, since a fresh wallet may not hold any ETH yet.
+ * @param {string} userId - The user ID being moved
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const acceptTransfer = async (userId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'acceptTransfer', [userId]), {
+      type: 'transfer-accept',
+      description: `Accept user ID ${userId}`,
+      meta: { userId }
+    });
+  } catch (error) {
+    console.error('Error accepting transfer:', error);
+    throw decodeContractError(error, 'accept transfer');
+  }
+};
+
+/**
+ * Get the pending transfer of a user ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} {newWallet, readyAt} (readyAt in seconds), or null if none is pending
+ */
+export const getPendingTransfer = async (userId) => {
+  try {
+    const contract = getContract();
+    const [newWallet, readyAt] = await contract.getPendingTransfer(userId);
+    if (newWallet === ethers.ZeroAddress) {
+      return null;
+    }
+    return { newWallet, readyAt: Number(readyAt) };
+  } catch (error) {
+    console.error('Error getting pending transfer:', error);
+    throw decodeContractError(error, 'get pending transfer');
+  }
+};
+
+/**
+ * Get the user ID being moved to a wallet
+ * @param {string} walletAddress - The receiving wallet
+ * @returns {Promise<string>} The user ID or empty string if none is incoming
+ */
+export const getIncomingTransfer = async (walletAddress) => {
+  try {
+    const contract = getContract();
+    return await contract.getIncomingTransfer(walletAddress);
+  } catch (error) {
+    console.error('Error getting incoming transfer:', error);
+    throw decodeContractError(error, 'get incoming transfer');
+  }
+};
+
+/**
+ * Get how long a new wallet must wait before accepting a transfer
+ * @returns {Promise<number>} The waiting period in seconds
+ */
+export const getTransferDelay = async () => {
+  try {
+    const contract = getContract();
+    return Number(await contract.TRANSFER_DELAY());
+  } catch (error) {
+    console.error('Error getting transfer delay:', error);
+    throw decodeContractError(error, 'get transfer delay');
+  }
+};
+
+/**
+ * Record a verifier's review of a file
+ * @param {number} fileId - The ID of the file being reviewed
+ * @param {string} status - One of ATTESTATION_STATUSES
+ * @param {string} noteCid - Optional IPFS CID of a note explaining the outcome
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const attestFile = async (fileId, status, noteCid = '') => {
+  const statusCode = ATTESTATION_STATUSES.indexOf(status);
+  if (statusCode === -1) {
+    throw new Error(`Invalid attestation status: ${status}`);
+  }
+
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => contract.attestFile(fileId, statusCode, noteCid), {
+      type: 'attest',
+      description: `Mark file #${fileId} ${status}`,
+      meta: { fileId: Number(fileId) }
+    });
+  } catch (error) {
+    console.error('Error attesting file:', error);
+    throw decodeContractError(error, 'attest file');
+  }
+};
+
+/**
+ * Get the attestation history of a file
+ * @param {number} fileId - The file ID
+ * @returns {Promise<Array>} Array of attestation objects {verifier, status, noteCid, timestamp, date}, oldest first
+ */
+export const getAttestations = async (fileId) => {
+  try {
+    const contract = getContract();
+    const attestations = await contract.getAttestations(fileId);
+
+    return attestations.map((attestation) => ({
+      verifier: attestation.verifier,
+      status: ATTESTATION_STATUSES[Number(attestation.status)],
+      noteCid: attestation.noteCid,
+      timestamp: Number(attestation.timestamp),
+      date: new Date(Number(attestation.timestamp) * 1000).toLocaleString()
+    }));
+  } catch (error) {
+    console.error('Error getting attestations:', error);
+    throw decodeContractError(error, 'get attestations');
+  }
+};
+
+/**
+ * Check if a wallet is a registered verifier
+ * @param {string} walletAddress - The wallet address to check
+ * @returns {Promise<boolean>} True if the wallet can attest to files
+ */
+export const isVerifier = async (walletAddress) => {
+  try {
+    const contract = getContract();
+    return await contract.isVerifier(walletAddress);
+  } catch (error) {
+    console.error('Error checking verifier:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the organization name a wallet is registered under as an issuer
+ * @param {string} walletAddress - The wallet address to look up
+ * @returns {Promise<string>} The issuer's name or empty string if it is not an issuer
+ */
+export const getIssuer = async (walletAddress) => {
+  try {
+    const contract = getContract();
+    return await contract.issuers(walletAddress);
+  } catch (error) {
+    console.error('Error getting issuer:', error);
+    throw decodeContractError(error, 'get issuer');
+  }
+};
+
+/**
+ * Check if a wallet is a registered issuer
+ * @param {string} walletAddress - The wallet address to check
+ * @returns {Promise<boolean>} True if the wallet can issue credentials
+ */
+export const isIssuer = async (walletAddress) => {
+  try {
+    const contract = getContract();
+    return await contract.isIssuer(walletAddress);
+  } catch (error) {
+    console.error('Error checking issuer:', error);
+    return false;
+  }
+};
+
+/**
+ * Offer a credential to a user from the connected issuer wallet
+ * The file only joins the user's files once they accept it. The contract
+ * sets metadata.issuer to the issuer's registered name.
+ * @param {string} userId - The user ID to issue it to
+ * @param {Object} upload - The file: {cid, name, metadata} (see uploadFileMetadata)
+ * @param {Object} options - Transaction options
+ * @param {Function} options.onStatus - Receives transaction stage updates (see sendWithStatus)
+ * @param {string} options.feeTier - Fee tier to pay (see fees.js; wallet default if omitted)
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const issueCredential = async (userId, { cid, name, metadata = {} }, { onStatus, feeTier } = {}) => {
+  try {
+    const contract = await getContractWithSigner();
+    const upload = { cid, name, metadata: toMetadataStruct(metadata) };
+    return await sendWithStatus(
+      () => sendTransaction(contract, 'issueCredential', [userId, upload], feeTier),
+      {
+        type: 'issue',
+        description: `Issue ${name} to ${userId}`,
+        meta: { userId, contentHashes: metadata.contentHash ? [metadata.contentHash] : [] }
+      },
+      onStatus
+    );
+  } catch (error) {
+    console.error('Error issuing credential:', error);
+    throw decodeContractError(error, 'issue credential');
+  }
+};
+
+/**
+ * Add a credential an issuer offered to the user's files
+ * @param {string} userId - The user's ID
+ * @param {number} offerId - The offer to accept
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const acceptCredential = async (userId, offerId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'acceptCredential', [userId, offerId]), {
+      type: 'accept-credential',
+      description: `Accept credential #${offerId}`,
+      meta: { userId, offerId: Number(offerId) }
+    });
+  } catch (error) {
+    console.error('Error accepting credential:', error);
+    throw decodeContractError(error, 'accept credential');
+  }
+};
+
+/**
+ * Turn down a credential an issuer offered
+ * @param {string} userId - The user's ID
+ * @param {number} offerId - The offer to decline
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const declineCredential = async (userId, offerId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'declineCredential', [userId, offerId]), {
+      type: 'decline-credential',
+      description: `Decline credential #${offerId}`,
+      meta: { userId, offerId: Number(offerId) }
+    });
+  } catch (error) {
+    console.error('Error declining credential:', error);
+    throw decodeContractError(error, 'decline credential');
+  }
+};
+
+/**
+ * Take back a credential offer from the connected issuer wallet
+ * @param {number} offerId - The offer to withdraw
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const withdrawCredential = async (offerId) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'withdrawCredential', [offerId]), {
+      type: 'withdraw-credential',
+      description: `Withdraw credential #${offerId}`,
+      meta: { offerId: Number(offerId) }
+    });
+  } catch (error) {
+    console.error('Error withdrawing credential:', error);
+    throw decodeContractError(error, 'withdraw credential');
+  }
+};
+
+/**
+ * Get the credentials waiting for a user's answer
+ * Offers have the same shape as files; id is the offer ID, timestamp is
+ * when it was issued and issuedBy is the issuer's wallet.
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Array of offer objects (see formatFile)
+ */
+export const getPendingCredentials = async (userId) => {
+  try {
+    const contract = getContract();
+    const offers = await contract.getPendingCredentials(userId);
+    return offers.map(formatFile);
+  } catch (error) {
+    console.error('Error getting pending credentials:', error);
+    throw decodeContractError(error, 'get pending credentials');
+  }
+};
+
+/**
+ * List the credentials an issuer has offered and what became of them
+ * Built from the issuer's CredentialIssued events and the events that close its offers,
+ * all selected by their indexed issuer topic.
+ * @param {string} issuerAddress - The issuer's wallet
+ * @returns {Promise<Array>} Array of {offerId, userId, name, issuedAtBlock, state, fileId},
+ *   newest first; state is 'pending', 'accepted', 'declined' or 'withdrawn' and
+ *   fileId is set once accepted
+ */
+export const getIssuedCredentials = async (issuerAddress) => {
+  try {
+    const contract = getContract();
+    const issued = await queryEvents(contract, contract.filters.CredentialIssued(null, issuerAddress));
+    if (issued.length === 0) {
+      return [];
+    }
+
+    const [accepted, declined, withdrawn] = await Promise.all([
+      queryEvents(contract, contract.filters.CredentialAccepted(null, null, issuerAddress)),
+      queryEvents(contract, contract.filters.CredentialDeclined(null, issuerAddress)),
+      queryEvents(contract, contract.filters.CredentialWithdrawn(null, issuerAddress))
+    ]);
+
+    const outcomes = new Map();
+    accepted.forEach((event) => {
+      outcomes.set(Number(event.args.offerId), { state: 'accepted', fileId: Number(event.args.fileId) });
+    });
+    declined.forEach((event) => outcomes.set(Number(event.args.offerId), { state: 'declined', fileId: null }));
+    withdrawn.forEach((event) => outcomes.set(Number(event.args.offerId), { state: 'withdrawn', fileId: null }));
+
+    return issued
+      .map((event) => ({
+        offerId: Number(event.args.offerId),
+        userId: event.args.userId,
+        name: event.args.name,
+        issuedAtBlock: event.blockNumber,
+        ...(outcomes.get(Number(event.args.offerId)) || { state: 'pending', fileId: null })
+      }))
+      .reverse();
+  } catch (error) {
+    console.error('Error getting issued credentials:', error);
+    throw decodeContractError(error, 'get issued credentials');
+  }
+};
+
+/**
+ * Publish the connected wallet's encryption public key
+ * @param {string} publicKey - Compressed secp256k1 public key (0x-prefixed hex)
+ * @param {string} label - Display name shown to file owners
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const setEncryptionKey = async (publicKey, label) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => contract.setEncryptionKey(publicKey, label), {
+      type: 'set-key',
+      description: 'Publish encryption key'
+    });
+  } catch (error) {
+    console.error('Error setting encryption key:', error);
+    throw decodeContractError(error, 'set encryption key');
+  }
+};
+
+/**
+ * Get the encryption public key a wallet has published
+ * @param {string} walletAddress - The wallet address to look up
+ * @returns {Promise<string>} The public key (0x-prefixed hex) or empty string if none
+ */
+export const getEncryptionKey = async (walletAddress) => {
+  try {
+    const contract = getContract();
+    const publicKey = await contract.encryptionKeys(walletAddress);
+    return publicKey === '0x' ? '' : publicKey;
+  } catch (error) {
+    console.error('Error getting encryption key:', error);
+    throw decodeContractError(error, 'get encryption key');
+  }
+};
+
+/**
+ * List every wallet that has published an encryption key
+ * Built from EncryptionKeySet events; the latest label per wallet wins.
+ * @returns {Promise<Array>} Array of {address, publicKey, label}
+ */
+export const getValuatorDirectory = async () => {
+  try {
+    const contract = getContract();
+    const events = await queryEvents(contract, contract.filters.EncryptionKeySet());
+
+    const directory = new Map();
+    events.forEach((event) => {
+      directory.set(event.args.account, {
+        address: event.args.account,
+        publicKey: event.args.publicKey,
+        label: event.args.label
+      });
+    });
+    return Array.from(directory.values());
+  } catch (error) {
+    console.error('Error getting valuator directory:', error);
+    throw decodeContractError(error, 'get valuator directory');
+  }
+};
+
+/**
+ * Grant a wallet access to one or more encrypted files
+ * @param {string} userId - The owner's user ID
+ * @param {number[]} fileIds - The files to share
+ * @param {string} grantee - The wallet receiving access
+ * @param {Uint8Array[]} grantKeys - Each file key wrapped for the grantee (same order as fileIds)
+ * @param {number} expiresAt - When access ends (unix seconds, 0 if never)
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const grantAccess = async (userId, fileIds, grantee, grantKeys, expiresAt = 0) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => contract.grantAccess(userId, fileIds, grantee, grantKeys, expiresAt), {
+      type: 'grant',
+      description: `Share ${fileIds.length === 1 ? 'a file' : `${fileIds.length} files`}`,
+      meta: { fileIds: fileIds.map(Number), grantee }
+    });
+  } catch (error) {
+    console.error('Error granting access:', error);
+    throw decodeContractError(error, 'grant access');
+  }
+};
+
+/**
+ * Revoke a wallet's access to a file
+ * @param {string} userId - The owner's user ID
+ * @param {number} fileId - The shared file
+ * @param {string} grantee - The wallet losing access
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const revokeAccess = async (userId, fileId, grantee) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => contract.revokeAccess(userId, fileId, grantee), {
+      type: 'revoke',
+      description: `Revoke access to file #${fileId}`,
+      meta: { fileId: Number(fileId), grantee }
+    });
+  } catch (error) {
+    console.error('Error revoking access:', error);
+    throw decodeContractError(error, 'revoke access');
+  }
+};
+
+/**
+ * Transform an AccessGrant struct returned by the contract into a plain object
+ * @param {string} grantee - The wallet the grant belongs to
+ * @param {Object} grant - The raw AccessGrant struct
+ * @returns {Object} Grant object {grantee, grantKey, grantedAt, expiresAt, revoked, active}
+ */
+const formatGrant = (grantee, grant) => {
+  const grantedAt = Number(grant.grantedAt);
+  const expiresAt = Number(grant.expiresAt);
+  const expired = expiresAt > 0 && expiresAt * 1000 < Date.now();
+
+  return {
+    grantee,
+    grantKey: grant.wrappedKey,
+    grantedAt,
+    expiresAt,
+    revoked: grant.revoked,
+    active: grantedAt > 0 && !grant.revoked && !expired
+  };
+};
+
+/**
+ * Get a wallet's access grant for a file
+ * @param {number} fileId - The file ID
+ * @param {string} grantee - The wallet address
+ * @returns {Promise<Object>} Grant object (grantedAt is 0 if never granted)
+ */
+export const getAccessGrant = async (fileId, grantee) => {
+  try {
+    const contract = getContract();
+    const grant = await contract.getAccessGrant(fileId, grantee);
+    return formatGrant(grantee, grant);
+  } catch (error) {
+    console.error('Error getting access grant:', error);
+    throw decodeContractError(error, 'get access grant');
+  }
+};
+
+/**
+ * Get every grant ever made for a file
+ * @param {number} fileId - The file ID
+ * @returns {Promise<Array>} Array of grant objects, including revoked and expired ones
+ */
+export const getFileGrants = async (fileId) => {
+  try {
+    const contract = getContract();
+    const grantees = await contract.getFileGrantees(fileId);
+    const grants = await Promise.all(
+      grantees.map((grantee) => contract.getAccessGrant(fileId, grantee))
+    );
+    return grantees.map((grantee, i) => formatGrant(grantee, grants[i]));
+  } catch (error) {
+    console.error('Error getting file grants:', error);
+    throw decodeContractError(error, 'get file grants');
+  }
+};
+
+/**
+ * Check if a wallet holds a role
+ * @param {string} role - One of the keys of ROLES
+ * @param {string} walletAddress - The wallet address to check
+ * @returns {Promise<boolean>} True if the wallet has the role
+ */
+export const hasRole = async (role, walletAddress) => {
+  try {
+    const contract = getContract();
+    return await contract.hasRole(ROLES[role], walletAddress);
+  } catch (error) {
+    console.error('Error checking role:', error);
+    return false;
+  }
+};
+
+/**
+ * Give a wallet a role (admin only)
+ * Issuers also need a name, so use addIssuer for them instead.
+ * @param {string} role - One of the keys of ROLES
+ * @param {string} walletAddress - The wallet receiving the role
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const grantRole = async (role, walletAddress) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'grantRole', [ROLES[role], walletAddress]), {
+      type: 'grant-role',
+      description: `Grant ${role} role to ${walletAddress.slice(0, 10)}...`,
+      meta: { role, account: walletAddress }
+    });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    throw decodeContractError(error, 'grant role');
+  }
+};
+
+/**
+ * Take a role away from a wallet (admin only)
+ * @param {string} role - One of the keys of ROLES
+ * @param {string} walletAddress - The wallet losing the role
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const revokeRole = async (role, walletAddress) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'revokeRole', [ROLES[role], walletAddress]), {
+      type: 'revoke-role',
+      description: `Revoke ${role} role from ${walletAddress.slice(0, 10)}...`,
+      meta: { role, account: walletAddress }
+    });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    throw decodeContractError(error, 'revoke role');
+  }
+};
+
+/**
+ * Name an issuer's organization and give it the issuer role (admin only)
+ * Calling it again for the same wallet renames the issuer.
+ * @param {string} walletAddress - The organization's wallet
+ * @param {string} name - The name shown on the credentials it issues
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const addIssuer = async (walletAddress, name) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, 'addIssuer', [walletAddress, name]), {
+      type: 'grant-role',
+      description: `Add issuer ${name}`,
+      meta: { role: 'issuer', account: walletAddress }
+    });
+  } catch (error) {
+    console.error('Error adding issuer:', error);
+    throw decodeContractError(error, 'add issuer');
+  }
+};
+
+/**
+ * Check if the registry is paused
+ * @returns {Promise<boolean>} True while state-changing calls are frozen
+ */
+export const isPaused = async () => {
+  try {
+    const contract = getContract();
+    return await contract.paused();
+  } catch (error) {
+    console.error('Error checking pause state:', error);
+    return false;
+  }
+};
+
+/**
+ * Freeze or unfreeze the registry (admin only)
+ * @param {boolean} paused - True to pause, false to unpause
+ * @returns {Promise<ethers.TransactionReceipt>} The transaction receipt
+ */
+export const setPaused = async (paused) => {
+  try {
+    const contract = await getContractWithSigner();
+    return await sendWithStatus(() => sendTransaction(contract, paused ? 'pause' : 'unpause', []), {
+      type: paused ? 'pause' : 'unpause',
+      description: paused ? 'Pause the registry' : 'Unpause the registry'
+    });
+  } catch (error) {
+    console.error('Error changing pause state:', error);
+    throw decodeContractError(error, paused ? 'pause the registry' : 'unpause the registry');
+  }
+};
+
+/**
+ * Get the history of role changes, issuer names and pauses
+ * Built from RoleGranted, RoleRevoked, IssuerAdded, Paused and Unpaused events.
+ * @returns {Promise<Array>} Array of {type, role, account, name, sender, blockNumber,
+ *   transactionHash, timestamp}, oldest first; type is 'granted', 'revoked',
+ *   'issuer-named', 'paused' or 'unpaused', and role is a key of ROLES (or the
+ *   raw role ID if it isn't one)
+ */
+export const getRoleHistory = async () => {
+  try {
+    const contract = getContract();
+    const roleNames = Object.fromEntries(Object.entries(ROLES).map(([name, id]) => [id, name]));
+    const [granted, revoked, named, paused, unpaused] = await Promise.all([
+      queryEvents(contract, contract.filters.RoleGranted()),
+      queryEvents(contract, contract.filters.RoleRevoked()),
+      queryEvents(contract, contract.filters.IssuerAdded()),
+      queryEvents(contract, contract.filters.Paused()),
+      queryEvents(contract, contract.filters.Unpaused())
+    ]);
+
+    const toRecord = (type) => (event) => ({
+      type,
+      role: event.args.role ? roleNames[event.args.role] || event.args.role : type === 'issuer-named' ? 'issuer' : null,
+      account: event.args.account || event.args.issuer || null,
+      name: event.args.name || '',
+      sender: event.args.sender || null,
+      blockNumber: event.blockNumber,
+      logIndex: event.index,
+      transactionHash: event.transactionHash
+    });
+    const records = [
+      ...granted.map(toRecord('granted')),
+      ...revoked.map(toRecord('revoked')),
+      ...named.map(toRecord('issuer-named')),
+      ...paused.map(toRecord('paused')),
+      ...unpaused.map(toRecord('unpaused'))
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // One lookup per block for the timestamps
+    const provider = getProvider();
+    const blockNumbers = [...new Set(records.map((record) => record.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((number) => provider.getBlock(number)));
+    const timestamps = Object.fromEntries(blocks.map((block) => [block.number, block.timestamp]));
+
+    return records.map(({ logIndex, ...record }) => ({ ...record, timestamp: timestamps[record.blockNumber] }));
+  } catch (error) {
+    console.error('Error getting role history:', error);
+    throw decodeContractError(error, 'get role history');
+  }
+};
+
+/**
+ * Watch for files being uploaded, deleted, revoked or re-dated for a user
+ * Events are not indexed by user ID, so every file event is received
+ * and filtered here.
+ * @param {string} userId - The user's ID
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onUpload - Called with (fileId, {owner, cid, name})
+ * @param {Function} handlers.onDelete - Called with (fileId, {owner})
+ * @param {Function} handlers.onStatusChange - Called with (fileId) after a revocation or expiry change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToFileEvents = (userId, { onUpload, onDelete, onStatusChange } = {}) => {
+  const contract = getContract();
+
+  const handleUpload = (owner, fileId, eventUserId, cid, name) => {
+    if (eventUserId === userId && onUpload) {
+      onUpload(Number(fileId), { owner, cid, name });
+    }
+  };
+
+  const handleDelete = (owner, fileId, eventUserId) => {
+    if (eventUserId === userId && onDelete) {
+      onDelete(Number(fileId), { owner });
+    }
+  };
+
+  const handleStatusChange = (owner, fileId, eventUserId) => {
+    if (eventUserId === userId && onStatusChange) {
+      onStatusChange(Number(fileId));
+    }
+  };
+
+  const logError = (error) => console.error('Error subscribing to file events:', error);
+  contract.on('FileUploaded', handleUpload).catch(logError);
+  contract.on('FileDeleted', handleDelete).catch(logError);
+  contract.on('FileRevoked', handleStatusChange).catch(logError);
+  contract.on('FileExpiryChanged', handleStatusChange).catch(logError);
+
+  return () => {
+    contract.off('FileUploaded', handleUpload).catch(logError);
+    contract.off('FileDeleted', handleDelete).catch(logError);
+    contract.off('FileRevoked', handleStatusChange).catch(logError);
+    contract.off('FileExpiryChanged', handleStatusChange).catch(logError);
+  };
+};
+
 /**
  * Reset contract instances (useful when switching accounts)
  */
@@ -184,11 +1398,54 @@ export default {
   getContract,
   getContractWithSigner,
   registerUser,
+  estimateRegisterUser,
   getUserId,
   uploadFileMetadata,
+  uploadFilesMetadata,
+  estimateUploadFile,
   getFiles,
+  getFilesPage,
+  getFile,
   getFileCount,
   deleteFile,
+  estimateDeleteFile,
+  revokeFile,
+  estimateRevokeFile,
+  setFileExpiry,
+  estimateSetFileExpiry,
+  getCredentialStatus,
   isUserRegistered,
+  startTransfer,
+  cancelTransfer,
+  acceptTransfer,
+  getPendingTransfer,
+  getIncomingTransfer,
+  getTransferDelay,
+  attestFile,
+  getAttestations,
+  isVerifier,
+  getIssuer,
+  isIssuer,
+  issueCredential,
+  acceptCredential,
+  declineCredential,
+  withdrawCredential,
+  getPendingCredentials,
+  getIssuedCredentials,
+  hasRole,
+  grantRole,
+  revokeRole,
+  addIssuer,
+  isPaused,
+  setPaused,
+  getRoleHistory,
+  setEncryptionKey,
+  getEncryptionKey,
+  getValuatorDirectory,
+  grantAccess,
+  revokeAccess,
+  getAccessGrant,
+  getFileGrants,
+  subscribeToFileEvents,
   resetContractInstances
 };
@@ -0,0 +1,324 @@
+/**
+ * Contract Errors
+ *
+ * This module turns the errors thrown by wallets, RPC nodes and ethers
+ * into typed errors with messages users can act on, instead of raw
+ * revert dumps. FileRegistry reverts with "Category: detail" strings,
+ * which are mapped to friendly text below; custom errors are decoded
+ * from the ABI if the contract declares any.
+ */
+
+import { ethers } from 'ethers';
+import FileRegistryABI from '../abi/FileRegistry.json';
+
+const registryInterface = new ethers.Interface(FileRegistryABI.abi);
+
+/**
+ * Base class for errors raised while talking to the contract
+ */
+export class ContractError extends Error {
+  /**
+   * @param {string} message - What went wrong, in words the user can act on
+   * @param {Object} details - Error details
+   * @param {string} details.action - What was being attempted (e.g. 'register user')
+   * @param {Error} [details.cause] - The original error
+   */
+  constructor(message, { action, cause } = {}) {
+    super(message);
+    this.name = 'ContractError';
+    this.action = action;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The user rejected the request in their wallet
+ */
+export class UserRejectedError extends ContractError {
+  constructor(details) {
+    super('You cancelled the request in your wallet.', details);
+    this.name = 'UserRejectedError';
+  }
+}
+
+/**
+ * The wallet cannot pay for gas
+ */
+export class InsufficientFundsError extends ContractError {
+  constructor(details) {
+    super("Your wallet doesn't have enough ETH to pay the transaction fee.", details);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+/**
+ * The wallet's transaction count is out of step with the chain
+ */
+export class NonceError extends ContractError {
+  constructor(details) {
+    super(
+      "Your wallet's transaction count is out of sync with the network. " +
+        'Clear the activity for this account in your wallet and try again.',
+      details
+    );
+    this.name = 'NonceError';
+  }
+}
+
+/**
+ * The blockchain node could not be reached
+ */
+export class NetworkError extends ContractError {
+  constructor(details) {
+    super("Can't reach the blockchain network. Check your connection and that the node is running.", details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * A sent transaction disappeared from the network without being mined
+ */
+export class TransactionDroppedError extends ContractError {
+  constructor(details) {
+    super('The transaction was dropped by the network and never mined. Please try again.', details);
+    this.name = 'TransactionDroppedError';
+  }
+}
+
+/**
+ * A sent transaction was replaced by a different one (cancelled in the wallet)
+ */
+export class TransactionCancelledError extends ContractError {
+  /**
+   * @param {Object} details - Error details, plus:
+   * @param {string|null} details.replacedBy - Hash of the transaction that took its place
+   */
+  constructor(details) {
+    super('The transaction was cancelled or replaced in your wallet.', details);
+    this.name = 'TransactionCancelledError';
+    this.replacedBy = details.replacedBy || null;
+  }
+}
+
+/**
+ * The contract rejected the call
+ */
+export class RevertError extends ContractError {
+  /**
+   * @param {string} message - The friendly message
+   * @param {Object} details - Error details, plus:
+   * @param {string} details.reason - The revert reason or custom error name
+   * @param {Array} [details.args] - Custom error arguments
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RevertError';
+    this.reason = details.reason;
+    this.args = details.args || [];
+  }
+}
+
+/**
+ * The caller is not allowed to do this
+ */
+export class NotAuthorizedError extends RevertError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotAuthorizedError';
+  }
+}
+
+/**
+ * The file, grant or user the call refers to does not exist
+ */
+export class NotFoundError extends RevertError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Friendly text for FileRegistry revert reasons
+const REVERT_MESSAGES = {
+  'User ID taken: This ID is already registered': 'That User ID is already taken. Please choose another.',
+  'Already registered: This wallet already has a user ID': 'This wallet already has a User ID.',
+  'Not authorized: Admin only': 'Only the contract admin can do this.',
+  'Not authorized: Verifier only': 'Only registered verifiers can do this.',
+  "Not authorized: You don't own this user ID": "This wallet doesn't own that User ID.",
+  'Not authorized: File belongs to another user ID': 'That file belongs to another user.',
+  'Invalid file ID: File does not exist': 'That file no longer exists.',
+  'No active grant for this wallet': 'This wallet has no active access grant for that file.',
+  'Grantee has no encryption key': 'That valuator has not enabled shared files yet.',
+  'Invalid expiry: Must be in the future': 'The expiry date must be in the future.',
+  'Invalid dates: Expiry must be after issue date': 'The expiry date must be after the issue date.',
+  'Invalid wallet address': 'Enter a valid wallet address.',
+  'Invalid wallet: Already owns this user ID': 'That wallet already owns this User ID.',
+  'Transfer pending: This wallet is already receiving another user ID':
+    'That wallet is already receiving another User ID.',
+  'No transfer pending for this user ID': 'There is no transfer pending for this User ID.',
+  'Not authorized: Only the owner or new wallet can cancel':
+    'Only the current or the receiving wallet can cancel this transfer.',
+  'Not authorized: No transfer to this wallet': 'No User ID is being transferred to this wallet.',
+  'Transfer locked: Waiting period has not passed': "The transfer's waiting period hasn't passed yet.",
+  'Invalid reason: A revocation reason is required': 'Choose why the file is being revoked.',
+  'Already revoked: This file is revoked': 'That file has already been revoked.',
+  'Invalid expiry: Can only be brought forward': 'An expiry date can only be moved earlier.',
+  'Not authorized: Issuer only': 'Only registered issuers can do this.',
+  'Invalid issuer address': 'Enter a valid issuer wallet address.',
+  'Issuer name cannot be empty': "Enter the issuer's name.",
+  'Issuer name too long (max 100 chars)': 'Issuer names can be at most 100 characters.',
+  'Issuer name not set: Add the issuer by name':
+    'This wallet has the issuer role but no name yet. Ask the admin to add it by name.',
+  'Pausable: paused': 'The registry is paused for maintenance. Please try again later.',
+  'Pausable: not paused': 'The registry is not paused.',
+  'AccessControl: can only renounce roles for self': 'Wallets can only give up their own roles.',
+  'Unknown user ID: Not registered': 'No user has registered that User ID.',
+  'Issuer removed: This issuer is no longer registered':
+    "The issuer of this credential is no longer registered, so it can't be accepted.",
+  'Not authorized: Not your credential offer': 'Only the issuer of this credential can withdraw it.',
+  'No credential offer: Offer does not exist or was answered':
+    'That credential offer was already answered or withdrawn.',
+  'Invalid limit: Must be 1 to 100': 'Files can be listed 1 to 100 at a time.'
+};
+
+// Friendly text for custom errors, keyed by error name
+const CUSTOM_ERROR_MESSAGES = {};
+
+/**
+ * Pick the error class for a revert reason
+ * @param {string} reason - The revert reason or custom error name
+ * @returns {Function} The error class
+ */
+const revertClassFor = (reason) => {
+  if (/^(Not authorized|Unauthorized)/.test(reason)) return NotAuthorizedError;
+  if (/^(Invalid file ID|No active grant|No transfer pending|Unknown user ID|No credential offer|NotFound)/.test(reason)) {
+    return NotFoundError;
+  }
+  return RevertError;
+};
+
+/**
+ * Collect every nested error object ethers, wallets and nodes attach
+ * @param {Object} error - The outermost error
+ * @returns {Object[]} The error and all errors nested inside it
+ */
+const flattenError = (error) => {
+  const found = [];
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > 5 || found.includes(value)) return;
+    found.push(value);
+    ['error', 'info', 'data', 'cause'].forEach((key) => visit(value[key], depth + 1));
+  };
+  visit(error, 0);
+  return found;
+};
+
+/**
+ * Find the revert reason in an error, if the contract rejected the call
+ * @param {Object[]} errors - The flattened error chain
+ * @returns {Object|null} { reason, args } or null if this is not a revert
+ */
+const findRevert = (errors) => {
+  for (const error of errors) {
+    // ethers already decoded it
+    if (error.revert?.name) {
+      const { name, args } = error.revert;
+      return name === 'Error' ? { reason: args[0], args: [] } : { reason: name, args: [...args] };
+    }
+    // Node payloads carry no code; other ethers errors use reason for something else
+    const isCallError = error.code === 'CALL_EXCEPTION' || error.code === undefined;
+    if (isCallError && typeof error.reason === 'string' && error.reason) {
+      return { reason: error.reason, args: [] };
+    }
+
+    // Raw revert data from the node
+    const data = typeof error.data === 'string' ? error.data : error.data?.data;
+    if (typeof data === 'string' && /^0x[0-9a-f]{8}/i.test(data)) {
+      try {
+        const parsed = registryInterface.parseError(data);
+        if (parsed) {
+          return parsed.name === 'Error'
+            ? { reason: parsed.args[0], args: [] }
+            : { reason: parsed.name, args: [...parsed.args] };
+        }
+      } catch (_) {
+        // Not an error we know; keep looking
+      }
+    }
+  }
+
+  // Nodes that only report the reason inside their message text
+  for (const error of errors) {
+    const match = /execution reverted:\s*"?([^\n"]+)|\brevert\s+([^\n"]+)/i.exec(error.message || '');
+    if (match) {
+      return { reason: (match[1] || match[2]).trim(), args: [] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn any error from a contract call into a typed error
+ * @param {Error} error - The error that was thrown
+ * @param {string} action - What was being attempted (e.g. 'register user')
+ * @returns {ContractError} The decoded error
+ */
+export const decodeContractError = (error, action) => {
+  if (error instanceof ContractError) {
+    return error;
+  }
+
+  const details = { action, cause: error };
+  const errors = flattenError(error);
+  const codes = errors.map((e) => e.code);
+  const messages = errors.map((e) => String(e.message || '')).join('\n');
+
+  if (codes.includes('ACTION_REJECTED') || codes.includes(4001)) {
+    return new UserRejectedError(details);
+  }
+  if (codes.includes('INSUFFICIENT_FUNDS') || /insufficient funds/i.test(messages)) {
+    return new InsufficientFundsError(details);
+  }
+  if (
+    codes.includes('NONCE_EXPIRED') ||
+    codes.includes('REPLACEMENT_UNDERPRICED') ||
+    /nonce too (low|high)|invalid nonce|(in)?correct nonce/i.test(messages)
+  ) {
+    return new NonceError(details);
+  }
+
+  const revert = findRevert(errors);
+  if (revert) {
+    const message = REVERT_MESSAGES[revert.reason] ||
+      CUSTOM_ERROR_MESSAGES[revert.reason] ||
+      `The contract rejected this request: ${revert.reason}`;
+    const ErrorClass = revertClassFor(revert.reason);
+    return new ErrorClass(message, { ...details, ...revert });
+  }
+  if (codes.includes('CALL_EXCEPTION')) {
+    return new RevertError('The contract rejected this request.', { ...details, reason: '' });
+  }
+
+  if (
+    codes.some((code) => ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(code)) ||
+    /failed to fetch|could not detect network|ECONNREFUSED|network error/i.test(messages)
+  ) {
+    return new NetworkError(details);
+  }
+
+  return new ContractError(`Failed to ${action}: ${error.message}`, details);
+};
+
+export default {
+  ContractError,
+  UserRejectedError,
+  InsufficientFundsError,
+  NonceError,
+  NetworkError,
+  TransactionDroppedError,
+  TransactionCancelledError,
+  RevertError,
+  NotAuthorizedError,
+  NotFoundError,
+  decodeContractError
+};
@@ -0,0 +1,129 @@
+/**
+ * Fee Estimates
+ *
+ * This module works out what a transaction will cost before the wallet
+ * is asked to sign it. On EIP-1559 networks each fee tier pays a tip
+ * taken from what recent blocks paid (the 10th, 50th and 90th
+ * percentile); on older networks the tiers scale the node's gas price.
+ */
+
+import { ethers } from 'ethers';
+import { getProvider } from './web3';
+
+export const FEE_TIERS = ['slow', 'normal', 'fast'];
+
+// Tip percentile used for each tier
+const TIER_PERCENTILES = { slow: 10, normal: 50, fast: 90 };
+
+// Gas price multiplier (percent) for each tier on networks without EIP-1559
+const LEGACY_MULTIPLIERS = { slow: 90n, normal: 100n, fast: 125n };
+
+// How many recent blocks to take tips from
+const FEE_HISTORY_BLOCKS = 20;
+
+// Lowest tip offered, so transactions on quiet chains still get mined (1 gwei)
+const MIN_PRIORITY_FEE = ethers.parseUnits('1', 'gwei');
+
+/**
+ * Get the middle value of a list of fees
+ * @param {bigint[]} values - The fees
+ * @returns {bigint} The median (0 if the list is empty)
+ */
+const median = (values) => {
+  if (values.length === 0) return 0n;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Get the tip recent blocks paid at each tier's percentile
+ * @param {ethers.Provider} provider - The provider to ask
+ * @returns {Promise<Object|null>} Tips keyed by tier, or null if the node has no fee history
+ */
+const getRecentTips = async (provider) => {
+  try {
+    const percentiles = FEE_TIERS.map((tier) => TIER_PERCENTILES[tier]);
+    const history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(FEE_HISTORY_BLOCKS),
+      'latest',
+      percentiles
+    ]);
+
+    const tips = {};
+    FEE_TIERS.forEach((tier, index) => {
+      tips[tier] = median((history.reward || []).map((rewards) => ethers.getBigInt(rewards[index])));
+    });
+    return tips;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Get the fees to offer at each tier
+ * Each tier has the fields to send with the transaction (maxFeePerGas and
+ * maxPriorityFeePerGas, or gasPrice) plus expectedFeePerGas, what it will
+ * most likely pay per gas.
+ * @returns {Promise<Object>} {eip1559, baseFeePerGas, tiers: {slow, normal, fast}}
+ */
+export const getFeeTiers = async () => {
+  const provider = getProvider();
+  const [block, feeData] = await Promise.all([provider.getBlock('latest'), provider.getFeeData()]);
+  const tiers = {};
+
+  if (block?.baseFeePerGas == null) {
+    FEE_TIERS.forEach((tier) => {
+      const gasPrice = (feeData.gasPrice * LEGACY_MULTIPLIERS[tier]) / 100n;
+      tiers[tier] = { gasPrice, expectedFeePerGas: gasPrice };
+    });
+    return { eip1559: false, baseFeePerGas: null, tiers };
+  }
+
+  const baseFeePerGas = block.baseFeePerGas;
+  const tips = (await getRecentTips(provider)) || {};
+  FEE_TIERS.forEach((tier) => {
+    let maxPriorityFeePerGas = tips[tier] || feeData.maxPriorityFeePerGas || 0n;
+    if (maxPriorityFeePerGas < MIN_PRIORITY_FEE) {
+      maxPriorityFeePerGas = MIN_PRIORITY_FEE;
+    }
+    tiers[tier] = {
+      // Room for the base fee to double before the transaction is mined
+      maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas,
+      maxPriorityFeePerGas,
+      expectedFeePerGas: baseFeePerGas + maxPriorityFeePerGas
+    };
+  });
+  return { eip1559: true, baseFeePerGas, tiers };
+};
+
+/**
+ * Get the transaction overrides for a fee tier, at current fees
+ * @param {string} tier - One of FEE_TIERS
+ * @returns {Promise<Object>} Overrides to pass to the contract call
+ */
+export const getFeeOverrides = async (tier) => {
+  if (!FEE_TIERS.includes(tier)) {
+    throw new Error(`Invalid fee tier: ${tier}`);
+  }
+  const { tiers } = await getFeeTiers();
+  const { expectedFeePerGas, ...overrides } = tiers[tier];
+  return overrides;
+};
+
+/**
+ * Work out what a transaction will cost
+ * @param {bigint} gasLimit - The estimated gas
+ * @param {Object} fees - One tier from getFeeTiers
+ * @returns {Object} {expected, max} in wei
+ */
+export const estimateCost = (gasLimit, fees) => ({
+  expected: gasLimit * fees.expectedFeePerGas,
+  max: gasLimit * (fees.maxFeePerGas ?? fees.gasPrice)
+});
+
+export default {
+  FEE_TIERS,
+  getFeeTiers,
+  getFeeOverrides,
+  estimateCost
+};
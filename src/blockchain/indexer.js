@@ -0,0 +1,577 @@
+/**
+ * Event Indexer
+ *
+ * This module replays FileRegistry's UserRegistered, FileUploaded,
+ * FileDeleted, FileRevoked and FileExpiryChanged logs into IndexedDB and
+ * keeps following new blocks, so pages can list files, count them and
+ * show their history without pulling every file from the node on each
+ * render. Revocations and expiry changes are applied to the cached file
+ * records as they are indexed.
+ *
+ * Chain reorganizations are handled by remembering the hashes of the
+ * most recently indexed blocks: if one no longer matches the chain,
+ * everything after the last matching block is rolled back and re-indexed.
+ */
+
+import config from '../config/appConfig';
+import { getSelectedNetwork } from '../config/networks';
+import { getProvider } from './web3';
+import { getContract, getFile, getCredentialStatus, REVOCATION_REASONS } from './contract';
+import { openDatabase, withStore, withTransaction } from '../utils/indexedDb';
+
+const DB_VERSION = 1;
+
+// Events the indexer records
+const INDEXED_EVENTS = ['UserRegistered', 'FileUploaded', 'FileDeleted', 'FileRevoked', 'FileExpiryChanged'];
+
+// Event record types that change a file's status
+const STATUS_EVENTS = ['revoked', 'expiry-changed'];
+
+// How many recent block hashes to keep for reorg detection
+const REORG_DEPTH = 12;
+
+// Default number of blocks to request logs for at once
+const DEFAULT_BATCH_SIZE = 5000;
+
+// Indexer state (module-level, shared by all pages)
+let syncPromise = null;
+let resyncRequested = false;
+let startPromise = null;
+let lastError = null;
+const listeners = new Set();
+
+/**
+ * Open the indexer database for the selected deployment
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openIndexDb = () => {
+  const { chainId, contractAddress } = getSelectedNetwork();
+  const name = `chain-cred-indexer-${chainId}-${String(contractAddress).toLowerCase()}`;
+
+  return openDatabase(name, DB_VERSION, (db) => {
+    const events = db.createObjectStore('events', { keyPath: 'key' });
+    events.createIndex('userId', 'userId');
+    events.createIndex('blockNumber', 'blockNumber');
+
+    const files = db.createObjectStore('files', { keyPath: 'id' });
+    files.createIndex('userId', 'userId');
+
+    db.createObjectStore('blocks', { keyPath: 'number' });
+    db.createObjectStore('meta');
+  });
+};
+
+/**
+ * Get the last block the indexer has fully processed
+ * @returns {Promise<number>} The block number (startBlock - 1 before the first sync)
+ */
+const getLastIndexedBlock = async () => {
+  const lastBlock = await withStore(openIndexDb(), 'meta', 'readonly', (store) => store.get('lastBlock'));
+  return lastBlock === undefined ? getSelectedNetwork().startBlock - 1 : lastBlock;
+};
+
+/**
+ * Read stored file records by ID
+ * @param {number[]} ids - The file IDs
+ * @returns {Promise<Object>} The records found, keyed by file ID
+ */
+const getStoredFiles = async (ids) => {
+  const found = {};
+  if (ids.length === 0) {
+    return found;
+  }
+
+  await withTransaction(openIndexDb(), ['files'], 'readonly', (transaction) => {
+    const store = transaction.objectStore('files');
+    ids.forEach((id) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) found[id] = request.result;
+      };
+    });
+  });
+  return found;
+};
+
+/**
+ * Notify subscribers that the index changed
+ */
+const notifyListeners = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Indexer listener error:', error);
+    }
+  });
+};
+
+/**
+ * Find the newest indexed block that is still on the canonical chain
+ * @param {ethers.Provider} provider - The provider to check against
+ * @param {number} lastBlock - The last indexed block
+ * @returns {Promise<number|null>} The common ancestor, or null if none of the kept blocks match
+ */
+const findCommonAncestor = async (provider, lastBlock) => {
+  const checkpoints = await withStore(openIndexDb(), 'blocks', 'readonly', (store) => store.getAll());
+  if (checkpoints.length === 0) {
+    return lastBlock;
+  }
+
+  checkpoints.sort((a, b) => b.number - a.number);
+  for (const checkpoint of checkpoints) {
+    const block = await provider.getBlock(checkpoint.number);
+    if (block && block.hash === checkpoint.hash) {
+      return checkpoint.number;
+    }
+  }
+  return null;
+};
+
+/**
+ * Undo every indexed event after a block
+ * @param {number} ancestor - The last block to keep
+ * @returns {Promise<void>}
+ */
+const rollbackTo = async (ancestor) => {
+  const db = openIndexDb();
+  const range = IDBKeyRange.lowerBound(ancestor, true);
+  const removed = await withStore(db, 'events', 'readonly', (store) => store.index('blockNumber').getAll(range));
+
+  // Undo newest first
+  removed.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  const current = await getStoredFiles(
+    removed.filter((event) => event.fileId).map((event) => event.fileId)
+  );
+
+  // The contract already reflects the canonical chain, so re-read files
+  // whose revocation or expiry was rolled back
+  const reread = {};
+  for (const event of removed.filter((e) => STATUS_EVENTS.includes(e.type))) {
+    if (current[event.fileId] && !reread[event.fileId]) {
+      try {
+        reread[event.fileId] = { ...current[event.fileId], ...(await getFile(event.fileId)) };
+      } catch (_) {
+        // Deleted since; keep the stored record
+      }
+    }
+  }
+
+  await withTransaction(db, ['events', 'files', 'blocks', 'meta'], 'readwrite', (transaction) => {
+    const events = transaction.objectStore('events');
+    const filesStore = transaction.objectStore('files');
+
+    removed.forEach((event) => {
+      events.delete(event.key);
+      const file = current[event.fileId];
+      if (event.type === 'uploaded' && file) {
+        filesStore.delete(event.fileId);
+        delete current[event.fileId];
+      } else if (event.type === 'deleted' && file) {
+        current[event.fileId] = { ...file, deleted: false, deletedAt: 0 };
+        filesStore.put(current[event.fileId]);
+      } else if (STATUS_EVENTS.includes(event.type) && file && reread[event.fileId]) {
+        current[event.fileId] = { ...reread[event.fileId], deleted: file.deleted, deletedAt: file.deletedAt };
+        filesStore.put(current[event.fileId]);
+      }
+    });
+
+    transaction.objectStore('blocks').delete(IDBKeyRange.lowerBound(ancestor, true));
+    transaction.objectStore('meta').put(ancestor, 'lastBlock');
+  });
+
+  console.warn(`Indexer: chain reorganization, rolled back to block ${ancestor}`);
+};
+
+/**
+ * Turn a parsed log into an indexed event record
+ * @param {ethers.Log} log - The raw log
+ * @param {ethers.LogDescription} parsed - The decoded log
+ * @param {number} timestamp - The block timestamp
+ * @returns {Object} The event record
+ */
+const toEventRecord = (log, parsed, timestamp) => {
+  const base = {
+    key: `${log.blockNumber}:${log.index}`,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    timestamp
+  };
+
+  switch (parsed.name) {
+    case 'UserRegistered':
+      return { ...base, type: 'registered', owner: parsed.args.wallet, userId: parsed.args.userId };
+    case 'FileUploaded':
+      return {
+        ...base,
+        type: 'uploaded',
+        owner: parsed.args.owner,
+        fileId: Number(parsed.args.fileId),
+        userId: parsed.args.userId,
+        cid: parsed.args.cid,
+        name: parsed.args.name
+      };
+    case 'FileRevoked':
+      return {
+        ...base,
+        type: 'revoked',
+        owner: parsed.args.owner,
+        fileId: Number(parsed.args.fileId),
+        userId: parsed.args.userId,
+        reason: REVOCATION_REASONS[Number(parsed.args.reason)]
+      };
+    case 'FileExpiryChanged':
+      return {
+        ...base,
+        type: 'expiry-changed',
+        owner: parsed.args.owner,
+        fileId: Number(parsed.args.fileId),
+        userId: parsed.args.userId,
+        expiresAt: Number(parsed.args.expiresAt)
+      };
+    default:
+      return {
+        ...base,
+        type: 'deleted',
+        owner: parsed.args.owner,
+        fileId: Number(parsed.args.fileId),
+        userId: parsed.args.userId
+      };
+  }
+};
+
+/**
+ * Build the stored record of an uploaded file
+ * Full metadata is read from the contract; files that have since been
+ * deleted can no longer be read, so they keep only what the event carried.
+ * @param {Object} event - The 'uploaded' event record
+ * @returns {Promise<Object>} The file record
+ */
+const toFileRecord = async (event) => {
+  let file;
+  try {
+    file = await getFile(event.fileId);
+  } catch (_) {
+    file = {
+      id: event.fileId,
+      userId: event.userId,
+      cid: event.cid,
+      name: event.name,
+      timestamp: event.timestamp,
+      uploadDate: new Date(event.timestamp * 1000).toLocaleString(),
+      metadata: null
+    };
+  }
+  return { ...file, owner: event.owner, blockNumber: event.blockNumber, deleted: false, deletedAt: 0 };
+};
+
+/**
+ * Apply a revocation or expiry change to a stored file record
+ * @param {Object} file - The file record
+ * @param {Object} event - The 'revoked' or 'expiry-changed' event record
+ * @returns {Object} The updated record
+ */
+const applyStatusEvent = (file, event) => {
+  if (event.type === 'revoked') {
+    // Files imported from an earlier deployment already carry when they were revoked
+    return { ...file, revokedAt: file.revokedAt || event.timestamp, revocationReason: event.reason };
+  }
+  return { ...file, metadata: file.metadata && { ...file.metadata, expiresAt: event.expiresAt } };
+};
+
+/**
+ * Index the logs of one block range
+ * @param {ethers.Provider} provider - The provider to read from
+ * @param {ethers.Contract} contract - The FileRegistry contract
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<void>}
+ */
+const indexRange = async (provider, contract, fromBlock, toBlock) => {
+  const topics = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+  const logs = await provider.getLogs({
+    address: await contract.getAddress(),
+    fromBlock,
+    toBlock,
+    topics: [topics]
+  });
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  // Block timestamps for the event history
+  const timestamps = {};
+  for (const blockNumber of new Set(logs.map((log) => log.blockNumber))) {
+    const block = await provider.getBlock(blockNumber);
+    timestamps[blockNumber] = block ? block.timestamp : 0;
+  }
+
+  const events = logs.map((log) => toEventRecord(log, contract.interface.parseLog(log), timestamps[log.blockNumber]));
+
+  // Look up uploaded files before opening the write transaction
+  const uploaded = {};
+  for (const event of events.filter((e) => e.type === 'uploaded')) {
+    uploaded[event.fileId] = await toFileRecord(event);
+  }
+
+  const existing = await getStoredFiles(
+    events.filter((e) => e.type === 'deleted' || STATUS_EVENTS.includes(e.type)).map((e) => e.fileId)
+  );
+
+  const tip = await provider.getBlock(toBlock);
+
+  await withTransaction(openIndexDb(), ['events', 'files', 'blocks', 'meta'], 'readwrite', (transaction) => {
+    const eventsStore = transaction.objectStore('events');
+    const filesStore = transaction.objectStore('files');
+
+    events.forEach((event) => {
+      eventsStore.put(event);
+      if (event.type === 'uploaded') {
+        filesStore.put(uploaded[event.fileId]);
+      } else if (event.type === 'deleted') {
+        const file = uploaded[event.fileId] || existing[event.fileId];
+        if (file) {
+          filesStore.put({ ...file, deleted: true, deletedAt: event.timestamp });
+        }
+      } else if (STATUS_EVENTS.includes(event.type)) {
+        const file = uploaded[event.fileId] || existing[event.fileId];
+        if (file) {
+          // Later events in this batch build on the updated record
+          existing[event.fileId] = applyStatusEvent(file, event);
+          delete uploaded[event.fileId];
+          filesStore.put(existing[event.fileId]);
+        }
+      }
+    });
+
+    const blocks = transaction.objectStore('blocks');
+    if (tip) {
+      blocks.put({ number: tip.number, hash: tip.hash });
+    }
+    blocks.delete(IDBKeyRange.upperBound(toBlock - REORG_DEPTH));
+    transaction.objectStore('meta').put(toBlock, 'lastBlock');
+  });
+};
+
+/**
+ * Bring the index up to the latest block
+ * @returns {Promise<boolean>} True if anything changed
+ */
+const runSync = async () => {
+  const provider = getProvider();
+  const contract = getContract();
+  const batchSize = config.indexerBatchSize || DEFAULT_BATCH_SIZE;
+
+  let lastBlock = await getLastIndexedBlock();
+  let changed = false;
+
+  // Detect and undo reorganizations
+  const ancestor = await findCommonAncestor(provider, lastBlock);
+  if (ancestor === null) {
+    await resetIndexer();
+    lastBlock = await getLastIndexedBlock();
+    changed = true;
+  } else if (ancestor < lastBlock) {
+    await rollbackTo(ancestor);
+    lastBlock = ancestor;
+    changed = true;
+  }
+
+  const latest = await provider.getBlockNumber();
+  for (let from = lastBlock + 1; from <= latest; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, latest);
+    await indexRange(provider, contract, from, to);
+    changed = true;
+  }
+
+  return changed;
+};
+
+/**
+ * Sync the index with the chain
+ * Concurrent calls share one run; a call made during a run
+ * schedules another run once it finishes.
+ * @returns {Promise<void>}
+ */
+export const syncIndexer = () => {
+  if (syncPromise) {
+    resyncRequested = true;
+    return syncPromise;
+  }
+
+  syncPromise = (async () => {
+    try {
+      do {
+        resyncRequested = false;
+        if (await runSync()) {
+          notifyListeners();
+        }
+      } while (resyncRequested);
+      lastError = null;
+    } catch (error) {
+      lastError = error;
+      throw error;
+    } finally {
+      syncPromise = null;
+    }
+  })();
+
+  return syncPromise;
+};
+
+/**
+ * Handle a new block from the provider
+ */
+const handleBlock = () => {
+  syncIndexer().catch((error) => console.error('Indexer sync error:', error));
+};
+
+/**
+ * Start following new blocks (runs an initial sync)
+ * Only the first call starts anything; later calls wait for that initial
+ * sync, after which new blocks keep the index up to date on their own.
+ * @returns {Promise<void>} Resolves after the initial sync
+ */
+export const startIndexer = () => {
+  if (!startPromise) {
+    startPromise = (async () => {
+      await getProvider().on('block', handleBlock);
+      await syncIndexer();
+    })().catch((error) => {
+      // Let the next call try again
+      stopIndexer();
+      throw error;
+    });
+  }
+  return startPromise;
+};
+
+/**
+ * Stop following new blocks
+ */
+export const stopIndexer = async () => {
+  if (startPromise) {
+    startPromise = null;
+    await getProvider().off('block', handleBlock);
+  }
+};
+
+/**
+ * Subscribe to index changes
+ * @param {Function} listener - Called after new events are indexed or rolled back
+ * @returns {Function} Unsubscribe function
+ */
+export const onIndexerUpdate = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the indexer's progress
+ * @returns {Promise<Object>} {lastBlock, syncing, error}
+ */
+export const getIndexerStatus = async () => ({
+  lastBlock: await getLastIndexedBlock(),
+  syncing: syncPromise !== null,
+  error: lastError ? lastError.message : ''
+});
+
+/**
+ * Get a user's current (not deleted) files from the index
+ * Revoked and expired files are included; their status is worked out
+ * again on every call, since expiry depends on the time.
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} File objects (see contract.getFiles), oldest first
+ */
+export const getIndexedFiles = async (userId) => {
+  await startIndexer();
+  const files = await withStore(openIndexDb(), 'files', 'readonly', (store) => store.index('userId').getAll(userId));
+  const active = files.filter((file) => !file.deleted).sort((a, b) => a.id - b.id);
+
+  // Retry files whose metadata could not be read when they were indexed
+  return Promise.all(active.map(async (file) => {
+    if (file.metadata) {
+      return { ...file, status: getCredentialStatus(file) };
+    }
+    const repaired = { ...file, ...(await getFile(file.id)) };
+    await withStore(openIndexDb(), 'files', 'readwrite', (store) => store.put(repaired));
+    return repaired;
+  }));
+};
+
+/**
+ * Get one page of a user's current files from the index, newest first
+ * Takes the same options and returns the same shape as contract.getFilesPage,
+ * so callers can switch between the two.
+ * @param {string} userId - The user's ID
+ * @param {Object} [options] - {cursor, limit, categories, uploadedFrom, uploadedTo} (see contract.getFilesPage)
+ * @returns {Promise<Object>} {files, nextCursor, remaining}
+ */
+export const getIndexedFilesPage = async (userId, {
+  cursor = null,
+  limit = 20,
+  categories = [],
+  uploadedFrom = 0,
+  uploadedTo = 0
+} = {}) => {
+  const files = await getIndexedFiles(userId);
+  const matching = files
+    .filter((file) =>
+      (!cursor || file.id < Number(cursor)) &&
+      (categories.length === 0 || categories.includes(file.metadata.category)) &&
+      (!uploadedFrom || file.timestamp >= uploadedFrom) &&
+      (!uploadedTo || file.timestamp <= uploadedTo))
+    .reverse();
+
+  const page = matching.slice(0, limit);
+  return {
+    files: page,
+    nextCursor: matching.length > page.length ? String(page[page.length - 1].id) : null,
+    remaining: matching.length
+  };
+};
+
+/**
+ * Count a user's current files from the index
+ * @param {string} userId - The user's ID
+ * @returns {Promise<number>} The number of files
+ */
+export const getIndexedFileCount = async (userId) => {
+  const files = await getIndexedFiles(userId);
+  return files.length;
+};
+
+/**
+ * Get the registration, upload, deletion, revocation and expiry history of a user
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Event records {type, fileId, name, cid, reason, expiresAt, owner, blockNumber,
+ *   transactionHash, timestamp}, oldest first
+ */
+export const getUserHistory = async (userId) => {
+  await startIndexer();
+  const events = await withStore(openIndexDb(), 'events', 'readonly', (store) => store.index('userId').getAll(userId));
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+/**
+ * Clear the index so it is rebuilt from the start block
+ * @returns {Promise<void>}
+ */
+export const resetIndexer = async () => {
+  await withTransaction(openIndexDb(), ['events', 'files', 'blocks', 'meta'], 'readwrite', (transaction) => {
+    ['events', 'files', 'blocks', 'meta'].forEach((name) => transaction.objectStore(name).clear());
+  });
+};
+
+export default {
+  syncIndexer,
+  startIndexer,
+  stopIndexer,
+  onIndexerUpdate,
+  getIndexerStatus,
+  getIndexedFiles,
+  getIndexedFilesPage,
+  getIndexedFileCount,
+  getUserHistory,
+  resetIndexer
+};
@@ -0,0 +1,95 @@
+/**
+ * Price Source
+ *
+ * This module converts native currency amounts (like transaction fees)
+ * to fiat for display. Prices come from a pluggable source, by default
+ * CoinGecko's public API; when it can't be reached, the static prices
+ * in appConfig are used instead.
+ *
+ * A price source is an async function (symbol, currency) => number.
+ * Swap it with setPriceSource, e.g. to read from your own backend.
+ */
+
+import config from '../config/appConfig';
+
+// How long a fetched price is reused (ms)
+const CACHE_DURATION = 5 * 60 * 1000;
+
+// CoinGecko coin IDs, by currency symbol
+const COINGECKO_IDS = {
+  ETH: 'ethereum',
+  MATIC: 'matic-network',
+  POL: 'polygon-ecosystem-token'
+};
+
+// Recent prices, keyed by "SYMBOL:currency"
+const cache = new Map();
+
+/**
+ * Create a price source backed by a CoinGecko-compatible /simple/price endpoint
+ * @param {string} apiUrl - The endpoint URL
+ * @returns {Function} The price source
+ */
+export const createCoinGeckoSource = (apiUrl) => async (symbol, currency) => {
+  const id = COINGECKO_IDS[symbol];
+  if (!id) {
+    throw new Error(`No CoinGecko ID for ${symbol}`);
+  }
+
+  const response = await fetch(`${apiUrl}?ids=${id}&vs_currencies=${currency}`);
+  if (!response.ok) {
+    throw new Error(`Price request failed: ${response.status}`);
+  }
+  const price = (await response.json())[id]?.[currency];
+  if (typeof price !== 'number') {
+    throw new Error(`No ${currency} price for ${symbol}`);
+  }
+  return price;
+};
+
+let priceSource = config.priceApiUrl ? createCoinGeckoSource(config.priceApiUrl) : null;
+
+/**
+ * Replace the live price source
+ * @param {Function|null} source - Async (symbol, currency) => price, or null for static prices only
+ */
+export const setPriceSource = (source) => {
+  priceSource = source;
+  cache.clear();
+};
+
+/**
+ * Get the fiat price of a native currency
+ * @param {string} symbol - The currency symbol (e.g. 'ETH')
+ * @returns {Promise<Object|null>} {price, currency, live}, or null if no price is known
+ */
+export const getPrice = async (symbol) => {
+  const currency = config.fiatCurrency;
+  const key = `${symbol}:${currency}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_DURATION) {
+    return cached.quote;
+  }
+
+  let quote = null;
+  if (priceSource) {
+    try {
+      quote = { price: await priceSource(symbol, currency), currency, live: true };
+    } catch (error) {
+      console.warn(`Live ${symbol} price unavailable, using static price:`, error.message);
+    }
+  }
+  if (!quote && config.staticPrices[symbol] !== undefined) {
+    quote = { price: config.staticPrices[symbol], currency, live: false };
+  }
+
+  // Failures are cached too, so an offline API isn't asked on every render
+  cache.set(key, { quote, fetchedAt: Date.now() });
+  return quote;
+};
+
+export default {
+  createCoinGeckoSource,
+  setPriceSource,
+  getPrice
+};
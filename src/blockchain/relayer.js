@@ -0,0 +1,128 @@
+/**
+ * Gasless Transactions (EIP-2771)
+ *
+ * When a relayer is configured and the selected network has a trusted
+ * forwarder, registrations, uploads, deletes, user ID transfer
+ * acceptances and answers to issued credentials are not sent by the
+ * user's wallet. Instead the wallet signs an EIP-712 ForwardRequest and
+ * the relayer service submits it through the forwarder, paying the gas.
+ * FileRegistry still sees the user as the sender.
+ */
+
+import { ethers } from 'ethers';
+import config from '../config/appConfig';
+import { getSelectedNetwork } from '../config/networks';
+import { getProvider, getSigner } from './web3';
+import TrustedForwarderABI from '../abi/TrustedForwarder.json';
+
+// FileRegistry functions the relayer will submit
+export const RELAYED_FUNCTIONS = [
+  'registerUser',
+  'uploadFile',
+  'uploadFiles',
+  'deleteFile',
+  'acceptTransfer',
+  'acceptCredential',
+  'declineCredential'
+];
+
+// Extra gas on top of the estimate (percent); the forwarded call costs a
+// little more than a direct one because of the appended sender
+const GAS_BUFFER = 120n;
+
+// EIP-712 types of the forwarder's requests
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+/**
+ * Check if calls on the selected network go through the relayer
+ * @returns {boolean} True if a relayer and trusted forwarder are both configured
+ */
+export const isRelayEnabled = () => {
+  return Boolean(config.relayerUrl && getSelectedNetwork().forwarderAddress);
+};
+
+/**
+ * Check if a FileRegistry function will be relayed
+ * @param {string} functionName - The contract function
+ * @returns {boolean} True if the user won't pay gas for it
+ */
+export const canRelay = (functionName) => {
+  return isRelayEnabled() && RELAYED_FUNCTIONS.includes(functionName);
+};
+
+/**
+ * Sign a contract call and have the relayer submit it
+ * @param {ethers.Contract} contract - FileRegistry, connected to the user's signer
+ * @param {string} functionName - The function to call (one of RELAYED_FUNCTIONS)
+ * @param {Array} args - The function arguments
+ * @returns {Promise<Object>} The relayer's transaction: {hash, from, to, nonce, data, chainId}
+ */
+export const relayCall = async (contract, functionName, args) => {
+  const { chainId, forwarderAddress } = getSelectedNetwork();
+  const signer = await getSigner();
+  const from = await signer.getAddress();
+  const forwarder = new ethers.Contract(forwarderAddress, TrustedForwarderABI.abi, getProvider());
+
+  const [nonce, gasEstimate] = await Promise.all([
+    forwarder.getNonce(from),
+    contract[functionName].estimateGas(...args)
+  ]);
+
+  const request = {
+    from,
+    to: await contract.getAddress(),
+    value: 0n,
+    gas: (gasEstimate * GAS_BUFFER) / 100n,
+    nonce,
+    data: contract.interface.encodeFunctionData(functionName, args)
+  };
+  const domain = {
+    name: 'TrustedForwarder',
+    version: '1',
+    chainId,
+    verifyingContract: forwarderAddress
+  };
+  const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+  const response = await fetch(`${config.relayerUrl}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      request: {
+        ...request,
+        value: request.value.toString(),
+        gas: request.gas.toString(),
+        nonce: request.nonce.toString()
+      },
+      signature
+    })
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.error || `Relayer request failed: ${response.status}`);
+    if (body.reason) {
+      // Let decodeContractError treat it like any other revert
+      error.code = 'CALL_EXCEPTION';
+      error.reason = body.reason;
+    }
+    throw error;
+  }
+  return body;
+};
+
+export default {
+  RELAYED_FUNCTIONS,
+  isRelayEnabled,
+  canRelay,
+  relayCall
+};
@@ -0,0 +1,360 @@
+/**
+ * Transaction Manager
+ *
+ * This module keeps track of every transaction the app sends. Each one is
+ * recorded in localStorage with its intent (register, upload, delete...)
+ * as soon as the wallet returns its hash, and watched until it is mined,
+ * fails, is dropped, or is replaced. Transactions still pending when the
+ * tab closes are picked up again on the next visit.
+ *
+ * A transaction that is no longer known to the node but whose nonce has
+ * been used was replaced: if the replacement does the same thing it was
+ * sped up and is followed instead, otherwise it was cancelled. One that
+ * is unknown and whose nonce is still unused for DROP_TIMEOUT was dropped.
+ */
+
+import { ethers } from 'ethers';
+import { getProvider } from './web3';
+import { getSelectedNetwork } from '../config/networks';
+import {
+  RevertError,
+  TransactionDroppedError,
+  TransactionCancelledError
+} from './errors';
+
+const STORAGE_KEY = 'pendingTransactions';
+
+// How often pending transactions are checked (ms)
+const POLL_INTERVAL = 3000;
+
+// How long a transaction can be missing from the node before it counts as dropped (ms)
+const DROP_TIMEOUT = 5 * 60 * 1000;
+
+// How many recent blocks to search for a replacement transaction
+const REPLACEMENT_SCAN_DEPTH = 50;
+
+// How many finished transactions to keep for the tray
+const FINISHED_LIMIT = 20;
+
+// Promises waiting on a transaction, keyed by hash
+const waiters = {};
+
+const listeners = new Set();
+let pollTimer = null;
+let pollDue = 0;
+let polling = false;
+
+/**
+ * Read all recorded transactions from localStorage
+ * @returns {Object[]} The records, newest first
+ */
+const loadTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (_) {
+    return [];
+  }
+};
+
+/**
+ * Write recorded transactions to localStorage, trimming old finished ones
+ * @param {Object[]} records - The records, newest first
+ */
+const saveTransactions = (records) => {
+  let finished = 0;
+  const kept = records.filter((record) => record.status === 'pending' || ++finished <= FINISHED_LIMIT);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  } catch (_) {
+    // Storage full or unavailable; tracking continues in this tab only
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Change a recorded transaction
+ * @param {string} hash - The transaction hash
+ * @param {Object} changes - The fields to update
+ * @returns {Object|null} The updated record
+ */
+const updateTransaction = (hash, changes) => {
+  const records = loadTransactions();
+  const record = records.find((r) => r.hash === hash);
+  if (!record) return null;
+
+  Object.assign(record, changes, { updatedAt: Date.now() });
+  saveTransactions(records);
+  return record;
+};
+
+/**
+ * Get the transactions recorded on the selected network
+ * @returns {Object[]} The records, newest first
+ */
+export const getTransactions = () => {
+  const { chainId } = getSelectedNetwork();
+  return loadTransactions().filter((record) => record.chainId === chainId);
+};
+
+/**
+ * Get the transactions still waiting to be mined on the selected network
+ * @returns {Object[]} The pending records
+ */
+export const getPendingTransactions = () => {
+  return getTransactions().filter((record) => record.status === 'pending');
+};
+
+/**
+ * Listen for changes to the recorded transactions (including from other tabs)
+ * @param {Function} callback - Called after every change
+ * @returns {Function} Call to stop listening
+ */
+export const onTransactionsChange = (callback) => {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) callback();
+  };
+  listeners.add(callback);
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    listeners.delete(callback);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+/**
+ * Remove a finished transaction from the list
+ * @param {string} hash - The transaction hash
+ */
+export const dismissTransaction = (hash) => {
+  saveTransactions(loadTransactions().filter((r) => r.hash !== hash || r.status === 'pending'));
+};
+
+/**
+ * Settle everything waiting on a transaction
+ * @param {string} hash - The transaction hash
+ * @param {Function} settle - Called with each waiter's { resolve, reject }
+ */
+const settleWaiters = (hash, settle) => {
+  (waiters[hash] || []).forEach(settle);
+  delete waiters[hash];
+};
+
+/**
+ * Build the error a finished, unsuccessful transaction is reported with
+ * @param {Object} record - The transaction record
+ * @returns {Error} The error
+ */
+const failureFor = (record) => {
+  const details = { action: record.intent, replacedBy: record.replacedBy, reason: '' };
+  if (record.status === 'dropped') return new TransactionDroppedError(details);
+  if (record.status === 'cancelled') return new TransactionCancelledError(details);
+  return new RevertError('The transaction was reverted by the contract.', details);
+};
+
+/**
+ * Look for the mined transaction that used the same nonce
+ * @param {ethers.Provider} provider - The provider to search with
+ * @param {Object} record - The missing transaction's record
+ * @returns {Promise<ethers.TransactionResponse|null>} The replacement, if found
+ */
+const findReplacement = async (provider, record) => {
+  const latest = await provider.getBlockNumber();
+  const earliest = Math.max(record.startBlock ?? 0, latest - REPLACEMENT_SCAN_DEPTH);
+
+  for (let number = latest; number >= earliest; number--) {
+    const block = await provider.getBlock(number, true);
+    const replacement = block?.prefetchedTransactions.find((tx) => (
+      tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce
+    ));
+    if (replacement) return replacement;
+  }
+  return null;
+};
+
+/**
+ * Check on one pending transaction and record what happened to it
+ * @param {ethers.Provider} provider - The provider to check with
+ * @param {Object} record - The transaction record
+ */
+const checkTransaction = async (provider, record) => {
+  const receipt = await provider.getTransactionReceipt(record.hash);
+  if (receipt) {
+    const updated = updateTransaction(record.hash, {
+      status: receipt.status === 1 ? 'mined' : 'failed',
+      blockNumber: receipt.blockNumber
+    });
+    settleWaiters(record.hash, ({ resolve, reject }) => (
+      receipt.status === 1 ? resolve(receipt) : reject(failureFor(updated))
+    ));
+    return;
+  }
+
+  if (await provider.getTransaction(record.hash)) {
+    updateTransaction(record.hash, { lastSeen: Date.now() });
+    return;
+  }
+
+  // Gone from the node: replaced if its nonce was used, otherwise maybe dropped
+  const nonce = await provider.getTransactionCount(record.from, 'latest');
+  if (nonce > record.nonce) {
+    const replacement = await findReplacement(provider, record);
+    if (replacement?.hash === record.hash) {
+      // Mined between the two lookups; the receipt shows up next round
+      return;
+    }
+    const sameCall = replacement &&
+      String(replacement.to).toLowerCase() === String(record.to).toLowerCase() &&
+      ethers.keccak256(replacement.data) === record.dataHash;
+
+    if (sameCall) {
+      // Sped up: follow the replacement under the same intent
+      updateTransaction(record.hash, { status: 'replaced', replacedBy: replacement.hash });
+      addRecord({ ...record, hash: replacement.hash, replaces: record.hash, lastSeen: Date.now() });
+      waiters[replacement.hash] = [...(waiters[replacement.hash] || []), ...(waiters[record.hash] || [])];
+      delete waiters[record.hash];
+      schedulePoll(0);
+    } else {
+      const updated = updateTransaction(record.hash, {
+        status: 'cancelled',
+        replacedBy: replacement ? replacement.hash : null
+      });
+      settleWaiters(record.hash, ({ reject }) => reject(failureFor(updated)));
+    }
+    return;
+  }
+
+  if (Date.now() - record.lastSeen > DROP_TIMEOUT) {
+    const updated = updateTransaction(record.hash, { status: 'dropped' });
+    settleWaiters(record.hash, ({ reject }) => reject(failureFor(updated)));
+  }
+};
+
+/**
+ * Check every pending transaction on the selected network
+ */
+const pollPending = async () => {
+  pollTimer = null;
+  if (polling) return;
+  polling = true;
+
+  try {
+    const provider = getProvider();
+    for (const record of getPendingTransactions()) {
+      try {
+        await checkTransaction(provider, record);
+      } catch (error) {
+        // Node unreachable or busy; try again next round
+        console.error(`Error checking transaction ${record.hash}:`, error);
+      }
+    }
+  } finally {
+    polling = false;
+  }
+
+  if (getPendingTransactions().length > 0) {
+    schedulePoll();
+  }
+};
+
+/**
+ * Make sure pending transactions are checked again soon
+ * @param {number} delay - How long to wait (ms)
+ */
+const schedulePoll = (delay = POLL_INTERVAL) => {
+  const due = Date.now() + delay;
+  if (pollTimer && pollDue <= due) return;
+
+  clearTimeout(pollTimer);
+  pollDue = due;
+  pollTimer = setTimeout(pollPending, delay);
+};
+
+/**
+ * Add a pending transaction record
+ * @param {Object} record - The record
+ */
+const addRecord = (record) => {
+  const records = loadTransactions().filter((r) => r.hash !== record.hash);
+  saveTransactions([{ ...record, status: 'pending', submittedAt: Date.now(), updatedAt: Date.now() }, ...records]);
+};
+
+/**
+ * Wait until a recorded transaction is mined
+ * @param {string} hash - The transaction hash
+ * @returns {Promise<ethers.TransactionReceipt>} The receipt (of the replacement, if sped up)
+ */
+export const waitForTransaction = async (hash) => {
+  const record = loadTransactions().find((r) => r.hash === hash);
+  if (record?.status === 'replaced') {
+    return waitForTransaction(record.replacedBy);
+  }
+  if (record?.status === 'mined') {
+    return getProvider().getTransactionReceipt(hash);
+  }
+  if (record && record.status !== 'pending') {
+    throw failureFor(record);
+  }
+
+  return new Promise((resolve, reject) => {
+    waiters[hash] = [...(waiters[hash] || []), { resolve, reject }];
+    schedulePoll(0);
+  });
+};
+
+/**
+ * Record a sent transaction and wait for it to be mined
+ * @param {ethers.TransactionResponse} tx - The transaction the wallet sent
+ * @param {Object} intent - What the transaction does
+ * @param {string} intent.type - 'register', 'upload', 'delete', 'revoke-file', 'set-expiry', 'attest',
+ *   'set-key', 'grant', 'revoke', 'transfer-start', 'transfer-cancel', 'transfer-accept', 'issue',
+ *   'accept-credential', 'decline-credential', 'withdraw-credential', 'grant-role', 'revoke-role',
+ *   'pause' or 'unpause'
+ * @param {string} intent.description - Short text shown in the pending transactions tray
+ * @param {Object} [intent.meta] - Extra details (e.g. the content hashes being uploaded)
+ * @returns {Promise<ethers.TransactionReceipt>} The receipt
+ */
+export const trackTransaction = async (tx, { type, description = '', meta = {} }) => {
+  let startBlock = null;
+  try {
+    startBlock = await getProvider().getBlockNumber();
+  } catch (_) {
+    // Only narrows the replacement search
+  }
+
+  addRecord({
+    hash: tx.hash,
+    intent: type,
+    description,
+    meta,
+    chainId: Number(tx.chainId) || getSelectedNetwork().chainId,
+    from: tx.from,
+    nonce: tx.nonce,
+    to: tx.to,
+    dataHash: ethers.keccak256(tx.data),
+    startBlock,
+    replacedBy: null,
+    lastSeen: Date.now()
+  });
+
+  return waitForTransaction(tx.hash);
+};
+
+/**
+ * Start watching transactions left pending by an earlier visit
+ */
+export const resumePendingTransactions = () => {
+  if (getPendingTransactions().length > 0) {
+    schedulePoll(0);
+  }
+};
+
+export default {
+  getTransactions,
+  getPendingTransactions,
+  onTransactionsChange,
+  dismissTransaction,
+  waitForTransaction,
+  trackTransaction,
+  resumePendingTransactions
+};
@@ -1,39 +1,53 @@
 /**
  * Web3 Provider Setup
- * 
+ *
  * This module handles the connection to the Ethereum blockchain
- * using MetaMask as the provider.
+ * through whichever wallet connector the user picked (see connectors/).
  */
 
 import { ethers } from 'ethers';
-import config from '../config/appConfig';
+import { getSelectedNetwork } from '../config/networks';
+import { getActiveConnector, setActiveConnector, getAvailableWallets } from './connectors';
 
-// Store the provider and signer globally
-let provider = null;
-let signer = null;
+// Read-only providers used while no wallet is connected, keyed by RPC URL
+const readOnlyProviders = {};
 
 /**
- * Check if MetaMask is installed
- * @returns {boolean} True if MetaMask is available
+ * Check if any browser wallet is installed
+ * @returns {boolean} True if at least one injected wallet was found
  */
-export const isMetaMaskInstalled = () => {
-  return typeof window !== 'undefined' && typeof window.ethereum !== 'undefined';
+export const isWalletInstalled = () => {
+  return getAvailableWallets().length > 0;
 };
 
 /**
  * Get the Web3 provider (read-only connection to blockchain)
- * @returns {ethers.BrowserProvider} The provider instance
+ * @returns {ethers.Provider} The active wallet's provider, or a JSON-RPC provider
  */
 export const getProvider = () => {
-  if (!provider) {
-    if (isMetaMaskInstalled()) {
-      provider = new ethers.BrowserProvider(window.ethereum);
-    } else {
-      // Fallback to JSON-RPC provider for read-only access
-      provider = new ethers.JsonRpcProvider(config.rpcUrl);
-    }
+  const connector = getActiveConnector();
+  if (connector) {
+    return connector.getProvider();
   }
-  return provider;
+
+  // Fallback to JSON-RPC provider for read-only access
+  const { rpcUrl } = getSelectedNetwork();
+  if (!readOnlyProviders[rpcUrl]) {
+    readOnlyProviders[rpcUrl] = new ethers.JsonRpcProvider(rpcUrl);
+  }
+  return readOnlyProviders[rpcUrl];
+};
+
+/**
+ * Get the active connector, or fail if no wallet is connected
+ * @returns {Object} The connector
+ */
+const requireConnector = () => {
+  const connector = getActiveConnector();
+  if (!connector) {
+    throw new Error('No wallet connected. Please connect a wallet to continue.');
+  }
+  return connector;
 };
 
 /**
@@ -41,43 +55,19 @@ export const getProvider = () => {
  * @returns {Promise<ethers.Signer>} The signer instance
  */
 export const getSigner = async () => {
-  if (!signer) {
-    const provider = getProvider();
-    signer = await provider.getSigner();
-  }
-  return signer;
+  return requireConnector().getSigner();
 };
 
 /**
- * Connect to MetaMask wallet
+ * Connect a wallet
+ * @param {Object} [connector] - The wallet to use; defaults to the active one
  * @returns {Promise<string>} The connected wallet address
  */
-export const connectWallet = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed. Please install MetaMask to continue.');
-  }
-
-  try {
-    // Request account access
-    const accounts = await window.ethereum.request({
-      method: 'eth_requestAccounts'
-    });
-
-    if (accounts.length === 0) {
-      throw new Error('No accounts found. Please connect your MetaMask wallet.');
-    }
-
-    // Reset provider and signer to get fresh instances
-    provider = new ethers.BrowserProvider(window.ethereum);
-    signer = await provider.getSigner();
-
-    return accounts[0];
-  } catch (error) {
-    if (error.code === 4001) {
-      throw new Error('Connection rejected. Please approve the connection in MetaMask.');
-    }
-    throw error;
+export const connectWallet = async (connector) => {
+  if (connector) {
+    setActiveConnector(connector);
   }
+  return requireConnector().connect();
 };
 
 /**
@@ -85,14 +75,13 @@ export const connectWallet = async () => {
  * @returns {Promise<string|null>} The wallet address or null if not connected
  */
 export const getConnectedAddress = async () => {
-  if (!isMetaMaskInstalled()) {
+  const connector = getActiveConnector();
+  if (!connector) {
     return null;
   }
 
   try {
-    const accounts = await window.ethereum.request({
-      method: 'eth_accounts'
-    });
+    const accounts = await connector.getAccounts();
     return accounts.length > 0 ? accounts[0] : null;
   } catch (error) {
     console.error('Error getting connected address:', error);
@@ -101,21 +90,17 @@ export const getConnectedAddress = async () => {
 };
 
 /**
- * Check if wallet is connected to the correct network
+ * Check if wallet is connected to the selected network
  * @returns {Promise<boolean>} True if connected to correct network
  */
 export const isCorrectNetwork = async () => {
-  if (!isMetaMaskInstalled()) {
+  const connector = getActiveConnector();
+  if (!connector) {
     return false;
   }
 
   try {
-    const chainId = await window.ethereum.request({
-      method: 'eth_chainId'
-    });
-    // chainId is returned as hex, convert to number
-    const currentChainId = parseInt(chainId, 16);
-    return currentChainId === config.chainId;
+    return (await connector.getChainId()) === getSelectedNetwork().chainId;
   } catch (error) {
     console.error('Error checking network:', error);
     return false;
@@ -123,47 +108,24 @@ export const isCorrectNetwork = async () => {
 };
 
 /**
- * Switch to the correct network (Ganache)
+ * Switch the wallet to the selected network
  * @returns {Promise<void>}
  */
 export const switchToCorrectNetwork = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed');
-  }
-
-  try {
-    await window.ethereum.request({
-      method: 'wallet_switchEthereumChain',
-      params: [{ chainId: `0x${config.chainId.toString(16)}` }]
-    });
-  } catch (error) {
-    // If the network doesn't exist, add it
-    if (error.code === 4902) {
-      await window.ethereum.request({
-        method: 'wallet_addEthereumChain',
-        params: [{
-          chainId: `0x${config.chainId.toString(16)}`,
-          chainName: 'Ganache Local',
-          nativeCurrency: {
-            name: 'Ethereum',
-            symbol: 'ETH',
-            decimals: 18
-          },
-          rpcUrls: [config.rpcUrl]
-        }]
-      });
-    } else {
-      throw error;
-    }
-  }
+  const network = getSelectedNetwork();
+  await requireConnector().switchChain(network.chainId, {
+    chainName: network.name,
+    nativeCurrency: network.nativeCurrency,
+    rpcUrls: [network.rpcUrl],
+    ...(network.explorerUrl && { blockExplorerUrls: [network.explorerUrl] })
+  });
 };
 
 /**
  * Disconnect wallet (clears local state)
  */
 export const disconnectWallet = () => {
-  provider = null;
-  signer = null;
+  setActiveConnector(null);
 };
 
 /**
@@ -171,8 +133,9 @@ export const disconnectWallet = () => {
  * @param {Function} callback Function to call when account changes
  */
 export const onAccountChange = (callback) => {
-  if (isMetaMaskInstalled()) {
-    window.ethereum.on('accountsChanged', callback);
+  const connector = getActiveConnector();
+  if (connector) {
+    connector.onAccountsChanged(callback);
   }
 };
 
@@ -181,8 +144,9 @@ export const onAccountChange = (callback) => {
  * @param {Function} callback Function to call when network changes
  */
 export const onNetworkChange = (callback) => {
-  if (isMetaMaskInstalled()) {
-    window.ethereum.on('chainChanged', callback);
+  const connector = getActiveConnector();
+  if (connector) {
+    connector.onChainChanged(callback);
   }
 };
 
@@ -190,14 +154,14 @@ export const onNetworkChange = (callback) => {
  * Remove event listeners
  */
 export const removeListeners = () => {
-  if (isMetaMaskInstalled()) {
-    window.ethereum.removeAllListeners('accountsChanged');
-    window.ethereum.removeAllListeners('chainChanged');
+  const connector = getActiveConnector();
+  if (connector) {
+    connector.removeListeners();
   }
 };
 
 export default {
-  isMetaMaskInstalled,
+  isWalletInstalled,
   getProvider,
   getSigner,
   connectWallet,
@@ -0,0 +1,124 @@
+/**
+ * AttestFile Component
+ *
+ * Lets a registered verifier record a review of a file on the blockchain.
+ * An optional note is uploaded to IPFS and its CID stored with the attestation.
+ */
+
+import React, { useState } from 'react';
+import { attestFile, ATTESTATION_STATUSES } from '../blockchain/contract';
+import { uploadDataToIpfs } from '../ipfs/ipfsClient';
+import { STATUS_LABELS } from './AttestationHistory';
+
+const AttestFile = ({ fileId, onAttestComplete }) => {
+  const [status, setStatus] = useState(ATTESTATION_STATUSES[0]);
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      // Step 1: Upload the note to IPFS (if any)
+      let noteCid = '';
+      if (note.trim()) {
+        noteCid = await uploadDataToIpfs(note.trim());
+      }
+
+      // Step 2: Record the attestation on the blockchain
+      await attestFile(fileId, status, noteCid);
+      setNote('');
+
+      if (onAttestComplete) {
+        onAttestComplete();
+      }
+    } catch (error) {
+      console.error('Attest error:', error);
+      setError(error.message || 'Failed to record attestation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="attest-file">
+      <select
+        value={status}
+        onChange={(e) => setStatus(e.target.value)}
+        disabled={submitting}
+        className="attest-status"
+      >
+        {ATTESTATION_STATUSES.map((value) => (
+          <option key={value} value={value}>{STATUS_LABELS[value]}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Optional note..."
+        disabled={submitting}
+        className="attest-note-input"
+      />
+      <button type="submit" disabled={submitting} className="attest-button">
+        {submitting ? 'Recording...' : 'Attest'}
+      </button>
+      {error && <span className="attest-error">{error}</span>}
+
+      <style>{`
+        .attest-file {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 10px;
+        }
+
+        .attest-status,
+        .attest-note-input {
+          padding: 6px 10px;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+          font-size: 12px;
+          background: #fff;
+        }
+
+        .attest-note-input {
+          flex: 1;
+          min-width: 160px;
+        }
+
+        .attest-button {
+          padding: 6px 12px;
+          background: #2563eb;
+          color: #fff;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 500;
+        }
+
+        .attest-button:hover:not(:disabled) {
+          background: #1d4ed8;
+        }
+
+        .attest-button:disabled {
+          background: #d1d5db;
+          cursor: wait;
+        }
+
+        .attest-error {
+          width: 100%;
+          font-size: 11px;
+          color: #dc2626;
+        }
+      `}</style>
+    </form>
+  );
+};
+
+export default AttestFile;
@@ -0,0 +1,101 @@
+/**
+ * AttestationHistory Component
+ *
+ * Displays the verifier attestations recorded for a file,
+ * newest first, with a link to each optional note on IPFS.
+ */
+
+import React from 'react';
+import { getGatewayUrl } from '../ipfs/ipfsClient';
+import { formatAddress } from '../auth/walletAuth';
+
+// Display labels for each attestation status
+export const STATUS_LABELS = {
+  verified: 'Verified',
+  rejected: 'Rejected',
+  'needs-info': 'Needs Info'
+};
+
+/**
+ * Small badge showing a single attestation status
+ */
+export const AttestationBadge = ({ status }) => (
+  <span className={`attestation-badge ${status}`}>
+    {STATUS_LABELS[status] || status}
+  </span>
+);
+
+const AttestationHistory = ({ attestations = [] }) => {
+  if (attestations.length === 0) {
+    return (
+      <div className="attestation-history empty">
+        <p>No attestations yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="attestation-history">
+      <ul>
+        {[...attestations].reverse().map((attestation) => (
+          <li key={`${attestation.verifier}-${attestation.timestamp}-${attestation.status}`}>
+            <AttestationBadge status={attestation.status} />
+            <span className="attestation-verifier" title={attestation.verifier}>
+              {formatAddress(attestation.verifier)}
+            </span>
+            <span className="attestation-date">{attestation.date}</span>
+            {attestation.noteCid && (
+              <a
+                href={getGatewayUrl(attestation.noteCid)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="attestation-note"
+              >
+                View note
+              </a>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <style>{`
+        .attestation-history ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .attestation-history li {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 6px 0;
+          font-size: 12px;
+          color: #6b7280;
+        }
+
+        .attestation-history.empty p {
+          margin: 0;
+          font-size: 12px;
+          color: #9ca3af;
+        }
+
+        .attestation-verifier {
+          font-family: 'SF Mono', 'Consolas', monospace;
+          color: #374151;
+        }
+
+        .attestation-note {
+          color: #2563eb;
+          text-decoration: none;
+        }
+
+        .attestation-note:hover {
+          text-decoration: underline;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default AttestationHistory;
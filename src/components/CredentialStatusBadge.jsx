@@ -0,0 +1,52 @@
+/**
+ * CredentialStatusBadge Component
+ *
+ * Small badge showing whether a credential is active, expired or revoked.
+ * Revoked badges name the reason when one was recorded.
+ */
+
+import React from 'react';
+import { CREDENTIAL_STATUS_LABELS, REVOCATION_REASON_LABELS, formatDate } from '../utils/format';
+
+const CredentialStatusBadge = ({ file }) => {
+  let title = 'Not expired or revoked';
+  if (file.status === 'revoked') {
+    title = `Revoked ${formatDate(file.revokedAt)}: ${REVOCATION_REASON_LABELS[file.revocationReason] || 'No reason'}`;
+  } else if (file.status === 'expired') {
+    title = `Expired ${formatDate(file.metadata.expiresAt)}`;
+  }
+
+  return (
+    <span className={`credential-status ${file.status}`} title={title}>
+      {CREDENTIAL_STATUS_LABELS[file.status] || file.status}
+
+      <style>{`
+        .credential-status {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 11px;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .credential-status.active {
+          background: #e0f2fe;
+          color: #075985;
+        }
+
+        .credential-status.expired {
+          background: #f3f4f6;
+          color: #4b5563;
+        }
+
+        .credential-status.revoked {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+      `}</style>
+    </span>
+  );
+};
+
+export default CredentialStatusBadge;
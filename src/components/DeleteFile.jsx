@@ -5,13 +5,19 @@
  * Requires confirmation before deletion.
  */
 
-import React, { useState } from 'react';
-import { deleteFile } from '../blockchain/contract';
+import React, { useCallback, useState } from 'react';
+import { deleteFile, estimateDeleteFile } from '../blockchain/contract';
+import { canRelay } from '../blockchain/relayer';
+import ErrorNotice from './ErrorNotice';
+import FeeEstimate from './FeeEstimate';
 
-const DeleteFile = ({ userId, fileIndex, fileName, onDeleteComplete }) => {
+const DeleteFile = ({ userId, fileId, fileName, onDeleteComplete }) => {
   const [deleting, setDeleting] = useState(false);
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [error, setError] = useState('');
+  const [feeTier, setFeeTier] = useState('normal');
+
+  const estimateGas = useCallback(() => estimateDeleteFile(userId, fileId), [userId, fileId]);
 
   const handleDeleteClick = () => {
     setConfirmDelete(true);
@@ -23,7 +29,7 @@ const DeleteFile = ({ userId, fileIndex, fileName, onDeleteComplete }) => {
     setError('');
 
     try {
-      await deleteFile(userId, fileIndex);
+      await deleteFile(userId, fileId, { feeTier });
       setConfirmDelete(false);
       
       if (onDeleteComplete) {
@@ -31,7 +37,7 @@ const DeleteFile = ({ userId, fileIndex, fileName, onDeleteComplete }) => {
       }
     } catch (error) {
       console.error('Delete error:', error);
-      setError(error.message || 'Failed to delete file');
+      setError(error.message ? error : 'Failed to delete file');
     } finally {
       setDeleting(false);
     }
@@ -46,6 +52,14 @@ const DeleteFile = ({ userId, fileIndex, fileName, onDeleteComplete }) => {
     return (
       <span className="delete-confirm">
         <span className="confirm-text">Delete "{fileName}"?</span>
+        <FeeEstimate
+          estimateGas={estimateGas}
+          tier={feeTier}
+          onTierChange={setFeeTier}
+          relayed={canRelay('deleteFile')}
+          disabled={deleting}
+          compact
+        />
         <button
           onClick={handleConfirmDelete}
           disabled={deleting}
@@ -60,7 +74,7 @@ const DeleteFile = ({ userId, fileIndex, fileName, onDeleteComplete }) => {
         >
           No
         </button>
-        {error && <span className="delete-error">{error}</span>}
+        <ErrorNotice error={error} compact />
 
         <style>{`
           .delete-confirm {
@@ -108,11 +122,6 @@ const DeleteFile = ({ userId, fileIndex, fileName, onDeleteComplete }) => {
           .confirm-no:hover:not(:disabled) {
             background: #f3f4f6;
           }
-
-          .delete-error {
-            font-size: 11px;
-            color: #dc2626;
-          }
         `}</style>
       </span>
     );
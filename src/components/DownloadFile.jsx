@@ -2,27 +2,41 @@
  * DownloadFile Component
  * 
  * A button component that downloads a file from IPFS.
+ * Encrypted files are decrypted with the connected wallet before saving,
+ * either as their owner or through an access grant (grantKey).
+ * Content that fails its integrity check is reported and never saved.
  */
 
 import React, { useState } from 'react';
-import { downloadFromIpfs, getGatewayUrl } from '../ipfs/ipfsClient';
+import { downloadFromIpfs, getGatewayUrl, isDemoMode } from '../ipfs/ipfsClient';
+import { IntegrityError } from '../ipfs/verify';
 
-const DownloadFile = ({ cid, fileName }) => {
+const DownloadFile = ({ cid, fileName, encryption = '', mimeType = '', grantKey = null, contentHash = '' }) => {
   const [downloading, setDownloading] = useState(false);
   const [error, setError] = useState('');
+  const [integrityError, setIntegrityError] = useState('');
 
   const handleDownload = async () => {
     setDownloading(true);
     setError('');
+    setIntegrityError('');
 
     try {
-      await downloadFromIpfs(cid, fileName);
+      await downloadFromIpfs(cid, fileName, { encryption, mimeType, grantKey, contentHash });
     } catch (error) {
       console.error('Download error:', error);
-      setError('Failed to download');
+      setError(error.message || 'Failed to download');
+
+      // Never fall back to unverified content
+      if (error instanceof IntegrityError) {
+        setIntegrityError(error.message);
+        return;
+      }
       
-      // Fallback: open in new tab
-      window.open(getGatewayUrl(cid), '_blank');
+      // Fallback: open in new tab (pointless for encrypted or demo files)
+      if (!encryption && !isDemoMode()) {
+        window.open(getGatewayUrl(cid), '_blank');
+      }
     } finally {
       setDownloading(false);
     }
@@ -36,8 +50,13 @@ const DownloadFile = ({ cid, fileName }) => {
         className="download-button"
         title={error || `Download ${fileName}`}
       >
-        {downloading ? '...' : 'Download'}
+        {downloading ? '...' : encryption ? '🔒 Download' : 'Download'}
       </button>
+      {integrityError && (
+        <span className="download-integrity-error" role="alert">
+          ⚠️ {integrityError}
+        </span>
+      )}
 
       <style>{`
         .download-button {
@@ -60,6 +79,15 @@ const DownloadFile = ({ cid, fileName }) => {
           background: #d1d5db;
           cursor: wait;
         }
+
+        .download-integrity-error {
+          display: block;
+          max-width: 260px;
+          margin-top: 6px;
+          font-size: 11px;
+          color: #dc2626;
+          white-space: normal;
+        }
       `}</style>
     </>
   );
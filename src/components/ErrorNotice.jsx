@@ -0,0 +1,113 @@
+/**
+ * ErrorNotice Component
+ *
+ * Shows an error with a heading that says what kind of problem it is.
+ * Typed contract errors (see blockchain/errors.js) get their own heading;
+ * a cancelled wallet request is shown as a notice rather than a failure.
+ * Plain Errors and strings are shown as they are.
+ */
+
+import React from 'react';
+
+// Heading and tone for each error type, by error name
+const ERROR_KINDS = {
+  UserRejectedError: { title: 'Request cancelled', tone: 'notice' },
+  InsufficientFundsError: { title: 'Not enough ETH', tone: 'error' },
+  NonceError: { title: 'Wallet out of sync', tone: 'error' },
+  NetworkError: { title: 'Network unavailable', tone: 'error' },
+  TransactionDroppedError: { title: 'Transaction dropped', tone: 'error' },
+  TransactionCancelledError: { title: 'Transaction replaced', tone: 'notice' },
+  NotAuthorizedError: { title: 'Not authorized', tone: 'error' },
+  NotFoundError: { title: 'Not found', tone: 'error' },
+  RevertError: { title: 'Rejected by the contract', tone: 'error' }
+};
+
+const ErrorNotice = ({ error, compact = false }) => {
+  if (!error) {
+    return null;
+  }
+
+  const message = typeof error === 'string' ? error : error.message;
+  const kind = ERROR_KINDS[error.name] || { title: '', tone: 'error' };
+
+  if (compact) {
+    return (
+      <span className={`error-notice-inline ${kind.tone}`} title={kind.title}>
+        {message}
+        <style>{`
+          .error-notice-inline {
+            font-size: 11px;
+            color: #dc2626;
+          }
+
+          .error-notice-inline.notice {
+            color: #92400e;
+          }
+        `}</style>
+      </span>
+    );
+  }
+
+  return (
+    <div className={`error-notice ${kind.tone}`} role="alert">
+      <div>
+        {kind.title && <strong>{kind.title}</strong>}
+        <p>{message}</p>
+      </div>
+
+      <style>{`
+        .error-notice {
+          margin-top: 16px;
+          padding: 14px 16px;
+          background: linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%);
+          color: #dc2626;
+          border-radius: 12px;
+          text-align: left;
+          font-size: 14px;
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          border: 1px solid #fecaca;
+        }
+
+        .error-notice::before {
+          content: '!';
+          width: 22px;
+          height: 22px;
+          background: linear-gradient(135deg, #dc2626 0%, #ef4444 100%);
+          color: #fff;
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 12px;
+          font-weight: 800;
+          flex-shrink: 0;
+        }
+
+        .error-notice.notice {
+          background: linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%);
+          color: #92400e;
+          border-color: #fde68a;
+        }
+
+        .error-notice.notice::before {
+          background: linear-gradient(135deg, #d97706 0%, #f59e0b 100%);
+        }
+
+        .error-notice strong {
+          display: block;
+          margin-bottom: 2px;
+          font-size: 13px;
+        }
+
+        .error-notice p {
+          margin: 0;
+          font-weight: 500;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ErrorNotice;
@@ -0,0 +1,259 @@
+/**
+ * FeeEstimate Component
+ *
+ * Shows what a transaction is expected to cost, in the network's currency
+ * and in fiat, and lets the user pick how fast it should be mined.
+ * Test networks' currency has no value, so no fiat price is shown there.
+ * The parent passes the chosen tier on to the contract call.
+ *
+ * Calls sent through the relayer (see blockchain/relayer.js) cost the
+ * user nothing, which is shown instead of an estimate.
+ *
+ * estimateGas should be memoized; the estimate is redone whenever it
+ * changes (after a short pause, so typing doesn't spam the node).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { FEE_TIERS, getFeeTiers, estimateCost } from '../blockchain/contract';
+import { getPrice } from '../blockchain/priceSource';
+import { getSelectedNetwork } from '../config/networks';
+import { formatNativeAmount, formatFiat } from '../utils/format';
+
+// Wait this long after the inputs change before estimating (ms)
+const ESTIMATE_DELAY = 400;
+
+// Display label for each fee tier
+const TIER_LABELS = { slow: 'Slow', normal: 'Normal', fast: 'Fast' };
+
+const FeeEstimate = ({ estimateGas, tier, onTierChange, relayed = false, disabled = false, compact = false }) => {
+  const [estimate, setEstimate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { nativeCurrency, mainnet } = getSelectedNetwork();
+
+  useEffect(() => {
+    if (!estimateGas || relayed) {
+      setEstimate(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    const timer = setTimeout(async () => {
+      try {
+        const [gasLimit, fees, quote] = await Promise.all([
+          estimateGas(),
+          getFeeTiers(),
+          mainnet ? getPrice(nativeCurrency.symbol) : null
+        ]);
+        if (cancelled) return;
+
+        const costs = {};
+        FEE_TIERS.forEach((name) => {
+          costs[name] = estimateCost(gasLimit, fees.tiers[name]);
+        });
+        setEstimate({ gasLimit, costs, quote });
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Fee estimate error:', error);
+        setEstimate(null);
+        setError(error.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, ESTIMATE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [estimateGas, relayed, nativeCurrency.symbol, mainnet]);
+
+  if (!estimateGas) {
+    return null;
+  }
+
+
+  /**
+   * Describe a cost in the native currency and, if a price is known, in fiat
+   * @param {bigint} wei - The cost in wei
+   * @returns {string} e.g. "0.00042 ETH (~$1.26)", or "0.00042 ETH (test ETH – no value)"
+   */
+  const describeCost = (wei) => {
+    const native = formatNativeAmount(wei, nativeCurrency.symbol);
+    if (!mainnet) return `${native} (test ${nativeCurrency.symbol} – no value)`;
+    if (!estimate.quote) return native;
+
+    const fiat = Number(ethers.formatEther(wei)) * estimate.quote.price;
+    return `${native} (~${formatFiat(fiat, estimate.quote.currency)})`;
+  };
+
+  const selected = estimate?.costs[tier];
+
+  if (compact) {
+    return (
+      <span className="fee-estimate-inline">
+        {relayed ? (
+          <span title="Sent for you by the relayer">No fee</span>
+        ) : (
+          <>
+            <select
+              value={tier}
+              onChange={(e) => onTierChange(e.target.value)}
+              disabled={disabled}
+              title="Transaction speed"
+            >
+              {FEE_TIERS.map((name) => (
+                <option key={name} value={name}>{TIER_LABELS[name]}</option>
+              ))}
+            </select>
+            <span className="fee-estimate-inline-cost" title={error}>
+              {loading ? 'Estimating...' : selected ? describeCost(selected.expected) : 'Fee unavailable'}
+            </span>
+          </>
+        )}
+
+        <style>{`
+          .fee-estimate-inline {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 11px;
+            color: #6b7280;
+          }
+
+          .fee-estimate-inline select {
+            padding: 2px 4px;
+            font-size: 11px;
+            border: 1px solid #d1d5db;
+            border-radius: 4px;
+            background: #fff;
+          }
+        `}</style>
+      </span>
+    );
+  }
+
+  return (
+    <div className="fee-estimate">
+      <div className="fee-estimate-header">
+        <span className="fee-estimate-label">{relayed ? 'No network fee' : 'Estimated network fee'}</span>
+        {!relayed && (
+          <div className="fee-tiers" role="radiogroup" aria-label="Transaction speed">
+            {FEE_TIERS.map((name) => (
+              <button
+                key={name}
+                type="button"
+                role="radio"
+                aria-checked={tier === name}
+                className={`fee-tier ${tier === name ? 'selected' : ''}`}
+                onClick={() => onTierChange(name)}
+                disabled={disabled}
+              >
+                {TIER_LABELS[name]}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {relayed && (
+        <p className="fee-estimate-detail">You only sign; the relayer sends this transaction and pays for it.</p>
+      )}
+      {!relayed && loading && <p className="fee-estimate-value">Estimating...</p>}
+      {!relayed && !loading && error && <p className="fee-estimate-error">Couldn't estimate the fee: {error}</p>}
+      {!relayed && !loading && selected && (
+        <>
+          <p className="fee-estimate-value">{describeCost(selected.expected)}</p>
+          <p className="fee-estimate-detail">
+            At most {formatNativeAmount(selected.max, nativeCurrency.symbol)} ·{' '}
+            {estimate.gasLimit.toLocaleString()} gas
+            {estimate.quote && !estimate.quote.live && ' · fiat value uses a fixed price'}
+          </p>
+        </>
+      )}
+
+      <style>{`
+        .fee-estimate {
+          margin-top: 16px;
+          padding: 12px 14px;
+          background: #f9fafb;
+          border: 1px solid #e5e7eb;
+          border-radius: 10px;
+          text-align: left;
+        }
+
+        .fee-estimate-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 12px;
+          flex-wrap: wrap;
+        }
+
+        .fee-estimate-label {
+          font-size: 13px;
+          font-weight: 600;
+          color: #374151;
+        }
+
+        .fee-tiers {
+          display: inline-flex;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        .fee-tier {
+          padding: 4px 12px;
+          background: #fff;
+          color: #374151;
+          border: none;
+          border-left: 1px solid #d1d5db;
+          font-size: 12px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .fee-tier:first-child {
+          border-left: none;
+        }
+
+        .fee-tier.selected {
+          background: #4f46e5;
+          color: #fff;
+        }
+
+        .fee-tier:disabled {
+          cursor: not-allowed;
+          opacity: 0.7;
+        }
+
+        .fee-estimate-value {
+          margin: 8px 0 0;
+          font-size: 15px;
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .fee-estimate-detail {
+          margin: 2px 0 0;
+          font-size: 12px;
+          color: #6b7280;
+        }
+
+        .fee-estimate-error {
+          margin: 8px 0 0;
+          font-size: 12px;
+          color: #b45309;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default FeeEstimate;
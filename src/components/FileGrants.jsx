@@ -0,0 +1,155 @@
+/**
+ * FileGrants Component
+ *
+ * Lists the valuators an encrypted file has been shared with
+ * and lets the owner revoke access. A grant to the owner's own wallet
+ * (made when the User ID was moved to it) is how the owner opens the
+ * file, so it can't be revoked here.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getFileGrants, revokeAccess } from '../blockchain/contract';
+import { formatAddress } from '../auth/walletAuth';
+import { formatDate } from '../utils/format';
+
+const FileGrants = ({ userId, fileId, ownerAddress = null }) => {
+  const [grants, setGrants] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchGrants = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      setGrants(await getFileGrants(fileId));
+    } catch (error) {
+      console.error('Error fetching grants:', error);
+      setError('Failed to load access grants.');
+    } finally {
+      setLoading(false);
+    }
+  }, [fileId]);
+
+  useEffect(() => {
+    fetchGrants();
+  }, [fetchGrants]);
+
+  const handleRevoke = async (grantee) => {
+    setRevoking(grantee);
+    setError('');
+
+    try {
+      await revokeAccess(userId, fileId, grantee);
+      await fetchGrants();
+    } catch (error) {
+      console.error('Revoke error:', error);
+      setError(error.message || 'Failed to revoke access');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const isOwnGrant = (grant) => Boolean(ownerAddress) && grant.grantee.toLowerCase() === ownerAddress.toLowerCase();
+
+  const describeGrant = (grant) => {
+    if (isOwnGrant(grant) && grant.active) return 'This wallet (moved User ID)';
+    if (grant.revoked) return 'Revoked';
+    if (!grant.active) return 'Expired';
+    if (grant.expiresAt) return `Until ${formatDate(grant.expiresAt)}`;
+    return 'No expiry';
+  };
+
+  return (
+    <div className="file-grants">
+      <h4 className="history-title">Shared with</h4>
+      {loading ? (
+        <p className="grants-empty">Loading...</p>
+      ) : grants.length === 0 ? (
+        <p className="grants-empty">Not shared with anyone.</p>
+      ) : (
+        <ul>
+          {grants.map((grant) => (
+            <li key={grant.grantee} className={grant.active ? '' : 'inactive'}>
+              <span className="grant-address" title={grant.grantee}>
+                {formatAddress(grant.grantee)}
+              </span>
+              <span className="grant-status">{describeGrant(grant)}</span>
+              {grant.active && !isOwnGrant(grant) && (
+                <button
+                  onClick={() => handleRevoke(grant.grantee)}
+                  disabled={revoking !== null}
+                  className="grant-revoke"
+                >
+                  {revoking === grant.grantee ? '...' : 'Revoke'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="grants-error">{error}</p>}
+
+      <style>{`
+        .file-grants {
+          margin-bottom: 12px;
+        }
+
+        .file-grants ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .file-grants li {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 4px 0;
+          font-size: 12px;
+          color: #374151;
+        }
+
+        .file-grants li.inactive {
+          color: #9ca3af;
+        }
+
+        .grant-address {
+          font-family: 'SF Mono', 'Consolas', monospace;
+        }
+
+        .grant-status {
+          color: #6b7280;
+        }
+
+        .grant-revoke {
+          padding: 2px 8px;
+          background: #fff;
+          color: #dc2626;
+          border: 1px solid #fca5a5;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 11px;
+        }
+
+        .grant-revoke:hover:not(:disabled) {
+          background: #fef2f2;
+        }
+
+        .grants-empty,
+        .grants-error {
+          margin: 0;
+          font-size: 12px;
+          color: #9ca3af;
+        }
+
+        .grants-error {
+          color: #dc2626;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default FileGrants;
@@ -0,0 +1,181 @@
+/**
+ * FileHistory Component
+ *
+ * Shows when a user registered and when each of their files was
+ * uploaded, deleted, revoked or given a new expiry date, as recorded
+ * by the event indexer.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getUserHistory } from '../blockchain/indexer';
+import { formatAddress } from '../auth/walletAuth';
+import { getExplorerUrl } from '../config/networks';
+import { REVOCATION_REASON_LABELS, formatDate } from '../utils/format';
+
+// Display labels for each event type
+const EVENT_LABELS = {
+  registered: 'Registered',
+  uploaded: 'Uploaded',
+  deleted: 'Deleted',
+  revoked: 'Revoked',
+  'expiry-changed': 'Expiry set'
+};
+
+/**
+ * Describe what an event was about
+ * @param {Object} event - The event record
+ * @param {Object} names - File names by ID
+ * @returns {string} e.g. "#3 degree.pdf (Superseded)"
+ */
+const describeEvent = (event, names) => {
+  if (event.type === 'registered') {
+    return `User ID by ${formatAddress(event.owner)}`;
+  }
+
+  const subject = `#${event.fileId} ${names[event.fileId] || ''}`;
+  if (event.type === 'revoked') {
+    return `${subject} (${REVOCATION_REASON_LABELS[event.reason] || 'no reason'})`;
+  }
+  if (event.type === 'expiry-changed') {
+    return `${subject} (expires ${formatDate(event.expiresAt)})`;
+  }
+  return subject;
+};
+
+const FileHistory = ({ userId }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getUserHistory(userId)
+      .then((history) => {
+        if (!cancelled) setEvents([...history].reverse());
+      })
+      .catch((error) => {
+        console.error('Error loading history:', error);
+        if (!cancelled) setError('Failed to load history.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Uploads carry the file name; other file events only the ID
+  const names = {};
+  events.forEach((event) => {
+    if (event.type === 'uploaded') names[event.fileId] = event.name;
+  });
+
+  return (
+    <div className="file-history">
+      <h4 className="history-title">History</h4>
+      {loading ? (
+        <p className="file-history-empty">Loading...</p>
+      ) : error ? (
+        <p className="file-history-empty">{error}</p>
+      ) : events.length === 0 ? (
+        <p className="file-history-empty">No activity recorded.</p>
+      ) : (
+        <ul>
+          {events.map((event) => {
+            const txUrl = getExplorerUrl('tx', event.transactionHash);
+            return (
+              <li key={event.key}>
+                <span className={`file-history-type ${event.type}`}>{EVENT_LABELS[event.type]}</span>
+                <span className="file-history-subject">{describeEvent(event, names)}</span>
+                <span className="file-history-date">
+                  {new Date(event.timestamp * 1000).toLocaleString()}
+                </span>
+                {txUrl ? (
+                  <a className="file-history-block" href={txUrl} target="_blank" rel="noopener noreferrer">
+                    Block {event.blockNumber}
+                  </a>
+                ) : (
+                  <span className="file-history-block" title={event.transactionHash}>
+                    Block {event.blockNumber}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <style>{`
+        .file-history {
+          margin-top: 16px;
+          padding: 16px;
+          background: #f9fafb;
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+        }
+
+        .file-history ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .file-history li {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 6px 0;
+          font-size: 12px;
+          color: #6b7280;
+        }
+
+        .file-history-type {
+          min-width: 72px;
+          font-weight: 600;
+        }
+
+        .file-history-type.uploaded {
+          color: #166534;
+        }
+
+        .file-history-type.deleted,
+        .file-history-type.revoked {
+          color: #dc2626;
+        }
+
+        .file-history-type.expiry-changed {
+          color: #b45309;
+        }
+
+        .file-history-subject {
+          flex: 1;
+          color: #374151;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .file-history-block {
+          font-family: 'SF Mono', 'Consolas', monospace;
+        }
+
+        a.file-history-block {
+          color: #2563eb;
+        }
+
+        .file-history-empty {
+          margin: 0;
+          font-size: 12px;
+          color: #9ca3af;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default FileHistory;
@@ -1,21 +1,149 @@
 /**
  * FileList Component
  * 
- * Displays a list of all files for a user.
- * Shows file name, upload date, and action buttons.
+ * Displays a user's files, newest first, a page at a time.
+ * Shows file name, credential details, upload date, credential and
+ * attestation status, and action buttons. Category and upload date
+ * filters are applied when pages are read, so they cover every file;
+ * issuer and status (active, expired or revoked) filters narrow down
+ * the files loaded so far. Files a
+ * registered issuer published are marked "Issued by" the organization;
+ * the rest are marked self-uploaded, as their issuer is only the owner's
+ * claim.
+ *
+ * Owners can select encrypted files to share with a valuator. In read-only
+ * mode, encrypted files can only be downloaded by a viewer wallet
+ * (viewerAddress) that has been granted access. Owners pass their own
+ * wallet as viewerAddress, so files that came with a User ID moved from
+ * another wallet are opened through the grant made to this one.
+ *
+ * Pages are read from the local event index when available,
+ * falling back to the contract. Uploads, deletions, revocations and
+ * expiry changes for the user show up live through contract event
+ * subscriptions.
  */
 
-import React, { useState, useEffect } from 'react';
-import { getFiles } from '../blockchain/contract';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  getFilesPage,
+  getFile,
+  getAttestations,
+  getAccessGrant,
+  subscribeToFileEvents,
+  CREDENTIAL_CATEGORIES,
+  CREDENTIAL_STATUSES
+} from '../blockchain/contract';
+import { getIndexedFilesPage } from '../blockchain/indexer';
+import {
+  CATEGORY_LABELS,
+  CREDENTIAL_STATUS_LABELS,
+  REVOCATION_REASON_LABELS,
+  formatFileSize,
+  formatDate,
+  dateInputToTimestamp
+} from '../utils/format';
 import DownloadFile from './DownloadFile';
 import DeleteFile from './DeleteFile';
+import RevokeFile from './RevokeFile';
+import SetFileExpiry from './SetFileExpiry';
+import CredentialStatusBadge from './CredentialStatusBadge';
+import AttestationHistory, { AttestationBadge } from './AttestationHistory';
+import AttestFile from './AttestFile';
+import ShareFiles from './ShareFiles';
+import FileGrants from './FileGrants';
+import FileHistory from './FileHistory';
 
-const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
+// Files read per page
+const PAGE_SIZE = 20;
+
+const FileList = ({ userId, isReadOnly = false, canAttest = false, viewerAddress = null, onRefresh }) => {
   const [files, setFiles] = useState([]);
+  const [attestations, setAttestations] = useState({});
+  const [grants, setGrants] = useState({});
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showShare, setShowShare] = useState(false);
+  const [expandedFileId, setExpandedFileId] = useState(null);
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [issuerFilter, setIssuerFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [uploadedFrom, setUploadedFrom] = useState('');
+  const [uploadedTo, setUploadedTo] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [unloadedCount, setUnloadedCount] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [liveFileIds, setLiveFileIds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
+  // Bumped by every first-page read, so responses for an older query are dropped
+  const requestRef = useRef(0);
+  // The loaded list as of the last render, for the event handlers below
+  const loadedRef = useRef({ files, nextCursor });
+  loadedRef.current = { files, nextCursor };
+
+  // Category and upload date filters, in the form getFilesPage takes them
+  const query = useMemo(() => ({
+    categories: categoryFilter === 'all' ? [] : [categoryFilter],
+    uploadedFrom: dateInputToTimestamp(uploadedFrom),
+    // Include the whole of the last day
+    uploadedTo: uploadedTo ? dateInputToTimestamp(uploadedTo) + 24 * 60 * 60 - 1 : 0
+  }), [categoryFilter, uploadedFrom, uploadedTo]);
+  const hasQuery = categoryFilter !== 'all' || Boolean(uploadedFrom) || Boolean(uploadedTo);
+
+  /**
+   * Check whether a file passes the category and upload date filters
+   * @param {Object} file - A file object
+   * @returns {boolean} True if the file belongs in the list
+   */
+  const matchesQuery = useCallback((file) => (
+    (query.categories.length === 0 || query.categories.includes(file.metadata.category)) &&
+    (!query.uploadedFrom || file.timestamp >= query.uploadedFrom) &&
+    (!query.uploadedTo || file.timestamp <= query.uploadedTo)
+  ), [query]);
+
+  /**
+   * Read a page of files with their attestations and the viewer's access grants
+   * @param {string|null} cursor - nextCursor from the previous page, or null for the first page
+   * @returns {Promise<Object>} {files, nextCursor, remaining, attestationsById, grantsById}
+   */
+  const loadPage = async (cursor) => {
+    const options = { ...query, cursor, limit: PAGE_SIZE };
+    let page;
+    try {
+      page = await getIndexedFilesPage(userId, options);
+    } catch (indexError) {
+      console.warn('Event index unavailable, reading files from contract:', indexError);
+      page = await getFilesPage(userId, options);
+    }
+
+    // Load the attestation history of every file
+    const histories = await Promise.all(
+      page.files.map((file) => getAttestations(file.id))
+    );
+    const attestationsById = {};
+    page.files.forEach((file, i) => {
+      attestationsById[file.id] = histories[i];
+    });
+
+    // Load the viewer's access grants for encrypted files
+    const grantsById = {};
+    if (viewerAddress) {
+      const encryptedFiles = page.files.filter((file) => file.metadata.encryption);
+      const viewerGrants = await Promise.all(
+        encryptedFiles.map((file) => getAccessGrant(file.id, viewerAddress))
+      );
+      encryptedFiles.forEach((file, i) => {
+        grantsById[file.id] = viewerGrants[i];
+      });
+    }
+
+    return { ...page, attestationsById, grantsById };
+  };
+
   const fetchFiles = async () => {
+    const request = ++requestRef.current;
     if (!userId) {
       setFiles([]);
       setLoading(false);
@@ -24,21 +152,98 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
 
     setLoading(true);
     setError('');
+    setLoadMoreError('');
 
     try {
-      const userFiles = await getFiles(userId);
-      setFiles(userFiles);
+      const page = await loadPage(null);
+      if (request !== requestRef.current) return;
+      setFiles(page.files);
+      setAttestations(page.attestationsById);
+      setGrants(page.grantsById);
+      setNextCursor(page.nextCursor);
+      setUnloadedCount(page.remaining - page.files.length);
+      setSelectedIds([]);
     } catch (error) {
+      if (request !== requestRef.current) return;
       console.error('Error fetching files:', error);
       setError('Failed to load files. Please try again.');
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) setLoading(false);
+    }
+  };
+
+  const loadMore = async () => {
+    const request = requestRef.current;
+    setLoadingMore(true);
+    setLoadMoreError('');
+
+    try {
+      const page = await loadPage(nextCursor);
+      // The list was reloaded meanwhile, so this page belongs to an older query
+      if (request !== requestRef.current) return;
+      setFiles((current) => [
+        ...current,
+        ...page.files.filter((file) => !current.some((f) => f.id === file.id))
+      ]);
+      setAttestations((current) => ({ ...current, ...page.attestationsById }));
+      setGrants((current) => ({ ...current, ...page.grantsById }));
+      setNextCursor(page.nextCursor);
+      setUnloadedCount(page.remaining - page.files.length);
+    } catch (error) {
+      if (request !== requestRef.current) return;
+      console.error('Error loading more files:', error);
+      setLoadMoreError('Failed to load more files.');
+    } finally {
+      setLoadingMore(false);
     }
   };
 
   useEffect(() => {
     fetchFiles();
-  }, [userId]);
+  }, [userId, viewerAddress, categoryFilter, uploadedFrom, uploadedTo]);
+
+  // Apply uploads and deletions for this user as they happen
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+
+    return subscribeToFileEvents(userId, {
+      onUpload: async (fileId) => {
+        try {
+          const [file, history] = await Promise.all([getFile(fileId), getAttestations(fileId)]);
+          if (!matchesQuery(file)) {
+            return;
+          }
+          // New files are the newest, so they go at the top
+          setFiles((current) => (
+            current.some((f) => f.id === fileId) ? current : [file, ...current]
+          ));
+          setAttestations((current) => ({ ...current, [fileId]: history }));
+          setLiveFileIds((current) => [...current, fileId]);
+        } catch (error) {
+          console.error('Error loading new file:', error);
+        }
+      },
+      onDelete: (fileId) => {
+        // Files beyond the loaded pages are only counted, so count this one off
+        const { files: loaded, nextCursor: cursor } = loadedRef.current;
+        if (cursor !== null && Number(fileId) <= Number(cursor) && !loaded.some((f) => f.id === fileId)) {
+          setUnloadedCount((count) => Math.max(count - 1, 0));
+        }
+        setFiles((current) => current.filter((f) => f.id !== fileId));
+        setSelectedIds((current) => current.filter((id) => id !== fileId));
+      },
+      onStatusChange: async (fileId) => {
+        try {
+          const file = await getFile(fileId);
+          setFiles((current) => current.map((f) => (f.id === fileId ? { ...f, ...file } : f)));
+        } catch (error) {
+          console.error('Error reloading file:', error);
+        }
+      }
+    });
+  }, [userId, matchesQuery]);
 
   // Allow parent to trigger refresh
   useEffect(() => {
@@ -51,7 +256,67 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
     fetchFiles();
   };
 
-  if (loading) {
+  const handleAttestComplete = () => {
+    fetchFiles();
+  };
+
+  const handleStatusChangeComplete = () => {
+    fetchFiles();
+  };
+
+  const handleShareComplete = () => {
+    setShowShare(false);
+    fetchFiles();
+  };
+
+  const toggleSelected = (fileId) => {
+    setSelectedIds(selectedIds.includes(fileId)
+      ? selectedIds.filter((id) => id !== fileId)
+      : [...selectedIds, fileId]);
+  };
+
+  const toggleDetails = (fileId) => {
+    setExpandedFileId(expandedFileId === fileId ? null : fileId);
+  };
+
+  // Live uploads and deletions change the list, and so the total, directly
+  const totalFiles = files.length + unloadedCount;
+
+  const visibleFiles = files.filter((file) => {
+    if (issuerFilter && !file.metadata.issuer.toLowerCase().includes(issuerFilter.trim().toLowerCase())) {
+      return false;
+    }
+    if (statusFilter !== 'all' && file.status !== statusFilter) {
+      return false;
+    }
+    return true;
+  });
+
+  // Render the download action, hiding it for encrypted files the viewer cannot open
+  const renderDownload = (file) => {
+    const grant = grants[file.id];
+
+    if (isReadOnly && file.metadata.encryption && !(grant && grant.active)) {
+      return <span className="locked" title="The owner has not shared this file with your wallet">🔒 No access</span>;
+    }
+
+    return (
+      <DownloadFile
+        cid={file.cid}
+        fileName={file.name}
+        encryption={file.metadata.encryption}
+        mimeType={file.metadata.mimeType}
+        contentHash={file.metadata.contentHash}
+        grantKey={grant && grant.active ? grant.grantKey : null}
+      />
+    );
+  };
+
+  const selectedFiles = files.filter((file) => selectedIds.includes(file.id));
+  const columnCount = isReadOnly ? 8 : 9;
+
+  // Keep the list and filters on screen while a filter change reloads it
+  if (loading && files.length === 0 && !hasQuery) {
     return (
       <div className="file-list loading">
         <p>Loading files...</p>
@@ -76,7 +341,7 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
     );
   }
 
-  if (files.length === 0) {
+  if (files.length === 0 && !hasQuery) {
     return (
       <div className="file-list empty">
         <h3>My Files</h3>
@@ -90,49 +355,258 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
     <div className="file-list">
       <div className="file-list-header">
         <h3>{isReadOnly ? `Files for User: ${userId}` : 'My Files'}</h3>
-        <span className="file-count">{files.length} file(s)</span>
+        <span className="file-count">
+          {loading && 'Loading... '}
+          {visibleFiles.length === totalFiles
+            ? `${totalFiles} file(s)`
+            : `Showing ${visibleFiles.length} of ${totalFiles} file(s)`}
+        </span>
+      </div>
+
+      <div className="file-filters">
+        <select
+          value={categoryFilter}
+          onChange={(e) => setCategoryFilter(e.target.value)}
+          className="filter-category"
+        >
+          <option value="all">All categories</option>
+          {CREDENTIAL_CATEGORIES.map((value) => (
+            <option key={value} value={value}>{CATEGORY_LABELS[value]}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={issuerFilter}
+          onChange={(e) => setIssuerFilter(e.target.value)}
+          placeholder="Filter by issuer..."
+          className="filter-issuer"
+        />
+        <label className="filter-date">
+          From
+          <input
+            type="date"
+            value={uploadedFrom}
+            max={uploadedTo || undefined}
+            onChange={(e) => setUploadedFrom(e.target.value)}
+          />
+        </label>
+        <label className="filter-date">
+          To
+          <input
+            type="date"
+            value={uploadedTo}
+            min={uploadedFrom || undefined}
+            onChange={(e) => setUploadedTo(e.target.value)}
+          />
+        </label>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="filter-status"
+        >
+          <option value="all">All statuses</option>
+          {CREDENTIAL_STATUSES.map((value) => (
+            <option key={value} value={value}>{CREDENTIAL_STATUS_LABELS[value]}</option>
+          ))}
+        </select>
+        {!isReadOnly && (
+          <button
+            onClick={() => setShowShare(true)}
+            disabled={selectedIds.length === 0}
+            className="share-selected-button"
+            title="Select encrypted files to share them with a valuator"
+          >
+            Share selected ({selectedIds.length})
+          </button>
+        )}
       </div>
+
+      {showShare && selectedFiles.length > 0 && (
+        <ShareFiles
+          userId={userId}
+          files={selectedFiles}
+          ownGrants={grants}
+          onShareComplete={handleShareComplete}
+          onCancel={() => setShowShare(false)}
+        />
+      )}
       
       <div className="files-table-wrapper">
         <table className="files-table">
           <thead>
             <tr>
-              <th className="col-num">#</th>
+              {!isReadOnly && <th className="col-select"></th>}
+              <th className="col-num">ID</th>
               <th className="col-name">File Name</th>
+              <th className="col-category">Category</th>
+              <th className="col-issuer">Issuer</th>
               <th className="col-date">Upload Date</th>
               <th className="col-cid">CID</th>
+              <th className="col-status">Status</th>
               <th className="col-actions">Actions</th>
             </tr>
           </thead>
           <tbody>
-            {files.map((file, index) => (
-              <tr key={`${file.cid}-${index}`}>
-                <td className="col-num">{index + 1}</td>
-                <td className="col-name" title={file.name}>{file.name}</td>
-                <td className="col-date">{file.uploadDate}</td>
-                <td className="col-cid">
-                  <code title={file.cid}>{file.cid.slice(0, 8)}...{file.cid.slice(-4)}</code>
-                </td>
-                <td className="col-actions">
-                  <DownloadFile cid={file.cid} fileName={file.name} />
-                  {!isReadOnly && (
-                    <DeleteFile
-                      userId={userId}
-                      fileIndex={file.index}
-                      fileName={file.name}
-                      onDeleteComplete={handleDeleteComplete}
-                    />
-                  )}
-                </td>
+            {visibleFiles.length === 0 && (
+              <tr>
+                <td colSpan={columnCount} className="no-matches">No files match these filters.</td>
               </tr>
-            ))}
+            )}
+            {visibleFiles.map((file) => {
+              const history = attestations[file.id] || [];
+              const latest = history[history.length - 1];
+
+              return (
+                <React.Fragment key={file.id}>
+                  <tr className={`file-${file.status} ${liveFileIds.includes(file.id) ? 'live-file' : ''}`}>
+                    {!isReadOnly && (
+                      <td className="col-select">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(file.id)}
+                          onChange={() => toggleSelected(file.id)}
+                          disabled={!file.metadata.encryption || file.status === 'revoked'}
+                          title={file.status === 'revoked'
+                            ? 'Revoked files cannot be shared'
+                            : file.metadata.encryption ? 'Select to share' : 'Only encrypted files can be shared'}
+                        />
+                      </td>
+                    )}
+                    <td className="col-num">{file.id}</td>
+                    <td className="col-name" title={file.name}>{file.name}</td>
+                    <td className="col-category">{CATEGORY_LABELS[file.metadata.category]}</td>
+                    <td className="col-issuer">
+                      {file.issuedBy ? (
+                        <span className="issued-by" title={`Published by registered issuer ${file.issuedBy}`}>
+                          Issued by {file.metadata.issuer}
+                        </span>
+                      ) : (
+                        <>
+                          <span title={file.metadata.issuer}>{file.metadata.issuer || '—'}</span>
+                          <span className="self-uploaded" title="Uploaded by the owner; the issuer is not confirmed">
+                            Self-uploaded
+                          </span>
+                        </>
+                      )}
+                    </td>
+                    <td className="col-date">{file.uploadDate}</td>
+                    <td className="col-cid">
+                      <code title={file.cid}>{file.cid.slice(0, 8)}...{file.cid.slice(-4)}</code>
+                    </td>
+                    <td className="col-status">
+                      <CredentialStatusBadge file={file} />
+                      {latest ? (
+                        <AttestationBadge status={latest.status} />
+                      ) : (
+                        <span className="status-none">Unreviewed</span>
+                      )}
+                    </td>
+                    <td className="col-actions">
+                      {renderDownload(file)}
+                      <button
+                        onClick={() => toggleDetails(file.id)}
+                        className="history-button"
+                      >
+                        {expandedFileId === file.id ? 'Hide' : 'Details'}
+                      </button>
+                      {!isReadOnly && file.status !== 'revoked' && (
+                        <RevokeFile
+                          userId={userId}
+                          fileId={file.id}
+                          fileName={file.name}
+                          onRevokeComplete={handleStatusChangeComplete}
+                        />
+                      )}
+                      {!isReadOnly && (
+                        <DeleteFile
+                          userId={userId}
+                          fileId={file.id}
+                          fileName={file.name}
+                          onDeleteComplete={handleDeleteComplete}
+                        />
+                      )}
+                    </td>
+                  </tr>
+                  {expandedFileId === file.id && (
+                    <tr className="history-row">
+                      <td colSpan={columnCount}>
+                        <dl className="file-details">
+                          <dt>Type</dt>
+                          <dd>{file.metadata.mimeType || 'Unknown'}</dd>
+                          <dt>Size</dt>
+                          <dd>{formatFileSize(file.metadata.size)}</dd>
+                          <dt>Issued</dt>
+                          <dd>{formatDate(file.metadata.issuedAt) || '—'}</dd>
+                          <dt>Expires</dt>
+                          <dd className={file.status === 'expired' ? 'expired' : ''}>
+                            {formatDate(file.metadata.expiresAt) || 'Never'}
+                            {file.status === 'expired' && ' (expired)'}
+                          </dd>
+                          {file.status === 'revoked' && (
+                            <>
+                              <dt>Revoked</dt>
+                              <dd className="expired">
+                                {formatDate(file.revokedAt)} ·{' '}
+                                {REVOCATION_REASON_LABELS[file.revocationReason] || 'No reason given'}
+                              </dd>
+                            </>
+                          )}
+                          <dt>Source</dt>
+                          <dd>
+                            {file.issuedBy ? <code>{file.issuedBy}</code> : 'Self-uploaded'}
+                          </dd>
+                          <dt>Encryption</dt>
+                          <dd>{file.metadata.encryption || 'None (public)'}</dd>
+                          <dt>SHA-256</dt>
+                          <dd><code>{file.metadata.contentHash || 'Not recorded'}</code></dd>
+                        </dl>
+                        {!isReadOnly && file.status !== 'revoked' && (
+                          <SetFileExpiry
+                            userId={userId}
+                            file={file}
+                            onExpiryChange={handleStatusChangeComplete}
+                          />
+                        )}
+                        {!isReadOnly && file.metadata.encryption && (
+                          <FileGrants userId={userId} fileId={file.id} ownerAddress={viewerAddress} />
+                        )}
+                        <h4 className="history-title">Attestations ({history.length})</h4>
+                        <AttestationHistory attestations={history} />
+                        {canAttest && (
+                          <AttestFile
+                            fileId={file.id}
+                            onAttestComplete={handleAttestComplete}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
       </div>
 
-      <button onClick={fetchFiles} className="refresh-button">
-        Refresh
-      </button>
+      {nextCursor && (
+        <div className="load-more">
+          <button onClick={loadMore} disabled={loadingMore} className="refresh-button">
+            {loadingMore ? 'Loading...' : `Load more (${unloadedCount} left)`}
+          </button>
+          {loadMoreError && <span className="load-more-error">{loadMoreError}</span>}
+        </div>
+      )}
+
+      <div className="file-list-actions">
+        <button onClick={fetchFiles} className="refresh-button">
+          Refresh
+        </button>
+        <button onClick={() => setShowHistory(!showHistory)} className="refresh-button">
+          {showHistory ? 'Hide History' : 'History'}
+        </button>
+      </div>
+
+      {showHistory && <FileHistory userId={userId} />}
 
       <style>{`
         .file-list {
@@ -208,6 +682,61 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
           background: #1f2937;
         }
 
+        .file-filters {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 10px;
+          margin-bottom: 16px;
+        }
+
+        .filter-category,
+        .filter-status,
+        .filter-issuer {
+          padding: 8px 10px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 13px;
+          background: #fff;
+        }
+
+        .filter-issuer {
+          flex: 1;
+          min-width: 160px;
+        }
+
+        .filter-date {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          color: #6b7280;
+          font-size: 13px;
+        }
+
+        .filter-date input {
+          padding: 7px 8px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 13px;
+        }
+
+        .share-selected-button {
+          margin-left: auto;
+          padding: 8px 14px;
+          background: #111827;
+          color: #fff;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 500;
+        }
+
+        .share-selected-button:disabled {
+          background: #d1d5db;
+          cursor: not-allowed;
+        }
+
         .files-table-wrapper {
           overflow-x: auto;
           margin-bottom: 16px;
@@ -243,6 +772,17 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
           border-bottom: none;
         }
 
+        .col-select {
+          width: 32px;
+          text-align: center;
+        }
+
+        .locked {
+          font-size: 12px;
+          color: #9ca3af;
+          white-space: nowrap;
+        }
+
         .col-num {
           width: 40px;
           color: #9ca3af;
@@ -273,6 +813,118 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
           border-radius: 4px;
         }
 
+        .col-category {
+          color: #374151;
+          white-space: nowrap;
+          font-size: 13px;
+        }
+
+        .col-issuer {
+          color: #374151;
+          max-width: 160px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          font-size: 13px;
+        }
+
+        .col-issuer > span {
+          display: block;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .issued-by {
+          color: #047857;
+          font-weight: 600;
+        }
+
+        .self-uploaded {
+          color: #94a3b8;
+          font-size: 11px;
+        }
+
+        .col-status {
+          white-space: nowrap;
+        }
+
+        .col-status > * + * {
+          margin-left: 6px;
+        }
+
+        .file-revoked td,
+        .file-expired td {
+          color: #9ca3af;
+        }
+
+        .file-revoked .col-name {
+          text-decoration: line-through;
+        }
+
+        .file-details {
+          display: grid;
+          grid-template-columns: max-content 1fr;
+          gap: 4px 16px;
+          margin: 0 0 12px 0;
+          font-size: 12px;
+        }
+
+        .file-details dt {
+          color: #6b7280;
+          font-weight: 500;
+        }
+
+        .file-details dd {
+          margin: 0;
+          color: #111827;
+          word-break: break-all;
+        }
+
+        .file-details dd.expired {
+          color: #dc2626;
+        }
+
+        .file-details code {
+          font-family: 'SF Mono', 'Consolas', monospace;
+          font-size: 11px;
+        }
+
+        .history-title {
+          margin: 0 0 4px 0;
+          font-size: 12px;
+          font-weight: 600;
+          color: #374151;
+        }
+
+        .status-none {
+          font-size: 12px;
+          color: #9ca3af;
+        }
+
+        .attestation-badge {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 11px;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .attestation-badge.verified {
+          background: #dcfce7;
+          color: #166534;
+        }
+
+        .attestation-badge.rejected {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        .attestation-badge.needs-info {
+          background: #fef3c7;
+          color: #92400e;
+        }
+
         .col-actions {
           white-space: nowrap;
         }
@@ -285,6 +937,26 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
           margin-right: 0;
         }
 
+        .history-button {
+          padding: 6px 12px;
+          background: #fff;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 500;
+        }
+
+        .history-button:hover {
+          background: #f3f4f6;
+        }
+
+        .files-table tbody tr.history-row,
+        .files-table tbody tr.history-row:hover {
+          background: #f9fafb;
+        }
+
         .refresh-button {
           padding: 10px 16px;
           background: #fff;
@@ -302,6 +974,39 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
           border-color: #9ca3af;
         }
 
+        .live-file td {
+          animation: live-file-highlight 3s ease-out;
+        }
+
+        @keyframes live-file-highlight {
+          from { background: #dbeafe; }
+          to { background: transparent; }
+        }
+
+        .file-list-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .no-matches {
+          text-align: center;
+          color: #6b7280;
+          font-size: 13px;
+        }
+
+        .load-more {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          margin: 16px 0;
+        }
+
+        .load-more-error {
+          color: #b91c1c;
+          font-size: 13px;
+        }
+
         @media (max-width: 640px) {
           .file-list {
             padding: 16px;
@@ -312,7 +1017,8 @@ const FileList = ({ userId, isReadOnly = false, onRefresh }) => {
             padding: 10px 8px;
           }
 
-          .col-cid {
+          .col-cid,
+          .col-issuer {
             display: none;
           }
         }
@@ -0,0 +1,197 @@
+/**
+ * GatewayDiagnostics Component
+ *
+ * A collapsible panel showing the recorded health of each IPFS gateway,
+ * in the order downloads will try them.
+ */
+
+import React, { useState } from 'react';
+import { getGatewayList, probeGateway, isDemoMode } from '../ipfs/ipfsClient';
+import { getGatewayHealth, getGatewayStatus, resetGatewayHealth } from '../ipfs/gatewayHealth';
+
+// Display labels for each gateway status
+const STATUS_LABELS = {
+  untested: 'Untested',
+  healthy: 'Healthy',
+  degraded: 'Degraded',
+  failing: 'Failing'
+};
+
+const GatewayDiagnostics = () => {
+  const [gateways, setGateways] = useState(() => getGatewayList());
+  const [checking, setChecking] = useState(false);
+
+  const refresh = () => setGateways(getGatewayList());
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      await Promise.all(gateways.map((gateway) => probeGateway(gateway)));
+    } finally {
+      setChecking(false);
+      refresh();
+    }
+  };
+
+  const handleReset = () => {
+    resetGatewayHealth();
+    refresh();
+  };
+
+  return (
+    <details className="gateway-diagnostics" onToggle={refresh}>
+      <summary>IPFS Gateway Status</summary>
+
+      {isDemoMode() && (
+        <p className="gateway-note">Demo mode is on: files are served from this browser, not gateways.</p>
+      )}
+
+      <table>
+        <thead>
+          <tr>
+            <th>Gateway</th>
+            <th>Status</th>
+            <th>Avg. Latency</th>
+            <th>OK / Failed</th>
+            <th>Last Error</th>
+          </tr>
+        </thead>
+        <tbody>
+          {gateways.map((gateway) => {
+            const health = getGatewayHealth(gateway);
+            const status = getGatewayStatus(health);
+            return (
+              <tr key={gateway}>
+                <td className="gateway-url">{gateway}</td>
+                <td>
+                  <span className={`gateway-status ${status}`}>{STATUS_LABELS[status]}</span>
+                </td>
+                <td>{health.averageLatency === null ? '-' : `${health.averageLatency} ms`}</td>
+                <td>{health.successes} / {health.failures}</td>
+                <td
+                  className="gateway-error"
+                  title={health.lastFailure ? new Date(health.lastFailure).toLocaleString() : ''}
+                >
+                  {health.lastError || '-'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="gateway-actions">
+        <button onClick={handleCheck} disabled={checking}>
+          {checking ? 'Checking...' : 'Check Now'}
+        </button>
+        <button onClick={handleReset} disabled={checking}>
+          Reset
+        </button>
+      </div>
+
+      <style>{`
+        .gateway-diagnostics {
+          margin-top: 24px;
+          padding: 16px 20px;
+          background: #fff;
+          border: 1px solid #e5e7eb;
+          border-radius: 12px;
+          font-size: 13px;
+          color: #374151;
+        }
+
+        .gateway-diagnostics summary {
+          cursor: pointer;
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .gateway-diagnostics table {
+          width: 100%;
+          margin-top: 12px;
+          border-collapse: collapse;
+        }
+
+        .gateway-diagnostics th,
+        .gateway-diagnostics td {
+          padding: 8px 10px;
+          text-align: left;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .gateway-diagnostics th {
+          font-size: 11px;
+          font-weight: 600;
+          color: #6b7280;
+          text-transform: uppercase;
+        }
+
+        .gateway-url {
+          font-family: 'SF Mono', 'Consolas', monospace;
+          font-size: 12px;
+        }
+
+        .gateway-error {
+          max-width: 240px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          color: #6b7280;
+        }
+
+        .gateway-status {
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 11px;
+          font-weight: 600;
+          background: #f3f4f6;
+          color: #6b7280;
+        }
+
+        .gateway-status.healthy {
+          background: #dcfce7;
+          color: #166534;
+        }
+
+        .gateway-status.degraded {
+          background: #fef3c7;
+          color: #92400e;
+        }
+
+        .gateway-status.failing {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        .gateway-note {
+          margin: 12px 0 0 0;
+          color: #6b7280;
+        }
+
+        .gateway-actions {
+          display: flex;
+          gap: 8px;
+          margin-top: 12px;
+        }
+
+        .gateway-actions button {
+          padding: 6px 12px;
+          background: #fff;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 500;
+        }
+
+        .gateway-actions button:disabled {
+          cursor: wait;
+          color: #9ca3af;
+        }
+      `}</style>
+    </details>
+  );
+};
+
+export default GatewayDiagnostics;
@@ -0,0 +1,90 @@
+/**
+ * NetworkPicker Component
+ *
+ * A drop-down of the networks FileRegistry is deployed on. Picking one
+ * switches the connected wallet (if any) and reloads the app so every
+ * cache and subscription starts fresh on the new chain.
+ */
+
+import React, { useState } from 'react';
+import { getDeployedNetworks, getSelectedNetwork, selectNetwork } from '../config/networks';
+import { getActiveConnector } from '../blockchain/connectors';
+import { switchToCorrectNetwork } from '../blockchain/web3';
+
+const NetworkPicker = () => {
+  const [switching, setSwitching] = useState(false);
+  const [error, setError] = useState('');
+
+  const networks = getDeployedNetworks();
+  const selected = getSelectedNetwork();
+
+  const handleChange = async (e) => {
+    const previous = selected.chainId;
+    setSwitching(true);
+    setError('');
+
+    try {
+      selectNetwork(Number(e.target.value));
+      if (getActiveConnector()) {
+        await switchToCorrectNetwork();
+      }
+      window.location.reload();
+    } catch (error) {
+      console.error('Network switch error:', error);
+      selectNetwork(previous);
+      setError(error.message);
+      setSwitching(false);
+    }
+  };
+
+  if (networks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="network-picker">
+      <select
+        value={selected.chainId}
+        onChange={handleChange}
+        disabled={switching}
+        title="Network"
+      >
+        {networks.map((network) => (
+          <option key={network.chainId} value={network.chainId}>
+            {network.name}
+          </option>
+        ))}
+      </select>
+      {error && <span className="network-picker-error" title={error}>Switch failed</span>}
+
+      <style>{`
+        .network-picker {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .network-picker select {
+          padding: 6px 10px;
+          background: #fff;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .network-picker select:disabled {
+          cursor: wait;
+        }
+
+        .network-picker-error {
+          font-size: 12px;
+          color: #dc2626;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default NetworkPicker;
@@ -0,0 +1,226 @@
+/**
+ * PendingCredentials Component
+ *
+ * Lists the credentials registered issuers have offered to a user.
+ * Accepting one adds it to the user's files, marked as issued by the
+ * organization; declining discards the offer. Renders nothing while
+ * there are no offers.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getPendingCredentials, acceptCredential, declineCredential } from '../blockchain/contract';
+import { CATEGORY_LABELS, formatDate, formatFileSize } from '../utils/format';
+import { formatAddress } from '../auth/walletAuth';
+import DownloadFile from './DownloadFile';
+import ErrorNotice from './ErrorNotice';
+
+const PendingCredentials = ({ userId, onAccepted }) => {
+  const [offers, setOffers] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadOffers = useCallback(async () => {
+    if (!userId) {
+      setOffers([]);
+      return;
+    }
+
+    try {
+      setOffers(await getPendingCredentials(userId));
+    } catch (error) {
+      console.error('Pending credentials error:', error);
+      setError(error);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadOffers();
+  }, [loadOffers]);
+
+  /**
+   * Answer an offer, then reload the list
+   * @param {number} offerId - The offer
+   * @param {boolean} accept - Accept (true) or decline (false)
+   */
+  const answer = async (offerId, accept) => {
+    setBusy({ offerId, accept });
+    setError('');
+
+    try {
+      if (accept) {
+        await acceptCredential(userId, offerId);
+        if (onAccepted) {
+          onAccepted();
+        }
+      } else {
+        await declineCredential(userId, offerId);
+      }
+      await loadOffers();
+    } catch (error) {
+      console.error('Answer credential error:', error);
+      setError(error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (offers.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="pending-credentials">
+      <h3>Credentials Offered to You ({offers.length})</h3>
+      <p className="pending-credentials-hint">
+        Accepted credentials join your files and show valuators which organization issued them.
+      </p>
+
+      <ErrorNotice error={error} />
+
+      <ul className="offer-list">
+        {offers.map((offer) => (
+          <li key={offer.id} className="offer-item">
+            <div className="offer-info">
+              <span className="offer-name" title={offer.name}>{offer.name}</span>
+              <span className="offer-meta">
+                <span title={offer.issuedBy}>
+                  {offer.metadata.issuer} ({formatAddress(offer.issuedBy)})
+                </span>
+                {' · '}{CATEGORY_LABELS[offer.metadata.category]}
+                {' · '}{formatFileSize(offer.metadata.size)}
+                {offer.metadata.issuedAt > 0 && ` · Issued ${formatDate(offer.metadata.issuedAt)}`}
+                {offer.metadata.expiresAt > 0 && ` · Expires ${formatDate(offer.metadata.expiresAt)}`}
+              </span>
+            </div>
+            <div className="offer-actions">
+              <DownloadFile
+                cid={offer.cid}
+                fileName={offer.name}
+                mimeType={offer.metadata.mimeType}
+                contentHash={offer.metadata.contentHash}
+              />
+              <button
+                onClick={() => answer(offer.id, true)}
+                disabled={busy !== null}
+                className="offer-accept"
+              >
+                {busy?.offerId === offer.id && busy.accept ? 'Accepting...' : 'Accept'}
+              </button>
+              <button
+                onClick={() => answer(offer.id, false)}
+                disabled={busy !== null}
+                className="offer-decline"
+              >
+                {busy?.offerId === offer.id && !busy.accept ? 'Declining...' : 'Decline'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <style>{`
+        .pending-credentials {
+          background: #f8fbff;
+          padding: 24px;
+          border-radius: 12px;
+          border: 1px solid #bfdbfe;
+          margin-bottom: 24px;
+        }
+
+        .pending-credentials h3 {
+          margin: 0 0 6px 0;
+          color: #1e293b;
+        }
+
+        .pending-credentials-hint {
+          margin: 0 0 16px 0;
+          color: #64748b;
+          font-size: 13px;
+        }
+
+        .offer-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+
+        .offer-item {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 16px;
+          padding: 12px 14px;
+          background: #fff;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+        }
+
+        .offer-info {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 0;
+        }
+
+        .offer-name {
+          font-weight: 600;
+          color: #1e293b;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .offer-meta {
+          font-size: 12px;
+          color: #64748b;
+        }
+
+        .offer-actions {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          flex-shrink: 0;
+        }
+
+        .offer-accept,
+        .offer-decline {
+          padding: 6px 12px;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .offer-accept {
+          background: #10b981;
+          color: #fff;
+          border: none;
+        }
+
+        .offer-decline {
+          background: #fff;
+          color: #64748b;
+          border: 1px solid #e2e8f0;
+        }
+
+        .offer-accept:disabled,
+        .offer-decline:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        @media (max-width: 768px) {
+          .offer-item {
+            flex-direction: column;
+            align-items: flex-start;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default PendingCredentials;
@@ -0,0 +1,260 @@
+/**
+ * PendingTransactions Component
+ *
+ * A tray in the corner of the screen listing the transactions the app has
+ * sent on the selected network: pending ones, and recently finished ones
+ * until they are dismissed. Transactions left pending by an earlier visit
+ * are watched again when it mounts.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  getTransactions,
+  onTransactionsChange,
+  dismissTransaction,
+  resumePendingTransactions
+} from '../blockchain/txManager';
+import { getExplorerUrl } from '../config/networks';
+
+// Label for each transaction intent
+const INTENT_LABELS = {
+  register: 'Registration',
+  upload: 'Upload',
+  delete: 'Delete',
+  'revoke-file': 'Revoke file',
+  'set-expiry': 'Expiry',
+  attest: 'Review',
+  'set-key': 'Encryption key',
+  grant: 'Share',
+  revoke: 'Revoke',
+  'transfer-start': 'Move user ID',
+  'transfer-cancel': 'Cancel move',
+  'transfer-accept': 'Accept user ID',
+  issue: 'Issue credential',
+  'accept-credential': 'Accept credential',
+  'decline-credential': 'Decline credential',
+  'withdraw-credential': 'Withdraw credential',
+  'grant-role': 'Grant role',
+  'revoke-role': 'Revoke role',
+  pause: 'Pause',
+  unpause: 'Unpause'
+};
+
+// Badge text for each transaction status
+const STATUS_LABELS = {
+  pending: 'Pending',
+  mined: 'Confirmed',
+  failed: 'Failed',
+  dropped: 'Dropped',
+  replaced: 'Sped up',
+  cancelled: 'Cancelled'
+};
+
+const PendingTransactions = () => {
+  const [transactions, setTransactions] = useState(getTransactions);
+  const [expanded, setExpanded] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = onTransactionsChange(() => setTransactions(getTransactions()));
+    resumePendingTransactions();
+    return unsubscribe;
+  }, []);
+
+  // A sped-up transaction is shown through its replacement
+  const visible = transactions.filter((tx) => tx.status !== 'replaced');
+  if (visible.length === 0) {
+    return null;
+  }
+
+  const pendingCount = visible.filter((tx) => tx.status === 'pending').length;
+
+  return (
+    <div className="tx-tray">
+      <button className="tx-tray-header" onClick={() => setExpanded(!expanded)}>
+        {pendingCount > 0 && <span className="tx-spinner"></span>}
+        <span>
+          {pendingCount > 0
+            ? `${pendingCount} pending transaction${pendingCount === 1 ? '' : 's'}`
+            : 'Recent transactions'}
+        </span>
+        <span className="tx-tray-toggle">{expanded ? '▾' : '▴'}</span>
+      </button>
+
+      {expanded && (
+        <ul className="tx-list">
+          {visible.map((tx) => {
+            const explorerUrl = getExplorerUrl('tx', tx.hash);
+            return (
+              <li key={tx.hash} className="tx-item">
+                <div className="tx-item-main">
+                  <span className="tx-intent">{INTENT_LABELS[tx.intent] || tx.intent}</span>
+                  <span className="tx-description">{tx.description}</span>
+                  {explorerUrl ? (
+                    <a className="tx-hash" href={explorerUrl} target="_blank" rel="noopener noreferrer">
+                      {tx.hash.slice(0, 10)}...
+                    </a>
+                  ) : (
+                    <span className="tx-hash" title={tx.hash}>{tx.hash.slice(0, 10)}...</span>
+                  )}
+                </div>
+                <span className={`tx-status ${tx.status}`}>{STATUS_LABELS[tx.status]}</span>
+                {tx.status !== 'pending' && (
+                  <button
+                    className="tx-dismiss"
+                    onClick={() => dismissTransaction(tx.hash)}
+                    title="Dismiss"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <style>{`
+        .tx-tray {
+          position: fixed;
+          right: 20px;
+          bottom: 20px;
+          width: 340px;
+          max-width: calc(100vw - 40px);
+          background: #fff;
+          border: 1px solid #e5e7eb;
+          border-radius: 12px;
+          box-shadow: 0 10px 30px rgba(0, 0, 0, 0.12);
+          z-index: 1000;
+          overflow: hidden;
+        }
+
+        .tx-tray-header {
+          width: 100%;
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 12px 16px;
+          background: #f9fafb;
+          border: none;
+          border-bottom: 1px solid #e5e7eb;
+          font-size: 13px;
+          font-weight: 600;
+          color: #374151;
+          cursor: pointer;
+          text-align: left;
+        }
+
+        .tx-tray-toggle {
+          margin-left: auto;
+          color: #9ca3af;
+        }
+
+        .tx-spinner {
+          width: 12px;
+          height: 12px;
+          border: 2px solid #c7d2fe;
+          border-top-color: #4f46e5;
+          border-radius: 50%;
+          animation: tx-spin 0.8s linear infinite;
+        }
+
+        @keyframes tx-spin {
+          to { transform: rotate(360deg); }
+        }
+
+        .tx-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 280px;
+          overflow-y: auto;
+        }
+
+        .tx-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 16px;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .tx-item:last-child {
+          border-bottom: none;
+        }
+
+        .tx-item-main {
+          flex: 1;
+          min-width: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+        }
+
+        .tx-intent {
+          font-size: 11px;
+          font-weight: 700;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: #6b7280;
+        }
+
+        .tx-description {
+          font-size: 13px;
+          color: #111827;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .tx-hash {
+          font-family: monospace;
+          font-size: 11px;
+          color: #4f46e5;
+          text-decoration: none;
+        }
+
+        .tx-status {
+          padding: 2px 8px;
+          border-radius: 999px;
+          font-size: 11px;
+          font-weight: 600;
+          background: #e0e7ff;
+          color: #3730a3;
+          flex-shrink: 0;
+        }
+
+        .tx-status.mined {
+          background: #dcfce7;
+          color: #166534;
+        }
+
+        .tx-status.failed,
+        .tx-status.dropped {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        .tx-status.cancelled {
+          background: #fef3c7;
+          color: #92400e;
+        }
+
+        .tx-dismiss {
+          background: none;
+          border: none;
+          font-size: 16px;
+          line-height: 1;
+          color: #9ca3af;
+          cursor: pointer;
+          padding: 0 2px;
+        }
+
+        .tx-dismiss:hover {
+          color: #4b5563;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default PendingTransactions;
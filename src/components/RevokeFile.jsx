@@ -0,0 +1,182 @@
+/**
+ * RevokeFile Component
+ *
+ * A button that marks a file as revoked on the blockchain.
+ * Unlike deleting, the file stays listed (and visible to valuators)
+ * with a revoked status. Asks for a reason before revoking.
+ */
+
+import React, { useCallback, useState } from 'react';
+import { revokeFile, estimateRevokeFile, REVOCATION_REASONS } from '../blockchain/contract';
+import { canRelay } from '../blockchain/relayer';
+import { REVOCATION_REASON_LABELS } from '../utils/format';
+import ErrorNotice from './ErrorNotice';
+import FeeEstimate from './FeeEstimate';
+
+const RevokeFile = ({ userId, fileId, fileName, onRevokeComplete }) => {
+  const [revoking, setRevoking] = useState(false);
+  const [confirmRevoke, setConfirmRevoke] = useState(false);
+  const [reason, setReason] = useState('superseded');
+  const [error, setError] = useState('');
+  const [feeTier, setFeeTier] = useState('normal');
+
+  const estimateGas = useCallback(
+    () => estimateRevokeFile(userId, fileId, reason),
+    [userId, fileId, reason]
+  );
+
+  const handleConfirmRevoke = async () => {
+    setRevoking(true);
+    setError('');
+
+    try {
+      await revokeFile(userId, fileId, reason, { feeTier });
+      setConfirmRevoke(false);
+
+      if (onRevokeComplete) {
+        onRevokeComplete();
+      }
+    } catch (error) {
+      console.error('Revoke error:', error);
+      setError(error.message ? error : 'Failed to revoke file');
+    } finally {
+      setRevoking(false);
+    }
+  };
+
+  const handleCancelRevoke = () => {
+    setConfirmRevoke(false);
+    setError('');
+  };
+
+  if (confirmRevoke) {
+    return (
+      <span className="revoke-confirm">
+        <span className="revoke-text">Revoke "{fileName}"?</span>
+        <select
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={revoking}
+          title="Reason"
+        >
+          {REVOCATION_REASONS.slice(1).map((value) => (
+            <option key={value} value={value}>{REVOCATION_REASON_LABELS[value]}</option>
+          ))}
+        </select>
+        <FeeEstimate
+          estimateGas={estimateGas}
+          tier={feeTier}
+          onTierChange={setFeeTier}
+          relayed={canRelay('revokeFile')}
+          disabled={revoking}
+          compact
+        />
+        <button
+          onClick={handleConfirmRevoke}
+          disabled={revoking}
+          className="revoke-yes"
+        >
+          {revoking ? '...' : 'Revoke'}
+        </button>
+        <button
+          onClick={handleCancelRevoke}
+          disabled={revoking}
+          className="revoke-no"
+        >
+          No
+        </button>
+        <ErrorNotice error={error} compact />
+
+        <style>{`
+          .revoke-confirm {
+            display: inline-flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 10px;
+            background: #f9fafb;
+            border-radius: 4px;
+            border: 1px solid #e5e7eb;
+          }
+
+          .revoke-text {
+            font-size: 12px;
+            color: #374151;
+            font-weight: 500;
+          }
+
+          .revoke-yes {
+            padding: 4px 10px;
+            background: #d97706;
+            color: #fff;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+            font-weight: 500;
+          }
+
+          .revoke-yes:hover:not(:disabled) {
+            background: #b45309;
+          }
+
+          .revoke-no {
+            padding: 4px 10px;
+            background: #fff;
+            color: #374151;
+            border: 1px solid #d1d5db;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+            font-weight: 500;
+          }
+
+          .revoke-no:hover:not(:disabled) {
+            background: #f3f4f6;
+          }
+
+          .revoke-confirm select {
+            padding: 2px 4px;
+            font-size: 11px;
+            border: 1px solid #d1d5db;
+            border-radius: 4px;
+            background: #fff;
+          }
+        `}</style>
+      </span>
+    );
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => setConfirmRevoke(true)}
+        className="revoke-button"
+        title={`Revoke ${fileName} but keep it on record`}
+      >
+        Revoke
+      </button>
+
+      <style>{`
+        .revoke-button {
+          padding: 6px 12px;
+          background: #fff;
+          color: #6b7280;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 500;
+          transition: all 0.15s ease;
+        }
+
+        .revoke-button:hover {
+          background: #fffbeb;
+          border-color: #fcd34d;
+          color: #b45309;
+        }
+      `}</style>
+    </>
+  );
+};
+
+export default RevokeFile;
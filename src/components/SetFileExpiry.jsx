@@ -0,0 +1,140 @@
+/**
+ * SetFileExpiry Component
+ *
+ * Lets a file's owner set its expiry date or bring it forward, e.g. when
+ * a certificate lapses early. The contract never lets an expiry move
+ * later, so an expired credential cannot be made active again.
+ */
+
+import React, { useCallback, useState } from 'react';
+import { setFileExpiry, estimateSetFileExpiry } from '../blockchain/contract';
+import { canRelay } from '../blockchain/relayer';
+import { dateInputToTimestamp } from '../utils/format';
+import ErrorNotice from './ErrorNotice';
+import FeeEstimate from './FeeEstimate';
+
+const SetFileExpiry = ({ userId, file, onExpiryChange }) => {
+  const [date, setDate] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [feeTier, setFeeTier] = useState('normal');
+
+  const currentExpiry = file.metadata.expiresAt;
+
+  // Estimate for the chosen date, or for "Expire now" until one is picked
+  const estimateGas = useCallback(
+    () => estimateSetFileExpiry(userId, file.id, date ? dateInputToTimestamp(date) : Math.floor(Date.now() / 1000)),
+    [userId, file.id, date]
+  );
+
+  /**
+   * Send the new expiry date
+   * @param {number} expiresAt - Unix seconds
+   */
+  const saveExpiry = async (expiresAt) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await setFileExpiry(userId, file.id, expiresAt, { feeTier });
+      setDate('');
+      if (onExpiryChange) {
+        onExpiryChange();
+      }
+    } catch (error) {
+      console.error('Set expiry error:', error);
+      setError(error.message ? error : 'Failed to set expiry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const expiresAt = dateInputToTimestamp(date);
+    if (currentExpiry && expiresAt >= currentExpiry) {
+      setError('An expiry date can only be moved earlier.');
+      return;
+    }
+    saveExpiry(expiresAt);
+  };
+
+  return (
+    <form className="set-expiry" onSubmit={handleSubmit}>
+      <label htmlFor={`expiry-${file.id}`}>{currentExpiry ? 'Bring expiry forward' : 'Set expiry'}</label>
+      <input
+        type="date"
+        id={`expiry-${file.id}`}
+        value={date}
+        onChange={(e) => setDate(e.target.value)}
+        disabled={saving}
+        required
+      />
+      <button type="submit" disabled={saving || !date}>
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+      <button
+        type="button"
+        onClick={() => saveExpiry(Math.floor(Date.now() / 1000))}
+        disabled={saving}
+        title="Mark this credential as expired from today"
+      >
+        Expire now
+      </button>
+      <FeeEstimate
+        estimateGas={estimateGas}
+        tier={feeTier}
+        onTierChange={setFeeTier}
+        relayed={canRelay('setFileExpiry')}
+        disabled={saving}
+        compact
+      />
+      <ErrorNotice error={error} compact />
+
+      <style>{`
+        .set-expiry {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin: 8px 0 12px;
+          font-size: 12px;
+          color: #374151;
+        }
+
+        .set-expiry label {
+          font-weight: 600;
+        }
+
+        .set-expiry input {
+          padding: 4px 6px;
+          font-size: 12px;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+        }
+
+        .set-expiry button {
+          padding: 4px 10px;
+          background: #fff;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 500;
+        }
+
+        .set-expiry button:hover:not(:disabled) {
+          background: #f3f4f6;
+        }
+
+        .set-expiry button:disabled {
+          cursor: not-allowed;
+          opacity: 0.6;
+        }
+      `}</style>
+    </form>
+  );
+};
+
+export default SetFileExpiry;
@@ -0,0 +1,235 @@
+/**
+ * ShareFiles Component
+ *
+ * Lets a file owner share selected encrypted files with a valuator.
+ * Each file key is unwrapped with the owner's wallet (or the wallet's own
+ * grant, for files that came with a moved User ID), re-wrapped for the
+ * valuator's published encryption key, and recorded on the blockchain.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { getValuatorDirectory, getEncryptionKey, grantAccess } from '../blockchain/contract';
+import { fetchFromIpfs } from '../ipfs/ipfsClient';
+import { rewrapFileKey } from '../crypto/encryption';
+import { formatAddress } from '../auth/walletAuth';
+import { dateInputToTimestamp } from '../utils/format';
+
+const ShareFiles = ({ userId, files, ownGrants = {}, onShareComplete, onCancel }) => {
+  const [directory, setDirectory] = useState([]);
+  const [selectedValuator, setSelectedValuator] = useState('');
+  const [customAddress, setCustomAddress] = useState('');
+  const [expiryDate, setExpiryDate] = useState('');
+  const [sharing, setSharing] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getValuatorDirectory()
+      .then(setDirectory)
+      .catch((error) => {
+        console.error('Error loading valuators:', error);
+        setError('Failed to load valuator list. You can still enter an address.');
+      });
+  }, []);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const grantee = selectedValuator === 'custom' ? customAddress.trim() : selectedValuator;
+    if (!ethers.isAddress(grantee)) {
+      setError('Please choose a valuator or enter a valid wallet address.');
+      return;
+    }
+
+    const expiresAt = dateInputToTimestamp(expiryDate);
+    if (expiresAt && expiresAt * 1000 <= Date.now()) {
+      setError('Expiry date must be in the future.');
+      return;
+    }
+
+    setSharing(true);
+
+    try {
+      // Step 1: Look up the valuator's encryption key
+      setProgress('Looking up valuator key...');
+      const entry = directory.find((v) => v.address.toLowerCase() === grantee.toLowerCase());
+      const publicKey = entry ? entry.publicKey : await getEncryptionKey(grantee);
+      if (!publicKey) {
+        throw new Error('This wallet has not enabled shared files yet.');
+      }
+
+      // Step 2: Re-wrap each file key for the valuator
+      const grantKeys = [];
+      for (const file of files) {
+        setProgress(`Preparing key for ${file.name}...`);
+        const blob = await fetchFromIpfs(file.cid);
+        const ownGrant = ownGrants[file.id];
+        grantKeys.push(await rewrapFileKey(new Uint8Array(await blob.arrayBuffer()), publicKey, {
+          grantKey: ownGrant && ownGrant.active ? ownGrant.grantKey : null
+        }));
+      }
+
+      // Step 3: Record the grants on the blockchain
+      setProgress('Recording access on blockchain...');
+      await grantAccess(userId, files.map((file) => file.id), grantee, grantKeys, expiresAt);
+
+      if (onShareComplete) {
+        onShareComplete();
+      }
+    } catch (error) {
+      console.error('Share error:', error);
+      setError(error.message || 'Failed to share files');
+    } finally {
+      setSharing(false);
+      setProgress('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleShare} className="share-files">
+      <h4>Share {files.length} file(s) with a valuator</h4>
+
+      <div className="share-fields">
+        <select
+          value={selectedValuator}
+          onChange={(e) => setSelectedValuator(e.target.value)}
+          disabled={sharing}
+        >
+          <option value="">Choose a valuator...</option>
+          {directory.map((valuator) => (
+            <option key={valuator.address} value={valuator.address}>
+              {valuator.label || 'Unnamed'} ({formatAddress(valuator.address)})
+            </option>
+          ))}
+          <option value="custom">Other wallet address...</option>
+        </select>
+
+        {selectedValuator === 'custom' && (
+          <input
+            type="text"
+            value={customAddress}
+            onChange={(e) => setCustomAddress(e.target.value)}
+            placeholder="0x..."
+            disabled={sharing}
+          />
+        )}
+
+        <label>
+          Access expires
+          <input
+            type="date"
+            value={expiryDate}
+            onChange={(e) => setExpiryDate(e.target.value)}
+            disabled={sharing}
+          />
+        </label>
+      </div>
+
+      <div className="share-actions">
+        <button type="submit" disabled={sharing} className="share-button">
+          {sharing ? 'Sharing...' : 'Grant Access'}
+        </button>
+        <button type="button" onClick={onCancel} disabled={sharing} className="share-cancel">
+          Cancel
+        </button>
+        {progress && <span className="share-progress">{progress}</span>}
+      </div>
+
+      {error && <p className="share-error">{error}</p>}
+
+      <style>{`
+        .share-files {
+          margin-bottom: 16px;
+          padding: 16px;
+          background: #f9fafb;
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+        }
+
+        .share-files h4 {
+          margin: 0 0 12px 0;
+          font-size: 14px;
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .share-fields {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 10px;
+          margin-bottom: 12px;
+        }
+
+        .share-fields select,
+        .share-fields input {
+          padding: 8px 10px;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          font-size: 13px;
+          background: #fff;
+        }
+
+        .share-fields label {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 13px;
+          color: #374151;
+        }
+
+        .share-actions {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .share-button {
+          padding: 8px 14px;
+          background: #111827;
+          color: #fff;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 500;
+        }
+
+        .share-button:hover:not(:disabled) {
+          background: #1f2937;
+        }
+
+        .share-button:disabled {
+          background: #d1d5db;
+          cursor: wait;
+        }
+
+        .share-cancel {
+          padding: 8px 14px;
+          background: #fff;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 500;
+        }
+
+        .share-progress {
+          font-size: 12px;
+          color: #6b7280;
+        }
+
+        .share-error {
+          margin: 10px 0 0 0;
+          font-size: 12px;
+          color: #dc2626;
+        }
+      `}</style>
+    </form>
+  );
+};
+
+export default ShareFiles;
@@ -1,40 +1,158 @@
 /**
  * UploadFile Component
  * 
- * Allows users to select and upload files to IPFS,
- * then stores the metadata on the blockchain.
+ * Allows users to select or drag and drop files into an upload queue,
+ * uploads each one to IPFS, then stores the metadata and credential
+ * details of the whole batch on the blockchain in one transaction.
+ * Shows per-file progress and transaction stages, and can be cancelled
+ * until the blockchain step starts.
  */
 
-import React, { useState, useRef } from 'react';
-import { uploadToIpfs } from '../ipfs/ipfsClient';
-import { uploadFileMetadata } from '../blockchain/contract';
-import config from '../config/appConfig';
+import React, { useState, useRef, useMemo } from 'react';
+import { uploadToIpfs, validateFile } from '../ipfs/ipfsClient';
+import {
+  uploadFileMetadata,
+  uploadFilesMetadata,
+  estimateUploadFile,
+  CREDENTIAL_CATEGORIES
+} from '../blockchain/contract';
+import { hashFile } from '../crypto/hash';
+import { getPendingTransactions } from '../blockchain/txManager';
+import { canRelay } from '../blockchain/relayer';
+import { ENCRYPTION_SCHEME } from '../crypto/encryption';
+import { CATEGORY_LABELS, formatFileSize, dateInputToTimestamp } from '../utils/format';
+import { formatAddress } from '../auth/walletAuth';
+import ErrorNotice from './ErrorNotice';
+import FeeEstimate from './FeeEstimate';
+
+/**
+ * Describe a transaction stage reported by the contract module
+ * @param {Object} status - {stage, hash, confirmations}
+ * @returns {string} Progress text
+ */
+const describeTxStatus = ({ stage, hash, confirmations }) => {
+  switch (stage) {
+    case 'awaiting-signature':
+      return 'Waiting for wallet signature...';
+    case 'pending':
+      return `Transaction ${formatAddress(hash)} pending...`;
+    case 'mined':
+      return `Transaction mined with ${confirmations} confirmation${confirmations === 1 ? '' : 's'}`;
+    default:
+      return 'Storing metadata on blockchain...';
+  }
+};
+
+// Display labels for each queue item status
+const ITEM_STATUS_LABELS = {
+  queued: 'Queued',
+  invalid: 'Invalid',
+  hashing: 'Hashing...',
+  uploading: 'Uploading...',
+  uploaded: 'On IPFS',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+// Give every queued file a stable React key
+let nextQueueId = 1;
 
 const UploadFile = ({ userId, onUploadComplete }) => {
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState('');
+  const [canCancel, setCanCancel] = useState(false);
   const [error, setError] = useState('');
-  const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  // Credential details (applied to every file in the queue)
+  const [category, setCategory] = useState('other');
+  const [issuer, setIssuer] = useState('');
+  const [issuedDate, setIssuedDate] = useState('');
+  const [expiryDate, setExpiryDate] = useState('');
+  const [encrypt, setEncrypt] = useState(false);
+  const [feeTier, setFeeTier] = useState('normal');
+
+  // Files that will be uploaded next (failed ones are retried)
+  const readyItems = queue.filter((item) => item.status === 'queued' || item.status === 'failed');
+
+  // Gas estimate for registering the ready files with the current details
+  const estimateGas = useMemo(() => {
+    const files = queue
+      .filter((item) => item.status === 'queued' || item.status === 'failed')
+      .map(({ file }) => ({
+        name: file.name,
+        metadata: {
+          mimeType: file.type || 'application/octet-stream',
+          size: file.size,
+          category,
+          issuer: issuer.trim(),
+          issuedAt: dateInputToTimestamp(issuedDate),
+          expiresAt: dateInputToTimestamp(expiryDate),
+          encryption: encrypt ? ENCRYPTION_SCHEME : ''
+        }
+      }));
+    if (!userId || uploading || files.length === 0) {
+      return null;
+    }
+    return () => estimateUploadFile(userId, files);
+  }, [userId, uploading, queue, category, issuer, issuedDate, expiryDate, encrypt]);
 
-  const handleFileSelect = (event) => {
-    const file = event.target.files[0];
+  // Add files to the queue, validating each one
+  const addFiles = (fileList) => {
     setError('');
-    
-    if (file) {
-      // Validate file size
-      if (config.maxFileSize && file.size > config.maxFileSize) {
-        setError(`File size exceeds maximum allowed size of ${config.maxFileSize / (1024 * 1024)}MB`);
-        setSelectedFile(null);
-        return;
-      }
-      setSelectedFile(file);
+    const items = Array.from(fileList).map((file) => {
+      const validationError = validateFile(file);
+      return {
+        id: nextQueueId++,
+        file,
+        status: validationError ? 'invalid' : 'queued',
+        percent: 0,
+        error: validationError
+      };
+    });
+    setQueue((current) => [...current, ...items]);
+  };
+
+  // Update one queue item
+  const updateItem = (id, changes) => {
+    setQueue((current) => current.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (id) => {
+    setQueue((current) => current.filter((item) => item.id !== id));
+  };
+
+  const handleFileSelect = (event) => {
+    addFiles(event.target.files);
+    // Allow selecting the same file again
+    event.target.value = '';
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    if (!uploading) {
+      setDragActive(true);
+    }
+  };
+
+  const handleDragLeave = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+    if (!uploading && event.dataTransfer.files.length > 0) {
+      addFiles(event.dataTransfer.files);
     }
   };
 
   const handleUpload = async () => {
-    if (!selectedFile) {
-      setError('Please select a file first.');
+    if (readyItems.length === 0) {
+      setError('Please add at least one valid file first.');
       return;
     }
 
@@ -43,28 +161,109 @@ const UploadFile = ({ userId, onUploadComplete }) => {
       return;
     }
 
+    const issuedAt = dateInputToTimestamp(issuedDate);
+    const expiresAt = dateInputToTimestamp(expiryDate);
+    if (expiresAt && expiresAt <= issuedAt) {
+      setError('Expiry date must be after the issue date.');
+      return;
+    }
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     setUploading(true);
+    setCanCancel(true);
     setError('');
 
+    const uploads = [];
+    const items = readyItems;
+
     try {
-      // Step 1: Upload to IPFS
-      setUploadProgress('Uploading to IPFS...');
-      const cid = await uploadToIpfs(selectedFile);
-      console.log('File uploaded to IPFS with CID:', cid);
+      // Steps 1-2: Hash and upload each file to IPFS (encrypting first if requested)
+      for (const [index, item] of items.entries()) {
+        if (abortController.signal.aborted) {
+          throw new DOMException('Upload cancelled', 'AbortError');
+        }
+
+        const { file } = item;
+        setUploadProgress(`Uploading file ${index + 1} of ${items.length} to IPFS...`);
+
+        try {
+          updateItem(item.id, { status: 'hashing', error: '' });
+          const contentHash = await hashFile(file);
+
+          // Don't register the same file twice while an earlier upload is still being mined
+          const pending = getPendingTransactions().find(
+            (tx) => tx.intent === 'upload' && tx.meta.contentHashes?.includes(contentHash)
+          );
+          if (pending) {
+            throw new Error(`Already being registered in pending transaction ${pending.hash.slice(0, 10)}...`);
+          }
+
+          updateItem(item.id, { status: 'uploading', percent: 0 });
+          const cid = await uploadToIpfs(file, {
+            encrypt,
+            signal: abortController.signal,
+            onProgress: (fraction) => updateItem(item.id, { percent: Math.round(fraction * 100) })
+          });
+          console.log('File uploaded to IPFS with CID:', cid);
+          updateItem(item.id, { status: 'uploaded', percent: 100 });
+
+          uploads.push({
+            item,
+            cid,
+            name: file.name,
+            metadata: {
+              contentHash,
+              mimeType: file.type || 'application/octet-stream',
+              size: file.size,
+              category,
+              issuer: issuer.trim(),
+              issuedAt,
+              expiresAt,
+              encryption: encrypt ? ENCRYPTION_SCHEME : ''
+            }
+          });
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+          console.error(`Upload error for ${file.name}:`, error);
+          updateItem(item.id, { status: 'failed', error: error.message });
+        }
+      }
+
+      if (uploads.length === 0) {
+        throw new Error('No files could be uploaded to IPFS.');
+      }
 
-      // Step 2: Store metadata on blockchain
+      // Step 3: Store metadata on blockchain in one transaction (can no longer be cancelled)
+      if (abortController.signal.aborted) {
+        throw new DOMException('Upload cancelled', 'AbortError');
+      }
+      setCanCancel(false);
       setUploadProgress('Storing metadata on blockchain...');
-      await uploadFileMetadata(userId, cid, selectedFile.name);
+      const onStatus = (status) => setUploadProgress(describeTxStatus(status));
+      if (uploads.length === 1) {
+        const [{ cid, name, metadata }] = uploads;
+        await uploadFileMetadata(userId, cid, name, metadata, { onStatus, feeTier });
+      } else {
+        await uploadFilesMetadata(userId, uploads, { onStatus, feeTier });
+      }
       console.log('Metadata stored on blockchain');
 
-      // Success!
-      setUploadProgress('Upload complete!');
-      setSelectedFile(null);
-      
-      // Reset file input
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+      // Success! Drop registered files from the queue, keep failures visible
+      const registeredIds = uploads.map(({ item }) => item.id);
+      setQueue((current) => current.filter((item) => !registeredIds.includes(item.id)));
+      setUploadProgress(
+        uploads.length === items.length
+          ? 'Upload complete!'
+          : `Uploaded ${uploads.length} of ${items.length} files.`
+      );
+      setCategory('other');
+      setIssuer('');
+      setIssuedDate('');
+      setExpiryDate('');
 
       // Notify parent component
       if (onUploadComplete) {
@@ -77,63 +276,185 @@ const UploadFile = ({ userId, onUploadComplete }) => {
       }, 2000);
 
     } catch (error) {
-      console.error('Upload error:', error);
-      setError(error.message || 'Failed to upload file. Please try again.');
+      // Anything not yet on the blockchain goes back to the queue
+      const pendingIds = items.map((item) => item.id);
+      const resetItem = (item) => (
+        pendingIds.includes(item.id) && item.status !== 'failed'
+          ? { ...item, status: 'queued', percent: 0 }
+          : item
+      );
+      setQueue((current) => current.map(resetItem));
       setUploadProgress('');
+
+      if (error.name === 'AbortError') {
+        setError('Upload cancelled.');
+        return;
+      }
+      console.error('Upload error:', error);
+      setError(error.message ? error : 'Failed to upload files. Please try again.');
     } finally {
+      abortControllerRef.current = null;
       setUploading(false);
+      setCanCancel(false);
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
   };
 
   return (
     <div className="upload-file">
-      <h3>Upload File</h3>
+      <h3>Upload Files</h3>
       
-      <div className="upload-area">
+      <div
+        className={`upload-area ${dragActive ? 'drag-active' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        <p className="drop-hint">Drag and drop files here, or choose them below.</p>
         <input
           type="file"
-          ref={fileInputRef}
+          multiple
           onChange={handleFileSelect}
           disabled={uploading}
           className="file-input"
         />
         
-        {selectedFile && (
-          <div className="selected-file-info">
-            <p><strong>Selected:</strong> {selectedFile.name}</p>
-            <p><strong>Size:</strong> {formatFileSize(selectedFile.size)}</p>
-            <p><strong>Type:</strong> {selectedFile.type || 'Unknown'}</p>
-          </div>
+        {queue.length > 0 && (
+          <ul className="upload-queue">
+            {queue.map((item) => (
+              <li key={item.id} className={`queue-item ${item.status}`}>
+                <div className="queue-item-info">
+                  <span className="queue-item-name" title={item.file.name}>{item.file.name}</span>
+                  <span className="queue-item-meta">
+                    {formatFileSize(item.file.size)} · {item.file.type || 'Unknown type'}
+                  </span>
+                  {item.error && <span className="queue-item-error">{item.error}</span>}
+                </div>
+                <span className="queue-item-status">{ITEM_STATUS_LABELS[item.status]}</span>
+                {item.status === 'uploading' && (
+                  <div
+                    className="progress-bar"
+                    role="progressbar"
+                    aria-valuenow={item.percent}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                  >
+                    <div className="progress-fill" style={{ width: `${item.percent}%` }} />
+                    <span className="progress-label">{item.percent}%</span>
+                  </div>
+                )}
+                {!uploading && (
+                  <button
+                    onClick={() => removeItem(item.id)}
+                    className="queue-item-remove"
+                    title="Remove from queue"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
         )}
       </div>
 
+      <p className="details-hint">These details apply to every file in the queue.</p>
+      <div className="credential-details">
+        <div className="form-field">
+          <label htmlFor="credentialCategory">Category</label>
+          <select
+            id="credentialCategory"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            disabled={uploading}
+          >
+            {CREDENTIAL_CATEGORIES.map((value) => (
+              <option key={value} value={value}>{CATEGORY_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-field">
+          <label htmlFor="credentialIssuer">Issuer</label>
+          <input
+            type="text"
+            id="credentialIssuer"
+            value={issuer}
+            onChange={(e) => setIssuer(e.target.value)}
+            placeholder="e.g., State University"
+            disabled={uploading}
+            maxLength={100}
+          />
+        </div>
+        <div className="form-field">
+          <label htmlFor="credentialIssued">Issue Date</label>
+          <input
+            type="date"
+            id="credentialIssued"
+            value={issuedDate}
+            onChange={(e) => setIssuedDate(e.target.value)}
+            disabled={uploading}
+          />
+        </div>
+        <div className="form-field">
+          <label htmlFor="credentialExpiry">Expiry Date</label>
+          <input
+            type="date"
+            id="credentialExpiry"
+            value={expiryDate}
+            onChange={(e) => setExpiryDate(e.target.value)}
+            disabled={uploading}
+          />
+        </div>
+      </div>
+
+      <label className="encrypt-option">
+        <input
+          type="checkbox"
+          checked={encrypt}
+          onChange={(e) => setEncrypt(e.target.checked)}
+          disabled={uploading}
+        />
+        <span>
+          <strong>Encrypt before upload</strong>
+          Only your wallet will be able to decrypt these files.
+        </span>
+      </label>
+
+      <FeeEstimate
+        estimateGas={estimateGas}
+        tier={feeTier}
+        onTierChange={setFeeTier}
+        relayed={canRelay(readyItems.length > 1 ? 'uploadFiles' : 'uploadFile')}
+      />
+
       <button
         onClick={handleUpload}
-        disabled={!selectedFile || uploading}
+        disabled={readyItems.length === 0 || uploading}
         className="upload-button"
       >
-        {uploading ? 'Uploading...' : 'Upload to IPFS'}
+        {uploading
+          ? 'Uploading...'
+          : readyItems.length > 1 ? `Upload ${readyItems.length} Files` : 'Upload to IPFS'}
       </button>
 
+      {uploading && canCancel && (
+        <button onClick={handleCancel} className="cancel-upload-button">
+          Cancel
+        </button>
+      )}
+
       {uploadProgress && (
         <div className="upload-progress">
           <p>{uploadProgress}</p>
         </div>
       )}
 
-      {error && (
-        <div className="error-message">
-          <p>{error}</p>
-        </div>
-      )}
+      <ErrorNotice error={error} />
 
       <style>{`
         .upload-file {
@@ -187,26 +508,163 @@ const UploadFile = ({ userId, onUploadComplete }) => {
           box-shadow: 0 0 0 4px rgba(37, 99, 235, 0.1);
         }
 
-        .selected-file-info {
-          margin-top: 16px;
-          padding: 18px 20px;
+        .upload-area.drag-active .file-input {
+          border-color: #2563eb;
+          background: linear-gradient(135deg, #eff6ff 0%, #dbeafe 100%);
+        }
+
+        .drop-hint {
+          margin: 0 0 10px 0;
+          font-size: 13px;
+          color: #64748b;
+        }
+
+        .upload-queue {
+          list-style: none;
+          margin: 16px 0 0 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .queue-item {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 10px;
+          padding: 12px 16px;
           background: linear-gradient(135deg, #f1f5f9 0%, #e2e8f0 100%);
           border-radius: 12px;
           border: 1px solid #e2e8f0;
         }
 
-        .selected-file-info p {
-          margin: 6px 0;
+        .queue-item.invalid,
+        .queue-item.failed {
+          background: #fef2f2;
+          border-color: #fecaca;
+        }
+
+        .queue-item-info {
+          flex: 1;
+          min-width: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+        }
+
+        .queue-item-name {
+          color: #334155;
           font-size: 13px;
+          font-weight: 600;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .queue-item-meta {
+          font-size: 12px;
           color: #64748b;
+        }
+
+        .queue-item-error {
+          font-size: 12px;
+          color: #dc2626;
+        }
+
+        .queue-item-status {
+          font-size: 12px;
+          font-weight: 600;
+          color: #64748b;
+        }
+
+        .queue-item.uploaded .queue-item-status {
+          color: #16a34a;
+        }
+
+        .queue-item-remove {
+          padding: 0 6px;
+          background: none;
+          border: none;
+          color: #94a3b8;
+          font-size: 18px;
+          line-height: 1;
+          cursor: pointer;
+        }
+
+        .queue-item-remove:hover {
+          color: #dc2626;
+        }
+
+        .details-hint {
+          margin: 0 0 10px 0;
+          font-size: 12px;
+          color: #64748b;
+        }
+
+        .credential-details {
+          display: grid;
+          grid-template-columns: repeat(2, 1fr);
+          gap: 14px;
+          margin-bottom: 20px;
+        }
+
+        .form-field label {
+          display: block;
+          margin-bottom: 6px;
+          color: #334155;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .form-field input,
+        .form-field select {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1px solid #cbd5e1;
+          border-radius: 10px;
+          font-size: 14px;
+          color: #334155;
+          background: #f8fafc;
+          box-sizing: border-box;
+        }
+
+        .form-field input:focus,
+        .form-field select:focus {
+          outline: none;
+          border-color: #2563eb;
+          background: #fff;
+          box-shadow: 0 0 0 4px rgba(37, 99, 235, 0.1);
+        }
+
+        @media (max-width: 640px) {
+          .credential-details {
+            grid-template-columns: 1fr;
+          }
+        }
+
+        .encrypt-option {
           display: flex;
-          gap: 8px;
+          align-items: flex-start;
+          gap: 10px;
+          margin-bottom: 20px;
+          padding: 14px 16px;
+          background: #f8fafc;
+          border: 1px solid #e2e8f0;
+          border-radius: 12px;
+          cursor: pointer;
+          font-size: 13px;
+          color: #64748b;
+        }
+
+        .encrypt-option input {
+          margin-top: 3px;
         }
 
-        .selected-file-info strong {
+        .encrypt-option strong {
+          display: block;
           color: #334155;
           font-weight: 600;
-          min-width: 60px;
         }
 
         .upload-button {
@@ -258,6 +716,7 @@ const UploadFile = ({ userId, onUploadComplete }) => {
           font-weight: 500;
           border: 1px solid #86efac;
           display: flex;
+          flex-wrap: wrap;
           align-items: center;
           justify-content: center;
           gap: 10px;
@@ -281,37 +740,49 @@ const UploadFile = ({ userId, onUploadComplete }) => {
           margin: 0;
         }
 
-        .error-message {
-          margin-top: 16px;
-          padding: 14px 16px;
-          background: linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%);
-          color: #dc2626;
-          border-radius: 12px;
-          font-size: 14px;
-          display: flex;
-          align-items: center;
-          gap: 12px;
-          border: 1px solid #fecaca;
+        .progress-bar {
+          position: relative;
+          width: 100%;
+          height: 18px;
+          background: #fff;
+          border: 1px solid #86efac;
+          border-radius: 9px;
+          overflow: hidden;
         }
 
-        .error-message::before {
-          content: '!';
-          width: 22px;
-          height: 22px;
-          background: linear-gradient(135deg, #dc2626 0%, #ef4444 100%);
-          color: #fff;
-          border-radius: 50%;
+        .progress-fill {
+          height: 100%;
+          background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%);
+          transition: width 0.2s ease;
+        }
+
+        .progress-label {
+          position: absolute;
+          inset: 0;
           display: flex;
           align-items: center;
           justify-content: center;
-          font-size: 12px;
-          font-weight: 800;
-          flex-shrink: 0;
+          font-size: 11px;
+          font-weight: 600;
+          color: #14532d;
         }
 
-        .error-message p {
-          margin: 0;
-          font-weight: 500;
+        .cancel-upload-button {
+          width: 100%;
+          margin-top: 10px;
+          padding: 10px 24px;
+          background: #fff;
+          color: #64748b;
+          border: 1px solid #cbd5e1;
+          border-radius: 14px;
+          font-size: 14px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .cancel-upload-button:hover {
+          color: #dc2626;
+          border-color: #fca5a5;
         }
       `}</style>
     </div>
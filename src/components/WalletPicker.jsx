@@ -0,0 +1,192 @@
+/**
+ * WalletPicker Component
+ *
+ * Lists every browser wallet found through EIP-6963 discovery, plus a
+ * development option to sign with a private key or JSON keystore.
+ * Calls onSelect with the chosen wallet's connector.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  getAvailableWallets,
+  onInjectedWalletsChanged,
+  createPrivateKeyConnector,
+  createKeystoreConnector
+} from '../blockchain/connectors';
+
+const WalletPicker = ({ onSelect, disabled, buttonClassName, busyLabel = 'Connecting...' }) => {
+  const [wallets, setWallets] = useState(() => getAvailableWallets());
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Development key form
+  const [keyInput, setKeyInput] = useState('');
+  const [password, setPassword] = useState('');
+  const [keyError, setKeyError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+
+  // Pick up wallets that announce themselves after the first render
+  useEffect(() => {
+    return onInjectedWalletsChanged(() => setWallets(getAvailableWallets()));
+  }, []);
+
+  const handleSelect = (connector) => {
+    setSelectedId(connector.id);
+    onSelect(connector);
+  };
+
+  const isKeystore = keyInput.trim().startsWith('{');
+
+  const handleUseKey = async (e) => {
+    e.preventDefault();
+    setKeyError('');
+    setUnlocking(true);
+
+    try {
+      const connector = isKeystore
+        ? await createKeystoreConnector(keyInput, password)
+        : createPrivateKeyConnector(keyInput);
+      setKeyInput('');
+      setPassword('');
+      handleSelect(connector);
+    } catch (error) {
+      setKeyError(error.message);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="wallet-picker">
+      {wallets.length === 0 ? (
+        <div className="wallet-picker-empty">
+          <p>No browser wallet found</p>
+          <a
+            href="https://ethereum.org/en/wallets/find-wallet/"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            Find a wallet →
+          </a>
+        </div>
+      ) : (
+        wallets.map((wallet) => (
+          <button
+            key={wallet.id}
+            onClick={() => handleSelect(wallet)}
+            disabled={disabled}
+            className={buttonClassName}
+          >
+            {wallet.icon && <img src={wallet.icon} alt="" className="wallet-picker-icon" />}
+            {disabled && selectedId === wallet.id ? busyLabel : wallet.name}
+          </button>
+        ))
+      )}
+
+      <details className="wallet-picker-dev">
+        <summary>Use a development key</summary>
+        <form onSubmit={handleUseKey}>
+          <textarea
+            value={keyInput}
+            onChange={(e) => setKeyInput(e.target.value)}
+            placeholder="Private key (0x...) or JSON keystore"
+            rows={3}
+            disabled={disabled || unlocking}
+            spellCheck={false}
+            required
+          />
+          {isKeystore && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Keystore password"
+              disabled={disabled || unlocking}
+            />
+          )}
+          <button type="submit" disabled={disabled || unlocking}>
+            {unlocking ? 'Unlocking...' : 'Use Key'}
+          </button>
+          {keyError && <p className="wallet-picker-error">{keyError}</p>}
+          <small>For local testing only. The key stays in this browser tab.</small>
+        </form>
+      </details>
+
+      <style>{`
+        .wallet-picker {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+
+        .wallet-picker-icon {
+          width: 22px;
+          height: 22px;
+        }
+
+        .wallet-picker-empty {
+          text-align: center;
+          padding: 16px;
+          background: #fef3c7;
+          border: 1px solid #fcd34d;
+          border-radius: 12px;
+        }
+
+        .wallet-picker-empty p {
+          margin: 0 0 6px 0;
+          color: #92400e;
+          font-weight: 600;
+        }
+
+        .wallet-picker-empty a {
+          color: #b45309;
+          font-size: 13px;
+        }
+
+        .wallet-picker-dev {
+          font-size: 13px;
+          color: #6b7280;
+        }
+
+        .wallet-picker-dev summary {
+          cursor: pointer;
+        }
+
+        .wallet-picker-dev form {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .wallet-picker-dev textarea,
+        .wallet-picker-dev input {
+          padding: 8px 10px;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-family: 'SF Mono', 'Consolas', monospace;
+          font-size: 12px;
+          resize: vertical;
+        }
+
+        .wallet-picker-dev button {
+          align-self: flex-start;
+          padding: 6px 14px;
+          background: #fff;
+          color: #374151;
+          border: 1px solid #d1d5db;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 500;
+        }
+
+        .wallet-picker-error {
+          margin: 0;
+          color: #dc2626;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default WalletPicker;
@@ -6,23 +6,53 @@
  */
 
 export const config = {
-  // Smart Contract Configuration
+  // Blockchain Network Configuration
   // -------------------------------------------------
-  // The address where your FileRegistry contract is deployed
-  // You'll get this after running: truffle migrate --network development
-  // Example: "0x5FbDB2315678afecb367f032d93F642f64180aa3"
-  contractAddress: "0x819190d9c38384F3748E186165f10954d0C8514b",
+  // RPC URLs, explorers and contract addresses for each chain live in
+  // src/config/networks.js and src/config/deployments.json.
+  // After running: truffle migrate --network development
+  // update deployments.json with: npm run sync-deployments
 
-  // Blockchain Network Configuration
+  // Chain ID of the network used until the user picks another
+  // Ganache uses 1337; check your Ganache settings if transactions fail
+  defaultChainId: 1337,
+
+  // Event Indexer
   // -------------------------------------------------
-  // Ganache default RPC URL
-  rpcUrl: "http://127.0.0.1:7545",
-  
-  // Chain ID for Ganache (usually 1337 or 5777)
-  // Check your Ganache settings if transactions fail
-  chainId: 1337,
+  // How many blocks to request logs for at once
+  indexerBatchSize: 5000,
+
+  // Wallet Sign-In (EIP-4361)
+  // -------------------------------------------------
+  // How long a wallet sign-in stays valid before the user must sign again (ms)
+  siweSessionDuration: 8 * 60 * 60 * 1000,
+
+  // Optional sign-in verifier service (npm run siwe-verifier)
+  // Leave empty to verify signatures in the browser only
+  // Example: "http://localhost:4000"
+  siweVerifierUrl: "",
 
-  // IPFS Configuration
+  // Gasless Transactions (EIP-2771)
+  // -------------------------------------------------
+  // Relayer service that submits signed registrations, uploads and deletes
+  // so users don't need ETH (npm run relayer). Only used on networks with a
+  // trusted forwarder in deployments.json. Leave empty to always send directly.
+  // Example: "http://localhost:4100"
+  relayerUrl: "",
+
+  // Fee Estimates
+  // -------------------------------------------------
+  // Currency that transaction fees are also shown in
+  fiatCurrency: "usd",
+
+  // Live price API (CoinGecko-compatible /simple/price endpoint)
+  // Leave empty to always use the static prices below
+  priceApiUrl: "https://api.coingecko.com/api/v3/simple/price",
+
+  // Prices used when the live price can't be fetched, by currency symbol
+  staticPrices: { ETH: 3000 },
+
+    // IPFS Configuration
   // -------------------------------------------------
   // Public IPFS gateway for retrieving files
   ipfsGateway: "https://ipfs.io/ipfs/",
@@ -32,8 +62,13 @@ export const config = {
   // If using Infura: "https://ipfs.infura.io:5001"
   ipfsApiUrl: "http://localhost:5001",
 
+  // How many of the healthiest gateways to query in parallel when downloading
+  // 1 = try gateways one at a time; higher values are faster but use more bandwidth
+  gatewayRaceCount: 1,
+
   // Demo Mode - Set to true if you don't have IPFS running locally
-  // In demo mode, files get fake CIDs and aren't actually stored on IPFS
+  // In demo mode, files are stored in this browser (IndexedDB) under real
+  // content-addressed CIDs instead of on IPFS, so they can still be downloaded
   // This is useful for testing the blockchain functionality without IPFS
   useDemoMode: false,
 
@@ -0,0 +1,158 @@
+/**
+ * Network Registry
+ *
+ * Maps chain IDs to everything the app needs to talk to a network:
+ * RPC URL, block explorer, and where FileRegistry is deployed.
+ *
+ * Contract addresses come from deployments.json (written by
+ * `npm run sync-deployments` from Truffle build artifacts) and can be
+ * overridden with the REACT_APP_NETWORKS environment variable, e.g.
+ * REACT_APP_NETWORKS='{"11155111":{"contractAddress":"0x...","startBlock":5000000}}'
+ *
+ * Only networks marked mainnet have a native currency worth money, so
+ * only they show fees in fiat; mark a production chain with "mainnet": true.
+ */
+
+import config from './appConfig';
+import deployments from './deployments.json';
+
+const SELECTED_KEY = 'selectedChainId';
+
+const ETH = { name: 'Ethereum', symbol: 'ETH', decimals: 18 };
+
+// Networks the app knows how to reach
+const KNOWN_NETWORKS = {
+  1337: {
+    name: 'Ganache Local',
+    rpcUrl: 'http://127.0.0.1:7545',
+    explorerUrl: '',
+    nativeCurrency: ETH
+  },
+  11155111: {
+    name: 'Sepolia',
+    rpcUrl: 'https://rpc.sepolia.org',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: { ...ETH, name: 'Sepolia Ether' }
+  }
+};
+
+/**
+ * Read network overrides from the environment
+ * @returns {Object} Network fields keyed by chain ID
+ */
+const loadEnvNetworks = () => {
+  if (!process.env.REACT_APP_NETWORKS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.REACT_APP_NETWORKS);
+  } catch (error) {
+    console.error('Ignoring invalid REACT_APP_NETWORKS:', error);
+    return {};
+  }
+};
+
+/**
+ * Merge the known networks, deployments and environment overrides
+ * @returns {Object[]} Every network, in chain ID order
+ */
+const buildRegistry = () => {
+  const env = loadEnvNetworks();
+  const chainIds = new Set([
+    ...Object.keys(KNOWN_NETWORKS),
+    ...Object.keys(deployments),
+    ...Object.keys(env)
+  ]);
+
+  return [...chainIds].map((id) => {
+    const chainId = Number(id);
+    return {
+      chainId,
+      name: `Chain ${chainId}`,
+      rpcUrl: '',
+      explorerUrl: '',
+      nativeCurrency: ETH,
+      mainnet: false,
+      contractAddress: null,
+      forwarderAddress: null,
+      startBlock: 0,
+      ...KNOWN_NETWORKS[id],
+      ...deployments[id],
+      ...env[id]
+    };
+  }).sort((a, b) => a.chainId - b.chainId);
+};
+
+const registry = buildRegistry();
+
+/**
+ * Get every network the app knows about
+ * @returns {Object[]} The networks
+ */
+export const getNetworks = () => registry;
+
+/**
+ * Get the networks FileRegistry is deployed on
+ * @returns {Object[]} The networks with a contract address
+ */
+export const getDeployedNetworks = () => registry.filter((network) => network.contractAddress);
+
+/**
+ * Look up a network by chain ID
+ * @param {number} chainId - The chain ID
+ * @returns {Object|null} The network, or null if unknown
+ */
+export const getNetwork = (chainId) => {
+  return registry.find((network) => network.chainId === Number(chainId)) || null;
+};
+
+/**
+ * Get the network the user has chosen to work on
+ * Falls back to the configured default if nothing valid was chosen.
+ * @returns {Object} The network
+ */
+export const getSelectedNetwork = () => {
+  let stored = null;
+  try {
+    stored = getNetwork(localStorage.getItem(SELECTED_KEY));
+  } catch (_) {
+    // Storage unavailable; use the default
+  }
+
+  if (stored?.contractAddress) {
+    return stored;
+  }
+  return getNetwork(config.defaultChainId) || getDeployedNetworks()[0] || registry[0];
+};
+
+/**
+ * Choose the network to work on
+ * @param {number} chainId - The chain ID
+ */
+export const selectNetwork = (chainId) => {
+  const network = getNetwork(chainId);
+  if (!network?.contractAddress) {
+    throw new Error(`FileRegistry is not deployed on chain ${chainId}`);
+  }
+  localStorage.setItem(SELECTED_KEY, String(network.chainId));
+};
+
+/**
+ * Build a block explorer link on the selected network
+ * @param {string} type - 'tx', 'address' or 'block'
+ * @param {string|number} value - The transaction hash, address or block number
+ * @returns {string|null} The link, or null if the network has no explorer
+ */
+export const getExplorerUrl = (type, value) => {
+  const { explorerUrl } = getSelectedNetwork();
+  return explorerUrl ? `${explorerUrl.replace(/\/$/, '')}/${type}/${value}` : null;
+};
+
+export default {
+  getNetworks,
+  getDeployedNetworks,
+  getNetwork,
+  getSelectedNetwork,
+  selectNetwork,
+  getExplorerUrl
+};
@@ -0,0 +1,363 @@
+/**
+ * Client-Side File Encryption
+ *
+ * This module encrypts files in the browser before they are uploaded to IPFS,
+ * so a CID alone is not enough to read a user's credentials.
+ *
+ * Scheme (ENCRYPTION_SCHEME):
+ * - Each file gets a random AES-256-GCM key
+ * - The file key is wrapped (AES-KW) with a key derived from the owner's wallet:
+ *   the wallet signs a fixed message and the signature is run through HKDF.
+ *   Wallet signatures are deterministic (RFC 6979), so the same wallet always
+ *   derives the same wrapping key and nothing secret is stored anywhere.
+ * - The wrapped key and IV are stored in a small header in front of the ciphertext:
+ *
+ *   | "CCE1" (4) | wrapped key (40) | IV (12) | AES-GCM ciphertext |
+ *
+ * Sharing (access grants):
+ * - Each recipient derives a secp256k1 "recipient key" from another wallet
+ *   signature and publishes its public half on the blockchain
+ * - The owner re-wraps the file key with an ephemeral ECDH key agreement
+ *   against the recipient's public key. The grant key stored on-chain is:
+ *
+ *   | ephemeral public key (33) | wrapped key (40) |
+ *
+ * Moving a User ID to another wallet changes the wrapping key, so before a
+ * transfer every file key is granted to the new wallet the same way; from
+ * then on its owner opens those files through its own grant.
+ */
+
+import { ethers } from 'ethers';
+import { getSigner } from '../blockchain/web3';
+
+// Scheme name recorded in the file metadata on the blockchain
+export const ENCRYPTION_SCHEME = 'aes-256-gcm/wallet-v1';
+
+const MAGIC = new TextEncoder().encode('CCE1');
+const WRAPPED_KEY_LENGTH = 40; // AES-KW output for a 256-bit key
+const IV_LENGTH = 12;
+const HEADER_LENGTH = MAGIC.length + WRAPPED_KEY_LENGTH + IV_LENGTH;
+const PUBLIC_KEY_LENGTH = 33; // Compressed secp256k1 public key
+
+// Wallet-derived wrapping keys and recipient keys, cached per address
+// so the wallet only has to sign once per session
+const walletKeys = new Map();
+const recipientKeys = new Map();
+
+/**
+ * Build the message the wallet signs to derive its wrapping key
+ * @param {string} address - The wallet address
+ * @returns {string} The message to sign
+ */
+export const getWalletKeyMessage = (address) => (
+  'Chain-Cred file encryption\n\n' +
+  'Sign this message to unlock your encrypted files.\n' +
+  'It does not send a transaction or cost any gas.\n\n' +
+  `Wallet: ${address.toLowerCase()}\n` +
+  'Version: 1'
+);
+
+/**
+ * Build the message the wallet signs to derive its recipient key
+ * @param {string} address - The wallet address
+ * @returns {string} The message to sign
+ */
+export const getRecipientKeyMessage = (address) => (
+  'Chain-Cred shared file access\n\n' +
+  'Sign this message to open files other users have shared with you.\n' +
+  'It does not send a transaction or cost any gas.\n\n' +
+  `Wallet: ${address.toLowerCase()}\n` +
+  'Version: 1'
+);
+
+/**
+ * Derive an AES-KW key from some secret bytes with HKDF
+ * @param {Uint8Array} secret - The input key material
+ * @param {string} info - Context string separating different uses
+ * @returns {Promise<CryptoKey>} The AES-KW key
+ */
+const deriveWrappingKey = async (secret, info) => {
+  const material = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  return window.crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode('chain-cred'),
+      info: new TextEncoder().encode(info)
+    },
+    material,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+/**
+ * Get the key-wrapping key for the connected wallet
+ * Prompts the wallet for a signature the first time it is needed.
+ * @returns {Promise<CryptoKey>} The AES-KW wrapping key
+ */
+const getWalletKey = async () => {
+  const signer = await getSigner();
+  const address = (await signer.getAddress()).toLowerCase();
+
+  if (!walletKeys.has(address)) {
+    const signature = await signer.signMessage(getWalletKeyMessage(address));
+    const wrappingKey = await deriveWrappingKey(ethers.getBytes(signature), 'file-key-wrapping/v1');
+    walletKeys.set(address, wrappingKey);
+  }
+
+  return walletKeys.get(address);
+};
+
+/**
+ * Get the recipient key (secp256k1) for the connected wallet
+ * Prompts the wallet for a signature the first time it is needed.
+ * @returns {Promise<ethers.SigningKey>} The recipient key
+ */
+const getRecipientKey = async () => {
+  const signer = await getSigner();
+  const address = (await signer.getAddress()).toLowerCase();
+
+  if (!recipientKeys.has(address)) {
+    const signature = await signer.signMessage(getRecipientKeyMessage(address));
+    recipientKeys.set(address, new ethers.SigningKey(ethers.keccak256(signature)));
+  }
+
+  return recipientKeys.get(address);
+};
+
+/**
+ * Get the public half of the connected wallet's recipient key
+ * This is what gets published on the blockchain so others can share files.
+ * @returns {Promise<string>} Compressed public key (0x-prefixed hex, 33 bytes)
+ */
+export const getRecipientPublicKey = async () => {
+  const recipientKey = await getRecipientKey();
+  return recipientKey.compressedPublicKey;
+};
+
+/**
+ * Forget all cached wallet keys (call on logout)
+ */
+export const clearWalletKeys = () => {
+  walletKeys.clear();
+  recipientKeys.clear();
+};
+
+/**
+ * Check if data starts with the encryption header
+ * @param {Uint8Array} bytes - The data to check
+ * @returns {boolean} True if the data is an encrypted payload
+ */
+export const isEncryptedPayload = (bytes) => {
+  if (bytes.length < HEADER_LENGTH) return false;
+  return MAGIC.every((byte, i) => bytes[i] === byte);
+};
+
+/**
+ * Split an encrypted payload into its parts
+ * @param {Uint8Array} bytes - The encrypted payload
+ * @returns {Object} {wrappedKey, iv, ciphertext}
+ */
+export const parseEncryptedPayload = (bytes) => {
+  if (!isEncryptedPayload(bytes)) {
+    throw new Error('Data is not an encrypted Chain-Cred file');
+  }
+
+  const ivStart = MAGIC.length + WRAPPED_KEY_LENGTH;
+  return {
+    wrappedKey: bytes.slice(MAGIC.length, ivStart),
+    iv: bytes.slice(ivStart, HEADER_LENGTH),
+    ciphertext: bytes.slice(HEADER_LENGTH)
+  };
+};
+
+/**
+ * Unwrap a file key with the connected wallet's wrapping key
+ * @param {Uint8Array} wrappedKey - The wrapped AES-GCM key
+ * @returns {Promise<CryptoKey>} The file key
+ */
+export const unwrapFileKey = async (wrappedKey) => {
+  const wrappingKey = await getWalletKey();
+
+  try {
+    return await window.crypto.subtle.unwrapKey(
+      'raw',
+      wrappedKey,
+      wrappingKey,
+      'AES-KW',
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch (error) {
+    throw new Error('This file was encrypted for a different wallet.');
+  }
+};
+
+/**
+ * Decrypt a payload's ciphertext with an already unwrapped file key
+ * @param {Object} payload - The parsed payload {iv, ciphertext}
+ * @param {CryptoKey} fileKey - The file key
+ * @returns {Promise<ArrayBuffer>} The plaintext
+ */
+export const decryptWithKey = async ({ iv, ciphertext }, fileKey) => {
+  try {
+    return await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, fileKey, ciphertext);
+  } catch (error) {
+    throw new Error('Failed to decrypt file: the data is corrupted or the key is wrong.');
+  }
+};
+
+/**
+ * Encrypt data for the connected wallet
+ * @param {ArrayBuffer|Uint8Array} data - The plaintext
+ * @returns {Promise<Uint8Array>} The encrypted payload (header + ciphertext)
+ */
+export const encryptData = async (data) => {
+  const wrappingKey = await getWalletKey();
+
+  const fileKey = await window.crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, fileKey, data);
+  const wrappedKey = await window.crypto.subtle.wrapKey('raw', fileKey, wrappingKey, 'AES-KW');
+
+  const payload = new Uint8Array(HEADER_LENGTH + ciphertext.byteLength);
+  payload.set(MAGIC, 0);
+  payload.set(new Uint8Array(wrappedKey), MAGIC.length);
+  payload.set(iv, MAGIC.length + WRAPPED_KEY_LENGTH);
+  payload.set(new Uint8Array(ciphertext), HEADER_LENGTH);
+  return payload;
+};
+
+/**
+ * Decrypt a payload encrypted for the connected wallet
+ * @param {Uint8Array} bytes - The encrypted payload
+ * @returns {Promise<ArrayBuffer>} The plaintext
+ */
+export const decryptData = async (bytes) => {
+  const payload = parseEncryptedPayload(bytes);
+  const fileKey = await unwrapFileKey(payload.wrappedKey);
+  return decryptWithKey(payload, fileKey);
+};
+
+/**
+ * Derive the AES-KW key shared between an ephemeral key and a recipient key
+ * @param {ethers.SigningKey} privateKey - Our side of the key agreement
+ * @param {string|Uint8Array} publicKey - The other side's public key
+ * @returns {Promise<CryptoKey>} The AES-KW key
+ */
+const deriveGrantWrappingKey = async (privateKey, publicKey) => {
+  // computeSharedSecret returns the uncompressed point; use its x coordinate
+  const sharedPoint = ethers.getBytes(privateKey.computeSharedSecret(publicKey));
+  return deriveWrappingKey(sharedPoint.slice(1, 33), 'grant-key-wrapping/v1');
+};
+
+/**
+ * Wrap a file key for another wallet's recipient public key
+ * @param {CryptoKey} fileKey - The file key (from unwrapFileKey)
+ * @param {string} recipientPublicKey - The recipient's compressed public key
+ * @returns {Promise<Uint8Array>} The grant key (ephemeral public key + wrapped key)
+ */
+export const wrapFileKeyForRecipient = async (fileKey, recipientPublicKey) => {
+  const ephemeralKey = new ethers.SigningKey(ethers.randomBytes(32));
+  const wrappingKey = await deriveGrantWrappingKey(ephemeralKey, recipientPublicKey);
+  const wrappedKey = await window.crypto.subtle.wrapKey('raw', fileKey, wrappingKey, 'AES-KW');
+
+  const grantKey = new Uint8Array(PUBLIC_KEY_LENGTH + WRAPPED_KEY_LENGTH);
+  grantKey.set(ethers.getBytes(ephemeralKey.compressedPublicKey), 0);
+  grantKey.set(new Uint8Array(wrappedKey), PUBLIC_KEY_LENGTH);
+  return grantKey;
+};
+
+/**
+ * Unwrap a file key from a grant made to the connected wallet
+ * @param {Uint8Array|string} grantKey - The grant key stored on the blockchain
+ * @returns {Promise<CryptoKey>} The file key
+ */
+export const unwrapGrantedFileKey = async (grantKey) => {
+  const bytes = ethers.getBytes(grantKey);
+  if (bytes.length !== PUBLIC_KEY_LENGTH + WRAPPED_KEY_LENGTH) {
+    throw new Error('Invalid access grant key');
+  }
+
+  const recipientKey = await getRecipientKey();
+  const wrappingKey = await deriveGrantWrappingKey(recipientKey, bytes.slice(0, PUBLIC_KEY_LENGTH));
+
+  try {
+    return await window.crypto.subtle.unwrapKey(
+      'raw',
+      bytes.slice(PUBLIC_KEY_LENGTH),
+      wrappingKey,
+      'AES-KW',
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch (error) {
+    throw new Error('This file was shared with a different wallet.');
+  }
+};
+
+/**
+ * Re-wrap a file's key for another wallet, as the file's owner
+ * @param {Uint8Array} bytes - The encrypted payload
+ * @param {string} recipientPublicKey - The recipient's compressed public key
+ * @param {Object} options - Options
+ * @param {string} options.grantKey - The connected wallet's own grant, for files
+ *   that came with a User ID moved from another wallet
+ * @returns {Promise<Uint8Array>} The grant key for the recipient
+ */
+export const rewrapFileKey = async (bytes, recipientPublicKey, { grantKey = null } = {}) => {
+  const payload = parseEncryptedPayload(bytes);
+  const fileKey = grantKey
+    ? await unwrapGrantedFileKey(grantKey)
+    : await unwrapFileKey(payload.wrappedKey);
+  return wrapFileKeyForRecipient(fileKey, recipientPublicKey);
+};
+
+/**
+ * Decrypt data according to the scheme recorded in its metadata
+ * @param {Uint8Array} bytes - The downloaded data
+ * @param {string} scheme - The encryption scheme ('' for plaintext)
+ * @param {Object} options - Decryption options
+ * @param {string} options.grantKey - Access grant key, when decrypting a file shared with us
+ * @returns {Promise<Uint8Array>} The plaintext
+ */
+export const decryptForScheme = async (bytes, scheme, { grantKey = null } = {}) => {
+  if (!scheme) {
+    return bytes;
+  }
+  if (scheme !== ENCRYPTION_SCHEME) {
+    throw new Error(`Unsupported encryption scheme: ${scheme}`);
+  }
+  if (grantKey) {
+    const payload = parseEncryptedPayload(bytes);
+    const fileKey = await unwrapGrantedFileKey(grantKey);
+    return new Uint8Array(await decryptWithKey(payload, fileKey));
+  }
+  return new Uint8Array(await decryptData(bytes));
+};
+
+export default {
+  ENCRYPTION_SCHEME,
+  getWalletKeyMessage,
+  getRecipientKeyMessage,
+  getRecipientPublicKey,
+  clearWalletKeys,
+  isEncryptedPayload,
+  parseEncryptedPayload,
+  unwrapFileKey,
+  decryptWithKey,
+  encryptData,
+  decryptData,
+  wrapFileKeyForRecipient,
+  unwrapGrantedFileKey,
+  rewrapFileKey,
+  decryptForScheme
+};
@@ -0,0 +1,34 @@
+/**
+ * Content Hashing
+ * 
+ * This module computes SHA-256 content hashes with the browser's WebCrypto API.
+ * Hashes are stored on the blockchain so downloads can be checked later.
+ */
+
+/**
+ * Compute the SHA-256 hash of some data
+ * @param {ArrayBuffer|Uint8Array} data - The data to hash
+ * @returns {Promise<string>} The hash as a 0x-prefixed hex string (bytes32)
+ */
+export const sha256Hex = async (data) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  const hex = Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return `0x${hex}`;
+};
+
+/**
+ * Compute the SHA-256 hash of a file's content
+ * @param {File|Blob} file - The file to hash
+ * @returns {Promise<string>} The hash as a 0x-prefixed hex string (bytes32)
+ */
+export const hashFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  return sha256Hex(buffer);
+};
+
+export default {
+  sha256Hex,
+  hashFile
+};
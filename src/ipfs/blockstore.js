@@ -0,0 +1,92 @@
+/**
+ * Demo Blockstore
+ *
+ * An in-browser, IndexedDB-backed block store used in demo mode.
+ * Content is addressed by a real CIDv1 (raw codec, sha2-256) of the
+ * whole file, so demo CIDs are reproducible. They only match what an
+ * IPFS node produces for files that fit in a single block (256 KiB)
+ * added with --raw-leaves --cid-version=1; a node splits larger files
+ * into a DAG of chunks, which gets a different CID.
+ */
+
+import { CID } from 'multiformats/cid';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { openDatabase, withStore } from '../utils/indexedDb';
+
+const DB_NAME = 'chain-cred-blockstore';
+const DB_VERSION = 1;
+const STORE_NAME = 'blocks';
+
+/**
+ * Open the blockstore database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openBlockstore = () => {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME);
+    }
+  });
+};
+
+/**
+ * Convert data to a Uint8Array
+ * @param {ArrayBuffer|Uint8Array|string} data - The data to convert
+ * @returns {Uint8Array} The data as bytes
+ */
+const toBytes = (data) => {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  return data instanceof Uint8Array ? data : new Uint8Array(data);
+};
+
+/**
+ * Compute the CIDv1 (raw, sha2-256) of some data
+ * @param {ArrayBuffer|Uint8Array|string} data - The content
+ * @returns {Promise<string>} The CID as a base32 string
+ */
+export const computeCid = async (data) => {
+  const hash = await sha256.digest(toBytes(data));
+  return CID.create(1, raw.code, hash).toString();
+};
+
+/**
+ * Store content in the blockstore
+ * @param {ArrayBuffer|Uint8Array|string} data - The content to store
+ * @returns {Promise<string>} The CID of the content
+ */
+export const putBlock = async (data) => {
+  const bytes = toBytes(data);
+  const cid = await computeCid(bytes);
+  await withStore(openBlockstore(), STORE_NAME, 'readwrite', (store) => store.put(bytes, cid));
+  return cid;
+};
+
+/**
+ * Read content from the blockstore
+ * @param {string} cid - The Content Identifier
+ * @returns {Promise<Uint8Array|null>} The content, or null if it is not stored
+ */
+export const getBlock = async (cid) => {
+  const bytes = await withStore(openBlockstore(), STORE_NAME, 'readonly', (store) => store.get(cid));
+  return bytes ? new Uint8Array(bytes) : null;
+};
+
+/**
+ * Check whether content is in the blockstore
+ * @param {string} cid - The Content Identifier
+ * @returns {Promise<boolean>} True if the content is stored
+ */
+export const hasBlock = async (cid) => {
+  const count = await withStore(openBlockstore(), STORE_NAME, 'readonly', (store) => store.count(cid));
+  return count > 0;
+};
+
+export default {
+  computeCid,
+  putBlock,
+  getBlock,
+  hasBlock
+};
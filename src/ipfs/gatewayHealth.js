@@ -0,0 +1,179 @@
+/**
+ * Gateway Health
+ *
+ * This module records how each IPFS gateway has been performing
+ * (latency, successes, failures) in localStorage, and uses that
+ * history to try the healthiest gateways first.
+ */
+
+const STORAGE_KEY = 'gatewayHealth';
+
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// How long a failing gateway is pushed to the back of the list (ms).
+// Doubles with every consecutive failure, up to the maximum.
+const FAILURE_COOLDOWN = 60 * 1000;
+const MAX_FAILURE_COOLDOWN = 60 * 60 * 1000;
+
+/**
+ * Read all health records from localStorage
+ * @returns {Object} Health records keyed by gateway URL
+ */
+const loadHealth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (_) {
+    return {};
+  }
+};
+
+/**
+ * Write all health records to localStorage
+ * @param {Object} health - Health records keyed by gateway URL
+ */
+const saveHealth = (health) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(health));
+  } catch (_) {
+    // Storage full or unavailable; health tracking is best-effort
+  }
+};
+
+/**
+ * Get the health record of a gateway
+ * @param {string} gateway - The gateway base URL
+ * @returns {Object} The record (zeroed if the gateway has never been used)
+ */
+export const getGatewayHealth = (gateway) => {
+  return {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    averageLatency: null,
+    lastLatency: null,
+    lastSuccess: null,
+    lastFailure: null,
+    lastError: '',
+    ...loadHealth()[gateway]
+  };
+};
+
+/**
+ * Update the health record of a gateway
+ * @param {string} gateway - The gateway base URL
+ * @param {Function} update - Receives the current record, returns the changes
+ */
+const updateHealth = (gateway, update) => {
+  const health = loadHealth();
+  const record = getGatewayHealth(gateway);
+  health[gateway] = { ...record, ...update(record) };
+  saveHealth(health);
+};
+
+/**
+ * Record a successful request to a gateway
+ * @param {string} gateway - The gateway base URL
+ * @param {number} latency - How long the request took (ms)
+ */
+export const recordSuccess = (gateway, latency) => {
+  updateHealth(gateway, (record) => ({
+    successes: record.successes + 1,
+    consecutiveFailures: 0,
+    lastLatency: latency,
+    averageLatency: record.averageLatency === null
+      ? latency
+      : Math.round(record.averageLatency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING),
+    lastSuccess: Date.now()
+  }));
+};
+
+/**
+ * Record a failed request to a gateway
+ * @param {string} gateway - The gateway base URL
+ * @param {Error} error - Why the request failed
+ */
+export const recordFailure = (gateway, error) => {
+  updateHealth(gateway, (record) => ({
+    failures: record.failures + 1,
+    consecutiveFailures: record.consecutiveFailures + 1,
+    lastFailure: Date.now(),
+    lastError: error?.message || String(error)
+  }));
+};
+
+/**
+ * Check whether a gateway is cooling down after recent failures
+ * @param {Object} record - The gateway health record
+ * @returns {boolean} True if the gateway should be tried last
+ */
+const isCoolingDown = (record) => {
+  if (record.consecutiveFailures === 0) {
+    return false;
+  }
+  const cooldown = Math.min(
+    FAILURE_COOLDOWN * 2 ** (record.consecutiveFailures - 1),
+    MAX_FAILURE_COOLDOWN
+  );
+  return Date.now() - record.lastFailure < cooldown;
+};
+
+/**
+ * Describe the current status of a gateway
+ * @param {Object} record - The gateway health record
+ * @returns {string} 'untested', 'healthy', 'degraded' or 'failing'
+ */
+export const getGatewayStatus = (record) => {
+  if (record.successes === 0 && record.failures === 0) {
+    return 'untested';
+  }
+  if (isCoolingDown(record)) {
+    return 'failing';
+  }
+  return record.consecutiveFailures > 0 ? 'degraded' : 'healthy';
+};
+
+/**
+ * Order gateways so the healthiest are tried first
+ * Gateways that recently failed go last; the rest are sorted by average
+ * latency, with untested gateways keeping their configured position
+ * after the ones known to work.
+ * @param {string[]} gateways - Gateway base URLs in configured order
+ * @returns {string[]} The gateways in the order they should be tried
+ */
+export const rankGateways = (gateways) => {
+  const health = loadHealth();
+
+  const rank = (gateway) => {
+    const record = getGatewayHealth(gateway);
+    if (!health[gateway]) return [1, 0];
+    if (isCoolingDown(record)) return [2, record.lastFailure];
+    if (record.averageLatency === null) return [1, 0];
+    return [0, record.averageLatency];
+  };
+
+  return gateways
+    .map((gateway, index) => ({ gateway, index, rank: rank(gateway) }))
+    .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index)
+    .map(({ gateway }) => gateway);
+};
+
+/**
+ * Forget all recorded gateway health
+ */
+export const resetGatewayHealth = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (_) {
+    // Ignore unavailable storage
+  }
+};
+
+export default {
+  getGatewayHealth,
+  recordSuccess,
+  recordFailure,
+  getGatewayStatus,
+  rankGateways,
+  resetGatewayHealth
+};
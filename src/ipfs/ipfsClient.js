@@ -4,13 +4,20 @@
  * This module handles all IPFS operations:
  * - Uploading files to IPFS
  * - Downloading files from IPFS
- * - Generating gateway URLs
+ * - Generating gateway URLs (ordered by recorded gateway health)
+ * - Encrypting/decrypting private files (see crypto/encryption.js)
  * 
  * NOTE: For local development without IPFS Desktop, 
- * set useDemoMode = true in config to use simulated CIDs.
+ * set useDemoMode = true in config. Files are then kept in an
+ * in-browser blockstore under real content-addressed CIDs.
  */
 
+import { CID } from 'multiformats/cid';
 import config from '../config/appConfig';
+import { encryptData, decryptForScheme } from '../crypto/encryption';
+import { putBlock, getBlock } from './blockstore';
+import { fetchVerified, verifyBlock, verifyContentHash, IntegrityError } from './verify';
+import { rankGateways, recordSuccess, recordFailure } from './gatewayHealth';
 
 // IPFS client instance
 let ipfsClient = null;
@@ -27,23 +34,34 @@ const FALLBACK_GATEWAYS = [
 // Timeout for gateway requests (ms)
 const GATEWAY_TIMEOUT = 15000;
 
+// Label used in errors for content served from the demo blockstore
+const DEMO_SOURCE = 'local demo blockstore';
+
+// Tiny identity-hash CID (empty content) used to probe gateways
+const PROBE_CID = 'bafkqaaa';
+
 /**
  * Fetch with timeout helper
+ * An optional options.signal also cancels the request.
  */
-const fetchWithTimeout = async (url, timeout = GATEWAY_TIMEOUT) => {
+const fetchWithTimeout = async (url, options = {}, timeout = GATEWAY_TIMEOUT) => {
+  const { signal, ...fetchOptions } = options;
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
   try {
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(id);
+    const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
     return response;
   } catch (error) {
-    clearTimeout(id);
     // Make aborts easier to understand
     if (error.name === 'AbortError') {
-      throw new Error(`Request timed out after ${timeout}ms`);
+      throw new Error(signal?.aborted ? 'Request cancelled' : `Request timed out after ${timeout}ms`);
     }
     throw error;
+  } finally {
+    clearTimeout(id);
+    signal?.removeEventListener('abort', onAbort);
   }
 };
 
@@ -77,22 +95,53 @@ const buildGatewayList = () => {
   return Array.from(gateways);
 };
 
+/**
+ * Get the gateways in the order they will be tried
+ * @returns {string[]} Gateway base URLs, healthiest first
+ */
+export const getGatewayList = () => {
+  return rankGateways(buildGatewayList());
+};
+
+/**
+ * Check that a gateway responds, recording the result in its health
+ * @param {string} gateway - The gateway base URL
+ * @returns {Promise<boolean>} True if the gateway answered
+ */
+export const probeGateway = async (gateway) => {
+  const started = Date.now();
+  try {
+    const response = await fetchWithTimeout(`${gateway}/${PROBE_CID}`, { method: 'HEAD' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    recordSuccess(gateway, Date.now() - started);
+    return true;
+  } catch (error) {
+    recordFailure(gateway, error);
+    return false;
+  }
+};
+
 /**
  * Check if we should use demo mode (no real IPFS)
  */
-const isDemoMode = () => {
+export const isDemoMode = () => {
   return config.useDemoMode === true;
 };
 
 /**
- * Generate a fake CID for demo mode
- * In real IPFS, CID is a hash of the content
+ * Read content from the demo blockstore, checking it against its CID
+ * @param {string} cid - The Content Identifier
+ * @returns {Promise<{blob: Blob, source: string}>} The stored content and where it came from
  */
-const generateDemoCid = (file) => {
-  // Create a pseudo-random CID based on file properties
-  const timestamp = Date.now();
-  const randomPart = Math.random().toString(36).substring(2, 15);
-  return `Qm${randomPart}${timestamp.toString(36)}Demo`;
+const getDemoContent = async (cid) => {
+  const bytes = await getBlock(cid);
+  if (!bytes) {
+    throw new Error(`Content ${cid} is not in the ${DEMO_SOURCE}`);
+  }
+  await verifyBlock(CID.parse(cid), bytes, DEMO_SOURCE);
+  return { blob: new Blob([bytes]), source: DEMO_SOURCE };
 };
 
 /**
@@ -101,7 +150,7 @@ const generateDemoCid = (file) => {
  */
 export const getIpfsClient = async () => {
   if (isDemoMode()) {
-    console.log('IPFS running in DEMO MODE - files are not actually stored');
+    console.log('IPFS running in DEMO MODE - files are stored in this browser only');
     return null;
   }
 
@@ -129,47 +178,97 @@ export const getIpfsClient = async () => {
   return ipfsClient;
 };
 
+/**
+ * Check a file against the configured size and type limits
+ * @param {File} file - The file to check
+ * @returns {string} Why the file cannot be uploaded ('' if it can)
+ */
+export const validateFile = (file) => {
+  // Validate file size
+  if (config.maxFileSize && file.size > config.maxFileSize) {
+    return `File size exceeds maximum allowed size of ${config.maxFileSize / (1024 * 1024)}MB`;
+  }
+
+  // Validate file type if restrictions exist
+  if (config.allowedFileTypes && config.allowedFileTypes.length > 0) {
+    const fileType = file.type || 'application/octet-stream';
+    if (!config.allowedFileTypes.includes(fileType)) {
+      return `File type ${fileType} is not allowed`;
+    }
+  }
+
+  return '';
+};
+
+/**
+ * Throw an AbortError if an upload has been cancelled
+ * @param {AbortSignal} signal - The cancellation signal (optional)
+ */
+const checkAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw new DOMException('Upload cancelled', 'AbortError');
+  }
+};
+
 /**
  * Upload a file to IPFS
  * @param {File} file - The file object to upload
+ * @param {Object} options - Upload options
+ * @param {boolean} options.encrypt - Encrypt the file for the connected wallet before upload
+ * @param {Function} options.onProgress - Called with (fraction, {loaded, total}) as bytes are sent
+ * @param {AbortSignal} options.signal - Cancels the upload; rejects with an AbortError
  * @returns {Promise<string>} The CID (Content Identifier) of the uploaded file
  */
-export const uploadToIpfs = async (file) => {
+export const uploadToIpfs = async (file, { encrypt = false, onProgress, signal } = {}) => {
   try {
-    // Validate file size
-    if (config.maxFileSize && file.size > config.maxFileSize) {
-      throw new Error(`File size exceeds maximum allowed size of ${config.maxFileSize / (1024 * 1024)}MB`);
+    const validationError = validateFile(file);
+    if (validationError) {
+      throw new Error(validationError);
     }
 
-    // Validate file type if restrictions exist
-    if (config.allowedFileTypes && config.allowedFileTypes.length > 0) {
-      const fileType = file.type || 'application/octet-stream';
-      if (!config.allowedFileTypes.includes(fileType)) {
-        throw new Error(`File type ${fileType} is not allowed`);
-      }
+    // Convert file to buffer, encrypting it first if requested
+    checkAborted(signal);
+    let buffer = await file.arrayBuffer();
+    if (encrypt) {
+      buffer = await encryptData(buffer);
     }
+    checkAborted(signal);
 
-    // Demo mode - return fake CID
+    const total = buffer.byteLength;
+    const reportProgress = (loaded) => {
+      if (onProgress) {
+        onProgress(total ? Math.min(loaded / total, 1) : 1, { loaded, total });
+      }
+    };
+    reportProgress(0);
+
+    // Demo mode - store in the browser blockstore
     if (isDemoMode()) {
-      console.log('DEMO MODE: Simulating IPFS upload for', file.name);
-      const fakeCid = generateDemoCid(file);
-      console.log('DEMO MODE: Generated fake CID:', fakeCid);
-      return fakeCid;
+      console.log('DEMO MODE: Storing file locally:', file.name);
+      const cid = await putBlock(buffer);
+      reportProgress(total);
+      console.log('DEMO MODE: Stored with CID:', cid);
+      return cid;
     }
 
     const client = await getIpfsClient();
-    
-    // Convert file to buffer
-    const buffer = await file.arrayBuffer();
+    checkAborted(signal);
     
     // Upload to IPFS
     const result = await client.add(buffer, {
-      progress: (prog) => console.log(`Uploaded: ${prog} bytes`)
+      progress: reportProgress,
+      signal
     });
+    reportProgress(total);
 
     console.log('File uploaded to IPFS:', result.path);
     return result.path; // This is the CID
   } catch (error) {
+    // Let callers tell a cancelled upload apart from a failed one
+    if (error.name === 'AbortError' || (signal && signal.aborted)) {
+      throw new DOMException('Upload cancelled', 'AbortError');
+    }
+
     console.error('Error uploading to IPFS:', error);
     
     // Provide helpful error message
@@ -192,7 +291,12 @@ export const uploadToIpfs = async (file) => {
  */
 export const uploadDataToIpfs = async (data) => {
   try {
-    const client = getIpfsClient();
+    // Demo mode - store in the browser blockstore
+    if (isDemoMode()) {
+      return await putBlock(data);
+    }
+
+    const client = await getIpfsClient();
     const result = await client.add(data);
     return result.path;
   } catch (error) {
@@ -216,72 +320,198 @@ export const getGatewayUrl = (cid) => {
 };
 
 /**
- * Download a file from IPFS using multiple gateway fallbacks
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - The file content
+ * @param {string} fileName - The file name to save as
+ */
+const saveBlob = (blob, fileName) => {
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = downloadUrl;
+  link.download = fileName || '';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(downloadUrl);
+};
+
+/**
+ * Decrypt downloaded content if its metadata says it is encrypted
+ * @param {Blob} blob - The downloaded content
+ * @param {Object} options - Decryption options
+ * @param {string} options.encryption - The encryption scheme ('' for plaintext)
+ * @param {string} options.mimeType - The original MIME type
+ * @param {string} options.grantKey - Access grant key, for files shared with us
+ * @returns {Promise<Blob>} The plaintext content
+ */
+const decryptBlob = async (blob, { encryption, mimeType, grantKey }) => {
+  if (!encryption) {
+    return blob;
+  }
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const plaintext = await decryptForScheme(bytes, encryption, { grantKey });
+  return new Blob([plaintext], { type: mimeType || 'application/octet-stream' });
+};
+
+/**
+ * Fetch and verify content from a single gateway, recording its health
+ * @param {string} gateway - The gateway base URL
  * @param {string} cid - The Content Identifier
- * @param {string} fileName - The original file name for download
- * @returns {Promise<void>}
+ * @param {AbortSignal} signal - Cancels the request (e.g. when another gateway wins a race)
+ * @returns {Promise<{blob: Blob, source: string}>} The verified content and the gateway that served it
  */
-export const downloadFromIpfs = async (cid, fileName) => {
-  const safeCid = encodeURIComponent(String(cid || ''));
-  const fileParam = fileName ? `?filename=${encodeURIComponent(String(fileName))}` : '';
-  
-  // Build list of gateways to try (configured + fallbacks + local if available)
-  const gateways = buildGatewayList();
+const fetchFromGateway = async (gateway, cid, signal) => {
+  const started = Date.now();
+  try {
+    const fetcher = (url, options) => fetchWithTimeout(url, { ...options, signal });
+    const bytes = await fetchVerified(gateway, cid, fetcher);
+    recordSuccess(gateway, Date.now() - started);
+    return { blob: new Blob([bytes]), source: gateway };
+  } catch (error) {
+    if (!signal.aborted) {
+      recordFailure(gateway, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Race several gateways, resolving with the first verified response
+ * A gateway serving the wrong bytes counts as failed like any other, so
+ * the rest of the race carries on.
+ * @param {string[]} gateways - The gateways to race
+ * @param {string} cid - The Content Identifier
+ * @returns {Promise<{blob: Blob, source: string}>} The first verified content
+ * @throws {Error} If every gateway fails; an IntegrityError if any of them served the wrong bytes
+ */
+const raceGateways = (gateways, cid) => {
+  const controller = new AbortController();
+  let pending = gateways.length;
+  let integrityError = null;
+
+  return new Promise((resolve, reject) => {
+    gateways.forEach((gateway) => {
+      console.log(`Trying IPFS gateway: ${gateway}`);
+
+      fetchFromGateway(gateway, cid, controller.signal).then((result) => {
+        controller.abort(); // Cancel the slower gateways
+        resolve(result);
+      }, (error) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        if (error instanceof IntegrityError) {
+          integrityError = integrityError || error;
+        }
+        console.warn(`Gateway ${gateway} failed:`, error.message);
+        pending -= 1;
+        if (pending === 0) {
+          reject(integrityError || error);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Fetch content from IPFS using multiple gateway fallbacks
+ * Gateways are tried healthiest first. The top config.gatewayRaceCount
+ * gateways are raced in parallel, the rest are tried one at a time.
+ * Every response is verified against the CID. A gateway serving the wrong
+ * bytes is skipped like one that is down; only if no gateway returns
+ * verified content is the fetch failed with an IntegrityError naming it.
+ * @param {string} cid - The Content Identifier
+ * @returns {Promise<{blob: Blob, source: string}>} The verified content and the gateway that served it
+ */
+const fetchFromGateways = async (cid) => {
+  const gateways = getGatewayList();
+  const raceCount = Math.max(1, config.gatewayRaceCount || 1);
+
+  // Race the top gateways, then fall back to the rest in order
+  const rounds = [
+    gateways.slice(0, raceCount),
+    ...gateways.slice(raceCount).map((gateway) => [gateway])
+  ];
   
   let lastError = null;
+  let integrityError = null;
   
-  for (const gateway of gateways) {
-    const url = `${gateway}/${safeCid}${fileParam}`;
-    console.log(`Trying IPFS gateway: ${gateway}`);
-    
+  for (const round of rounds) {
     try {
-      const response = await fetchWithTimeout(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      // Success - download the file
-      const blob = await response.blob();
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = fileName || '';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
-      
-      console.log('File downloaded:', fileName);
-      return; // Success, exit
+      return await raceGateways(round, cid); // Success, stop trying gateways
     } catch (error) {
-      console.warn(`Gateway ${gateway} failed:`, error.message);
+      if (error instanceof IntegrityError) {
+        integrityError = integrityError || error;
+      }
       lastError = error;
       // Continue to next gateway
     }
   }
   
-  // All gateways failed
+  // All gateways failed; tampered content is the more important thing to report
+  if (integrityError) {
+    throw integrityError;
+  }
   throw new Error(`Failed to download from all gateways. Last error: ${lastError?.message || 'Unknown'}`);
 };
 
+/**
+ * Fetch content, decrypt it if needed and check it against the stored hash
+ * @param {string} cid - The Content Identifier
+ * @param {Object} options - See downloadFromIpfs
+ * @returns {Promise<Blob>} The verified (and decrypted) content
+ */
+const fetchContent = async (cid, { encryption, mimeType, grantKey, contentHash }) => {
+  const { blob, source } = isDemoMode()
+    ? await getDemoContent(cid)
+    : await fetchFromGateways(cid);
+
+  const content = await decryptBlob(blob, { encryption, mimeType, grantKey });
+  await verifyContentHash(await content.arrayBuffer(), contentHash, { source, cid });
+  return content;
+};
+
+/**
+ * Download a file from IPFS using multiple gateway fallbacks
+ * In demo mode the file is read from the browser blockstore instead.
+ * The content is verified against its CID and stored hash before it is saved.
+ * @param {string} cid - The Content Identifier
+ * @param {string} fileName - The original file name for download
+ * @param {Object} options - Download options
+ * @param {string} options.encryption - Encryption scheme from the file metadata ('' for plaintext)
+ * @param {string} options.mimeType - Original MIME type, used for decrypted files
+ * @param {string} options.grantKey - Access grant key, for files shared with us
+ * @param {string} options.contentHash - SHA-256 of the original file from the metadata ('' to skip)
+ * @returns {Promise<void>}
+ * @throws {IntegrityError} If the content does not match its CID or hash
+ */
+export const downloadFromIpfs = async (cid, fileName, { encryption = '', mimeType = '', grantKey = null, contentHash = '' } = {}) => {
+  const content = await fetchContent(cid, { encryption, mimeType, grantKey, contentHash });
+
+  // Download the file
+  saveBlob(content, fileName);
+  console.log('File downloaded:', fileName);
+};
+
 /**
  * Fetch file content from IPFS
  * @param {string} cid - The Content Identifier
- * @returns {Promise<Blob>} The file content as a Blob
+ * @param {Object} options - Fetch options
+ * @param {string} options.encryption - Encryption scheme from the file metadata ('' for plaintext)
+ * @param {string} options.mimeType - Original MIME type, used for decrypted files
+ * @param {string} options.grantKey - Access grant key, for files shared with us
+ * @param {string} options.contentHash - SHA-256 to check the returned content against ('' to skip)
+ * @returns {Promise<Blob>} The file content as a Blob (still encrypted if no encryption is given)
+ * @throws {IntegrityError} If the content does not match its CID or hash
  */
-export const fetchFromIpfs = async (cid) => {
+export const fetchFromIpfs = async (cid, { encryption = '', mimeType = '', grantKey = null, contentHash = '' } = {}) => {
   try {
-    const url = getGatewayUrl(cid);
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch file: ${response.statusText}`);
-    }
-    
-    return await response.blob();
+    return await fetchContent(cid, { encryption, mimeType, grantKey, contentHash });
   } catch (error) {
     console.error('Error fetching from IPFS:', error);
+    if (error instanceof IntegrityError) {
+      throw error;
+    }
     throw new Error(`Failed to fetch file from IPFS: ${error.message}`);
   }
 };
@@ -334,7 +564,11 @@ export const unpinFile = async (cid) => {
 };
 
 export default {
+  isDemoMode,
+  getGatewayList,
+  probeGateway,
   getIpfsClient,
+  validateFile,
   uploadToIpfs,
   uploadDataToIpfs,
   getGatewayUrl,
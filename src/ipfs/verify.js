@@ -0,0 +1,176 @@
+/**
+ * Content Verification
+ *
+ * This module checks that content served by an IPFS gateway really matches
+ * the CID it was requested under. Content is fetched as raw blocks
+ * (trustless gateway responses), every block is hashed and compared against
+ * its CID, and UnixFS files are reassembled from their verified leaves.
+ */
+
+import { CID } from 'multiformats/cid';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256, sha512 } from 'multiformats/hashes/sha2';
+import * as dagPb from '@ipld/dag-pb';
+import { UnixFS } from 'ipfs-unixfs';
+import { sha256Hex } from '../crypto/hash';
+
+// Hashers we can check blocks with, keyed by multihash code
+const HASHERS = {
+  [sha256.code]: sha256,
+  [sha512.code]: sha512
+};
+
+// Media type of a single raw block in trustless gateway responses
+const RAW_BLOCK_TYPE = 'application/vnd.ipld.raw';
+
+/**
+ * Error thrown when content does not match its CID or stored hash
+ */
+export class IntegrityError extends Error {
+  /**
+   * @param {string} message - What did not match
+   * @param {Object} details - Error details
+   * @param {string} details.source - The gateway (or store) that served the content
+   * @param {string} details.cid - The CID that was requested
+   */
+  constructor(message, { source, cid }) {
+    super(`Integrity check failed for content from ${source}: ${message}`);
+    this.name = 'IntegrityError';
+    this.source = source;
+    this.cid = cid;
+  }
+}
+
+/**
+ * Check a block against the multihash in its CID
+ * @param {CID} cid - The parsed CID
+ * @param {Uint8Array} bytes - The block bytes
+ * @param {string} source - Where the block came from (for error messages)
+ * @returns {Promise<void>}
+ */
+export const verifyBlock = async (cid, bytes, source) => {
+  const hasher = HASHERS[cid.multihash.code];
+  if (!hasher) {
+    throw new Error(`Unsupported hash function 0x${cid.multihash.code.toString(16)} in CID ${cid}`);
+  }
+
+  const digest = await hasher.digest(bytes);
+  const expected = cid.multihash.digest;
+  const matches = digest.digest.length === expected.length &&
+    digest.digest.every((byte, i) => byte === expected[i]);
+
+  if (!matches) {
+    throw new IntegrityError(`block ${cid} does not match its hash`, { source, cid: cid.toString() });
+  }
+};
+
+/**
+ * Fetch one raw block from a gateway and verify it
+ * @param {string} gateway - The gateway base URL (ending in /ipfs)
+ * @param {CID} cid - The block CID
+ * @param {Function} fetcher - fetch-compatible function (url, options)
+ * @returns {Promise<Uint8Array>} The verified block bytes
+ */
+const fetchBlock = async (gateway, cid, fetcher) => {
+  const response = await fetcher(`${gateway}/${cid}?format=raw`, {
+    headers: { Accept: RAW_BLOCK_TYPE }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes(RAW_BLOCK_TYPE)) {
+    throw new Error('Gateway does not serve raw blocks, so its content cannot be verified');
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  await verifyBlock(cid, bytes, gateway);
+  return bytes;
+};
+
+/**
+ * Collect the file data under a verified block, fetching children as needed
+ * @param {CID} cid - The block CID
+ * @param {Function} getBlock - Returns verified block bytes for a CID
+ * @param {Uint8Array[]} chunks - Output list of data chunks, in order
+ * @returns {Promise<void>}
+ */
+const collectFileData = async (cid, getBlock, chunks) => {
+  const bytes = await getBlock(cid);
+
+  if (cid.code === raw.code) {
+    chunks.push(bytes);
+    return;
+  }
+
+  if (cid.code !== dagPb.code) {
+    throw new Error(`Unsupported codec 0x${cid.code.toString(16)} in CID ${cid}`);
+  }
+
+  const node = dagPb.decode(bytes);
+  const unixfs = UnixFS.unmarshal(node.Data);
+
+  if (unixfs.type !== 'file' && unixfs.type !== 'raw') {
+    throw new Error(`CID ${cid} is a ${unixfs.type}, not a file`);
+  }
+
+  if (unixfs.data && unixfs.data.length > 0) {
+    chunks.push(unixfs.data);
+  }
+
+  for (const link of node.Links) {
+    await collectFileData(link.Hash, getBlock, chunks);
+  }
+};
+
+/**
+ * Fetch a file from a gateway, verifying every block against its CID
+ * @param {string} gateway - The gateway base URL (ending in /ipfs)
+ * @param {string} cid - The file CID
+ * @param {Function} fetcher - fetch-compatible function (url, options)
+ * @returns {Promise<Uint8Array>} The verified file content
+ */
+export const fetchVerified = async (gateway, cid, fetcher = fetch) => {
+  const root = CID.parse(String(cid));
+  const chunks = [];
+
+  await collectFileData(root, (blockCid) => fetchBlock(gateway, blockCid, fetcher), chunks);
+
+  const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+  const content = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    content.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return content;
+};
+
+/**
+ * Check content against the SHA-256 hash stored in the file metadata
+ * @param {ArrayBuffer|Uint8Array} content - The (decrypted) file content
+ * @param {string} contentHash - The stored 0x-prefixed hash ('' to skip)
+ * @param {Object} details - Error details
+ * @param {string} details.source - The gateway (or store) that served the content
+ * @param {string} details.cid - The file CID
+ * @returns {Promise<void>}
+ */
+export const verifyContentHash = async (content, contentHash, { source, cid }) => {
+  if (!contentHash) {
+    return;
+  }
+
+  const actual = await sha256Hex(content);
+  if (actual.toLowerCase() !== contentHash.toLowerCase()) {
+    throw new IntegrityError('content does not match the SHA-256 hash recorded on-chain', { source, cid });
+  }
+};
+
+export default {
+  IntegrityError,
+  verifyBlock,
+  fetchVerified,
+  verifyContentHash
+};
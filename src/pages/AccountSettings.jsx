@@ -0,0 +1,531 @@
+/**
+ * AccountSettings Page
+ *
+ * Lets a user move their User ID to another wallet, e.g. when rotating
+ * keys or replacing a lost device. The current wallet starts the transfer;
+ * the new wallet accepts it here once the contract's waiting period has
+ * passed. Either wallet can cancel until then.
+ *
+ * Encrypted files can only be opened by the wallet that uploaded them, so
+ * starting a transfer first grants every encrypted file to the new wallet
+ * (see crypto/encryption.js). That needs the new wallet's published
+ * encryption key, which it can publish here; without it the transfer is
+ * refused rather than leaving the files unreadable.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { checkAuthStatus, formatAddress } from '../auth/walletAuth';
+import {
+  startTransfer,
+  cancelTransfer,
+  acceptTransfer,
+  getPendingTransfer,
+  getIncomingTransfer,
+  getTransferDelay,
+  getFiles,
+  getEncryptionKey,
+  setEncryptionKey,
+  getAccessGrant,
+  grantAccess
+} from '../blockchain/contract';
+import { fetchFromIpfs } from '../ipfs/ipfsClient';
+import { getRecipientPublicKey, rewrapFileKey } from '../crypto/encryption';
+import ErrorNotice from '../components/ErrorNotice';
+
+/**
+ * Describe a waiting period in days or hours
+ * @param {number} seconds - The period in seconds
+ * @returns {string} e.g. "2 days"
+ */
+const formatDelay = (seconds) => {
+  const hours = Math.round(seconds / 3600);
+  if (hours % 24 === 0) {
+    return `${hours / 24} day${hours === 24 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Grant every encrypted file of a User ID to the wallet it is moving to
+ * The new wallet can't derive the current one's wrapping key, so without
+ * these grants the files could never be opened again after the move.
+ * @param {string} userId - The User ID being moved
+ * @param {string} fromWallet - The connected wallet, which owns it now
+ * @param {string} toWallet - The wallet it is moving to
+ * @param {Function} onProgress - Receives a progress message
+ * @returns {Promise<void>}
+ */
+const handOverFileKeys = async (userId, fromWallet, toWallet, onProgress) => {
+  const encrypted = (await getFiles(userId)).filter((file) => file.metadata.encryption);
+  if (encrypted.length === 0) {
+    return;
+  }
+
+  const publicKey = await getEncryptionKey(toWallet);
+  if (!publicKey) {
+    throw new Error(
+      `The new wallet hasn't published an encryption key, so your ${encrypted.length} encrypted ` +
+      'file(s) could not be opened after the move. Sign in with the new wallet, publish its key ' +
+      'on this page, then start the transfer again.'
+    );
+  }
+
+  const grantKeys = [];
+  for (const file of encrypted) {
+    onProgress(`Preparing key for ${file.name}...`);
+    const [blob, ownGrant] = await Promise.all([
+      fetchFromIpfs(file.cid),
+      getAccessGrant(file.id, fromWallet)
+    ]);
+    // Files that came with an earlier move are opened through this wallet's grant
+    grantKeys.push(await rewrapFileKey(new Uint8Array(await blob.arrayBuffer()), publicKey, {
+      grantKey: ownGrant.active ? ownGrant.grantKey : null
+    }));
+  }
+
+  onProgress('Sharing encrypted files with the new wallet...');
+  await grantAccess(userId, encrypted.map((file) => file.id), toWallet, grantKeys);
+};
+
+const AccountSettings = () => {
+  const navigate = useNavigate();
+
+  const [authState, setAuthState] = useState(null);
+  const [transferDelay, setTransferDelay] = useState(0);
+  const [pending, setPending] = useState(null);
+  const [incoming, setIncoming] = useState('');
+  const [incomingTransfer, setIncomingTransfer] = useState(null);
+  const [newWallet, setNewWallet] = useState('');
+  const [hasEncryptionKey, setHasEncryptionKey] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+
+  // Load the transfers in and out of the connected wallet
+  const loadTransfers = useCallback(async (auth) => {
+    const [delay, outgoing, incomingUserId, encryptionKey] = await Promise.all([
+      getTransferDelay(),
+      auth.userId ? getPendingTransfer(auth.userId) : null,
+      getIncomingTransfer(auth.walletAddress),
+      getEncryptionKey(auth.walletAddress)
+    ]);
+
+    setTransferDelay(delay);
+    setHasEncryptionKey(Boolean(encryptionKey));
+    setPending(outgoing);
+    setIncoming(incomingUserId);
+    setIncomingTransfer(incomingUserId ? await getPendingTransfer(incomingUserId) : null);
+  }, []);
+
+  // Check authentication on mount
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const auth = await checkAuthStatus();
+        if (!auth.isAuthenticated) {
+          navigate('/');
+          return;
+        }
+
+        setAuthState(auth);
+        await loadTransfers(auth);
+      } catch (error) {
+        console.error('Settings load error:', error);
+        setError(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [navigate, loadTransfers]);
+
+  /**
+   * Run a transfer transaction, then reload the transfer state
+   * @param {string} action - Which button is busy
+   * @param {Function} send - Sends the transaction
+   */
+  const runTransfer = async (action, send) => {
+    setBusy(action);
+    setError('');
+
+    try {
+      await send();
+      await loadTransfers(authState);
+    } catch (error) {
+      console.error('Transfer error:', error);
+      setError(error);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Handle starting a transfer
+  const handleStart = (e) => {
+    e.preventDefault();
+    if (!ethers.isAddress(newWallet)) {
+      setError('Enter a valid wallet address.');
+      return;
+    }
+
+    runTransfer('start', async () => {
+      try {
+        await handOverFileKeys(authState.userId, authState.walletAddress, newWallet, setProgress);
+        setProgress('Starting transfer...');
+        await startTransfer(authState.userId, newWallet);
+        setNewWallet('');
+      } finally {
+        setProgress('');
+      }
+    });
+  };
+
+  // Publish this wallet's encryption key so encrypted files can be moved to it
+  const handlePublishKey = () => {
+    runTransfer('publish', async () => {
+      await setEncryptionKey(await getRecipientPublicKey(), '');
+    });
+  };
+
+  // Handle accepting the incoming transfer
+  const handleAccept = async () => {
+    setBusy('accept');
+    setError('');
+
+    try {
+      await acceptTransfer(incoming);
+      // Pick up the new User ID before returning to the dashboard
+      await checkAuthStatus();
+      navigate('/dashboard');
+    } catch (error) {
+      console.error('Accept transfer error:', error);
+      setError(error);
+      setBusy('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="settings loading">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  const incomingReady = incomingTransfer && incomingTransfer.readyAt * 1000 <= Date.now();
+
+  return (
+    <div className="settings">
+      <header className="settings-header">
+        <button onClick={() => navigate('/dashboard')} className="back-button">
+          ← Back to Dashboard
+        </button>
+        <h1>Settings</h1>
+        {authState && (
+          <span className="settings-wallet" title={authState.walletAddress}>
+            {formatAddress(authState.walletAddress)}
+          </span>
+        )}
+      </header>
+
+      <main className="settings-content">
+        <ErrorNotice error={error} />
+
+        {incoming && (
+          <section className="settings-section incoming">
+            <h2>Incoming User ID</h2>
+            <p>
+              User ID <strong>{incoming}</strong> is being moved to this wallet.
+              {incomingReady
+                ? ' You can accept it now.'
+                : ` You can accept it after ${new Date(incomingTransfer.readyAt * 1000).toLocaleString()}.`}
+            </p>
+            {authState?.userId && (
+              <p className="settings-note">
+                This wallet already has User ID {authState.userId}, so it can't accept another one.
+              </p>
+            )}
+            <div className="settings-actions">
+              <button
+                onClick={handleAccept}
+                disabled={!incomingReady || Boolean(authState?.userId) || Boolean(busy)}
+                className="primary-button"
+              >
+                {busy === 'accept' ? 'Accepting...' : 'Accept'}
+              </button>
+              <button
+                onClick={() => runTransfer('decline', () => cancelTransfer(incoming))}
+                disabled={Boolean(busy)}
+                className="secondary-button"
+              >
+                {busy === 'decline' ? 'Declining...' : 'Decline'}
+              </button>
+            </div>
+          </section>
+        )}
+
+        {authState?.userId && (
+          <section className="settings-section">
+            <h2>Move User ID</h2>
+            <p>
+              Move <strong>{authState.userId}</strong> and its files to another wallet you control.
+              The new wallet can accept the transfer {formatDelay(transferDelay)} after it is started;
+              until then either wallet can cancel it.
+            </p>
+            <p className="settings-note">
+              Your encrypted files are shared with the new wallet when you start the transfer,
+              so it needs to have published its encryption key first: sign in with it and
+              publish the key on this page.
+            </p>
+
+            {pending ? (
+              <div className="pending-transfer">
+                <p>
+                  Moving to <span className="address" title={pending.newWallet}>{formatAddress(pending.newWallet)}</span>.
+                  The new wallet can accept after {new Date(pending.readyAt * 1000).toLocaleString()}.
+                </p>
+                <button
+                  onClick={() => runTransfer('cancel', () => cancelTransfer(authState.userId))}
+                  disabled={Boolean(busy)}
+                  className="secondary-button"
+                >
+                  {busy === 'cancel' ? 'Cancelling...' : 'Cancel Transfer'}
+                </button>
+              </div>
+            ) : (
+              <form onSubmit={handleStart} className="transfer-form">
+                <label htmlFor="newWallet">New wallet address</label>
+                <input
+                  type="text"
+                  id="newWallet"
+                  value={newWallet}
+                  onChange={(e) => setNewWallet(e.target.value.trim())}
+                  placeholder="0x..."
+                  disabled={Boolean(busy)}
+                  required
+                />
+                <button type="submit" disabled={Boolean(busy) || !newWallet} className="primary-button">
+                  {busy === 'start' ? 'Starting...' : 'Start Transfer'}
+                </button>
+                {progress && <p className="transfer-progress">{progress}</p>}
+              </form>
+            )}
+          </section>
+        )}
+
+        {!authState?.userId && !hasEncryptionKey && (
+          <section className="settings-section">
+            <h2>Receive Encrypted Files</h2>
+            <p>
+              To move a User ID with encrypted files to this wallet, publish this wallet's
+              encryption key first. The current wallet then shares those files with it when
+              it starts the transfer.
+            </p>
+            <button onClick={handlePublishKey} disabled={Boolean(busy)} className="primary-button">
+              {busy === 'publish' ? 'Publishing...' : 'Publish Encryption Key'}
+            </button>
+          </section>
+        )}
+
+        {!incoming && !authState?.userId && (
+          <section className="settings-section">
+            <h2>No User ID</h2>
+            <p>This wallet has no User ID and none is being moved to it.</p>
+          </section>
+        )}
+      </main>
+
+      <style>{`
+        .settings {
+          min-height: 100vh;
+          background: linear-gradient(180deg, #f8fafc 0%, #f1f5f9 100%);
+        }
+
+        .settings.loading {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 15px;
+          color: #64748b;
+        }
+
+        .settings-header {
+          background: rgba(255, 255, 255, 0.95);
+          border-bottom: 1px solid #e2e8f0;
+          padding: 16px 32px;
+          display: flex;
+          align-items: center;
+          gap: 20px;
+          position: sticky;
+          top: 0;
+          z-index: 100;
+        }
+
+        .settings-header h1 {
+          margin: 0;
+          flex: 1;
+          font-size: 1.35rem;
+          font-weight: 800;
+          color: #1e293b;
+        }
+
+        .back-button {
+          padding: 8px 14px;
+          background: #fff;
+          color: #475569;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .back-button:hover {
+          background: #f1f5f9;
+        }
+
+        .settings-wallet,
+        .pending-transfer .address {
+          font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+          background: #f1f5f9;
+          padding: 6px 10px;
+          border-radius: 8px;
+          font-size: 12px;
+          color: #334155;
+        }
+
+        .settings-content {
+          max-width: 720px;
+          margin: 40px auto;
+          padding: 0 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 24px;
+        }
+
+        .settings-section {
+          background: #fff;
+          padding: 28px 32px;
+          border-radius: 16px;
+          border: 1px solid #e2e8f0;
+          box-shadow: 0 4px 24px rgba(0, 0, 0, 0.04);
+        }
+
+        .settings-section.incoming {
+          border-color: #bfdbfe;
+          background: #f8fbff;
+        }
+
+        .settings-section h2 {
+          margin: 0 0 12px 0;
+          color: #1e293b;
+          font-size: 1.2rem;
+        }
+
+        .settings-section p {
+          color: #475569;
+          font-size: 14px;
+          line-height: 1.6;
+          margin: 0 0 12px 0;
+        }
+
+        .settings-note {
+          padding: 10px 12px;
+          background: #fffbeb;
+          border: 1px solid #fde68a;
+          border-radius: 8px;
+          color: #92400e !important;
+          font-size: 13px !important;
+        }
+
+        .transfer-form {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          margin-top: 16px;
+        }
+
+        .transfer-form label {
+          color: #374151;
+          font-weight: 600;
+          font-size: 14px;
+        }
+
+        .transfer-form input {
+          padding: 12px 14px;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          font-size: 14px;
+          font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+          background: #f8fafc;
+        }
+
+        .transfer-form input:focus {
+          outline: none;
+          border-color: #2563eb;
+          background: #fff;
+        }
+
+        .transfer-progress {
+          margin: 0 !important;
+          font-size: 13px !important;
+          color: #2563eb !important;
+        }
+
+        .settings-actions {
+          display: flex;
+          gap: 12px;
+        }
+
+        .primary-button,
+        .secondary-button {
+          padding: 10px 18px;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 600;
+        }
+
+        .primary-button {
+          background: linear-gradient(135deg, #2563eb 0%, #3b82f6 100%);
+          color: #fff;
+          border: none;
+        }
+
+        .secondary-button {
+          background: #fff;
+          color: #64748b;
+          border: 1px solid #e2e8f0;
+        }
+
+        .secondary-button:hover:not(:disabled) {
+          background: #fef2f2;
+          border-color: #fecaca;
+          color: #dc2626;
+        }
+
+        .primary-button:disabled,
+        .secondary-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        @media (max-width: 768px) {
+          .settings-header {
+            padding: 12px 16px;
+            flex-wrap: wrap;
+          }
+
+          .settings-section {
+            padding: 20px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,633 @@
+/**
+ * AdminDashboard Page
+ *
+ * For wallets holding the contract's admin role. Admins grant and revoke
+ * the admin, issuer and verifier roles, pause the registry in an
+ * emergency, and review every role change made so far. Current role
+ * holders are worked out by replaying the role events.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { checkAuthStatus, formatAddress } from '../auth/walletAuth';
+import {
+  hasRole,
+  grantRole,
+  revokeRole,
+  addIssuer,
+  getIssuer,
+  isPaused,
+  setPaused,
+  getRoleHistory
+} from '../blockchain/contract';
+import ErrorNotice from '../components/ErrorNotice';
+
+// Display labels for each role
+const ROLE_LABELS = {
+  admin: 'Admin',
+  issuer: 'Issuer',
+  verifier: 'Verifier'
+};
+
+// Display labels for each kind of history entry
+const HISTORY_LABELS = {
+  granted: 'Granted',
+  revoked: 'Revoked',
+  'issuer-named': 'Issuer named',
+  paused: 'Paused',
+  unpaused: 'Unpaused'
+};
+
+/**
+ * Work out who holds each role from the role history
+ * @param {Array} history - From getRoleHistory, oldest first
+ * @returns {Object} Role name => array of wallet addresses
+ */
+const getRoleHolders = (history) => {
+  const holders = Object.fromEntries(Object.keys(ROLE_LABELS).map((role) => [role, new Set()]));
+  history.forEach(({ type, role, account }) => {
+    if (!holders[role]) return;
+    if (type === 'granted') holders[role].add(account);
+    if (type === 'revoked') holders[role].delete(account);
+  });
+  return Object.fromEntries(Object.entries(holders).map(([role, set]) => [role, [...set]]));
+};
+
+const AdminDashboard = () => {
+  const navigate = useNavigate();
+
+  const [authState, setAuthState] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [paused, setPausedState] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [issuerNames, setIssuerNames] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+
+  // Grant form
+  const [role, setRole] = useState('verifier');
+  const [account, setAccount] = useState('');
+  const [issuerName, setIssuerName] = useState('');
+
+  // Load the pause state, role history and issuer names
+  const loadRoles = useCallback(async () => {
+    const [pausedNow, events] = await Promise.all([isPaused(), getRoleHistory()]);
+    const issuers = getRoleHolders(events).issuer;
+    const names = await Promise.all(issuers.map((address) => getIssuer(address)));
+
+    setPausedState(pausedNow);
+    setHistory(events);
+    setIssuerNames(Object.fromEntries(issuers.map((address, i) => [address, names[i]])));
+  }, []);
+
+  // Check authentication on mount
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const auth = await checkAuthStatus();
+        if (!auth.isAuthenticated) {
+          navigate('/');
+          return;
+        }
+
+        setAuthState(auth);
+        const admin = await hasRole('admin', auth.walletAddress);
+        setIsAdmin(admin);
+        if (admin) {
+          await loadRoles();
+        }
+      } catch (error) {
+        console.error('Admin load error:', error);
+        setError(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [navigate, loadRoles]);
+
+  /**
+   * Run an admin transaction, then reload the roles
+   * @param {string} action - Which button is busy
+   * @param {Function} send - Sends the transaction
+   * @returns {Promise<boolean>} True if the transaction went through
+   */
+  const runAdmin = async (action, send) => {
+    setBusy(action);
+    setError('');
+
+    try {
+      await send();
+      await loadRoles();
+      return true;
+    } catch (error) {
+      console.error('Admin action error:', error);
+      setError(error);
+      return false;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Handle granting a role
+  const handleGrant = async (e) => {
+    e.preventDefault();
+    if (!ethers.isAddress(account)) {
+      setError('Enter a valid wallet address.');
+      return;
+    }
+
+    const granted = await runAdmin('grant', () =>
+      role === 'issuer' ? addIssuer(account, issuerName.trim()) : grantRole(role, account)
+    );
+    if (granted) {
+      setAccount('');
+      setIssuerName('');
+    }
+  };
+
+  // Handle revoking a role
+  const handleRevoke = (revokedRole, address) => {
+    if (revokedRole === 'admin' && address.toLowerCase() === authState.walletAddress.toLowerCase()) {
+      const confirmed = window.confirm('Remove your own admin role? You will lose access to this page.');
+      if (!confirmed) return;
+    }
+    runAdmin(`revoke-${revokedRole}-${address}`, () => revokeRole(revokedRole, address));
+  };
+
+  if (loading) {
+    return (
+      <div className="admin loading">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  const holders = getRoleHolders(history);
+
+  return (
+    <div className="admin">
+      <header className="admin-header">
+        <button onClick={() => navigate('/dashboard')} className="back-button">
+          ← Back to Dashboard
+        </button>
+        <h1>Admin</h1>
+        {authState && (
+          <span className="admin-wallet" title={authState.walletAddress}>
+            {formatAddress(authState.walletAddress)}
+          </span>
+        )}
+      </header>
+
+      <main className="admin-content">
+        <ErrorNotice error={error} />
+
+        {!isAdmin ? (
+          <section className="admin-section">
+            <h2>Not an Admin</h2>
+            <p>This wallet does not hold the admin role on the registry.</p>
+          </section>
+        ) : (
+          <>
+            <section className={`admin-section ${paused ? 'paused' : ''}`}>
+              <h2>Registry Status</h2>
+              <p>
+                {paused
+                  ? 'The registry is paused. Registrations, uploads, deletions, shares, reviews and issued credentials are blocked until it is unpaused.'
+                  : 'The registry is running. Pause it to stop all changes while an incident is investigated; users can still cancel user ID moves and revoke shares.'}
+              </p>
+              <button
+                onClick={() => runAdmin('pause', () => setPaused(!paused))}
+                disabled={Boolean(busy)}
+                className={paused ? 'primary-button' : 'danger-button'}
+              >
+                {busy === 'pause' ? 'Waiting...' : paused ? 'Unpause Registry' : 'Pause Registry'}
+              </button>
+            </section>
+
+            <section className="admin-section">
+              <h2>Grant a Role</h2>
+              <form onSubmit={handleGrant} className="grant-form">
+                <div className="form-row">
+                  <div className="form-field">
+                    <label htmlFor="grantRole">Role</label>
+                    <select
+                      id="grantRole"
+                      value={role}
+                      onChange={(e) => setRole(e.target.value)}
+                      disabled={Boolean(busy)}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-field wide">
+                    <label htmlFor="grantAccount">Wallet address</label>
+                    <input
+                      type="text"
+                      id="grantAccount"
+                      value={account}
+                      onChange={(e) => setAccount(e.target.value.trim())}
+                      placeholder="0x..."
+                      disabled={Boolean(busy)}
+                      required
+                    />
+                  </div>
+                </div>
+                {role === 'issuer' && (
+                  <div className="form-field">
+                    <label htmlFor="grantIssuerName">Organization name</label>
+                    <input
+                      type="text"
+                      id="grantIssuerName"
+                      value={issuerName}
+                      onChange={(e) => setIssuerName(e.target.value)}
+                      placeholder="e.g., State University"
+                      disabled={Boolean(busy)}
+                      required
+                      maxLength={100}
+                    />
+                    <small className="grant-note">
+                      Shown on every credential the issuer offers. Adding an existing issuer again renames it.
+                    </small>
+                  </div>
+                )}
+                <button
+                  type="submit"
+                  disabled={Boolean(busy) || !account || (role === 'issuer' && !issuerName.trim())}
+                  className="primary-button"
+                >
+                  {busy === 'grant' ? 'Granting...' : 'Grant Role'}
+                </button>
+              </form>
+            </section>
+
+            <section className="admin-section">
+              <h2>Current Roles</h2>
+              {Object.entries(ROLE_LABELS).map(([holderRole, label]) => (
+                <div key={holderRole} className="role-group">
+                  <h3>{label}s ({holders[holderRole].length})</h3>
+                  {holders[holderRole].length === 0 ? (
+                    <p className="role-empty">Nobody holds this role.</p>
+                  ) : (
+                    <ul className="role-list">
+                      {holders[holderRole].map((address) => (
+                        <li key={address} className="role-item">
+                          <span className="address" title={address}>{address}</span>
+                          {holderRole === 'issuer' && issuerNames[address] && (
+                            <span className="role-name">{issuerNames[address]}</span>
+                          )}
+                          <button
+                            onClick={() => handleRevoke(holderRole, address)}
+                            disabled={Boolean(busy)}
+                            className="secondary-button"
+                          >
+                            {busy === `revoke-${holderRole}-${address}` ? 'Revoking...' : 'Revoke'}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </section>
+
+            <section className="admin-section">
+              <h2>History</h2>
+              {history.length === 0 ? (
+                <p>No role changes yet.</p>
+              ) : (
+                <table className="history-table">
+                  <thead>
+                    <tr>
+                      <th>When</th>
+                      <th>Change</th>
+                      <th>Role</th>
+                      <th>Wallet</th>
+                      <th>By</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...history].reverse().map((entry) => (
+                      <tr key={`${entry.transactionHash}-${entry.type}-${entry.role}-${entry.account}`}>
+                        <td>{new Date(entry.timestamp * 1000).toLocaleString()}</td>
+                        <td>
+                          <span className={`history-type ${entry.type}`}>{HISTORY_LABELS[entry.type]}</span>
+                        </td>
+                        <td>{ROLE_LABELS[entry.role] || entry.role || '—'}</td>
+                        <td title={entry.account || ''}>
+                          {entry.account ? formatAddress(entry.account) : '—'}
+                          {entry.name && ` (${entry.name})`}
+                        </td>
+                        <td title={entry.sender || ''}>{entry.sender ? formatAddress(entry.sender) : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </>
+        )}
+      </main>
+
+      <style>{`
+        .admin {
+          min-height: 100vh;
+          background: linear-gradient(180deg, #f8fafc 0%, #f1f5f9 100%);
+        }
+
+        .admin.loading {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 15px;
+          color: #64748b;
+        }
+
+        .admin-header {
+          background: rgba(255, 255, 255, 0.95);
+          border-bottom: 1px solid #e2e8f0;
+          padding: 16px 32px;
+          display: flex;
+          align-items: center;
+          gap: 20px;
+          position: sticky;
+          top: 0;
+          z-index: 100;
+        }
+
+        .admin-header h1 {
+          margin: 0;
+          flex: 1;
+          font-size: 1.35rem;
+          font-weight: 800;
+          color: #1e293b;
+        }
+
+        .back-button {
+          padding: 8px 14px;
+          background: #fff;
+          color: #475569;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .back-button:hover {
+          background: #f1f5f9;
+        }
+
+        .admin-wallet,
+        .role-item .address {
+          font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+          background: #f1f5f9;
+          padding: 6px 10px;
+          border-radius: 8px;
+          font-size: 12px;
+          color: #334155;
+        }
+
+        .admin-content {
+          max-width: 880px;
+          margin: 40px auto;
+          padding: 0 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 24px;
+        }
+
+        .admin-section {
+          background: #fff;
+          padding: 28px 32px;
+          border-radius: 16px;
+          border: 1px solid #e2e8f0;
+          box-shadow: 0 4px 24px rgba(0, 0, 0, 0.04);
+        }
+
+        .admin-section.paused {
+          border-color: #fecaca;
+          background: #fef2f2;
+        }
+
+        .admin-section h2 {
+          margin: 0 0 12px 0;
+          color: #1e293b;
+          font-size: 1.2rem;
+        }
+
+        .admin-section p {
+          color: #475569;
+          font-size: 14px;
+          line-height: 1.6;
+          margin: 0 0 12px 0;
+        }
+
+        .grant-form {
+          display: flex;
+          flex-direction: column;
+          gap: 14px;
+        }
+
+        .grant-form .form-row {
+          display: grid;
+          grid-template-columns: 1fr 3fr;
+          gap: 12px;
+        }
+
+        .grant-form .form-field {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .grant-form label {
+          color: #374151;
+          font-weight: 600;
+          font-size: 13px;
+        }
+
+        .grant-form input,
+        .grant-form select {
+          padding: 10px 12px;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          font-size: 14px;
+          background: #f8fafc;
+        }
+
+        .grant-form input:focus,
+        .grant-form select:focus {
+          outline: none;
+          border-color: #2563eb;
+          background: #fff;
+        }
+
+        .grant-note {
+          color: #64748b;
+          font-size: 12px;
+        }
+
+        .role-group + .role-group {
+          margin-top: 18px;
+        }
+
+        .role-group h3 {
+          margin: 0 0 8px 0;
+          font-size: 14px;
+          color: #334155;
+        }
+
+        .role-empty {
+          font-size: 13px !important;
+          color: #94a3b8 !important;
+        }
+
+        .role-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .role-item {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .role-item .address {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .role-name {
+          flex: 1;
+          font-size: 13px;
+          font-weight: 600;
+          color: #1e293b;
+        }
+
+        .role-item .secondary-button {
+          margin-left: auto;
+        }
+
+        .primary-button,
+        .secondary-button,
+        .danger-button {
+          padding: 10px 18px;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 600;
+          align-self: flex-start;
+        }
+
+        .primary-button {
+          background: linear-gradient(135deg, #2563eb 0%, #3b82f6 100%);
+          color: #fff;
+          border: none;
+        }
+
+        .danger-button {
+          background: #dc2626;
+          color: #fff;
+          border: none;
+        }
+
+        .secondary-button {
+          background: #fff;
+          color: #64748b;
+          border: 1px solid #e2e8f0;
+          font-size: 13px;
+          padding: 6px 12px;
+        }
+
+        .secondary-button:hover:not(:disabled) {
+          background: #fef2f2;
+          border-color: #fecaca;
+          color: #dc2626;
+        }
+
+        .primary-button:disabled,
+        .secondary-button:disabled,
+        .danger-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .history-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+
+        .history-table th,
+        .history-table td {
+          padding: 10px 8px;
+          text-align: left;
+          border-bottom: 1px solid #f1f5f9;
+          color: #334155;
+        }
+
+        .history-table th {
+          font-size: 12px;
+          text-transform: uppercase;
+          letter-spacing: 0.04em;
+          color: #64748b;
+        }
+
+        .history-type {
+          display: inline-block;
+          padding: 3px 8px;
+          border-radius: 999px;
+          font-size: 12px;
+          font-weight: 600;
+          background: #f1f5f9;
+          color: #475569;
+        }
+
+        .history-type.granted,
+        .history-type.unpaused {
+          background: #ecfdf5;
+          color: #047857;
+        }
+
+        .history-type.revoked,
+        .history-type.paused {
+          background: #fef2f2;
+          color: #b91c1c;
+        }
+
+        @media (max-width: 768px) {
+          .admin-header {
+            padding: 12px 16px;
+            flex-wrap: wrap;
+          }
+
+          .admin-section {
+            padding: 20px;
+          }
+
+          .grant-form .form-row {
+            grid-template-columns: 1fr;
+          }
+
+          .role-item {
+            flex-wrap: wrap;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,564 @@
+/**
+ * IssuerDashboard Page
+ *
+ * For wallets the admin has registered as issuers (universities,
+ * employers). An issuer uploads a credential to IPFS and offers it to a
+ * user's registry; it only joins the user's files once they accept it,
+ * and shows as issued by the organization from then on. Offers the user
+ * hasn't answered yet can be withdrawn.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { checkAuthStatus, formatAddress } from '../auth/walletAuth';
+import {
+  getIssuer,
+  isIssuer,
+  issueCredential,
+  withdrawCredential,
+  getIssuedCredentials,
+  CREDENTIAL_CATEGORIES
+} from '../blockchain/contract';
+import { uploadToIpfs, validateFile } from '../ipfs/ipfsClient';
+import { hashFile } from '../crypto/hash';
+import { CATEGORY_LABELS, dateInputToTimestamp } from '../utils/format';
+import ErrorNotice from '../components/ErrorNotice';
+
+// Display labels for what became of each offer
+const OFFER_STATE_LABELS = {
+  pending: 'Waiting for user',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  withdrawn: 'Withdrawn'
+};
+
+const IssuerDashboard = () => {
+  const navigate = useNavigate();
+
+  const [authState, setAuthState] = useState(null);
+  const [issuerName, setIssuerName] = useState('');
+  const [offers, setOffers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Issue form
+  const [userId, setUserId] = useState('');
+  const [file, setFile] = useState(null);
+  const [category, setCategory] = useState('certificate');
+  const [issuedDate, setIssuedDate] = useState('');
+  const [expiryDate, setExpiryDate] = useState('');
+  const [issuing, setIssuing] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [withdrawing, setWithdrawing] = useState(null);
+
+  // Load the credentials this wallet has offered
+  const loadOffers = useCallback(async (walletAddress) => {
+    setOffers(await getIssuedCredentials(walletAddress));
+  }, []);
+
+  // Check authentication on mount
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const auth = await checkAuthStatus();
+        if (!auth.isAuthenticated) {
+          navigate('/');
+          return;
+        }
+
+        setAuthState(auth);
+        // Names outlive a revoked issuer role, so check the role too
+        const [name, active] = await Promise.all([getIssuer(auth.walletAddress), isIssuer(auth.walletAddress)]);
+        setIssuerName(active ? name : '');
+        if (active && name) {
+          await loadOffers(auth.walletAddress);
+        }
+      } catch (error) {
+        console.error('Issuer load error:', error);
+        setError(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [navigate, loadOffers]);
+
+  const handleFileSelect = (event) => {
+    const selected = event.target.files[0] || null;
+    const validationError = selected ? validateFile(selected) : '';
+    setError(validationError);
+    setFile(validationError ? null : selected);
+  };
+
+  // Handle issuing a credential
+  const handleIssue = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Choose the credential file to issue.');
+      return;
+    }
+
+    const issuedAt = dateInputToTimestamp(issuedDate);
+    const expiresAt = dateInputToTimestamp(expiryDate);
+    if (expiresAt && expiresAt <= issuedAt) {
+      setError('The expiry date must be after the issue date.');
+      return;
+    }
+
+    setIssuing(true);
+    setError('');
+
+    try {
+      setProgress('Uploading to IPFS...');
+      const contentHash = await hashFile(file);
+      const cid = await uploadToIpfs(file, {
+        onProgress: (fraction) => setProgress(`Uploading to IPFS... ${Math.round(fraction * 100)}%`)
+      });
+
+      setProgress('Waiting for wallet signature...');
+      await issueCredential(userId.trim(), {
+        cid,
+        name: file.name,
+        metadata: {
+          contentHash,
+          mimeType: file.type || 'application/octet-stream',
+          size: file.size,
+          category,
+          issuedAt,
+          expiresAt
+        }
+      }, {
+        onStatus: ({ stage }) => {
+          if (stage === 'pending') setProgress('Transaction pending...');
+        }
+      });
+
+      setUserId('');
+      setFile(null);
+      setIssuedDate('');
+      setExpiryDate('');
+      e.target.reset();
+      await loadOffers(authState.walletAddress);
+    } catch (error) {
+      console.error('Issue error:', error);
+      setError(error);
+    } finally {
+      setIssuing(false);
+      setProgress('');
+    }
+  };
+
+  // Handle withdrawing an unanswered offer
+  const handleWithdraw = async (offerId) => {
+    setWithdrawing(offerId);
+    setError('');
+
+    try {
+      await withdrawCredential(offerId);
+      await loadOffers(authState.walletAddress);
+    } catch (error) {
+      console.error('Withdraw error:', error);
+      setError(error);
+    } finally {
+      setWithdrawing(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="issuer loading">
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="issuer">
+      <header className="issuer-header">
+        <button onClick={() => navigate('/dashboard')} className="back-button">
+          ← Back to Dashboard
+        </button>
+        <h1>{issuerName || 'Issuer'}</h1>
+        {authState && (
+          <span className="issuer-wallet" title={authState.walletAddress}>
+            {formatAddress(authState.walletAddress)}
+          </span>
+        )}
+      </header>
+
+      <main className="issuer-content">
+        <ErrorNotice error={error} />
+
+        {!issuerName ? (
+          <section className="issuer-section">
+            <h2>Not an Issuer</h2>
+            <p>
+              This wallet is not a registered issuer. Ask the Chain-Cred admin to add it so your
+              organization can issue credentials to users.
+            </p>
+          </section>
+        ) : (
+          <>
+            <section className="issuer-section">
+              <h2>Issue a Credential</h2>
+              <p>
+                The credential is offered to the user and joins their files once they accept it.
+                Valuators will see it as issued by <strong>{issuerName}</strong>.
+              </p>
+
+              <form onSubmit={handleIssue} className="issue-form">
+                <div className="form-field">
+                  <label htmlFor="issueUserId">User ID</label>
+                  <input
+                    type="text"
+                    id="issueUserId"
+                    value={userId}
+                    onChange={(e) => setUserId(e.target.value)}
+                    placeholder="e.g., john_doe_123"
+                    disabled={issuing}
+                    required
+                    maxLength={50}
+                  />
+                </div>
+                <div className="form-field">
+                  <label htmlFor="issueFile">File</label>
+                  <input type="file" id="issueFile" onChange={handleFileSelect} disabled={issuing} required />
+                </div>
+                <div className="form-row">
+                  <div className="form-field">
+                    <label htmlFor="issueCategory">Category</label>
+                    <select
+                      id="issueCategory"
+                      value={category}
+                      onChange={(e) => setCategory(e.target.value)}
+                      disabled={issuing}
+                    >
+                      {CREDENTIAL_CATEGORIES.map((value) => (
+                        <option key={value} value={value}>{CATEGORY_LABELS[value]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-field">
+                    <label htmlFor="issueIssued">Issue Date</label>
+                    <input
+                      type="date"
+                      id="issueIssued"
+                      value={issuedDate}
+                      onChange={(e) => setIssuedDate(e.target.value)}
+                      disabled={issuing}
+                    />
+                  </div>
+                  <div className="form-field">
+                    <label htmlFor="issueExpiry">Expiry Date</label>
+                    <input
+                      type="date"
+                      id="issueExpiry"
+                      value={expiryDate}
+                      onChange={(e) => setExpiryDate(e.target.value)}
+                      disabled={issuing}
+                    />
+                  </div>
+                </div>
+                <small className="issue-note">
+                  Issued files are stored unencrypted, so valuators can open them once the user shares their files.
+                </small>
+
+                <button type="submit" disabled={issuing || !file || !userId.trim()} className="primary-button">
+                  {issuing ? progress || 'Issuing...' : 'Issue Credential'}
+                </button>
+              </form>
+            </section>
+
+            <section className="issuer-section">
+              <h2>Issued Credentials</h2>
+              {offers.length === 0 ? (
+                <p>No credentials issued yet.</p>
+              ) : (
+                <table className="offer-table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>User ID</th>
+                      <th>File</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {offers.map((offer) => (
+                      <tr key={offer.offerId}>
+                        <td>{offer.offerId}</td>
+                        <td>{offer.userId}</td>
+                        <td className="offer-name" title={offer.name}>{offer.name}</td>
+                        <td>
+                          <span className={`offer-state ${offer.state}`}>
+                            {OFFER_STATE_LABELS[offer.state]}
+                            {offer.fileId && ` (file #${offer.fileId})`}
+                          </span>
+                        </td>
+                        <td>
+                          {offer.state === 'pending' && (
+                            <button
+                              onClick={() => handleWithdraw(offer.offerId)}
+                              disabled={withdrawing !== null}
+                              className="secondary-button"
+                            >
+                              {withdrawing === offer.offerId ? 'Withdrawing...' : 'Withdraw'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </>
+        )}
+      </main>
+
+      <style>{`
+        .issuer {
+          min-height: 100vh;
+          background: linear-gradient(180deg, #f8fafc 0%, #f1f5f9 100%);
+        }
+
+        .issuer.loading {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 15px;
+          color: #64748b;
+        }
+
+        .issuer-header {
+          background: rgba(255, 255, 255, 0.95);
+          border-bottom: 1px solid #e2e8f0;
+          padding: 16px 32px;
+          display: flex;
+          align-items: center;
+          gap: 20px;
+          position: sticky;
+          top: 0;
+          z-index: 100;
+        }
+
+        .issuer-header h1 {
+          margin: 0;
+          flex: 1;
+          font-size: 1.35rem;
+          font-weight: 800;
+          color: #1e293b;
+        }
+
+        .back-button {
+          padding: 8px 14px;
+          background: #fff;
+          color: #475569;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .back-button:hover {
+          background: #f1f5f9;
+        }
+
+        .issuer-wallet {
+          font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+          background: #f1f5f9;
+          padding: 6px 10px;
+          border-radius: 8px;
+          font-size: 12px;
+          color: #334155;
+        }
+
+        .issuer-content {
+          max-width: 880px;
+          margin: 40px auto;
+          padding: 0 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 24px;
+        }
+
+        .issuer-section {
+          background: #fff;
+          padding: 28px 32px;
+          border-radius: 16px;
+          border: 1px solid #e2e8f0;
+          box-shadow: 0 4px 24px rgba(0, 0, 0, 0.04);
+        }
+
+        .issuer-section h2 {
+          margin: 0 0 12px 0;
+          color: #1e293b;
+          font-size: 1.2rem;
+        }
+
+        .issuer-section p {
+          color: #475569;
+          font-size: 14px;
+          line-height: 1.6;
+          margin: 0 0 12px 0;
+        }
+
+        .issue-form {
+          display: flex;
+          flex-direction: column;
+          gap: 14px;
+          margin-top: 16px;
+        }
+
+        .issue-form .form-row {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 12px;
+        }
+
+        .issue-form .form-field {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .issue-form label {
+          color: #374151;
+          font-weight: 600;
+          font-size: 13px;
+        }
+
+        .issue-form input,
+        .issue-form select {
+          padding: 10px 12px;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          font-size: 14px;
+          background: #f8fafc;
+        }
+
+        .issue-form input:focus,
+        .issue-form select:focus {
+          outline: none;
+          border-color: #2563eb;
+          background: #fff;
+        }
+
+        .issue-note {
+          color: #64748b;
+          font-size: 12px;
+        }
+
+        .primary-button,
+        .secondary-button {
+          padding: 10px 18px;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 600;
+        }
+
+        .primary-button {
+          background: linear-gradient(135deg, #2563eb 0%, #3b82f6 100%);
+          color: #fff;
+          border: none;
+          align-self: flex-start;
+        }
+
+        .secondary-button {
+          background: #fff;
+          color: #64748b;
+          border: 1px solid #e2e8f0;
+          font-size: 13px;
+          padding: 6px 12px;
+        }
+
+        .secondary-button:hover:not(:disabled) {
+          background: #fef2f2;
+          border-color: #fecaca;
+          color: #dc2626;
+        }
+
+        .primary-button:disabled,
+        .secondary-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .offer-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        .offer-table th,
+        .offer-table td {
+          padding: 10px 8px;
+          text-align: left;
+          border-bottom: 1px solid #f1f5f9;
+          color: #334155;
+        }
+
+        .offer-table th {
+          font-size: 12px;
+          text-transform: uppercase;
+          letter-spacing: 0.04em;
+          color: #64748b;
+        }
+
+        .offer-name {
+          max-width: 240px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .offer-state {
+          display: inline-block;
+          padding: 3px 8px;
+          border-radius: 999px;
+          font-size: 12px;
+          font-weight: 600;
+          background: #f1f5f9;
+          color: #475569;
+        }
+
+        .offer-state.pending {
+          background: #eff6ff;
+          color: #1d4ed8;
+        }
+
+        .offer-state.accepted {
+          background: #ecfdf5;
+          color: #047857;
+        }
+
+        .offer-state.declined,
+        .offer-state.withdrawn {
+          background: #fef2f2;
+          color: #b91c1c;
+        }
+
+        @media (max-width: 768px) {
+          .issuer-header {
+            padding: 12px 16px;
+            flex-wrap: wrap;
+          }
+
+          .issuer-section {
+            padding: 20px;
+          }
+
+          .issue-form .form-row {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default IssuerDashboard;
@@ -2,14 +2,15 @@
  * Login Page
  * 
  * Entry point for the application.
- * Users can either connect with MetaMask or login as a Valuator.
+ * Users can either sign in with a wallet or login as a Valuator.
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { loginWithWallet, checkAuthStatus, formatAddress, wasLoggedOut } from '../auth/walletAuth';
 import { loginAsValuator, signupValuator, checkValuatorAuthStatus } from '../auth/valuatorAuth';
-import { isMetaMaskInstalled } from '../blockchain/web3';
+import WalletPicker from '../components/WalletPicker';
+import NetworkPicker from '../components/NetworkPicker';
 
 const Login = () => {
   const navigate = useNavigate();
@@ -65,13 +66,13 @@ const Login = () => {
     checkExistingAuth();
   }, [navigate]);
 
-  // Handle MetaMask connection
-  const handleConnectWallet = async () => {
+  // Handle wallet sign-in
+  const handleConnectWallet = async (connector) => {
     setConnecting(true);
     setWalletError('');
 
     try {
-      const auth = await loginWithWallet(true); // autoRegister = true
+      const auth = await loginWithWallet(connector, true); // autoRegister = true
       console.log('Wallet connected:', formatAddress(auth.walletAddress));
       navigate('/dashboard');
     } catch (error) {
@@ -164,31 +165,22 @@ const Login = () => {
           <div className="user-login">
             <h2>Connect Your Wallet</h2>
             <p className="description">
-              Use MetaMask to connect your Ethereum wallet. 
+              Choose a wallet to connect your Ethereum account. 
               Your wallet address will be your identity.
+              You will be asked to sign a message proving you own it (no gas fees).
             </p>
 
-            {!isMetaMaskInstalled() ? (
-              <div className="metamask-warning">
-                <p>⚠️ MetaMask is not installed</p>
-                <a 
-                  href="https://metamask.io/download/" 
-                  target="_blank" 
-                  rel="noopener noreferrer"
-                  className="install-link"
-                >
-                  Install MetaMask →
-                </a>
-              </div>
-            ) : (
-              <button
-                onClick={handleConnectWallet}
-                disabled={connecting}
-                className="connect-button"
-              >
-                {connecting ? 'Connecting...' : '🦊 Connect with MetaMask'}
-              </button>
-            )}
+            <div className="network-row">
+              <span>Network</span>
+              <NetworkPicker />
+            </div>
+
+            <WalletPicker
+              onSelect={handleConnectWallet}
+              disabled={connecting}
+              buttonClassName="connect-button"
+              busyLabel="Waiting for signature..."
+            />
 
             {walletError && (
               <div className="error-message">
@@ -199,7 +191,7 @@ const Login = () => {
             <div className="info-box">
               <h4>First time?</h4>
               <ol>
-                <li>Install MetaMask browser extension</li>
+                <li>Install a browser wallet such as MetaMask</li>
                 <li>Create or import a wallet</li>
                 <li>Switch to Ganache network (localhost:7545)</li>
                 <li>Import a Ganache test account</li>
@@ -565,39 +557,14 @@ const Login = () => {
           cursor: not-allowed;
         }
 
-        .metamask-warning {
-          text-align: center;
-          padding: 20px 24px;
-          background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%);
-          border-radius: 14px;
-          margin-bottom: 20px;
-          border: 1px solid #fcd34d;
-        }
-
-        .metamask-warning p {
-          margin: 0 0 12px 0;
-          font-weight: 600;
-          color: #92400e;
-          font-size: 14px;
-        }
-
-        .install-link {
-          display: inline-flex;
+        .network-row {
+          display: flex;
           align-items: center;
-          gap: 6px;
-          color: #78350f;
-          font-weight: 700;
-          font-size: 14px;
-          text-decoration: none;
-          padding: 8px 16px;
-          background: rgba(255, 255, 255, 0.7);
-          border-radius: 8px;
-          transition: all 0.2s ease;
-        }
-
-        .install-link:hover {
-          background: #fff;
-          transform: translateX(2px);
+          justify-content: space-between;
+          margin-bottom: 16px;
+          font-size: 13px;
+          font-weight: 600;
+          color: #374151;
         }
 
         .form-group {
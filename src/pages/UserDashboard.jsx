@@ -2,15 +2,20 @@
  * UserDashboard Page
  * 
  * Main dashboard for general users.
- * Allows uploading, viewing, downloading, and deleting files.
+ * Allows uploading, viewing, downloading, and deleting files, and
+ * accepting credentials offered by registered issuers.
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { checkAuthStatus, logout, formatAddress, registerNewUser } from '../auth/walletAuth';
-import { isUserRegistered, getUserId } from '../blockchain/contract';
+import { isUserRegistered, getUserId, getIncomingTransfer, isIssuer, hasRole, isPaused } from '../blockchain/contract';
 import UploadFile from '../components/UploadFile';
+import PendingCredentials from '../components/PendingCredentials';
 import FileList from '../components/FileList';
+import GatewayDiagnostics from '../components/GatewayDiagnostics';
+import NetworkPicker from '../components/NetworkPicker';
+import ErrorNotice from '../components/ErrorNotice';
 
 const UserDashboard = () => {
   const navigate = useNavigate();
@@ -28,6 +33,10 @@ const UserDashboard = () => {
   const [newUserId, setNewUserId] = useState('');
   const [registering, setRegistering] = useState(false);
   const [registerError, setRegisterError] = useState('');
+  const [incomingUserId, setIncomingUserId] = useState('');
+  const [walletIsIssuer, setWalletIsIssuer] = useState(false);
+  const [walletIsAdmin, setWalletIsAdmin] = useState(false);
+  const [registryPaused, setRegistryPaused] = useState(false);
 
   // Check authentication on mount
   useEffect(() => {
@@ -45,12 +54,22 @@ const UserDashboard = () => {
         
         if (!registered) {
           setShowRegister(true);
+          // A user ID may be on its way from another wallet
+          setIncomingUserId(await getIncomingTransfer(auth.walletAddress));
         } else {
           // Get user ID
           const userId = await getUserId(auth.walletAddress);
           auth.userId = userId;
         }
 
+        const [issuer, admin, paused] = await Promise.all([
+          isIssuer(auth.walletAddress),
+          hasRole('admin', auth.walletAddress),
+          isPaused()
+        ]);
+        setWalletIsIssuer(issuer);
+        setWalletIsAdmin(admin);
+        setRegistryPaused(paused);
         setAuthState(auth);
       } catch (error) {
         console.error('Auth check error:', error);
@@ -64,10 +83,18 @@ const UserDashboard = () => {
   }, [navigate]);
 
   // Handle logout
-  const handleLogout = () => {
+  const handleLogout = useCallback(() => {
     logout();
     navigate('/');
-  };
+  }, [navigate]);
+
+  // Sign out when the wallet sign-in session expires
+  useEffect(() => {
+    if (!authState.expiresAt) return undefined;
+
+    const timer = setTimeout(handleLogout, Math.max(authState.expiresAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [authState.expiresAt, handleLogout]);
 
   // Handle registration
   const handleRegister = async (e) => {
@@ -81,7 +108,7 @@ const UserDashboard = () => {
       setShowRegister(false);
     } catch (error) {
       console.error('Registration error:', error);
-      setRegisterError(error.message);
+      setRegisterError(error);
     } finally {
       setRegistering(false);
     }
@@ -116,9 +143,13 @@ const UserDashboard = () => {
           <span className="user-type">General User</span>
         </div>
         <div className="header-right">
+          <NetworkPicker />
           <div className="wallet-info">
             <span className="wallet-label">Wallet:</span>
-            <span className="wallet-address" title={authState.walletAddress}>
+            <span
+              className="wallet-address"
+              title={`${authState.walletAddress}\nSigned in until ${new Date(authState.expiresAt).toLocaleString()}`}
+            >
               {formatAddress(authState.walletAddress)}
             </span>
           </div>
@@ -131,6 +162,19 @@ const UserDashboard = () => {
           <button onClick={() => navigate('/skills')} className="skills-button">
             Skills
           </button>
+          {walletIsIssuer && (
+            <button onClick={() => navigate('/issuer')} className="settings-button">
+              Issuer
+            </button>
+          )}
+          {walletIsAdmin && (
+            <button onClick={() => navigate('/admin')} className="settings-button">
+              Admin
+            </button>
+          )}
+          <button onClick={() => navigate('/settings')} className="settings-button">
+            Settings
+          </button>
           <button onClick={handleLogout} className="logout-button">
             Logout
           </button>
@@ -138,10 +182,35 @@ const UserDashboard = () => {
       </header>
 
       <main className="dashboard-content">
+        {registryPaused && (
+          <div className="paused-banner">
+            The registry is paused for maintenance. You can view and download files, but changes are
+            disabled until it is unpaused.
+          </div>
+        )}
+
         {showRegister ? (
           <div className="register-section">
             <h2>Complete Registration</h2>
             <p>Choose a unique User ID to identify yourself on the network.</p>
+
+            {walletIsIssuer && (
+              <div className="incoming-transfer">
+                This wallet is a registered issuer and doesn't need a User ID to issue credentials.{' '}
+                <button type="button" onClick={() => navigate('/issuer')} className="link-button">
+                  Go to the Issuer page
+                </button>
+              </div>
+            )}
+
+            {incomingUserId && (
+              <div className="incoming-transfer">
+                User ID <strong>{incomingUserId}</strong> is being moved to this wallet.{' '}
+                <button type="button" onClick={() => navigate('/settings')} className="link-button">
+                  Review it in Settings
+                </button>
+              </div>
+            )}
             
             <form onSubmit={handleRegister} className="register-form">
               <div className="form-group">
@@ -157,7 +226,7 @@ const UserDashboard = () => {
                   minLength={3}
                   maxLength={50}
                 />
-                <small>3-50 characters. This cannot be changed later.</small>
+                <small>3-50 characters. It can be moved to another wallet later from Settings.</small>
               </div>
 
               <button type="submit" disabled={registering} className="register-button">
@@ -165,14 +234,14 @@ const UserDashboard = () => {
               </button>
             </form>
 
-            {registerError && (
-              <div className="error-message">
-                <p>{registerError}</p>
-              </div>
-            )}
+            <ErrorNotice error={registerError} />
           </div>
         ) : (
           <>
+            <PendingCredentials
+              userId={authState.userId}
+              onAccepted={handleUploadComplete}
+            />
             <UploadFile 
               userId={authState.userId} 
               onUploadComplete={handleUploadComplete} 
@@ -180,8 +249,10 @@ const UserDashboard = () => {
             <FileList 
               userId={authState.userId} 
               isReadOnly={false}
+              viewerAddress={authState.walletAddress}
               onRefresh={handleRefreshCallback}
             />
+            <GatewayDiagnostics />
           </>
         )}
       </main>
@@ -327,6 +398,22 @@ const UserDashboard = () => {
           box-shadow: 0 4px 12px rgba(37, 99, 235, 0.3);
         }
 
+        .settings-button {
+          padding: 10px 18px;
+          background: #fff;
+          color: #334155;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 600;
+          transition: all 0.2s cubic-bezier(0.16, 1, 0.3, 1);
+        }
+
+        .settings-button:hover {
+          background: #f1f5f9;
+        }
+
         .logout-button {
           padding: 10px 18px;
           background: #fff;
@@ -390,6 +477,39 @@ const UserDashboard = () => {
           line-height: 1.6;
         }
 
+        .paused-banner {
+          margin-bottom: 24px;
+          padding: 12px 16px;
+          background: #fef2f2;
+          border: 1px solid #fecaca;
+          border-radius: 10px;
+          font-size: 14px;
+          color: #b91c1c;
+        }
+
+        .incoming-transfer {
+          max-width: 380px;
+          margin: -16px auto 28px;
+          padding: 12px 14px;
+          background: #eff6ff;
+          border: 1px solid #bfdbfe;
+          border-radius: 10px;
+          font-size: 14px;
+          color: #1e40af;
+          text-align: left;
+        }
+
+        .link-button {
+          padding: 0;
+          background: none;
+          border: none;
+          color: #2563eb;
+          font-size: 14px;
+          font-weight: 600;
+          text-decoration: underline;
+          cursor: pointer;
+        }
+
         .register-form {
           max-width: 380px;
           margin: 0 auto;
@@ -463,35 +583,6 @@ const UserDashboard = () => {
           cursor: not-allowed;
         }
 
-        .error-message {
-          margin-top: 24px;
-          padding: 14px 16px;
-          background: linear-gradient(135deg, #fef2f2 0%, #fee2e2 100%);
-          color: #dc2626;
-          border-radius: 12px;
-          text-align: left;
-          font-size: 14px;
-          display: flex;
-          align-items: center;
-          gap: 12px;
-          border: 1px solid #fecaca;
-        }
-
-        .error-message::before {
-          content: '!';
-          width: 22px;
-          height: 22px;
-          background: linear-gradient(135deg, #dc2626 0%, #ef4444 100%);
-          color: #fff;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 12px;
-          font-weight: 800;
-          flex-shrink: 0;
-        }
-
         @media (max-width: 768px) {
           .dashboard-header {
             padding: 12px 16px;
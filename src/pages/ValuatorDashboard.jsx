@@ -3,13 +3,45 @@
  * 
  * Dashboard for valuators.
  * Allows searching and viewing files by user ID (read-only).
+ * Valuators with a registered verifier wallet can also attest to files,
+ * and a connected wallet can open encrypted files shared with it.
+ * Search results say how many of a user's credentials are active,
+ * expired or revoked.
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { checkValuatorAuthStatus, logoutValuator } from '../auth/valuatorAuth';
-import { getFiles, getFileCount } from '../blockchain/contract';
+import {
+  getFiles,
+  CREDENTIAL_STATUSES,
+  isVerifier,
+  getEncryptionKey,
+  setEncryptionKey,
+  subscribeToFileEvents
+} from '../blockchain/contract';
+import { getIndexedFiles } from '../blockchain/indexer';
+import { CREDENTIAL_STATUS_LABELS } from '../utils/format';
+import { connectWallet } from '../blockchain/web3';
+import { formatAddress } from '../auth/walletAuth';
+import { getRecipientPublicKey } from '../crypto/encryption';
 import FileList from '../components/FileList';
+import GatewayDiagnostics from '../components/GatewayDiagnostics';
+import WalletPicker from '../components/WalletPicker';
+import NetworkPicker from '../components/NetworkPicker';
+
+/**
+ * Count a user's files by credential status
+ * @param {Array} files - File objects (see contract.getFiles)
+ * @returns {Object} {total, active, expired, revoked}
+ */
+const summarizeFiles = (files) => {
+  const summary = { total: files.length };
+  CREDENTIAL_STATUSES.forEach((status) => {
+    summary[status] = files.filter((file) => file.status === status).length;
+  });
+  return summary;
+};
 
 const ValuatorDashboard = () => {
   const navigate = useNavigate();
@@ -27,7 +59,15 @@ const ValuatorDashboard = () => {
   const [currentUserId, setCurrentUserId] = useState('');
   const [searching, setSearching] = useState(false);
   const [searchError, setSearchError] = useState('');
-  const [fileCount, setFileCount] = useState(null);
+  const [fileSummary, setFileSummary] = useState(null);
+
+  // Verifier wallet state
+  const [verifierAddress, setVerifierAddress] = useState(null);
+  const [canAttest, setCanAttest] = useState(false);
+  const [connectingWallet, setConnectingWallet] = useState(false);
+  const [walletError, setWalletError] = useState('');
+  const [sharingEnabled, setSharingEnabled] = useState(false);
+  const [enablingSharing, setEnablingSharing] = useState(false);
 
   // Check authentication on mount
   useEffect(() => {
@@ -42,6 +82,26 @@ const ValuatorDashboard = () => {
     setLoading(false);
   }, [navigate]);
 
+  // Keep the file summary current while a user is shown
+  useEffect(() => {
+    if (!currentUserId) {
+      return undefined;
+    }
+
+    // Read from the contract; the index may not have caught up with the event yet
+    const reload = () => {
+      getFiles(currentUserId)
+        .then((files) => setFileSummary(summarizeFiles(files)))
+        .catch((error) => console.error('Error reloading file summary:', error));
+    };
+
+    return subscribeToFileEvents(currentUserId, {
+      onUpload: reload,
+      onDelete: reload,
+      onStatusChange: reload
+    });
+  }, [currentUserId]);
+
   // Handle logout
   const handleLogout = async () => {
     await logoutValuator();
@@ -59,12 +119,15 @@ const ValuatorDashboard = () => {
 
     setSearching(true);
     setSearchError('');
-    setFileCount(null);
+    setFileSummary(null);
 
     try {
-      // Check if user has any files
-      const count = await getFileCount(searchUserId.trim());
-      setFileCount(count);
+      // Check if user has any files (from the event index when available)
+      const files = await getIndexedFiles(searchUserId.trim()).catch((indexError) => {
+        console.warn('Event index unavailable, reading files from contract:', indexError);
+        return getFiles(searchUserId.trim());
+      });
+      setFileSummary(summarizeFiles(files));
       setCurrentUserId(searchUserId.trim());
     } catch (error) {
       console.error('Search error:', error);
@@ -74,11 +137,54 @@ const ValuatorDashboard = () => {
     }
   };
 
+  // Connect a wallet to attest to files as a verifier
+  const handleConnectVerifierWallet = async (connector) => {
+    setConnectingWallet(true);
+    setWalletError('');
+
+    try {
+      const address = await connectWallet(connector);
+      const verifier = await isVerifier(address);
+      setVerifierAddress(address);
+      setCanAttest(verifier);
+      setSharingEnabled(Boolean(await getEncryptionKey(address)));
+
+      if (!verifier) {
+        setWalletError('This wallet is not a registered verifier. Ask the admin to add it.');
+      }
+    } catch (error) {
+      console.error('Verifier wallet error:', error);
+      setWalletError(error.message);
+    } finally {
+      setConnectingWallet(false);
+    }
+  };
+
+  // Publish this wallet's encryption key so file owners can share with it
+  const handleEnableSharing = async () => {
+    setEnablingSharing(true);
+    setWalletError('');
+
+    try {
+      const publicKey = await getRecipientPublicKey();
+      const label = authState.companyName
+        ? `${authState.name} (${authState.companyName})`
+        : authState.name;
+      await setEncryptionKey(publicKey, label || '');
+      setSharingEnabled(true);
+    } catch (error) {
+      console.error('Enable sharing error:', error);
+      setWalletError(error.message);
+    } finally {
+      setEnablingSharing(false);
+    }
+  };
+
   // Clear search
   const handleClearSearch = () => {
     setSearchUserId('');
     setCurrentUserId('');
-    setFileCount(null);
+    setFileSummary(null);
     setSearchError('');
   };
 
@@ -99,6 +205,7 @@ const ValuatorDashboard = () => {
           <span className="user-type valuator-badge">Valuator (Read-Only)</span>
         </div>
         <div className="header-right">
+          <NetworkPicker />
           <div className="user-info">
             <span className="user-label">Logged in as:</span>
             <span className="username">{authState.name}</span>
@@ -148,11 +255,56 @@ const ValuatorDashboard = () => {
             </div>
           )}
 
-          {currentUserId && fileCount !== null && (
+          {currentUserId && fileSummary !== null && (
             <div className="search-result-info">
               <p>
-                Found <strong>{fileCount}</strong> file(s) for user: <strong>{currentUserId}</strong>
+                Found <strong>{fileSummary.total}</strong> file(s) for user: <strong>{currentUserId}</strong>
+              </p>
+              {fileSummary.total > 0 && (
+                <p className="status-summary">
+                  {CREDENTIAL_STATUSES.map((status) => (
+                    <span key={status} className={`status-count ${status}`}>
+                      {fileSummary[status]} {CREDENTIAL_STATUS_LABELS[status]}
+                    </span>
+                  ))}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="verifier-section">
+          <div className="verifier-info">
+            <h3>Verifier Wallet</h3>
+            {verifierAddress ? (
+              <p>
+                Connected: <code title={verifierAddress}>{formatAddress(verifierAddress)}</code>
+                {canAttest && <span className="verifier-badge">Verifier</span>}
+                {sharingEnabled && <span className="verifier-badge">Shared files enabled</span>}
               </p>
+            ) : (
+              <p>Connect a wallet to open files shared with you or to attest as a verifier.</p>
+            )}
+          </div>
+          {!verifierAddress && (
+            <WalletPicker
+              onSelect={handleConnectVerifierWallet}
+              disabled={connectingWallet}
+              buttonClassName="verifier-connect-button"
+            />
+          )}
+          {verifierAddress && !sharingEnabled && (
+            <button
+              onClick={handleEnableSharing}
+              disabled={enablingSharing}
+              className="verifier-connect-button"
+            >
+              {enablingSharing ? 'Enabling...' : 'Enable Shared Files'}
+            </button>
+          )}
+          {walletError && (
+            <div className="error-message">
+              <p>{walletError}</p>
             </div>
           )}
         </div>
@@ -161,6 +313,8 @@ const ValuatorDashboard = () => {
           <FileList 
             userId={currentUserId} 
             isReadOnly={true}
+            canAttest={canAttest}
+            viewerAddress={verifierAddress}
           />
         )}
 
@@ -172,10 +326,14 @@ const ValuatorDashboard = () => {
           </div>
         )}
 
+        <GatewayDiagnostics />
+
         <div className="valuator-notice">
           <p>
             <strong>⚠️ Read-Only Access:</strong> As a valuator, you can only view files. 
-            Uploading and deleting files is not permitted.
+            Uploading and deleting files is not permitted. Attestations are recorded
+            on-chain from your verifier wallet. Encrypted files can only be opened
+            once their owner has shared them with your wallet.
           </p>
         </div>
       </main>
@@ -466,6 +624,112 @@ const ValuatorDashboard = () => {
           font-weight: 500;
         }
 
+        .search-result-info p {
+          margin: 0;
+        }
+
+        .status-summary {
+          display: flex;
+          gap: 8px;
+          margin-top: 10px !important;
+        }
+
+        .status-count {
+          padding: 2px 10px;
+          border-radius: 10px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .status-count.active {
+          background: #e0f2fe;
+          color: #075985;
+        }
+
+        .status-count.expired {
+          background: #f3f4f6;
+          color: #4b5563;
+        }
+
+        .status-count.revoked {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        .verifier-section {
+          background: #fff;
+          padding: 20px 24px;
+          border-radius: 16px;
+          margin-bottom: 24px;
+          border: 1px solid #e2e8f0;
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: 12px;
+        }
+
+        .verifier-info h3 {
+          margin: 0 0 4px 0;
+          color: #1e293b;
+          font-size: 1rem;
+          font-weight: 700;
+        }
+
+        .verifier-info p {
+          margin: 0;
+          color: #64748b;
+          font-size: 13px;
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .verifier-info code {
+          font-family: 'SF Mono', 'Monaco', 'Consolas', monospace;
+          background: #f1f5f9;
+          padding: 4px 8px;
+          border-radius: 6px;
+          color: #334155;
+        }
+
+        .verifier-badge {
+          background: #dcfce7;
+          color: #166534;
+          padding: 2px 10px;
+          border-radius: 10px;
+          font-size: 11px;
+          font-weight: 600;
+        }
+
+        .verifier-connect-button {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 18px;
+          background: #1e293b;
+          color: #fff;
+          border: none;
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .verifier-connect-button:hover:not(:disabled) {
+          background: #0f172a;
+        }
+
+        .verifier-connect-button:disabled {
+          background: #cbd5e1;
+          cursor: not-allowed;
+        }
+
+        .verifier-section .error-message {
+          width: 100%;
+          margin-top: 0;
+        }
+
         .empty-state {
           background: #fff;
           padding: 72px 32px;
@@ -0,0 +1,103 @@
+/**
+ * Formatting Helpers
+ * 
+ * Small display helpers shared by components.
+ */
+
+import { formatEther } from 'ethers';
+
+// Display labels for each credential category
+export const CATEGORY_LABELS = {
+  other: 'Other',
+  degree: 'Degree',
+  certificate: 'Certificate',
+  transcript: 'Transcript',
+  'reference-letter': 'Reference Letter'
+};
+
+// Display labels for each credential status
+export const CREDENTIAL_STATUS_LABELS = {
+  active: 'Active',
+  expired: 'Expired',
+  revoked: 'Revoked'
+};
+
+// Display labels for each revocation reason
+export const REVOCATION_REASON_LABELS = {
+  superseded: 'Superseded',
+  'issued-in-error': 'Issued in error',
+  withdrawn: 'Withdrawn',
+  other: 'Other'
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - The size in bytes
+ * @returns {string} Formatted size (e.g., "1.5 MB")
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+/**
+ * Format a unix timestamp (seconds) as a date
+ * @param {number} timestamp - Unix timestamp in seconds (0 = not set)
+ * @returns {string} Formatted date, or an empty string if not set
+ */
+export const formatDate = (timestamp) => {
+  if (!timestamp) return '';
+  return new Date(timestamp * 1000).toLocaleDateString();
+};
+
+/**
+ * Convert a date input value (YYYY-MM-DD) to a unix timestamp
+ * @param {string} value - The date input value
+ * @returns {number} Unix timestamp in seconds, or 0 if empty
+ */
+export const dateInputToTimestamp = (value) => {
+  if (!value) return 0;
+  return Math.floor(Date.parse(value) / 1000);
+};
+
+/**
+ * Format an amount in wei as native currency
+ * @param {bigint} wei - The amount in wei
+ * @param {string} symbol - The currency symbol (e.g. 'ETH')
+ * @returns {string} Formatted amount with up to 6 decimals (e.g., "0.000412 ETH")
+ */
+export const formatNativeAmount = (wei, symbol) => {
+  const amount = Number(formatEther(wei));
+  const text = amount > 0 && amount < 0.000001
+    ? '<0.000001'
+    : amount.toLocaleString(undefined, { maximumFractionDigits: 6 });
+  return `${text} ${symbol}`;
+};
+
+/**
+ * Format a fiat amount
+ * @param {number} amount - The amount
+ * @param {string} currency - ISO currency code (e.g. 'usd')
+ * @returns {string} Formatted amount (e.g., "$1.24"), with sub-cent amounts shown as "<$0.01"
+ */
+export const formatFiat = (amount, currency) => {
+  const format = (value) => value.toLocaleString(undefined, {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  });
+  return amount > 0 && amount < 0.01 ? `<${format(0.01)}` : format(amount);
+};
+
+export default {
+  CATEGORY_LABELS,
+  CREDENTIAL_STATUS_LABELS,
+  REVOCATION_REASON_LABELS,
+  formatFileSize,
+  formatDate,
+  dateInputToTimestamp,
+  formatNativeAmount,
+  formatFiat
+};
@@ -0,0 +1,96 @@
+/**
+ * IndexedDB Helpers
+ *
+ * Small promise wrappers around the browser IndexedDB API,
+ * used for data that should survive page reloads.
+ */
+
+// Open database connections, keyed by database name
+const connections = {};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} The request result
+ */
+export const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Open (and create or upgrade if needed) a database
+ * @param {string} name - The database name
+ * @param {number} version - The schema version
+ * @param {Function} upgrade - Called with (db, oldVersion) to create object stores
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export const openDatabase = (name, version, upgrade) => {
+  if (!connections[name]) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+
+    connections[name] = requestToPromise(request).catch((error) => {
+      delete connections[name];
+      throw error;
+    });
+  }
+  return connections[name];
+};
+
+/**
+ * Run a function against an object store inside a transaction
+ * @param {Promise<IDBDatabase>|IDBDatabase} database - The database to use
+ * @param {string} storeName - The object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Called with the store; may return an IDBRequest
+ * @returns {Promise<any>} The request result, once the transaction completes
+ */
+export const withStore = async (database, storeName, mode, callback) => {
+  const db = await database;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+/**
+ * Run a function against several object stores in one transaction
+ * The callback must queue all its requests synchronously; the
+ * transaction commits as soon as it has no more pending requests.
+ * @param {Promise<IDBDatabase>|IDBDatabase} database - The database to use
+ * @param {string[]} storeNames - The object stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Called with the IDBTransaction
+ * @returns {Promise<void>} Resolves once the transaction completes
+ */
+export const withTransaction = async (database, storeNames, mode, callback) => {
+  const db = await database;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    callback(transaction);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+export default {
+  requestToPromise,
+  openDatabase,
+  withStore,
+  withTransaction
+};